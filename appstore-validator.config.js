@@ -3,10 +3,20 @@ module.exports = {
   rules: {
     'info-plist-validation': 'error',
     'privacy-compliance': 'error',
+    'app-tracking-transparency': 'error',
     'account-deletion': 'warn',
+    'sign-in-with-apple': 'error',
     'permissions': 'warn',
+    'app-transport-security': 'warn',
     'assets': 'error',
     'code-signing': 'error',
+    'entitlements': 'error',
+    'js-bundle': 'error',
+    'third-party-sdks': 'error',
+    'dev-leftovers': 'error',
+    'secrets': 'error',
+    'native-modules': 'error',
+    'build-settings': 'warn',
     'localization': 'info',
     'performance': 'warn',
     'content-policy': 'warn',
@@ -18,6 +28,13 @@ module.exports = {
     // 'localization'  // Example: skip localization checks
   ],
 
+  // What the app sells; each flag allows payments outside in-app purchase (Guideline 3.1.3)
+  businessModel: {
+    physicalGoods: false,          // Goods or services used outside the app
+    readerApp: false,              // Previously purchased content such as magazines, music or video
+    externalLinkEntitlement: false // StoreKit External Purchase Link Entitlement
+  },
+
   // Custom rules (paths to JS files)
   customRules: [
     // './custom-rules/company-branding-rule.js'
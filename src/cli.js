@@ -7,8 +7,57 @@ const path = require('path')
 
 // Import the AppStoreValidator class directly
 const AppStoreValidator = require('../src/validator')
+const reporters = require('../src/reporters')
 const packageJson = require('../package.json')
 
+// Options shared by the validate and validate-project commands
+const validationOptions = {
+  metadata: {
+    alias: 'm',
+    describe: 'Path to metadata JSON file',
+    type: 'string',
+    normalize: true
+  },
+  output: {
+    alias: 'o',
+    describe: 'Output format',
+    choices: ['console', 'json', 'junit'],
+    default: 'console'
+  },
+  verbose: {
+    alias: 'v',
+    describe: 'Verbose output',
+    type: 'boolean',
+    default: false
+  },
+  rules: {
+    alias: 'r',
+    describe: 'Comma-separated list of rules to run (default: all)',
+    type: 'string'
+  },
+  ignore: {
+    alias: 'i',
+    describe: 'Comma-separated list of rules to ignore',
+    type: 'string'
+  },
+  'fail-on': {
+    describe: 'Severity level to fail on',
+    choices: ['critical', 'high', 'medium', 'low'],
+    default: 'high'
+  },
+  'output-file': {
+    describe: 'Write output to file instead of stdout',
+    type: 'string',
+    normalize: true
+  },
+  config: {
+    alias: 'c',
+    describe: 'Custom configuration file',
+    type: 'string',
+    normalize: true
+  }
+}
+
 function setupCLI() {
   return yargs
     .scriptName('rn-appstore-validator')
@@ -19,54 +68,12 @@ function setupCLI() {
       (yargs) => {
         yargs
           .positional('buildPath', {
-            describe: 'Path to .app bundle or .ipa file',
-            type: 'string'
-          })
-          .option('metadata', {
-            alias: 'm',
-            describe: 'Path to metadata JSON file',
-            type: 'string',
-            normalize: true
-          })
-          .option('output', {
-            alias: 'o',
-            describe: 'Output format',
-            choices: ['console', 'json', 'junit'],
-            default: 'console'
-          })
-          .option('verbose', {
-            alias: 'v',
-            describe: 'Verbose output',
-            type: 'boolean',
-            default: false
-          })
-          .option('rules', {
-            alias: 'r',
-            describe: 'Comma-separated list of rules to run (default: all)',
-            type: 'string'
-          })
-          .option('ignore', {
-            alias: 'i',
-            describe: 'Comma-separated list of rules to ignore',
+            describe: 'Path to .app bundle, .xcarchive or .ipa file',
             type: 'string'
           })
-          .option('fail-on', {
-            describe: 'Severity level to fail on',
-            choices: ['critical', 'high', 'medium', 'low'],
-            default: 'high'
-          })
-          .option('output-file', {
-            describe: 'Write output to file instead of stdout',
-            type: 'string',
-            normalize: true
-          })
-          .option('config', {
-            alias: 'c',
-            describe: 'Custom configuration file',
-            type: 'string',
-            normalize: true
-          })
+          .options(validationOptions)
           .example('$0 validate ./ios/build/MyApp.app', 'Validate an app bundle')
+          .example('$0 validate ./build/MyApp.xcarchive', 'Validate an archive before export')
           .example(
             '$0 validate ./MyApp.ipa --metadata ./metadata.json',
             'Validate IPA with metadata'
@@ -80,6 +87,52 @@ function setupCLI() {
         await runValidation(argv)
       }
     )
+    .command(
+      'validate-project <projectRoot>',
+      'Validate React Native ios/ sources before building',
+      (yargs) => {
+        yargs
+          .positional('projectRoot', {
+            describe: 'Path to the React Native project root (containing ios/)',
+            type: 'string'
+          })
+          .options(validationOptions)
+          .example('$0 validate-project .', 'Check Info.plist, privacy manifest and entitlements')
+          .example('$0 validate-project . --fail-on medium', 'Use as a pre-commit or PR check')
+      },
+      async(argv) => {
+        await runValidation(argv)
+      }
+    )
+    .command(
+      'privacy-report <buildPath>',
+      'Draft the App Store Connect privacy questionnaire from the privacy manifests in a build',
+      (yargs) => {
+        yargs
+          .positional('buildPath', {
+            describe: 'Path to .app bundle, .xcarchive or .ipa file',
+            type: 'string'
+          })
+          .options({
+            format: {
+              alias: 'f',
+              describe: 'Report format',
+              choices: ['md', 'json'],
+              default: 'md'
+            },
+            'output-file': validationOptions['output-file'],
+            verbose: validationOptions.verbose
+          })
+          .example('$0 privacy-report ./MyApp.ipa', 'Print the collected data types as Markdown')
+          .example(
+            '$0 privacy-report ./MyApp.ipa --format json --output-file privacy.json',
+            'Save the report to compare with the declared answers'
+          )
+      },
+      async(argv) => {
+        await runPrivacyReport(argv)
+      }
+    )
     .command(
       'rules',
       'List available validation rules',
@@ -115,7 +168,11 @@ async function runValidation(argv) {
     console.log(chalk.gray(`Version ${packageJson.version}\n`))
 
     if (argv.verbose) {
-      console.log(chalk.gray(`Build Path: ${argv.buildPath}`))
+      if (argv.projectRoot) {
+        console.log(chalk.gray(`Project Path: ${argv.projectRoot}`))
+      } else {
+        console.log(chalk.gray(`Build Path: ${argv.buildPath}`))
+      }
       console.log(chalk.gray(`Metadata: ${argv.metadata || 'Not provided'}`))
       console.log(chalk.gray(`Output Format: ${argv.output}`))
       console.log('')
@@ -144,7 +201,9 @@ async function runValidation(argv) {
     const validator = new AppStoreValidator(validatorOptions)
 
     // Run validation
-    const report = await validator.validate(argv.buildPath, argv.metadata)
+    const report = argv.projectRoot
+      ? await validator.validateProject(argv.projectRoot, argv.metadata)
+      : await validator.validate(argv.buildPath, argv.metadata)
 
     // Output results
     if (argv.outputFile) {
@@ -180,6 +239,32 @@ async function runValidation(argv) {
   }
 }
 
+async function runPrivacyReport(argv) {
+  try {
+    const validator = new AppStoreValidator({ verbose: argv.verbose })
+    const report = await validator.generatePrivacyReport(argv.buildPath)
+    const output =
+      argv.format === 'json'
+        ? reporters.generatePrivacyJsonReport(report)
+        : reporters.generatePrivacyMarkdownReport(report)
+
+    if (argv.outputFile) {
+      fs.writeFileSync(argv.outputFile, output)
+      console.log(chalk.green(`Privacy report written to ${argv.outputFile}`))
+    } else {
+      console.log(output)
+    }
+  } catch (error) {
+    console.error(chalk.red('\n💥 Privacy report failed:'))
+    console.error(chalk.red(error.message))
+
+    if (argv.verbose) {
+      console.error(chalk.gray(error.stack))
+    }
+    process.exit(1)
+  }
+}
+
 function listRules() {
   console.log(chalk.blue.bold('📋 Available Validation Rules:\n'))
 
@@ -192,10 +277,49 @@ function listRules() {
       name: 'privacy-compliance',
       description: 'Validates privacy manifests and permission descriptions'
     },
+    {
+      name: 'app-tracking-transparency',
+      description: 'Checks that tracking SDKs, the ATT prompt and the privacy manifest agree'
+    },
     { name: 'account-deletion', description: 'Validates account deletion requirements' },
+    {
+      name: 'sign-in-with-apple',
+      description:
+        'Requires Sign in with Apple when the app offers third-party login (Guideline 4.8)'
+    },
     { name: 'permissions', description: 'Validates app permissions and usage descriptions' },
+    {
+      name: 'app-transport-security',
+      description: 'Validates App Transport Security exceptions in Info.plist'
+    },
     { name: 'assets', description: 'Validates app icons and required assets' },
     { name: 'code-signing', description: 'Validates code signing and provisioning profiles' },
+    {
+      name: 'entitlements',
+      description: 'Validates signed entitlements against the provisioning profile'
+    },
+    { name: 'js-bundle', description: 'Validates the React Native JavaScript bundle' },
+    {
+      name: 'third-party-sdks',
+      description: 'Validates privacy manifests and signatures of commonly used third-party SDKs'
+    },
+    {
+      name: 'dev-leftovers',
+      description: 'Detects debug-only files, frameworks and hosts left in the build'
+    },
+    {
+      name: 'secrets',
+      description: 'Scans the JS bundle, plists and config resources for shipped secrets'
+    },
+    {
+      name: 'native-modules',
+      description:
+        'Checks the Info.plist keys, entitlements and background modes native modules need'
+    },
+    {
+      name: 'build-settings',
+      description: 'Validates Release build settings of the Xcode project (validate-project only)'
+    },
     { name: 'localization', description: 'Validates localization and internationalization' },
     { name: 'performance', description: 'Validates performance-related configurations' },
     { name: 'content-policy', description: 'Validates content policy compliance' },
@@ -226,10 +350,20 @@ function initConfig(force) {
   rules: {
     'info-plist-validation': 'error',
     'privacy-compliance': 'error',
+    'app-tracking-transparency': 'error',
     'account-deletion': 'warn', 
+    'sign-in-with-apple': 'error',
     'permissions': 'warn',
+    'app-transport-security': 'warn',
     'assets': 'error',
     'code-signing': 'warn',
+    'entitlements': 'error',
+    'js-bundle': 'error',
+    'third-party-sdks': 'error',
+    'dev-leftovers': 'error',
+    'secrets': 'error',
+    'native-modules': 'error',
+    'build-settings': 'warn',
     'localization': 'info',
     'performance': 'warn',
     'content-policy': 'warn',
@@ -241,6 +375,13 @@ function initConfig(force) {
     // 'code-signing'  // Uncomment to skip code signing checks
   ],
 
+  // What the app sells; each flag allows payments outside in-app purchase (Guideline 3.1.3)
+  businessModel: {
+    physicalGoods: false,          // Goods or services used outside the app
+    readerApp: false,              // Previously purchased content such as magazines, music or video
+    externalLinkEntitlement: false // StoreKit External Purchase Link Entitlement
+  },
+
   // Fail threshold
   failOn: 'high' // critical, high, medium, low
 };
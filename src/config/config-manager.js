@@ -10,16 +10,31 @@ class ConfigManager {
       rules: {
         'info-plist-validation': 'error',
         'privacy-compliance': 'error',
+        'app-tracking-transparency': 'error',
         'account-deletion': 'error',
+        'sign-in-with-apple': 'error',
         permissions: 'warn',
+        'app-transport-security': 'warn',
         assets: 'error',
         'code-signing': 'warn',
+        entitlements: 'error',
+        'js-bundle': 'error',
+        'third-party-sdks': 'error',
+        'dev-leftovers': 'error',
+        secrets: 'error',
+        'native-modules': 'error',
+        'build-settings': 'warn',
         localization: 'info',
         performance: 'warn',
         'content-policy': 'warn',
         metadata: 'info'
       },
       ignore: [],
+      businessModel: {
+        physicalGoods: false,
+        readerApp: false,
+        externalLinkEntitlement: false
+      },
       context: {
         buildType: 'auto-detect', // 'development', 'staging', 'production', 'auto-detect'
         existingAppStore: false,
@@ -103,6 +118,10 @@ class ConfigManager {
       Object.assign(merged.output, userConfig.output)
     }
 
+    if (userConfig.businessModel) {
+      Object.assign(merged.businessModel, userConfig.businessModel)
+    }
+
     // Direct overwrites
     if (userConfig.failOn) {
       merged.failOn = userConfig.failOn
@@ -124,10 +143,20 @@ class ConfigManager {
   rules: {
     'info-plist-validation': 'error',
     'privacy-compliance': 'error',
+    'app-tracking-transparency': 'error',
     'account-deletion': 'error',
+    'sign-in-with-apple': 'error',
     'permissions': 'warn',
+    'app-transport-security': 'warn',
     'assets': 'error',
     'code-signing': 'warn',
+    'entitlements': 'error',
+    'js-bundle': 'error',
+    'third-party-sdks': 'error',
+    'dev-leftovers': 'error',
+    'secrets': 'error',
+    'native-modules': 'error',
+    'build-settings': 'warn',
     'localization': 'info',
     'performance': 'warn',
     'content-policy': 'warn',
@@ -152,6 +181,13 @@ class ConfigManager {
     usesFastlane: 'auto-detect', // true, false, 'auto-detect'
   },
 
+  // What the app sells; each flag allows payments outside in-app purchase (Guideline 3.1.3)
+  businessModel: {
+    physicalGoods: false,          // Goods or services used outside the app
+    readerApp: false,              // Previously purchased content such as magazines, music or video
+    externalLinkEntitlement: false // StoreKit External Purchase Link Entitlement
+  },
+
   // Output configuration
   output: {
     format: 'console',     // 'console', 'json', 'junit'
@@ -0,0 +1,51 @@
+/**
+ * Third-party login SDKs that make Sign in with Apple (or an equivalent login) mandatory
+ * under App Review Guideline 4.8.
+ *
+ * frameworks - embedded or linked framework names
+ * classes    - Objective-C classes compiled into the app or its frameworks
+ * symbols    - imported symbols, for SDK classes that are always compiled in and only count
+ *              when used
+ * urlSchemes - CFBundleURLSchemes the SDK's login callback needs
+ * js         - patterns matched against the JS bundle
+ * packages   - npm packages, matched against the project's package.json dependencies
+ */
+
+module.exports = [
+  {
+    name: 'Facebook Login',
+    frameworks: ['FBSDKLoginKit'],
+    classes: ['FBSDKLoginManager', 'RCTFBSDKLoginManager'],
+    urlSchemes: [/^fb\d+$/],
+    js: [/\bFBLoginManager\b/],
+    packages: ['react-native-fbsdk-next', 'react-native-fbsdk']
+  },
+  {
+    name: 'Google Sign-In',
+    frameworks: ['GoogleSignIn'],
+    classes: ['GIDSignIn', 'RNGoogleSignin'],
+    // Reversed iOS client ID, com.googleusercontent.apps.<id>
+    urlSchemes: [/^com\.googleusercontent\.apps\./],
+    js: [/\bRNGoogleSignin\b/],
+    packages: ['@react-native-google-signin/google-signin']
+  },
+  {
+    name: 'Auth0',
+    frameworks: ['Auth0'],
+    classes: ['A0Auth0'],
+    urlSchemes: [/\.auth0$/],
+    js: [/\bA0Auth0\b/],
+    packages: ['react-native-auth0']
+  },
+  {
+    name: 'Firebase Auth social providers',
+    // FirebaseAuth always contains every provider class, so only references from app code count
+    symbols: [
+      'FIRGoogleAuthProvider',
+      'FIRFacebookAuthProvider',
+      'FIRTwitterAuthProvider',
+      'FIRGitHubAuthProvider'
+    ].map((name) => `_OBJC_CLASS_$_${name}`),
+    js: [/\b(Google|Facebook|Twitter|Github)AuthProvider\.credential\(/]
+  }
+]
@@ -0,0 +1,53 @@
+/**
+ * Built-in catalogue of debug-only leftovers for the dev-leftovers rule.
+ *
+ * files      - globs matched against every path in the app bundle
+ * frameworks - patterns matched against embedded and linked framework names
+ * strings    - patterns matched against Info.plist/Settings.bundle values ('plist') and
+ *              JavaScript bundle strings ('js')
+ *
+ * Patterns are substrings or regular expressions. More markers can be added through the
+ * rule options, see README "Development leftovers".
+ */
+
+module.exports = {
+  files: [
+    {
+      pattern: 'ip.txt',
+      description:
+        'Metro host address that "Bundle React Native code and images" writes for Debug device builds'
+    },
+    { pattern: '**/.DS_Store', description: 'Finder metadata copied in with a resource folder' },
+    {
+      pattern: '**/*.xcuserstate',
+      description: 'Xcode user state copied in with a resource folder'
+    }
+  ],
+  frameworks: [
+    {
+      pattern: /^Flipper/,
+      description: 'Flipper debugging client (FlipperKit and its dependencies)'
+    },
+    { pattern: /^(FLEX|RevealServer)$/, description: 'In-app view debugger' },
+    { pattern: /^(EXDevLauncher|EXDevMenu)/, description: 'expo-dev-client development launcher' }
+  ],
+  strings: [
+    {
+      // Not matched in JavaScript: every production bundle keeps getDevServer's localhost fallback
+      pattern: /\b(localhost|127\.0\.0\.1|10\.0\.2\.2):8081\b/,
+      sources: ['plist'],
+      description: 'Metro packager URL'
+    },
+    {
+      pattern: 'RCT_jsLocation',
+      sources: ['plist'],
+      description: 'Packager host preset for RCTDevSettings'
+    },
+    {
+      pattern:
+        /\bhttps?:\/\/(192\.168\.\d{1,3}\.\d{1,3}|10\.\d{1,3}\.\d{1,3}\.\d{1,3}|172\.(1[6-9]|2\d|3[01])\.\d{1,3}\.\d{1,3})(:\d+)?/,
+      sources: ['plist', 'js'],
+      description: 'URL of a server on a private network'
+    }
+  ]
+}
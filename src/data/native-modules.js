@@ -0,0 +1,151 @@
+/**
+ * What React Native native modules need from the app around them.
+ *
+ * package     - npm package, matched against the project's package.json dependencies
+ * modules     - RCT_EXPORT_MODULE/TurboModule/view manager names found in the binary or JS bundle
+ * packageJson - false when the package alone does not compile the module in (opt-in subspecs)
+ * requires    - Info.plist keys (infoPlist), entitlements and UIBackgroundModes (backgroundModes);
+ *               since/before limit an entry to package major versions [since, before). When the
+ *               version is unknown, as in built apps, the current major is assumed.
+ *
+ * Bump `version` whenever entries change; reports cite it.
+ */
+
+// react-native-permissions compiles one handler per permission listed in the Podfile
+const permissionHandler = (name, infoPlist) => ({
+  package: 'react-native-permissions',
+  modules: [`RNPermissionHandler${name}`],
+  packageJson: false,
+  requires: [{ infoPlist }]
+})
+
+module.exports = {
+  version: '2026.10',
+  modules: [
+    {
+      package: 'react-native-vision-camera',
+      modules: ['CameraView', 'CameraViewManager'],
+      requires: [{ infoPlist: ['NSCameraUsageDescription'] }]
+    },
+    permissionHandler('Camera', ['NSCameraUsageDescription']),
+    permissionHandler('Microphone', ['NSMicrophoneUsageDescription']),
+    permissionHandler('LocationWhenInUse', ['NSLocationWhenInUseUsageDescription']),
+    permissionHandler('LocationAlways', [
+      'NSLocationAlwaysAndWhenInUseUsageDescription',
+      'NSLocationWhenInUseUsageDescription'
+    ]),
+    permissionHandler('Contacts', ['NSContactsUsageDescription']),
+    permissionHandler('PhotoLibrary', ['NSPhotoLibraryUsageDescription']),
+    permissionHandler('PhotoLibraryAddOnly', ['NSPhotoLibraryAddUsageDescription']),
+    permissionHandler('Bluetooth', ['NSBluetoothAlwaysUsageDescription']),
+    permissionHandler('FaceID', ['NSFaceIDUsageDescription']),
+    permissionHandler('AppTrackingTransparency', ['NSUserTrackingUsageDescription']),
+    permissionHandler('SpeechRecognition', ['NSSpeechRecognitionUsageDescription']),
+    permissionHandler('Calendars', ['NSCalendarsFullAccessUsageDescription']),
+    permissionHandler('Reminders', ['NSRemindersFullAccessUsageDescription']),
+    permissionHandler('Motion', ['NSMotionUsageDescription']),
+    permissionHandler('MediaLibrary', ['NSAppleMusicUsageDescription']),
+    {
+      package: '@react-native-community/geolocation',
+      modules: ['RNCGeolocation'],
+      requires: [{ infoPlist: ['NSLocationWhenInUseUsageDescription'] }]
+    },
+    {
+      package: 'react-native-geolocation-service',
+      modules: ['RNFusedLocation'],
+      requires: [{ infoPlist: ['NSLocationWhenInUseUsageDescription'] }]
+    },
+    {
+      package: 'react-native-background-geolocation',
+      modules: ['RNBackgroundGeolocation'],
+      requires: [
+        {
+          infoPlist: [
+            'NSLocationAlwaysAndWhenInUseUsageDescription',
+            'NSLocationWhenInUseUsageDescription',
+            'NSMotionUsageDescription'
+          ],
+          backgroundModes: ['location', 'fetch']
+        },
+        // 4.x schedules its fetch task through BGTaskScheduler
+        {
+          since: 4,
+          infoPlist: ['BGTaskSchedulerPermittedIdentifiers'],
+          backgroundModes: ['processing']
+        }
+      ]
+    },
+    {
+      package: 'react-native-contacts',
+      modules: ['RCTContacts'],
+      requires: [{ infoPlist: ['NSContactsUsageDescription'] }]
+    },
+    {
+      package: '@react-native-camera-roll/camera-roll',
+      modules: ['RNCCameraRoll'],
+      requires: [
+        { infoPlist: ['NSPhotoLibraryUsageDescription', 'NSPhotoLibraryAddUsageDescription'] }
+      ]
+    },
+    {
+      package: 'react-native-ble-plx',
+      modules: ['BlePlx'],
+      requires: [{ infoPlist: ['NSBluetoothAlwaysUsageDescription'] }]
+    },
+    {
+      package: 'react-native-ble-manager',
+      modules: ['BleManager'],
+      requires: [{ infoPlist: ['NSBluetoothAlwaysUsageDescription'] }]
+    },
+    {
+      package: 'react-native-health',
+      modules: ['AppleHealthKit', 'RCTAppleHealthKit'],
+      requires: [
+        {
+          infoPlist: ['NSHealthShareUsageDescription', 'NSHealthUpdateUsageDescription'],
+          entitlements: ['com.apple.developer.healthkit']
+        }
+      ]
+    },
+    {
+      package: 'react-native-nfc-manager',
+      modules: ['NfcManager'],
+      requires: [
+        {
+          infoPlist: ['NFCReaderUsageDescription'],
+          entitlements: ['com.apple.developer.nfc.readersession.formats']
+        }
+      ]
+    },
+    {
+      package: 'react-native-biometrics',
+      modules: ['ReactNativeBiometrics'],
+      requires: [{ infoPlist: ['NSFaceIDUsageDescription'] }]
+    },
+    {
+      package: 'react-native-tracking-transparency',
+      modules: ['TrackingTransparency'],
+      requires: [{ infoPlist: ['NSUserTrackingUsageDescription'] }]
+    },
+    {
+      package: '@invertase/react-native-apple-authentication',
+      modules: ['RNAppleAuthModule'],
+      requires: [{ entitlements: ['com.apple.developer.applesignin'] }]
+    },
+    {
+      package: '@react-native-firebase/messaging',
+      modules: ['RNFBMessagingModule'],
+      requires: [{ entitlements: ['aps-environment'], backgroundModes: ['remote-notification'] }]
+    },
+    {
+      package: 'react-native-track-player',
+      modules: ['TrackPlayerModule'],
+      requires: [{ backgroundModes: ['audio'] }]
+    },
+    {
+      package: 'react-native-callkeep',
+      modules: ['RNCallKeep'],
+      requires: [{ backgroundModes: ['voip'] }]
+    }
+  ]
+}
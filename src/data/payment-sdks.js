@@ -0,0 +1,81 @@
+/**
+ * Payment SDKs and checkout links for the in-app purchase check (App Review Guideline 3.1.1).
+ * SDK entries use the fields of matchSignals in src/utils/app-signals.js.
+ *
+ * inAppPurchase     - StoreKit and the libraries that wrap it
+ * externalPayment   - processors that take payments outside Apple's in-app purchase
+ * checkoutURLs      - payment providers' checkout links, searched in the JS bundle and App Store
+ *                     metadata
+ * checkoutPages     - any site's checkout or pricing page, searched in the App Store metadata
+ *                     only, as bundled libraries and docs links use these paths too
+ * digitalGoodsHints - metadata wording that points at digital content, subscriptions or features
+ */
+
+module.exports = {
+  inAppPurchase: [
+    {
+      name: 'StoreKit',
+      symbols: ['SKPaymentQueue', 'SKProductsRequest', 'SKMutablePayment'].map(
+        (name) => `_OBJC_CLASS_$_${name}`
+      )
+    },
+    {
+      name: 'RevenueCat',
+      frameworks: ['RevenueCat', 'PurchasesHybridCommon'],
+      classes: ['RCPurchases', 'RNPurchases'],
+      js: [/\bRNPurchases\b/]
+    },
+    {
+      name: 'react-native-iap',
+      classes: ['RNIapIos', 'RNIapIosSk2'],
+      js: [/\bRNIapIos(Sk2)?\b/]
+    },
+    {
+      name: 'expo-in-app-purchases',
+      js: [/\bExpoInAppPurchases\b/]
+    }
+  ],
+  externalPayment: [
+    {
+      name: 'Stripe',
+      frameworks: [
+        'Stripe',
+        'StripeCore',
+        'StripePayments',
+        'StripePaymentSheet',
+        'StripePaymentsUI'
+      ],
+      js: [/\bStripeSdk\b/]
+    },
+    {
+      name: 'Braintree',
+      frameworks: [
+        'Braintree',
+        'BraintreeCore',
+        'BraintreeCard',
+        'BraintreeDropIn',
+        'BraintreePayPal'
+      ],
+      classes: ['BTAPIClient', 'BTDropInController', 'RNBraintreeDropIn'],
+      js: [/\bRNBraintreeDropIn\b/]
+    },
+    {
+      name: 'PayPal',
+      frameworks: ['PayPalCheckout', 'PayPalNativePayments', 'PayPalWebPayments', 'CorePayments']
+    }
+  ],
+  checkoutURLs: [
+    /https?:\/\/(checkout|buy|billing)\.stripe\.com\/[^\s"'`<>)]*/i,
+    /https?:\/\/(www\.)?(paypal\.com\/(checkoutnow|cgi-bin\/webscr|paypalme)|paypal\.me\/)[^\s"'`<>)]*/i,
+    /https?:\/\/(buy|checkout|pay)\.paddle\.com\/[^\s"'`<>)]*/i,
+    /https?:\/\/[\w-]+\.lemonsqueezy\.com\/(checkout|buy)\/[^\s"'`<>)]*/i,
+    /https?:\/\/([\w-]+\.)?gumroad\.com\/l\/[^\s"'`<>)]*/i,
+    /https?:\/\/[\w-]+\.chargebee\.com\/hosted_pages\/[^\s"'`<>)]*/i,
+    /https?:\/\/[\w-]+\.recurly\.com\/subscribe\/[^\s"'`<>)]*/i
+  ],
+  checkoutPages: [
+    /https?:\/\/[^\s"'`<>]+\/(checkout|pricing|subscribe|upgrade|buy)([/?#][^\s"'`<>)]*)?(?=$|[\s"'`<>)])/i
+  ],
+  digitalGoodsHints:
+    /\b(premium|subscriptions?|unlock|pro version|go pro|coins|gems|credits|ad-free)\b/i
+}
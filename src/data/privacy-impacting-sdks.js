@@ -0,0 +1,94 @@
+/**
+ * Commonly used third-party SDKs that must include a privacy manifest and, when used as a
+ * binary dependency, a signature. Names are the module names the SDKs ship under, which is
+ * how they appear as Frameworks/<name>.framework or <name>_Privacy.bundle in an app.
+ *
+ * https://developer.apple.com/support/third-party-SDK-requirements/
+ */
+
+module.exports = [
+  'Abseil',
+  'AFNetworking',
+  'Alamofire',
+  'AppAuth',
+  'BoringSSL-GRPC',
+  'Capacitor',
+  'Charts',
+  'connectivity_plus',
+  'Cordova',
+  'device_info_plus',
+  'DKImagePickerController',
+  'DKPhotoGallery',
+  'FBAEMKit',
+  'FBLPromises',
+  'FBSDKCoreKit',
+  'FBSDKCoreKit_Basics',
+  'FBSDKLoginKit',
+  'FBSDKShareKit',
+  'file_picker',
+  'FirebaseABTesting',
+  'FirebaseAuth',
+  'FirebaseCore',
+  'FirebaseCoreDiagnostics',
+  'FirebaseCoreExtension',
+  'FirebaseCoreInternal',
+  'FirebaseCrashlytics',
+  'FirebaseDynamicLinks',
+  'FirebaseFirestore',
+  'FirebaseInstallations',
+  'FirebaseMessaging',
+  'FirebaseRemoteConfig',
+  'Flutter',
+  'fluttertoast',
+  'FMDB',
+  'geolocator_apple',
+  'GoogleDataTransport',
+  'GoogleSignIn',
+  'GoogleToolboxForMac',
+  'GoogleUtilities',
+  'grpcpp',
+  'GTMAppAuth',
+  'GTMSessionFetcher',
+  'hermes',
+  'image_picker_ios',
+  'IQKeyboardManager',
+  'IQKeyboardManagerSwift',
+  'Kingfisher',
+  'leveldb',
+  'Lottie',
+  'MBProgressHUD',
+  'nanopb',
+  'OneSignal',
+  'OneSignalCore',
+  'OneSignalExtension',
+  'OneSignalOutcomes',
+  'OpenSSL',
+  'OrderedSet',
+  'package_info',
+  'package_info_plus',
+  'path_provider',
+  'path_provider_ios',
+  'Promises',
+  'Protobuf',
+  'Reachability',
+  'RealmSwift',
+  'RxCocoa',
+  'RxRelay',
+  'RxSwift',
+  'SDWebImage',
+  'share_plus',
+  'shared_preferences_ios',
+  'SnapKit',
+  'sqflite',
+  'Starscream',
+  'SVProgressHUD',
+  'SwiftyGif',
+  'SwiftyJSON',
+  'Toast',
+  'UnityFramework',
+  'url_launcher',
+  'url_launcher_ios',
+  'video_player_avfoundation',
+  'wakelock',
+  'webview_flutter_wkwebview'
+]
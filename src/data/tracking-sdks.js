@@ -0,0 +1,48 @@
+/**
+ * Tracking APIs, ad SDKs and ATT prompt code for the app-tracking-transparency rule.
+ * Entries use the fields of matchSignals in src/utils/app-signals.js.
+ *
+ * tracking  - APIs and SDKs that track users across apps, making the ATT setup mandatory
+ * attPrompt - code that shows the App Tracking Transparency prompt
+ */
+
+const attPrompt = {
+  name: 'AppTrackingTransparency',
+  frameworks: ['AppTrackingTransparency'],
+  symbols: ['_OBJC_CLASS_$_ATTrackingManager'],
+  classes: ['RNPermissionHandlerAppTrackingTransparency'],
+  js: [/\b(Expo)?TrackingTransparency\b/],
+  packages: ['react-native-tracking-transparency', 'expo-tracking-transparency']
+}
+
+module.exports = {
+  tracking: [
+    {
+      name: 'AdSupport',
+      frameworks: ['AdSupport'],
+      symbols: ['_OBJC_CLASS_$_ASIdentifierManager']
+    },
+    attPrompt,
+    {
+      name: 'Google Mobile Ads',
+      frameworks: ['GoogleMobileAds'],
+      classes: ['GADMobileAds'],
+      js: [/\bRNGoogleMobileAdsModule\b/],
+      packages: ['react-native-google-mobile-ads']
+    },
+    {
+      name: 'AppLovin',
+      frameworks: ['AppLovinSDK'],
+      classes: ['ALSdk'],
+      js: [/\bAppLovinMAX\b/],
+      packages: ['react-native-applovin-max']
+    },
+    {
+      name: 'Facebook Audience Network',
+      frameworks: ['FBAudienceNetwork'],
+      classes: ['FBAdSettings', 'FBAdView'],
+      packages: ['react-native-fbads']
+    }
+  ],
+  attPrompt
+}
@@ -0,0 +1,85 @@
+/**
+ * System APIs that make App Store Connect require a purpose string (ITMS-90683).
+ *
+ * framework - system framework the binary must link
+ * symbols   - imported symbols (classes as _OBJC_CLASS_$_<Name>), any of which triggers the entry
+ * selectors - when present, one of these Objective-C selectors must also be referenced
+ * keys      - Info.plist keys the upload requires
+ */
+
+const objcClass = (name) => `_OBJC_CLASS_$_${name}`
+
+module.exports = [
+  {
+    framework: 'AVFoundation',
+    symbols: ['AVCaptureDevice', 'AVCaptureSession', 'AVCaptureDeviceInput'].map(objcClass),
+    keys: ['NSCameraUsageDescription']
+  },
+  {
+    framework: 'AVFoundation',
+    symbols: [objcClass('AVAudioRecorder')],
+    keys: ['NSMicrophoneUsageDescription']
+  },
+  {
+    framework: 'AVFoundation',
+    symbols: [objcClass('AVAudioSession'), objcClass('AVAudioApplication')],
+    selectors: ['requestRecordPermission:', 'requestRecordPermissionWithCompletionHandler:'],
+    keys: ['NSMicrophoneUsageDescription']
+  },
+  {
+    framework: 'CoreLocation',
+    symbols: [objcClass('CLLocationManager')],
+    keys: ['NSLocationWhenInUseUsageDescription']
+  },
+  {
+    framework: 'CoreLocation',
+    symbols: [objcClass('CLLocationManager')],
+    selectors: ['requestAlwaysAuthorization'],
+    keys: ['NSLocationAlwaysAndWhenInUseUsageDescription']
+  },
+  {
+    framework: 'Contacts',
+    symbols: [objcClass('CNContactStore')],
+    keys: ['NSContactsUsageDescription']
+  },
+  {
+    framework: 'AddressBook',
+    symbols: ['_ABAddressBookCreateWithOptions', '_ABAddressBookRequestAccessWithCompletion'],
+    keys: ['NSContactsUsageDescription']
+  },
+  {
+    framework: 'Photos',
+    symbols: [objcClass('PHPhotoLibrary'), objcClass('PHAsset')],
+    keys: ['NSPhotoLibraryUsageDescription']
+  },
+  {
+    framework: 'UIKit',
+    symbols: ['_UIImageWriteToSavedPhotosAlbum', '_UISaveVideoAtPathToSavedPhotosAlbum'],
+    keys: ['NSPhotoLibraryAddUsageDescription']
+  },
+  {
+    framework: 'CoreBluetooth',
+    symbols: [objcClass('CBCentralManager'), objcClass('CBPeripheralManager')],
+    keys: ['NSBluetoothAlwaysUsageDescription']
+  },
+  {
+    framework: 'HealthKit',
+    symbols: [objcClass('HKHealthStore')],
+    keys: ['NSHealthShareUsageDescription', 'NSHealthUpdateUsageDescription']
+  },
+  {
+    framework: 'Speech',
+    symbols: [objcClass('SFSpeechRecognizer')],
+    keys: ['NSSpeechRecognitionUsageDescription']
+  },
+  {
+    framework: 'LocalAuthentication',
+    symbols: [objcClass('LAContext')],
+    keys: ['NSFaceIDUsageDescription']
+  },
+  {
+    framework: 'AppTrackingTransparency',
+    symbols: [objcClass('ATTrackingManager')],
+    keys: ['NSUserTrackingUsageDescription']
+  }
+]
@@ -126,6 +126,77 @@ ${testCases}
 </testsuite>`
 }
 
+// Draft answers for the App Privacy section of App Store Connect, see
+// validator.generatePrivacyReport() for the data
+function generatePrivacyMarkdownReport(report) {
+  const { app } = report
+  const yesNo = (value) => (value ? 'Yes' : 'No')
+  const lines = [
+    `# Privacy report: ${app.name}${app.version ? ` ${app.version}` : ''}${
+      app.bundleId ? ` (${app.bundleId})` : ''
+    }`,
+    '',
+    `Draft for the App Privacy questionnaire in App Store Connect, merged from ${report.manifests.length} privacy manifest(s). ` +
+      'Compare it with the answers you have declared before submitting.',
+    '',
+    '## Tracking',
+    '',
+    `Used for tracking: ${yesNo(report.tracking)}`
+  ]
+
+  if (report.trackingDomains.length > 0) {
+    lines.push('', '| Tracking domain | Declared by |', '| --- | --- |')
+    for (const { domain, sources } of report.trackingDomains) {
+      lines.push(`| ${domain} | ${sources.join(', ')} |`)
+    }
+  }
+
+  lines.push('', '## Data collected', '')
+  if (report.collectedDataTypes.length === 0) {
+    lines.push('No collected data types are declared.')
+  } else {
+    lines.push(
+      '| Data type | Linked to user | Used for tracking | Purposes | Declared by |',
+      '| --- | --- | --- | --- | --- |'
+    )
+    for (const dataType of report.collectedDataTypes) {
+      const purposes = dataType.purposes.map((purpose) =>
+        formatPrivacyLabel(purpose, 'NSPrivacyCollectedDataTypePurpose')
+      )
+      lines.push(
+        `| ${formatPrivacyLabel(dataType.type, 'NSPrivacyCollectedDataType')} | ${yesNo(
+          dataType.linked
+        )} | ${yesNo(dataType.tracking)} | ${purposes.join(', ') || '-'} | ${dataType.sources.join(
+          ', '
+        )} |`
+      )
+    }
+  }
+
+  lines.push('', '## Privacy manifests', '')
+  if (report.manifests.length === 0) {
+    lines.push('No PrivacyInfo.xcprivacy files found in the build.')
+  }
+  for (const { source, file } of report.manifests) {
+    lines.push(`- \`${file}\` (${source})`)
+  }
+
+  return `${lines.join('\n')}\n`
+}
+
+function generatePrivacyJsonReport(report) {
+  return JSON.stringify({ ...report, generatedAt: new Date().toISOString() }, null, 2)
+}
+
+// NSPrivacyCollectedDataTypePhotosorVideos -> Photos or Videos, as App Store Connect labels it
+function formatPrivacyLabel(value, prefix) {
+  return value
+    .replace(prefix, '')
+    .replace(/Photosor/, 'Photos or ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/ (Or|Of) /g, (match) => match.toLowerCase())
+}
+
 function getSeverityColor(severity) {
   switch (severity) {
     case SEVERITY.CRITICAL:
@@ -154,5 +225,7 @@ function escapeXml(str) {
 module.exports = {
   generateConsoleReport,
   generateJsonReport,
-  generateJUnitReport
+  generateJUnitReport,
+  generatePrivacyMarkdownReport,
+  generatePrivacyJsonReport
 }
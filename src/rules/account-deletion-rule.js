@@ -3,6 +3,7 @@
  */
 
 const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { detectAuthProviders, detectAppleSignIn } = require('../utils/auth-detection')
 
 class AccountDeletionRule extends ValidationRule {
   constructor() {
@@ -14,11 +15,9 @@ class AccountDeletionRule extends ValidationRule {
 
   async validate(validator) {
     const results = []
-    const plist = validator.getInfoPlist()
-    const metadata = validator.getMetadata()
 
     // Check if app likely uses account creation
-    const hasAccountFeatures = this.detectAccountFeatures(plist, metadata)
+    const hasAccountFeatures = await this.detectAccountFeatures(validator)
 
     if (hasAccountFeatures.detected) {
       // Changed from HIGH to INFO - now a reminder instead of an error
@@ -42,42 +41,26 @@ class AccountDeletionRule extends ValidationRule {
     return results
   }
 
-  detectAccountFeatures(plist, metadata) {
+  // Login SDKs and Sign in with Apple show that the app has accounts; permissions such as
+  // camera or contacts access say nothing about it
+  async detectAccountFeatures(validator) {
     const indicators = []
 
-    if (!plist) {
+    if (!validator.getInfoPlist()) {
       return { detected: false, indicators: [] }
     }
 
-    // Check for user tracking permission (often used with accounts)
-    if (plist.NSUserTrackingUsageDescription) {
-      indicators.push('User tracking permission')
-    }
-
-    // Check for contacts access (often used for account features)
-    if (plist.NSContactsUsageDescription) {
-      indicators.push('Contacts access')
-    }
-
-    // Check for calendar/reminders (account sync features)
-    if (plist.NSCalendarsUsageDescription || plist.NSRemindersUsageDescription) {
-      indicators.push('Calendar/Reminders access')
-    }
+    const signals = await validator.getAppSignals()
 
-    // Check for photo library access (profile pictures, etc.)
-    if (plist.NSPhotoLibraryUsageDescription) {
-      indicators.push('Photo library access')
+    for (const provider of detectAuthProviders(signals)) {
+      indicators.push(`${provider.name} (${provider.evidence.join(', ')})`)
     }
 
-    // Check for microphone (voice features in social apps)
-    if (plist.NSMicrophoneUsageDescription) {
-      indicators.push('Microphone access')
+    if (detectAppleSignIn(signals).entitlement) {
+      indicators.push('Sign in with Apple entitlement')
     }
 
-    // Check for camera (profile pictures, content creation)
-    if (plist.NSCameraUsageDescription) {
-      indicators.push('Camera access')
-    }
+    const metadata = validator.getMetadata()
 
     // Check metadata for account-related keywords
     if (metadata) {
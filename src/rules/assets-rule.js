@@ -1,4 +1,16 @@
-const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const {
+  ValidationRule,
+  ValidationResult,
+  SEVERITY,
+  FILE_CONSTRAINTS
+} = require('../utils/constants')
+const { findRenditions } = require('../utils/asset-catalog')
+const { PNG_HEADER_LENGTH, parsePNG, readPNGSize } = require('../utils/png-parser')
+
+// Loose images smaller than this are not read when looking for oversized images
+const OVERSIZED_IMAGE_MIN_BYTES = 100 * 1024
+// An image whose point size exceeds the largest screen by this factor is never shown at full size
+const OVERSIZED_IMAGE_FACTOR = 2
 
 class AssetsRule extends ValidationRule {
   constructor() {
@@ -11,8 +23,11 @@ class AssetsRule extends ValidationRule {
 
     if (!plist) return results
 
+    const iconName = this.getIconName(plist)
+    const iconFileNames = this.getIconFileNames(plist)
+
     // App icon reminder - changed from CRITICAL to INFO
-    if (!plist.CFBundleIconFiles && !plist.CFBundleIconName) {
+    if (iconFileNames.length === 0 && !iconName) {
       results.push(
         new ValidationResult(
           this.name,
@@ -25,6 +40,17 @@ class AssetsRule extends ValidationRule {
       )
     }
 
+    if (iconName) {
+      results.push(...this.checkAppIconSet(validator, plist, iconName))
+    }
+
+    const bundle = validator.getBundle()
+    if (bundle) {
+      const iconFiles = this.findIconFiles(bundle, iconFileNames)
+      results.push(...(await this.checkIconImages(bundle, iconFiles)))
+      results.push(...(await this.checkOversizedImages(bundle, iconFiles)))
+    }
+
     // Check for launch screen
     if (!plist.UILaunchStoryboardName && !plist.UILaunchImages) {
       results.push(
@@ -40,6 +66,256 @@ class AssetsRule extends ValidationRule {
 
     return results
   }
+
+  getIconName(plist) {
+    const primaryIcon = plist.CFBundleIcons && plist.CFBundleIcons.CFBundlePrimaryIcon
+    return plist.CFBundleIconName || (primaryIcon && primaryIcon.CFBundleIconName) || null
+  }
+
+  // Verifies the icon set named by CFBundleIconName against the compiled Assets.car
+  checkAppIconSet(validator, plist, iconName) {
+    const catalog = validator.getAssetCatalog()
+
+    if (!catalog) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Assets.car not found',
+          `CFBundleIconName is "${iconName}" but the app bundle has no compiled asset catalog`,
+          'Add the app icon to Images.xcassets and make sure it is part of the app target'
+        )
+      ]
+    }
+
+    const renditions = findRenditions(catalog, iconName)
+    if (renditions.length === 0) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          `App icon set "${iconName}" not found in Assets.car`,
+          `CFBundleIconName refers to "${iconName}", which the asset catalog does not contain`,
+          'Set ASSETCATALOG_COMPILER_APPICON_NAME to the name of your app icon set'
+        )
+      ]
+    }
+
+    const results = []
+    const supportsIPad = (plist.UIDeviceFamily || [1]).includes(2)
+    const missing = [
+      ...this.findMissingSizes(renditions, FILE_CONSTRAINTS.REQUIRED_ICON_SIZES, 'phone'),
+      ...(supportsIPad
+        ? this.findMissingSizes(renditions, FILE_CONSTRAINTS.REQUIRED_IPAD_ICON_SIZES, 'pad').map(
+          (size) => `${size} (iPad)`
+        )
+        : [])
+    ]
+
+    if (missing.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          `App icon set "${iconName}" is missing required sizes`,
+          `Missing: ${missing.join(', ')}`,
+          'Provide the missing sizes or a single 1024x1024 icon and let Xcode generate them'
+        )
+      )
+    }
+
+    const marketingSize = FILE_CONSTRAINTS.MAX_APP_ICON_SIZE
+    const hasMarketingIcon = renditions.some(
+      (rendition) =>
+        rendition.width === marketingSize &&
+        rendition.height === marketingSize &&
+        rendition.scale === 1
+    )
+    const transparentMarketingIcon = renditions.some(
+      (rendition) =>
+        rendition.width === marketingSize &&
+        rendition.height === marketingSize &&
+        rendition.scale === 1 &&
+        !rendition.isOpaque
+    )
+    if (transparentMarketingIcon) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'App Store icon has an alpha channel',
+          `The ${marketingSize}x${marketingSize} icon in "${iconName}" is not opaque; App Store Connect rejects transparent marketing icons`,
+          'Export the 1024x1024 icon without an alpha channel (e.g. as PNG without transparency or as JPEG)'
+        )
+      )
+    }
+
+    if (!hasMarketingIcon) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'App Store icon is missing',
+          `App icon set "${iconName}" has no ${marketingSize}x${marketingSize}pt marketing icon`,
+          `Add a ${marketingSize}x${marketingSize} App Store icon to the app icon set`
+        )
+      )
+    }
+
+    return results
+  }
+
+  // Legacy CFBundleIconFiles plus the primary icon files listed for iPhone and iPad
+  getIconFileNames(plist) {
+    const names = new Set(plist.CFBundleIconFiles || [])
+    for (const key of ['CFBundleIcons', 'CFBundleIcons~ipad']) {
+      const primaryIcon = plist[key] && plist[key].CFBundlePrimaryIcon
+      for (const name of (primaryIcon && primaryIcon.CFBundleIconFiles) || []) {
+        names.add(name)
+      }
+    }
+    return Array.from(names)
+  }
+
+  // Icon PNGs Xcode copies to the bundle root, e.g. AppIcon60x60@2x.png for 'AppIcon60x60'
+  findIconFiles(bundle, names) {
+    const files = new Set()
+    for (const name of names) {
+      const base = name.replace(/\.png$/i, '')
+      for (const file of bundle.list(`${base}*.png`)) {
+        files.add(file)
+      }
+    }
+    return Array.from(files).sort()
+  }
+
+  async checkIconImages(bundle, iconFiles) {
+    const results = []
+    const transparent = []
+    const notSquare = []
+    const wrongSize = []
+
+    for (const file of iconFiles) {
+      let image
+      try {
+        image = parsePNG(await bundle.readFile(file), { checkTransparency: true })
+      } catch (error) {
+        continue
+      }
+
+      if (image.hasTransparency) {
+        transparent.push(file)
+      }
+      if (image.width !== image.height) {
+        notSquare.push(`${file} (${image.width}x${image.height})`)
+      }
+
+      const expected = this.getExpectedIconPixels(file)
+      if (expected && (image.width !== expected || image.height !== expected)) {
+        wrongSize.push(
+          `${file} is ${image.width}x${image.height}, expected ${expected}x${expected}`
+        )
+      }
+    }
+
+    if (transparent.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'App icons contain transparent pixels',
+          transparent.join(', '),
+          'Flatten the icons onto an opaque background; iOS fills transparent areas with black'
+        )
+      )
+    }
+
+    if (notSquare.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'App icons are not square',
+          notSquare.join(', '),
+          'Export every icon size as a square image'
+        )
+      )
+    }
+
+    if (wrongSize.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'App icon sizes do not match their file names',
+          wrongSize.join('; '),
+          'Regenerate the icon set so each @2x/@3x file has the pixel size its name promises'
+        )
+      )
+    }
+
+    return results
+  }
+
+  // Pixel size implied by names like AppIcon60x60@3x.png or AppIcon83.5x83.5@2x~ipad.png
+  getExpectedIconPixels(file) {
+    const size = file.match(/(\d+(?:\.\d+)?)x\1(?=[@~.])/)
+    if (!size) return null
+
+    const scale = file.match(/@(\d)x/)
+    return Math.round(parseFloat(size[1]) * (scale ? parseInt(scale[1], 10) : 1))
+  }
+
+  async checkOversizedImages(bundle, iconFiles) {
+    const limit = FILE_CONSTRAINTS.MAX_DISPLAY_POINTS * OVERSIZED_IMAGE_FACTOR
+    const oversized = []
+
+    for (const file of bundle.list('**/*.png')) {
+      const info = bundle.stat(file)
+      if (iconFiles.includes(file) || !info || info.size < OVERSIZED_IMAGE_MIN_BYTES) continue
+
+      let image
+      try {
+        image = readPNGSize(await bundle.readHeader(file, PNG_HEADER_LENGTH))
+      } catch (error) {
+        continue
+      }
+
+      const scale = file.match(/@(\d)x/)
+      const points = Math.max(image.width, image.height) / (scale ? parseInt(scale[1], 10) : 1)
+      if (points > limit) {
+        oversized.push(`${file} (${image.width}x${image.height}${scale ? `@${scale[1]}x` : ''})`)
+      }
+    }
+
+    if (oversized.length === 0) return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.LOW,
+        `${oversized.length} image(s) are far larger than any screen`,
+        oversized.join(', '),
+        'Resize these images to the size they are displayed at and provide @2x/@3x variants instead'
+      )
+    ]
+  }
+
+  // Required {size, scale} entries with no rendition for the idiom, formatted like 60x60@3x
+  findMissingSizes(renditions, requiredSizes, idiom) {
+    return requiredSizes
+      .filter(
+        ({ size, scale }) =>
+          !renditions.some(
+            (rendition) =>
+              (rendition.idiom === idiom || rendition.idiom === 'universal') &&
+              rendition.scale === scale &&
+              rendition.pointWidth === size &&
+              rendition.pointHeight === size
+          )
+      )
+      .map(({ size, scale }) => `${size}x${size}@${scale}x`)
+  }
 }
 
 module.exports = AssetsRule
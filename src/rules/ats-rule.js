@@ -0,0 +1,203 @@
+const net = require('net')
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+
+// TLS versions ATS accepts for NSExceptionMinimumTLSVersion, weakest first
+const TLS_VERSIONS = ['TLSv1.0', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3']
+const DEFAULT_TLS_VERSION = 'TLSv1.2'
+
+// Hosts that only exist on a developer's machine or network
+const LOCAL_HOST = /^(localhost|.+\.local|.+\.localhost)$/i
+const TUNNEL_HOST = /\.(ngrok\.io|ngrok-free\.app|ngrok\.app|loca\.lt|trycloudflare\.com)$/i
+const DEV_HOST = /(^|[.-])(dev|develop|development|staging|stage|test|qa)([.-]|$)/i
+
+class AppTransportSecurityRule extends ValidationRule {
+  constructor() {
+    super('app-transport-security', 'Validates App Transport Security exceptions in Info.plist')
+    this.modes = ['build', 'project']
+  }
+
+  async validate(validator) {
+    const results = []
+    const plist = validator.getInfoPlist()
+
+    if (!plist || plist.NSAppTransportSecurity === undefined) return results
+
+    const ats = plist.NSAppTransportSecurity
+    if (!ats || typeof ats !== 'object' || Array.isArray(ats)) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'NSAppTransportSecurity is not a dictionary',
+          'iOS ignores the value, so the app runs with the default ATS policy',
+          'Make NSAppTransportSecurity a dictionary or remove it'
+        )
+      )
+      return results
+    }
+
+    results.push(...this.checkArbitraryLoads(ats))
+
+    const exceptionDomains = ats.NSExceptionDomains || {}
+    for (const [domain, exception] of Object.entries(exceptionDomains)) {
+      results.push(...this.checkExceptionDomain(domain, exception || {}))
+    }
+
+    return results
+  }
+
+  checkArbitraryLoads(ats) {
+    const results = []
+
+    if (ats.NSAllowsArbitraryLoads === true) {
+      // iOS 10+ ignores NSAllowsArbitraryLoads when any of these are present, App Review does not
+      const overriddenBy = [
+        'NSAllowsArbitraryLoadsInWebContent',
+        'NSAllowsArbitraryLoadsForMedia',
+        'NSAllowsLocalNetworking'
+      ].filter((key) => ats[key] !== undefined)
+
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'App Transport Security is disabled (NSAllowsArbitraryLoads)',
+          overriddenBy.length > 0
+            ? `NSAllowsArbitraryLoads is true; iOS ignores it because ${overriddenBy.join(
+                ', '
+              )} is set, but App Review still asks for a justification`
+            : 'All connections may use plain HTTP or weak TLS',
+          'Remove NSAllowsArbitraryLoads and add NSExceptionDomains for the hosts that need them. If it must stay, App Review requires a justification in the review notes, such as loading user-provided URLs that cannot be known in advance'
+        )
+      )
+    }
+
+    if (ats.NSAllowsArbitraryLoadsInWebContent === true) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'ATS is disabled for web views (NSAllowsArbitraryLoadsInWebContent)',
+          'WKWebView may load any page over plain HTTP',
+          'Keep it only if the app browses arbitrary, user-chosen web content, and say so in the App Review notes; otherwise remove it'
+        )
+      )
+    }
+
+    if (ats.NSAllowsArbitraryLoadsForMedia === true) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'ATS is disabled for media (NSAllowsArbitraryLoadsForMedia)',
+          'AVFoundation may stream media over plain HTTP',
+          'Keep it only for media that is already encrypted or comes from user-chosen servers, and explain that in the App Review notes; otherwise remove it'
+        )
+      )
+    }
+
+    return results
+  }
+
+  checkExceptionDomain(domain, exception) {
+    const results = []
+    const key = `NSExceptionDomains["${domain}"]`
+
+    const devHost = getDevelopmentHostKind(domain)
+    if (devHost) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          `ATS exception for development host ${domain}`,
+          `${key} is ${devHost}, which a production build should not need`,
+          devHost === 'an IP address'
+            ? 'ATS does not apply to IP addresses, so the exception has no effect; remove it and give production servers a host name'
+            : 'Remove the exception from the Release Info.plist (React Native only needs localhost for Metro in Debug builds); a shipped exception is one more entry App Review may ask you to justify'
+        )
+      )
+    }
+
+    if (domain.includes('*')) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          `ATS exception domain ${domain} uses a wildcard`,
+          `ATS matches exception domains literally, so ${key} never applies`,
+          `Use the parent domain ${domain.replace(/^[*.]+/, '')} with NSIncludesSubdomains instead`
+        )
+      )
+    }
+
+    const insecureKeys = [
+      'NSExceptionAllowsInsecureHTTPLoads',
+      'NSThirdPartyExceptionAllowsInsecureHTTPLoads'
+    ].filter((name) => exception[name] === true)
+
+    let weakTLS = null
+    for (const name of ['NSExceptionMinimumTLSVersion', 'NSThirdPartyExceptionMinimumTLSVersion']) {
+      const version = exception[name]
+      if (version === undefined) continue
+
+      if (!TLS_VERSIONS.includes(version)) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.LOW,
+            `Unknown minimum TLS version for ${domain}`,
+            `${key}.${name} is "${version}"`,
+            `Use one of ${TLS_VERSIONS.join(', ')}`
+          )
+        )
+      } else if (TLS_VERSIONS.indexOf(version) < TLS_VERSIONS.indexOf(DEFAULT_TLS_VERSION)) {
+        weakTLS = version
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.MEDIUM,
+            `ATS allows ${version} for ${domain}`,
+            `${key}.${name} lowers the minimum below ${DEFAULT_TLS_VERSION}`,
+            `Upgrade the server to ${DEFAULT_TLS_VERSION} or later and remove ${name}; until then, be ready to explain to App Review why the server cannot be upgraded`
+          )
+        )
+      }
+    }
+
+    if (
+      exception.NSIncludesSubdomains === true &&
+      !devHost &&
+      (insecureKeys.length > 0 || weakTLS)
+    ) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.LOW,
+          `ATS exception for ${domain} covers all of its subdomains`,
+          `${key} sets NSIncludesSubdomains with ${[
+            ...insecureKeys,
+            weakTLS && `a ${weakTLS} minimum`
+          ]
+            .filter(Boolean)
+            .join(' and ')}`,
+          'List only the hosts that need the exception, or be prepared to justify the whole domain in the App Review notes'
+        )
+      )
+    }
+
+    return results
+  }
+}
+
+// Describes why a domain looks like a development host, or returns null
+function getDevelopmentHostKind(domain) {
+  const host = domain.replace(/^\[|\]$/g, '')
+
+  if (net.isIP(host)) return 'an IP address'
+  if (LOCAL_HOST.test(host)) return 'a local host name'
+  if (TUNNEL_HOST.test(host)) return 'a tunnel to a developer machine'
+  if (DEV_HOST.test(host)) return 'a development or staging server'
+  return null
+}
+
+module.exports = AppTransportSecurityRule
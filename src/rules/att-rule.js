@@ -0,0 +1,114 @@
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { matchSignals } = require('../utils/app-signals')
+const TRACKING_SDKS = require('../data/tracking-sdks')
+
+class AppTrackingTransparencyRule extends ValidationRule {
+  constructor() {
+    super(
+      'app-tracking-transparency',
+      'Checks that tracking SDKs, the ATT prompt and the privacy manifest agree'
+    )
+    this.modes = ['build', 'project']
+  }
+
+  async validate(validator) {
+    const results = []
+    const plist = validator.getInfoPlist()
+
+    if (!plist) return results
+
+    const signals = await validator.getAppSignals()
+    const manifest = validator.getPrivacyManifest()
+    const tracking = TRACKING_SDKS.tracking
+      .map((sdk) => ({ name: sdk.name, evidence: matchSignals(sdk, signals) }))
+      .filter((sdk) => sdk.evidence.length > 0)
+
+    if (tracking.length > 0) {
+      results.push(...this.checkTrackingSetup(plist, manifest, tracking))
+    } else if (manifest && manifest.NSPrivacyTracking === true) {
+      results.push(...this.checkTrackingDeclaration(signals))
+    }
+
+    return results
+  }
+
+  // Everything Apple expects from an app that tracks (Guideline 5.1.2)
+  checkTrackingSetup(plist, manifest, tracking) {
+    const results = []
+    const found = `Found ${tracking
+      .map((sdk) => `${sdk.name} (${sdk.evidence.join(', ')})`)
+      .join('; ')}`
+
+    if (!plist.NSUserTrackingUsageDescription) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Tracking without NSUserTrackingUsageDescription',
+          `${found}; the app cannot show the App Tracking Transparency prompt without it`,
+          'Add NSUserTrackingUsageDescription and request permission with ATTrackingManager before the ad SDKs start'
+        )
+      )
+    }
+
+    if (!manifest || manifest.NSPrivacyTracking !== true) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Privacy manifest does not declare tracking',
+          `${found}, but ${
+            manifest ? 'NSPrivacyTracking is not true' : 'the app has no PrivacyInfo.xcprivacy'
+          }`,
+          "Set NSPrivacyTracking to true in the app's PrivacyInfo.xcprivacy"
+        )
+      )
+    }
+
+    const domains = manifest && manifest.NSPrivacyTrackingDomains
+    if (!Array.isArray(domains) || domains.length === 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Privacy manifest lists no tracking domains',
+          `${found}; iOS blocks connections to tracking domains only when they are listed and the user declines tracking`,
+          'List the domains the ad and analytics SDKs track through in NSPrivacyTrackingDomains'
+        )
+      )
+    }
+
+    if (!Array.isArray(plist.SKAdNetworkItems) || plist.SKAdNetworkItems.length === 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'SKAdNetworkItems is missing',
+          `${found}; without SKAdNetwork identifiers, ad networks cannot attribute installs when users decline tracking`,
+          'Add the SKAdNetworkItems each ad network publishes to Info.plist'
+        )
+      )
+    }
+
+    return results
+  }
+
+  // A manifest that declares tracking needs the prompt to go with it
+  checkTrackingDeclaration(signals) {
+    // Without a binary or dependencies there is nothing to look for the prompt in
+    if (!signals.hasBinary && Object.keys(signals.dependencies).length === 0) return []
+    if (matchSignals(TRACKING_SDKS.attPrompt, signals).length > 0) return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.MEDIUM,
+        'Privacy manifest declares tracking, but no ATT prompt code is linked',
+        'NSPrivacyTracking is true, yet the app neither links AppTrackingTransparency nor uses an ATT library',
+        'Ask for permission with ATTrackingManager.requestTrackingAuthorization before tracking, or set NSPrivacyTracking to false if the app does not track'
+      )
+    ]
+  }
+}
+
+module.exports = AppTrackingTransparencyRule
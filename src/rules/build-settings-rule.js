@@ -0,0 +1,243 @@
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { findTarget, hasBuildSettingReference } = require('../utils/xcode-project')
+
+// Compiler flags that compile debug-only code paths (dev menus, the Hermes debugger) into a build
+const DEBUG_DEFINITION_SETTINGS = {
+  GCC_PREPROCESSOR_DEFINITIONS: [
+    'DEBUG',
+    'DEBUG=1',
+    'HERMES_ENABLE_DEBUGGER',
+    'HERMES_ENABLE_DEBUGGER=1'
+  ],
+  SWIFT_ACTIVE_COMPILATION_CONDITIONS: ['DEBUG'],
+  OTHER_SWIFT_FLAGS: ['-DDEBUG']
+}
+
+class BuildSettingsRule extends ValidationRule {
+  constructor() {
+    super('build-settings', 'Validates Release build settings of the Xcode project')
+    this.modes = ['project']
+  }
+
+  async validate(validator) {
+    const results = []
+    const project = validator.getProjectInfo()
+    const settings = validator.getBuildSettings()
+
+    if (!project || !settings) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.INFO,
+          'Build settings not checked',
+          'No app target found in ios/*.xcodeproj/project.pbxproj',
+          'Run validate-project from the root of a React Native project',
+          'manual'
+        )
+      ]
+    }
+
+    const label = `${project.targetName} (${project.configuration})`
+    const plist = validator.getInfoPlist() || {}
+
+    results.push(...this.checkBitcode(settings, label))
+    results.push(...this.checkDeploymentTarget(validator, settings, plist, label))
+    results.push(...this.checkSigning(settings, label))
+    results.push(...this.checkDebugSymbols(settings, label))
+    results.push(...this.checkBundleIdentifiers(validator, settings, plist, label))
+    results.push(...this.checkDebugDefinitions(settings, label))
+
+    return results
+  }
+
+  checkBitcode(settings, label) {
+    if (settings.ENABLE_BITCODE !== 'YES') return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.MEDIUM,
+        'Bitcode is enabled',
+        `${label} sets ENABLE_BITCODE = YES; App Store Connect no longer accepts bitcode since Xcode 14`,
+        'Set ENABLE_BITCODE to NO (React Native and Hermes ship without bitcode)'
+      )
+    ]
+  }
+
+  checkDeploymentTarget(validator, settings, plist, label) {
+    const results = []
+    const deploymentTarget = settings.IPHONEOS_DEPLOYMENT_TARGET
+
+    if (
+      deploymentTarget &&
+      plist.MinimumOSVersion &&
+      !hasBuildSettingReference(plist.MinimumOSVersion) &&
+      parseFloat(plist.MinimumOSVersion) !== parseFloat(deploymentTarget)
+    ) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Deployment target does not match Info.plist MinimumOSVersion',
+          `${label}: IPHONEOS_DEPLOYMENT_TARGET = ${deploymentTarget}, Info.plist MinimumOSVersion = ${plist.MinimumOSVersion}`,
+          'Remove MinimumOSVersion from Info.plist and let Xcode derive it from the deployment target'
+        )
+      )
+    }
+
+    const debugSettings = validator.getBuildSettings('Debug')
+    if (
+      deploymentTarget &&
+      debugSettings &&
+      debugSettings.IPHONEOS_DEPLOYMENT_TARGET &&
+      debugSettings.IPHONEOS_DEPLOYMENT_TARGET !== deploymentTarget
+    ) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.LOW,
+          'Debug and Release use different deployment targets',
+          `Debug: ${debugSettings.IPHONEOS_DEPLOYMENT_TARGET}, Release: ${deploymentTarget}`,
+          'Use the same IPHONEOS_DEPLOYMENT_TARGET so Release is tested on the OS versions you develop on'
+        )
+      )
+    }
+
+    return results
+  }
+
+  checkSigning(settings, label) {
+    const style = settings.CODE_SIGN_STYLE || 'Automatic'
+
+    if (
+      style === 'Manual' &&
+      !settings.PROVISIONING_PROFILE_SPECIFIER &&
+      !settings.PROVISIONING_PROFILE
+    ) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Manual signing without a provisioning profile',
+          `${label} uses CODE_SIGN_STYLE = Manual but sets no PROVISIONING_PROFILE_SPECIFIER`,
+          'Select a provisioning profile for the Release configuration or switch to automatic signing'
+        )
+      ]
+    }
+
+    if (style === 'Automatic' && !settings.DEVELOPMENT_TEAM) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'No development team set for automatic signing',
+          `${label} uses automatic signing without DEVELOPMENT_TEAM`,
+          'Select your team under Signing & Capabilities in Xcode'
+        )
+      ]
+    }
+
+    return []
+  }
+
+  checkDebugSymbols(settings, label) {
+    const format = settings.DEBUG_INFORMATION_FORMAT
+    if (!format || format === 'dwarf-with-dsym') return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.MEDIUM,
+        'Release build does not generate dSYMs',
+        `${label} sets DEBUG_INFORMATION_FORMAT = ${format}`,
+        'Set DEBUG_INFORMATION_FORMAT to dwarf-with-dsym so crash reports can be symbolicated'
+      )
+    ]
+  }
+
+  checkBundleIdentifiers(validator, settings, plist, label) {
+    const results = []
+    const bundleId = settings.PRODUCT_BUNDLE_IDENTIFIER
+
+    if (!bundleId) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'PRODUCT_BUNDLE_IDENTIFIER is not set',
+          `${label} has no bundle identifier`,
+          'Set the Bundle Identifier of the app target in Xcode'
+        )
+      )
+      return results
+    }
+
+    if (
+      plist.CFBundleIdentifier &&
+      !hasBuildSettingReference(plist.CFBundleIdentifier) &&
+      !hasBuildSettingReference(bundleId) &&
+      plist.CFBundleIdentifier !== bundleId
+    ) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Info.plist bundle identifier differs from PRODUCT_BUNDLE_IDENTIFIER',
+          `Info.plist: ${plist.CFBundleIdentifier}, ${label}: ${bundleId}`,
+          'Use $(PRODUCT_BUNDLE_IDENTIFIER) for CFBundleIdentifier in Info.plist'
+        )
+      )
+    }
+
+    const project = validator.getProjectInfo()
+    const target = findTarget(validator.getXcodeProject(), project.targetName)
+    const perConfiguration = Object.keys(target.configurations).map((name) => {
+      const configurationSettings = validator.getBuildSettings(name) || {}
+      return `${name}: ${configurationSettings.PRODUCT_BUNDLE_IDENTIFIER || '(not set)'}`
+    })
+    const distinct = new Set(perConfiguration.map((entry) => entry.split(': ')[1]))
+
+    if (distinct.size > 1) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.INFO,
+          'Bundle identifier differs between build configurations',
+          perConfiguration.join(', '),
+          'Make sure the configuration you archive uses the App Store bundle identifier',
+          'manual'
+        )
+      )
+    }
+
+    return results
+  }
+
+  checkDebugDefinitions(settings, label) {
+    const results = []
+
+    for (const [setting, flags] of Object.entries(DEBUG_DEFINITION_SETTINGS)) {
+      const value = settings[setting]
+      if (!value) continue
+
+      const tokens = [].concat(value).flatMap((item) => String(item).split(/\s+/))
+      const leaked = tokens.filter((token) => flags.includes(token))
+
+      if (leaked.length > 0) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.HIGH,
+            `Debug flags are enabled in ${setting}`,
+            `${label} defines ${leaked.join(', ')}`,
+            `Limit ${leaked.join(', ')} to the Debug configuration`
+          )
+        )
+      }
+    }
+
+    return results
+  }
+}
+
+module.exports = BuildSettingsRule
@@ -1,7 +1,12 @@
 const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
-const { execSync } = require('child_process')
-const fs = require('fs')
-const path = require('path')
+const {
+  PROFILE_TYPES,
+  profileMatchesBundleId,
+  isDevelopmentCertificate
+} = require('../utils/code-signature')
+const { getPrimarySlice } = require('../utils/macho-parser')
+
+const PROFILE_EXPIRY_WARNING_DAYS = 30
 
 class CodeSigningRule extends ValidationRule {
   constructor() {
@@ -10,8 +15,7 @@ class CodeSigningRule extends ValidationRule {
 
   async validate(validator) {
     const results = []
-    const buildPath = validator.getBuildPath()
-    const context = this.detectBuildContext(buildPath)
+    const context = this.detectBuildContext(validator)
 
     // Skip code signing checks in certain contexts
     if (this.shouldSkipCodeSigningCheck(context)) {
@@ -27,52 +31,50 @@ class CodeSigningRule extends ValidationRule {
       ]
     }
 
-    try {
-      const signatureResult = this.verifyCodeSignature(buildPath)
-      if (signatureResult) {
-        results.push(signatureResult)
-      }
-    } catch (error) {
-      // Handle errors gracefully based on context
-      const errorResult = this.handleCodeSigningError(error, context)
-      if (errorResult) {
-        results.push(errorResult)
-      }
+    const signature = validator.getCodeSignature()
+    if (!signature) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Build is not code signed',
+          'The main executable has no LC_CODE_SIGNATURE load command',
+          'Configure code signing in Xcode or use Fastlane match for automatic signing'
+        )
+      ]
     }
 
+    results.push(...this.checkSignature(signature, validator.getInfoPlist(), context))
+    results.push(...this.checkProvisioningProfile(validator, signature, context))
+
     return results
   }
 
-  detectBuildContext(buildPath) {
+  detectBuildContext(validator) {
+    const buildPath = validator.getBuildPath()
+    const executable = validator.getExecutable()
+    const slice = executable && getPrimarySlice(executable.macho)
+
     const context = {
-      platform: process.platform,
       buildType: 'unknown',
-      hasFastlane: false,
-      isCI: false,
+      hasExecutable: !!executable,
+      isSimulator: !!(slice && slice.minOS && slice.minOS.platform.endsWith('simulator')),
+      // Archives are re-signed with the distribution identity on export
+      isArchive: !!validator.getArchiveInfo(),
       reason: '',
       suggestion: ''
     }
 
-    // Detect platform
-    if (context.platform !== 'darwin') {
-      context.reason = 'Code signing verification only available on macOS'
-      context.suggestion = 'Run validation on macOS for complete code signing verification'
+    if (!context.hasExecutable) {
+      context.reason = 'Main executable (CFBundleExecutable) not found in the build'
+      context.suggestion = 'Validate a complete device build to check its signature'
       return context
     }
 
-    // Detect CI environment
-    context.isCI = !!(process.env.CI || process.env.GITHUB_ACTIONS || process.env.GITLAB_CI)
-
-    // Detect Fastlane usage
-    const projectRoot = this.findProjectRoot(buildPath)
-    if (projectRoot) {
-      const fastlanePath = path.join(projectRoot, 'ios', 'fastlane')
-      context.hasFastlane = fs.existsSync(fastlanePath)
-
-      if (context.hasFastlane) {
-        context.reason = 'Fastlane detected - code signing managed automatically'
-        context.suggestion = 'Verify Fastlane configuration and successful builds'
-      }
+    if (context.isSimulator) {
+      context.reason = 'Simulator build detected - simulator builds are not distribution signed'
+      context.suggestion = 'Validate a Release build for a generic iOS device'
+      return context
     }
 
     // Detect build type
@@ -88,115 +90,169 @@ class CodeSigningRule extends ValidationRule {
   }
 
   shouldSkipCodeSigningCheck(context) {
-    // Skip on non-macOS platforms
-    if (context.platform !== 'darwin') {
-      return true
-    }
+    return !context.hasExecutable || context.isSimulator || context.buildType === 'debug'
+  }
 
-    // Skip for debug builds
-    if (context.buildType === 'debug') {
-      return true
-    }
+  checkSignature(signature, plist, context = {}) {
+    const results = []
 
-    // Skip when Fastlane is detected (unless explicitly requested)
-    if (context.hasFastlane) {
-      return true
+    if (signature.adhoc || !signature.cms) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Build is ad-hoc signed',
+          'The signature carries no certificate, so it cannot be installed or uploaded',
+          'Sign the build with an Apple Distribution certificate'
+        )
+      )
+      return results
     }
 
-    return false
-  }
+    const certificate = signature.signingCertificate
+    if (certificate) {
+      if (isDevelopmentCertificate(certificate)) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            context.isArchive ? SEVERITY.INFO : SEVERITY.HIGH,
+            'Build is signed with a development certificate',
+            `Signing identity: ${certificate.subject.CN}`,
+            'Export the archive with an Apple Distribution certificate for App Store submission'
+          )
+        )
+      }
 
-  verifyCodeSignature(buildPath) {
-    // Use different verification approaches based on file type
-    let command
-    if (buildPath.endsWith('.ipa')) {
-      // For IPA files, we need to extract first or use specialized tools
-      command = `codesign --verify --deep --strict "${buildPath}"`
-    } else {
-      // For .app bundles
-      command = `codesign --verify --verbose=4 "${buildPath}"`
+      if (certificate.notAfter && certificate.notAfter.getTime() < Date.now()) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.CRITICAL,
+            'Signing certificate has expired',
+            `${certificate.subject.CN} expired on ${certificate.notAfter.toISOString()}`,
+            'Renew the certificate in the Apple Developer portal and re-sign the build'
+          )
+        )
+      }
     }
 
-    const result = execSync(command, {
-      encoding: 'utf8',
-      stdio: 'pipe',
-      timeout: 10000 // 10 second timeout
-    })
-
-    // Check for specific issues in output
-    if (result.includes('invalid')) {
-      return new ValidationResult(
-        this.name,
-        SEVERITY.CRITICAL,
-        'Invalid code signature detected',
-        result.trim(),
-        'Re-sign the app with valid certificates and provisioning profiles'
+    if (plist && plist.CFBundleIdentifier && signature.identifier !== plist.CFBundleIdentifier) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Code signature identifier does not match bundle identifier',
+          `Signature: ${signature.identifier}, Info.plist: ${plist.CFBundleIdentifier}`,
+          'Re-sign the app after changing CFBundleIdentifier'
+        )
       )
     }
 
-    // Successful verification
-    return null
+    return results
   }
 
-  handleCodeSigningError(error, context) {
-    const errorMessage = error.message || error.toString()
+  checkProvisioningProfile(validator, signature, context = {}) {
+    const results = []
+    const profile = validator.getProvisioningProfile()
+    const plist = validator.getInfoPlist() || {}
 
-    // Handle specific known errors
-    if (errorMessage.includes('code object is not signed at all')) {
-      if (context.hasFastlane) {
-        return new ValidationResult(
+    if (!profile) {
+      results.push(
+        new ValidationResult(
           this.name,
-          SEVERITY.INFO,
-          'Build appears unsigned, but Fastlane detected',
-          'Fastlane typically handles code signing during distribution',
-          'Verify your Fastlane configuration includes proper match/code signing steps'
+          SEVERITY.HIGH,
+          'No embedded provisioning profile found',
+          'embedded.mobileprovision is missing from the app bundle',
+          'Export the build with a provisioning profile (App Store Connect distribution)'
         )
-      }
-
-      return new ValidationResult(
-        this.name,
-        SEVERITY.HIGH,
-        'Build is not code signed',
-        'Code signing is required for App Store distribution',
-        'Configure code signing in Xcode or use Fastlane match for automatic signing'
       )
+      return results
     }
 
-    if (errorMessage.includes('No such file or directory')) {
-      return new ValidationResult(
-        this.name,
-        SEVERITY.MEDIUM,
-        'Could not verify code signature - file access issue',
-        errorMessage,
-        'Ensure the build path is correct and accessible'
+    const expiry = profile.expirationDate
+    const devices = profile.provisionedDevices.length
+    validator.log(
+      `Provisioning profile: ${profile.name || profile.uuid} (${profile.type}); ` +
+        [
+          `Team ID: ${profile.teamId}${profile.teamName ? ` (${profile.teamName})` : ''}`,
+          `App ID: ${profile.applicationIdentifier}`,
+          `Expires: ${expiry ? expiry.toISOString() : 'unknown'}`,
+          `Provisioned devices: ${profile.type === PROFILE_TYPES.ENTERPRISE ? 'all' : devices}`
+        ].join(', ')
+    )
+
+    if (profile.expired) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          'Provisioning profile has expired',
+          `Profile "${profile.name}" expired on ${expiry.toISOString()}`,
+          'Regenerate the provisioning profile and re-export the build'
+        )
       )
+    } else if (expiry) {
+      const daysLeft = Math.floor((expiry.getTime() - Date.now()) / (24 * 60 * 60 * 1000))
+      if (daysLeft < PROFILE_EXPIRY_WARNING_DAYS) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.MEDIUM,
+            'Provisioning profile expires soon',
+            `Profile "${profile.name}" expires in ${daysLeft} days`,
+            'Renew the provisioning profile before your next release'
+          )
+        )
+      }
     }
 
-    // Generic error handling
-    return new ValidationResult(
-      this.name,
-      SEVERITY.LOW,
-      'Could not verify code signature',
-      errorMessage,
-      'Manually verify code signing configuration in Xcode'
-    )
-  }
+    if (profile.type === PROFILE_TYPES.ENTERPRISE) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          'Build is signed with an enterprise (in-house) profile',
+          'In-house distribution profiles cannot be used for App Store submission',
+          'Sign the build with an App Store distribution profile from your App Store team'
+        )
+      )
+    } else if (profile.type !== PROFILE_TYPES.APP_STORE) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          context.isArchive ? SEVERITY.INFO : SEVERITY.HIGH,
+          `Build uses a ${profile.type} provisioning profile`,
+          `Profile "${profile.name}" provisions ${devices} device(s) and cannot be uploaded to App Store Connect`,
+          'Export the archive with the "App Store Connect" distribution method'
+        )
+      )
+    }
 
-  findProjectRoot(buildPath) {
-    let currentDir = path.dirname(buildPath)
+    if (plist.CFBundleIdentifier && !profileMatchesBundleId(profile, plist.CFBundleIdentifier)) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          'Bundle identifier does not match provisioning profile',
+          `Info.plist: ${plist.CFBundleIdentifier}, profile App ID: ${profile.applicationIdentifier}`,
+          'Use a provisioning profile created for this bundle identifier'
+        )
+      )
+    }
 
-    // Look up the directory tree for common React Native project indicators
-    while (currentDir !== path.dirname(currentDir)) {
-      if (
-        fs.existsSync(path.join(currentDir, 'package.json')) &&
-        fs.existsSync(path.join(currentDir, 'ios'))
-      ) {
-        return currentDir
-      }
-      currentDir = path.dirname(currentDir)
+    if (signature.teamId && profile.teamId && signature.teamId !== profile.teamId) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Signing team does not match provisioning profile team',
+          `Signature team: ${signature.teamId}, profile team: ${profile.teamId}`,
+          'Sign with a certificate from the team that owns the provisioning profile'
+        )
+      )
     }
 
-    return null
+    return results
   }
 }
 
@@ -1,4 +1,15 @@
 const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { matchSignals } = require('../utils/app-signals')
+const PAYMENT_SDKS = require('../data/payment-sdks')
+
+// Entitlements that let an app link to web purchases
+const EXTERNAL_PURCHASE_ENTITLEMENTS = [
+  'com.apple.developer.storekit.external-purchase',
+  'com.apple.developer.storekit.external-purchase-link',
+  'com.apple.developer.storekit.external-link.account'
+]
+// Checkout links listed per finding
+const MAX_LISTED_URLS = 3
 
 class ContentPolicyRule extends ValidationRule {
   constructor() {
@@ -24,8 +35,104 @@ class ContentPolicyRule extends ValidationRule {
       )
     }
 
+    results.push(...(await this.checkPayments(validator)))
+
     return results
   }
+
+  // Digital content, subscriptions and features must be sold through in-app purchase
+  // (Guideline 3.1.1)
+  async checkPayments(validator) {
+    const businessModel = validator.getBusinessModel()
+    const signals = await validator.getAppSignals()
+    const entitlements = signals.entitlements || {}
+
+    // Physical goods and services, reader apps and link entitlement holders may take payments
+    // outside in-app purchase
+    if (
+      businessModel.physicalGoods ||
+      businessModel.readerApp ||
+      businessModel.externalLinkEntitlement ||
+      EXTERNAL_PURCHASE_ENTITLEMENTS.some((key) => entitlements[key] !== undefined)
+    ) {
+      return []
+    }
+
+    const metadataText = collectStrings(validator.getMetadata()).join('\n')
+    const processors = findSDKs(PAYMENT_SDKS.externalPayment, signals)
+    const checkoutURLs = Array.from(
+      new Set([
+        ...findURLs(PAYMENT_SDKS.checkoutURLs, [signals.jsText || '', metadataText].join('\n')),
+        ...findURLs(PAYMENT_SDKS.checkoutPages, metadataText)
+      ])
+    )
+
+    if (processors.length === 0 && checkoutURLs.length === 0) return []
+
+    const inAppPurchase = findSDKs(PAYMENT_SDKS.inAppPurchase, signals)
+    // Next to in-app purchase, such wording most likely describes what the app sells through it
+    const digitalHint =
+      inAppPurchase.length === 0 ? metadataText.match(PAYMENT_SDKS.digitalGoodsHints) : null
+
+    const details = []
+    if (processors.length > 0) details.push(`Payment SDKs: ${processors.join('; ')}`)
+    if (checkoutURLs.length > 0) {
+      const more =
+        checkoutURLs.length > MAX_LISTED_URLS
+          ? ` and ${checkoutURLs.length - MAX_LISTED_URLS} more`
+          : ''
+      details.push(`checkout links: ${checkoutURLs.slice(0, MAX_LISTED_URLS).join(', ')}${more}`)
+    }
+    if (digitalHint) details.push(`the metadata mentions "${digitalHint[0]}"`)
+    details.push(
+      inAppPurchase.length > 0
+        ? `in-app purchase: ${inAppPurchase.join('; ')}`
+        : 'no in-app purchase found'
+    )
+
+    // Web checkout links are what App Review rejects most; SDKs alone also serve physical goods
+    const likelyDigital = checkoutURLs.length > 0 || !!digitalHint
+
+    return [
+      new ValidationResult(
+        this.name,
+        likelyDigital ? SEVERITY.HIGH : SEVERITY.MEDIUM,
+        likelyDigital
+          ? 'Digital goods may be sold outside in-app purchase (Guideline 3.1.1)'
+          : 'App takes payments outside in-app purchase',
+        details.join('; '),
+        'Sell digital content, subscriptions and premium features through in-app purchase and do not link to web checkout. If the app sells physical goods or services, is a reader app or holds the External Purchase Link Entitlement, declare it in the businessModel section of the config'
+      )
+    ]
+  }
+}
+
+function findSDKs(sdks, signals) {
+  return sdks
+    .map((sdk) => ({ name: sdk.name, evidence: matchSignals(sdk, signals) }))
+    .filter((sdk) => sdk.evidence.length > 0)
+    .map((sdk) => `${sdk.name} (${sdk.evidence.join(', ')})`)
+}
+
+function findURLs(patterns, text) {
+  const urls = new Set()
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(new RegExp(pattern.source, `${pattern.flags}gm`))) {
+      urls.add(match[0])
+    }
+  }
+  return Array.from(urls)
+}
+
+function collectStrings(value, strings = []) {
+  if (typeof value === 'string') {
+    strings.push(value)
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, strings))
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectStrings(item, strings))
+  }
+  return strings
 }
 
 module.exports = ContentPolicyRule
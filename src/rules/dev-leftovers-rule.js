@@ -0,0 +1,202 @@
+const { Minimatch } = require('minimatch')
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { readJSBundleText } = require('../utils/js-bundle')
+const { getPrimarySlice } = require('../utils/macho-parser')
+const DEV_LEFTOVERS = require('../data/dev-leftovers')
+
+// Matches listed per finding before the rest are summarized
+const MAX_LISTED_MATCHES = 5
+
+class DevLeftoversRule extends ValidationRule {
+  constructor() {
+    super('dev-leftovers', 'Detects debug-only files, frameworks and hosts left in the build')
+  }
+
+  async validate(validator) {
+    const results = []
+    const bundle = validator.getBundle()
+
+    if (!bundle) return results
+
+    const catalogue = this.getCatalogue(validator.getRuleConfig(this.name))
+    const findings = [
+      ...this.findFiles(bundle, catalogue.files),
+      ...this.findFrameworks(validator, catalogue.frameworks),
+      ...(await this.findStrings(validator, catalogue.strings))
+    ]
+
+    if (findings.length === 0) return results
+
+    const debugReason = this.getDebugBuildReason(validator)
+
+    for (const { marker, matches } of findings) {
+      const listed = matches.slice(0, MAX_LISTED_MATCHES).join(', ')
+      const more =
+        matches.length > MAX_LISTED_MATCHES
+          ? ` and ${matches.length - MAX_LISTED_MATCHES} more`
+          : ''
+
+      results.push(
+        new ValidationResult(
+          this.name,
+          debugReason ? SEVERITY.LOW : SEVERITY.HIGH,
+          `Development leftover: ${marker.description}`,
+          `Found ${listed}${more}${debugReason ? ` (expected here: ${debugReason})` : ''}`,
+          debugReason
+            ? 'Validate the Release build you will upload'
+            : 'Exclude it from the Release configuration (Debug-only pods, build phases and resources) and rebuild'
+        )
+      )
+    }
+
+    return results
+  }
+
+  // Built-in markers plus those from the rule options; { defaults: false } drops the built-ins
+  getCatalogue(options) {
+    const useDefaults = options.defaults !== false
+
+    return Object.fromEntries(
+      ['files', 'frameworks', 'strings'].map((kind) => [
+        kind,
+        [
+          ...(useDefaults ? DEV_LEFTOVERS[kind] : []),
+          ...(Array.isArray(options[kind]) ? options[kind] : [])
+        ]
+      ])
+    )
+  }
+
+  findFiles(bundle, markers) {
+    const files = bundle.list()
+
+    return markers
+      .map((marker) => {
+        const matcher = new Minimatch(marker.pattern, { dot: true })
+        return { marker, matches: files.filter((file) => matcher.match(file)) }
+      })
+      .filter(({ matches }) => matches.length > 0)
+  }
+
+  findFrameworks(validator, markers) {
+    const executable = validator.getExecutable()
+    const slice = executable && getPrimarySlice(executable.macho)
+    const names = new Set([
+      ...(validator.getEmbeddedBundles() || [])
+        .filter((embedded) => embedded.type === 'framework')
+        .map((embedded) => embedded.path.replace(/^.*\/|\.framework$/g, '')),
+      ...(slice ? slice.frameworks : [])
+    ])
+
+    return markers
+      .map((marker) => ({
+        marker,
+        matches: Array.from(names)
+          .filter((name) => findPattern(marker.pattern, name))
+          .map((name) => `${name}.framework`)
+      }))
+      .filter(({ matches }) => matches.length > 0)
+  }
+
+  async findStrings(validator, markers) {
+    const sources = {
+      plist: await this.readPlistStrings(validator),
+      js: await this.readJSStrings(validator)
+    }
+    const findings = []
+
+    for (const marker of markers) {
+      const matches = new Set()
+
+      for (const source of marker.sources || Object.keys(sources)) {
+        for (const { location, text } of sources[source] || []) {
+          const match = findPattern(marker.pattern, text)
+          if (match) matches.add(`"${match}" in ${location}`)
+        }
+      }
+
+      if (matches.size > 0) findings.push({ marker, matches: Array.from(matches) })
+    }
+
+    return findings
+  }
+
+  // Every string value and key of Info.plist and the Settings.bundle preference panes
+  async readPlistStrings(validator) {
+    const bundle = validator.getBundle()
+    const strings = collectStrings(validator.getInfoPlist()).map((text) => ({
+      location: 'Info.plist',
+      text
+    }))
+
+    for (const file of bundle.list('Settings.bundle/*.plist')) {
+      try {
+        strings.push(
+          ...collectStrings(await bundle.readPlist(file)).map((text) => ({ location: file, text }))
+        )
+      } catch (error) {
+        // Unreadable preference panes are reported by Xcode, not here
+      }
+    }
+
+    return strings
+  }
+
+  async readJSStrings(validator) {
+    const jsBundle = validator.getJSBundle()
+    if (!jsBundle) return []
+
+    const text = readJSBundleText(await validator.getBundle().readFile(jsBundle.path))
+    return [{ location: jsBundle.path, text }]
+  }
+
+  // Why the build looks like a Debug build, or null when it looks like Release
+  getDebugBuildReason(validator) {
+    const entitlements = validator.getEntitlements() || {}
+    if (entitlements['get-task-allow'] === true) {
+      return 'the app is signed with get-task-allow, as Debug builds are'
+    }
+
+    const executable = validator.getExecutable()
+    const slice = executable && getPrimarySlice(executable.macho)
+    if (slice && slice.minOS && slice.minOS.platform.endsWith('simulator')) {
+      return 'this is a simulator build'
+    }
+
+    if (/(^|[/\\])Debug(-iphone(os|simulator))?([/\\]|$)/.test(validator.getBuildPath() || '')) {
+      return 'the build comes from a Debug products folder'
+    }
+
+    return null
+  }
+}
+
+// The matched text, so reports show the actual host rather than the pattern
+function findPattern(pattern, text) {
+  if (pattern instanceof RegExp) {
+    const match = text.match(new RegExp(pattern.source, pattern.flags.replace('g', '')))
+    return match ? match[0] : null
+  }
+  return text.includes(pattern) ? pattern : null
+}
+
+function collectStrings(value, strings = []) {
+  if (typeof value === 'string') {
+    strings.push(value)
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, strings))
+  } else if (
+    value &&
+    typeof value === 'object' &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value)
+  ) {
+    for (const [key, item] of Object.entries(value)) {
+      strings.push(key)
+      collectStrings(item, strings)
+    }
+  }
+  return strings
+}
+
+module.exports = DevLeftoversRule
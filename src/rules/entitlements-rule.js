@@ -0,0 +1,237 @@
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { profileAllowsEntitlement } = require('../utils/code-signature')
+const { getPrimarySlice } = require('../utils/macho-parser')
+
+// Keychain groups shared with system services rather than prefixed with the App ID prefix
+const SYSTEM_KEYCHAIN_GROUPS = ['com.apple.token']
+
+class EntitlementsRule extends ValidationRule {
+  constructor() {
+    super('entitlements', 'Validates signed entitlements against the provisioning profile')
+  }
+
+  async validate(validator) {
+    const results = []
+    const targets = this.collectTargets(validator)
+
+    if (targets.length === 0) {
+      return results
+    }
+
+    const skipReason = this.getDevelopmentBuildReason(validator)
+    if (skipReason) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.INFO,
+          'Entitlements verification skipped',
+          skipReason,
+          'Validate a Release build for a generic iOS device',
+          'manual'
+        )
+      ]
+    }
+
+    // Export replaces development values such as get-task-allow when re-signing an archive
+    const isArchive = !!validator.getArchiveInfo()
+
+    for (const target of targets) {
+      if (!isArchive) {
+        results.push(...this.checkDistributionEntitlements(target))
+      }
+      results.push(...this.checkGroupPrefixes(target))
+      results.push(...this.checkProfileEntitlements(target))
+    }
+
+    return results
+  }
+
+  // The main app plus every embedded bundle that was signed with entitlements
+  collectTargets(validator) {
+    const targets = []
+    const plist = validator.getInfoPlist() || {}
+    const signature = validator.getCodeSignature()
+    const entitlements = validator.getEntitlements()
+
+    if (entitlements) {
+      targets.push({
+        label: plist.CFBundleName || plist.CFBundleIdentifier || 'Main app',
+        entitlements,
+        profile: validator.getProvisioningProfile(),
+        teamId: signature ? signature.teamId : null
+      })
+    }
+
+    for (const bundle of validator.getEmbeddedBundles() || []) {
+      if (!bundle.entitlements) continue
+
+      const bundleSignature = bundle.executable && bundle.executable.codeSignature
+      targets.push({
+        label: bundle.path,
+        entitlements: bundle.entitlements,
+        // Frameworks are covered by the app's profile; extensions embed their own
+        profile: bundle.type === 'appex' ? bundle.provisioningProfile : null,
+        teamId: bundleSignature ? bundleSignature.teamId : null
+      })
+    }
+
+    return targets
+  }
+
+  getDevelopmentBuildReason(validator) {
+    const executable = validator.getExecutable()
+    const slice = executable && getPrimarySlice(executable.macho)
+    const buildPath = validator.getBuildPath() || ''
+
+    if (slice && slice.minOS && slice.minOS.platform.endsWith('simulator')) {
+      return 'Simulator build detected - simulator builds carry development entitlements'
+    }
+
+    if (buildPath.includes('Debug') || buildPath.includes('debug')) {
+      return 'Debug build detected - development entitlements are expected'
+    }
+
+    return null
+  }
+
+  checkDistributionEntitlements(target) {
+    const results = []
+    const { entitlements } = target
+
+    if (entitlements['get-task-allow'] === true) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'get-task-allow entitlement is enabled',
+          `${target.label} is signed to allow debugger attachment, which App Store Connect rejects`,
+          'Export the archive with an App Store distribution profile instead of a development one'
+        )
+      )
+    }
+
+    if (entitlements['aps-environment'] === 'development') {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Push notifications use the development APNs environment',
+          `${target.label} has aps-environment set to "development"`,
+          'Sign with a distribution profile so aps-environment becomes "production"'
+        )
+      )
+    }
+
+    return results
+  }
+
+  checkGroupPrefixes(target) {
+    const results = []
+
+    const appGroups = this.readGroups(target, 'com.apple.security.application-groups', results)
+    const invalidAppGroups = appGroups.filter((group) => !String(group).startsWith('group.'))
+    if (invalidAppGroups.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'App group identifiers must start with "group."',
+          `${target.label}: ${invalidAppGroups.join(', ')}`,
+          'Rename the app groups in the Apple Developer portal and in your entitlements file'
+        )
+      )
+    }
+
+    const prefix = this.getAppIdPrefix(target)
+    const keychainGroups = this.readGroups(target, 'keychain-access-groups', results)
+    const invalidKeychainGroups = prefix
+      ? keychainGroups.filter(
+        (group) =>
+          !String(group).startsWith(`${prefix}.`) && !SYSTEM_KEYCHAIN_GROUPS.includes(group)
+      )
+      : []
+    if (invalidKeychainGroups.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          `Keychain access groups must start with the App ID prefix "${prefix}."`,
+          `${target.label}: ${invalidKeychainGroups.join(', ')}`,
+          'Use $(AppIdentifierPrefix) in keychain-access-groups instead of a hard-coded prefix'
+        )
+      )
+    }
+
+    return results
+  }
+
+  // Group entitlements are arrays of identifiers; other values are reported rather than checked
+  readGroups(target, key, results) {
+    const value = target.entitlements[key]
+    if (value === undefined) return []
+    if (Array.isArray(value)) return value
+
+    const type = typeof value === 'object' ? 'a dictionary' : `a ${typeof value}`
+    results.push(
+      new ValidationResult(
+        this.name,
+        SEVERITY.HIGH,
+        `Malformed ${key} entitlement`,
+        `${target.label} declares ${key} as ${type} instead of an array of identifiers`,
+        `Declare ${key} as an array of strings in the entitlements file`
+      )
+    )
+    return []
+  }
+
+  getAppIdPrefix(target) {
+    const appId = target.entitlements['application-identifier']
+    if (typeof appId === 'string' && appId.includes('.')) {
+      return appId.slice(0, appId.indexOf('.'))
+    }
+    if (target.profile && target.profile.appIdPrefix) {
+      return target.profile.appIdPrefix
+    }
+    return target.teamId
+  }
+
+  checkProfileEntitlements(target) {
+    const results = []
+    const { entitlements, profile } = target
+
+    // A missing profile is reported by the code-signing rule
+    if (!profile || !profile.entitlements) {
+      return results
+    }
+
+    for (const [key, value] of Object.entries(entitlements)) {
+      if (!(key in profile.entitlements)) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.HIGH,
+            `Entitlement ${key} is not granted by the provisioning profile`,
+            `${target.label} is signed with ${key}, but profile "${profile.name}" does not include it`,
+            'Enable the capability for this App ID in the Apple Developer portal and regenerate the profile'
+          )
+        )
+      } else if (!profileAllowsEntitlement(profile, key, value)) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.HIGH,
+            `Entitlement ${key} does not match the provisioning profile`,
+            `${target.label}: signed ${JSON.stringify(value)}, profile allows ${JSON.stringify(
+              profile.entitlements[key]
+            )}`,
+            'Update the entitlements file or regenerate the profile so the values agree'
+          )
+        )
+      }
+    }
+
+    return results
+  }
+}
+
+module.exports = EntitlementsRule
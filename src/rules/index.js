@@ -4,10 +4,20 @@
 
 const InfoPlistValidationRule = require('./info-plist-rule')
 const PrivacyComplianceRule = require('./privacy-rule')
+const AppTrackingTransparencyRule = require('./att-rule')
 const AccountDeletionRule = require('./account-deletion-rule')
+const SignInWithAppleRule = require('./sign-in-with-apple-rule')
 const PermissionsRule = require('./permissions-rule')
+const AppTransportSecurityRule = require('./ats-rule')
 const AssetsRule = require('./assets-rule')
 const CodeSigningRule = require('./code-signing-rule')
+const EntitlementsRule = require('./entitlements-rule')
+const JSBundleRule = require('./js-bundle-rule')
+const ThirdPartySDKRule = require('./third-party-sdk-rule')
+const DevLeftoversRule = require('./dev-leftovers-rule')
+const SecretsRule = require('./secrets-rule')
+const NativeModulesRule = require('./native-modules-rule')
+const BuildSettingsRule = require('./build-settings-rule')
 const LocalizationRule = require('./localization-rule')
 const PerformanceRule = require('./performance-rule')
 const ContentPolicyRule = require('./content-policy-rule')
@@ -16,10 +26,20 @@ const MetadataRule = require('./metadata-rule')
 module.exports = {
   InfoPlistValidationRule,
   PrivacyComplianceRule,
+  AppTrackingTransparencyRule,
   AccountDeletionRule,
+  SignInWithAppleRule,
   PermissionsRule,
+  AppTransportSecurityRule,
   AssetsRule,
   CodeSigningRule,
+  EntitlementsRule,
+  JSBundleRule,
+  ThirdPartySDKRule,
+  DevLeftoversRule,
+  SecretsRule,
+  NativeModulesRule,
+  BuildSettingsRule,
   LocalizationRule,
   PerformanceRule,
   ContentPolicyRule,
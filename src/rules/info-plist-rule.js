@@ -10,12 +10,17 @@ const {
   IOS_SUPPORT
 } = require('../utils/constants')
 
+// Source Info.plists reference build settings that Xcode resolves, e.g.
+// $(PRODUCT_BUNDLE_IDENTIFIER)
+const { hasBuildSettingReference } = require('../utils/xcode-project')
+
 class InfoPlistValidationRule extends ValidationRule {
   constructor() {
     super(
       'info-plist-validation',
       'Validates Info.plist configuration and required keys'
     )
+    this.modes = ['build', 'project']
   }
 
   async validate(validator) {
@@ -29,7 +34,7 @@ class InfoPlistValidationRule extends ValidationRule {
           SEVERITY.CRITICAL,
           'Info.plist not found or could not be parsed',
           'The Info.plist file is required for all iOS apps',
-          'Ensure Info.plist exists in your app bundle and is valid XML'
+          'Ensure Info.plist exists in your app bundle and is a valid property list'
         )
       ]
     }
@@ -50,7 +55,7 @@ class InfoPlistValidationRule extends ValidationRule {
     }
 
     // Bundle identifier validation
-    if (plist.CFBundleIdentifier) {
+    if (plist.CFBundleIdentifier && !hasBuildSettingReference(plist.CFBundleIdentifier)) {
       if (!/^[a-zA-Z0-9.-]+$/.test(plist.CFBundleIdentifier)) {
         results.push(
           new ValidationResult(
@@ -89,7 +94,10 @@ class InfoPlistValidationRule extends ValidationRule {
     }
 
     // Version validation
-    if (plist.CFBundleShortVersionString) {
+    if (
+      plist.CFBundleShortVersionString &&
+      !hasBuildSettingReference(plist.CFBundleShortVersionString)
+    ) {
       if (!/^\d+(\.\d+)*$/.test(plist.CFBundleShortVersionString)) {
         results.push(
           new ValidationResult(
@@ -103,7 +111,7 @@ class InfoPlistValidationRule extends ValidationRule {
       }
     }
 
-    if (plist.CFBundleVersion) {
+    if (plist.CFBundleVersion && !hasBuildSettingReference(plist.CFBundleVersion)) {
       if (!/^\d+(\.\d+)*$/.test(plist.CFBundleVersion)) {
         results.push(
           new ValidationResult(
@@ -118,8 +126,8 @@ class InfoPlistValidationRule extends ValidationRule {
     }
 
     // iOS version validation
-    if (plist.MinimumOSVersion || plist.LSMinimumSystemVersion) {
-      const minVersion = plist.MinimumOSVersion || plist.LSMinimumSystemVersion
+    const minVersion = plist.MinimumOSVersion || plist.LSMinimumSystemVersion
+    if (minVersion && !hasBuildSettingReference(minVersion)) {
       const minVersionFloat = parseFloat(minVersion)
 
       if (minVersionFloat < parseFloat(IOS_SUPPORT.MINIMUM_SUPPORTED)) {
@@ -148,7 +156,11 @@ class InfoPlistValidationRule extends ValidationRule {
     }
 
     // App name validation
-    if (plist.CFBundleDisplayName && plist.CFBundleDisplayName.length > 30) {
+    if (
+      plist.CFBundleDisplayName &&
+      !hasBuildSettingReference(plist.CFBundleDisplayName) &&
+      plist.CFBundleDisplayName.length > 30
+    ) {
       results.push(
         new ValidationResult(
           this.name,
@@ -165,7 +177,7 @@ class InfoPlistValidationRule extends ValidationRule {
       for (const urlType of plist.CFBundleURLTypes) {
         if (urlType.CFBundleURLSchemes) {
           for (const scheme of urlType.CFBundleURLSchemes) {
-            if (!/^[a-zA-Z][a-zA-Z0-9+.-]*$/.test(scheme)) {
+            if (!hasBuildSettingReference(scheme) && !/^[a-zA-Z][a-zA-Z0-9+.-]*$/.test(scheme)) {
               results.push(
                 new ValidationResult(
                   this.name,
@@ -0,0 +1,282 @@
+const {
+  ValidationRule,
+  ValidationResult,
+  SEVERITY,
+  FILE_CONSTRAINTS
+} = require('../utils/constants')
+const { analyzeJSBundle } = require('../utils/js-bundle')
+const { readHermesReleaseVersion } = require('../utils/hermes-bytecode')
+const { getPrimarySlice, readSectionStrings } = require('../utils/macho-parser')
+
+// console.log calls per MB of JavaScript above which logging was most likely left in by accident
+const CONSOLE_LOG_PER_MB_WARNING = 25
+
+const HERMES_FRAMEWORK = 'Frameworks/hermes.framework'
+const REACT_NATIVE_FRAMEWORK = /^(hermes|React[\w-]*)$/
+const REACT_NATIVE_CLASSES = ['RCTBridge', 'RCTRootView', 'RCTAppDelegate']
+// Packager URLs compiled into native code, e.g. a hard-coded jsCodeLocation
+const PACKAGER_URL = /^https?:\/\/\S+:8081\b/
+
+class JSBundleRule extends ValidationRule {
+  constructor() {
+    super('js-bundle', 'Validates the React Native JavaScript bundle')
+  }
+
+  async validate(validator) {
+    const results = []
+    const bundle = validator.getBundle()
+
+    if (!bundle) return results
+
+    const jsBundle = validator.getJSBundle()
+    const executableStrings = await this.readExecutableStrings(validator)
+
+    if (!jsBundle) {
+      if (this.isReactNativeApp(validator, executableStrings)) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.CRITICAL,
+            'JavaScript bundle not found',
+            'The app bundle has no main.jsbundle, so the app will try to load its JavaScript from the Metro packager at launch',
+            'Archive the Release configuration so the "Bundle React Native code and images" build phase embeds main.jsbundle (make sure SKIP_BUNDLING is not set)'
+          )
+        )
+      }
+      return results
+    }
+
+    const bundleFile = jsBundle.path
+    const analysis = analyzeJSBundle(await bundle.readFile(bundleFile))
+
+    validator.log(
+      `JavaScript bundle: ${bundleFile} (${formatMegabytes(analysis.size)}, ${
+        analysis.format === 'hermes' ? 'Hermes bytecode' : 'plain JavaScript'
+      })`
+    )
+
+    if (analysis.devIndicators.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          'Development JavaScript bundle',
+          `${bundleFile} was built in development mode (found ${analysis.devIndicators.join(
+            ', '
+          )})`,
+          'Bundle with --dev false, which the Release configuration does by default'
+        )
+      )
+    }
+
+    results.push(...(await this.checkEngine(validator, jsBundle)))
+    results.push(...this.checkMetro(executableStrings))
+    results.push(...this.checkSize(bundleFile, analysis))
+    results.push(...this.checkSourceMaps(bundle, bundleFile, analysis))
+    results.push(...this.checkConsoleLogs(bundleFile, analysis))
+
+    return results
+  }
+
+  // __TEXT strings and Objective-C class names of the main executable
+  async readExecutableStrings(validator) {
+    const executable = validator.getExecutable()
+    const plist = validator.getInfoPlist() || {}
+    const slice = executable && getPrimarySlice(executable.macho)
+
+    if (!slice || !plist.CFBundleExecutable) {
+      return { cstrings: [], classNames: [] }
+    }
+
+    const content = await validator.getBundle().readFile(plist.CFBundleExecutable)
+    return {
+      cstrings: readSectionStrings(content, slice, '__TEXT', '__cstring'),
+      classNames: readSectionStrings(content, slice, '__TEXT', '__objc_classname')
+    }
+  }
+
+  isReactNativeApp(validator, executableStrings) {
+    const executable = validator.getExecutable()
+    const slice = executable && getPrimarySlice(executable.macho)
+
+    const embedsReact = (validator.getEmbeddedBundles() || []).some(
+      (bundle) =>
+        bundle.type === 'framework' &&
+        REACT_NATIVE_FRAMEWORK.test(bundle.path.replace(/^.*\/|\.framework$/g, ''))
+    )
+    const linksReact = !!slice && slice.frameworks.some((name) => REACT_NATIVE_FRAMEWORK.test(name))
+    const containsReact = executableStrings.classNames.some((name) =>
+      REACT_NATIVE_CLASSES.includes(name)
+    )
+
+    return embedsReact || linksReact || containsReact
+  }
+
+  // The bundle format must match the engine: JSC cannot run bytecode, and Hermes refuses
+  // truncated bytecode
+  async checkEngine(validator, jsBundle) {
+    const hermes = (validator.getEmbeddedBundles() || []).find(
+      (bundle) => bundle.path === HERMES_FRAMEWORK
+    )
+
+    if (jsBundle.format === 'javascript') {
+      if (!hermes) return []
+
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Plain JavaScript bundle shipped with Hermes',
+          `${jsBundle.path} is not Hermes bytecode although ${HERMES_FRAMEWORK} is embedded; Hermes has to parse it at every launch`,
+          'Check that the hermesc step of "Bundle React Native code and images" ran, or disable Hermes consistently'
+        )
+      ]
+    }
+
+    if (!hermes) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          'Hermes bytecode bundle without the Hermes engine',
+          `${jsBundle.path} is Hermes bytecode but ${HERMES_FRAMEWORK} is not embedded; JavaScriptCore cannot run it and the app crashes on launch (Guideline 2.1)`,
+          'Enable Hermes in the Podfile (hermes_enabled) or bundle plain JavaScript'
+        )
+      ]
+    }
+
+    const header = jsBundle.hermes
+    if (!header) return []
+
+    if (header.fileLength !== jsBundle.size) {
+      return [
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          'Hermes bytecode bundle is truncated',
+          `${jsBundle.path} is ${jsBundle.size} bytes but its header declares ${header.fileLength}`,
+          'Rebuild the bundle; Hermes rejects bytecode files whose length does not match the header'
+        )
+      ]
+    }
+
+    // hermes.framework does not record the bytecode version it runs, only the React Native
+    // release it was built for, so the pair is left for the verbose log
+    const reactNativeVersion = await this.readHermesReleaseVersion(validator, hermes)
+    validator.log(
+      `Hermes bytecode version ${header.version}; ${HERMES_FRAMEWORK} built for ${
+        reactNativeVersion
+          ? `React Native ${reactNativeVersion}`
+          : 'an unknown React Native release'
+      }`
+    )
+
+    return []
+  }
+
+  async readHermesReleaseVersion(validator, hermes) {
+    const slice = hermes.executable && getPrimarySlice(hermes.executable.macho)
+    if (!slice) return null
+
+    const content = await validator.getBundle().readFile(`${hermes.path}/${hermes.executable.name}`)
+    return readHermesReleaseVersion(readSectionStrings(content, slice, '__TEXT', '__cstring'))
+  }
+
+  // Production JS bundles keep dev-only modules such as getDevServer, so only native signals
+  // count. Bundled files such as ip.txt are reported by the dev-leftovers rule.
+  checkMetro(executableStrings) {
+    const signals = []
+
+    if (executableStrings.classNames.includes('EXDevLauncherController')) {
+      signals.push('expo-dev-client is linked and opens the development launcher')
+    }
+
+    for (const url of new Set(
+      executableStrings.cstrings.filter((text) => PACKAGER_URL.test(text))
+    )) {
+      signals.push(`executable references ${url}`)
+    }
+
+    if (signals.length === 0) return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.HIGH,
+        'App may load JavaScript from the Metro packager',
+        signals.join('; '),
+        'Load main.jsbundle from the app bundle in Release builds and keep RCTBundleURLProvider behind #if DEBUG'
+      )
+    ]
+  }
+
+  checkSize(bundleFile, analysis) {
+    if (analysis.size <= FILE_CONSTRAINTS.LARGE_JS_BUNDLE_SIZE) return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.LOW,
+        'JavaScript bundle is large',
+        `${bundleFile} is ${formatMegabytes(analysis.size)}, which slows down app startup`,
+        'Look for large dependencies and inlined assets with a bundle visualizer'
+      )
+    ]
+  }
+
+  checkSourceMaps(bundle, bundleFile, analysis) {
+    const results = []
+
+    if (analysis.hasInlineSourceMap) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'JavaScript bundle contains an inline source map',
+          `${bundleFile} embeds its source map as a data: URL, which exposes your source code and inflates the bundle`,
+          'Write the source map to a separate file with --sourcemap-output and upload it to your crash reporter instead'
+        )
+      )
+    }
+
+    const mapFiles = bundle.list('**/*.map')
+    if (mapFiles.length > 0) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Source maps are shipped in the app bundle',
+          mapFiles.join(', '),
+          'Remove source maps from the Copy Bundle Resources phase and keep them for symbolication only'
+        )
+      )
+    }
+
+    return results
+  }
+
+  checkConsoleLogs(bundleFile, analysis) {
+    if (!analysis.consoleLogCount) return []
+
+    const perMegabyte = analysis.consoleLogCount / (analysis.size / (1024 * 1024))
+    if (perMegabyte < CONSOLE_LOG_PER_MB_WARNING) return []
+
+    return [
+      new ValidationResult(
+        this.name,
+        SEVERITY.LOW,
+        'JavaScript bundle contains many console.log calls',
+        `${analysis.consoleLogCount} console.log calls in ${bundleFile} (${Math.round(
+          perMegabyte
+        )} per MB)`,
+        'Strip logging from production builds, e.g. with babel-plugin-transform-remove-console'
+      )
+    ]
+  }
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+module.exports = JSBundleRule
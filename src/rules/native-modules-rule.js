@@ -0,0 +1,169 @@
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const NATIVE_MODULES = require('../data/native-modules')
+
+class NativeModulesRule extends ValidationRule {
+  constructor() {
+    super(
+      'native-modules',
+      'Checks the Info.plist keys, entitlements and background modes native modules need'
+    )
+    this.modes = ['build', 'project']
+  }
+
+  async validate(validator) {
+    const results = []
+    const plist = validator.getInfoPlist()
+
+    if (!plist) return results
+
+    const detected = await this.detectModules(validator)
+    // Unsigned builds have no entitlements to compare; the code-signing rule reports them
+    const entitlements = validator.getProjectInfo()
+      ? validator.getEntitlements() || {}
+      : validator.getEntitlements()
+    const backgroundModes = Array.isArray(plist.UIBackgroundModes) ? plist.UIBackgroundModes : []
+
+    for (const [entry, detection] of detected) {
+      const missing = { infoPlist: [], entitlements: [], backgroundModes: [] }
+
+      for (const requirement of entry.requires.filter((item) => appliesTo(item, detection.major))) {
+        missing.infoPlist.push(
+          ...(requirement.infoPlist || []).filter((key) => plist[key] === undefined)
+        )
+        if (entitlements) {
+          missing.entitlements.push(
+            ...(requirement.entitlements || []).filter((key) => entitlements[key] === undefined)
+          )
+        }
+        missing.backgroundModes.push(
+          ...(requirement.backgroundModes || []).filter((mode) => !backgroundModes.includes(mode))
+        )
+      }
+
+      const items = [
+        ...missing.infoPlist.map((key) => `${key} in Info.plist`),
+        ...missing.entitlements.map((key) => `the ${key} entitlement`),
+        ...missing.backgroundModes.map((mode) => `the ${mode} background mode`)
+      ]
+      if (items.length === 0) continue
+
+      results.push(
+        new ValidationResult(
+          this.name,
+          missing.infoPlist.length > 0 || missing.entitlements.length > 0
+            ? SEVERITY.HIGH
+            : SEVERITY.MEDIUM,
+          `${entry.package} (${detection.module}) needs ${items.join(', ')}`,
+          `Detected ${detection.sources.join(', ')}; requirements from native module table ${
+            NATIVE_MODULES.version
+          }`,
+          missing.infoPlist.length > 0
+            ? `Add the missing keys as the ${entry.package} installation guide describes; iOS terminates the app when the module asks for a permission without its usage description`
+            : `Enable the missing capabilities in Xcode under Signing & Capabilities, as the ${entry.package} installation guide describes`
+        )
+      )
+    }
+
+    return results
+  }
+
+  /**
+   * Table entries whose module is compiled into the binary, looked up by the JS bundle or
+   * listed in the project's package.json.
+   *
+   * @returns {Promise<Map<object, {module: string, major: number|null, sources: string[]}>>}
+   */
+  async detectModules(validator) {
+    const signals = await validator.getAppSignals()
+    const nativeNames = this.readNativeNames(signals)
+    const jsBundle = validator.getJSBundle()
+    const jsText = signals.jsText && { hermes: jsBundle.format === 'hermes', text: signals.jsText }
+    const dependencies = signals.dependencies
+    const detected = new Map()
+
+    for (const entry of NATIVE_MODULES.modules) {
+      const sources = []
+      let module = entry.modules[0]
+
+      const nativeName = entry.modules.find((name) => nativeNames.has(name))
+      if (nativeName) {
+        module = nativeName
+        sources.push(`${nativeName} in the app binary`)
+      }
+
+      const jsName = jsText && entry.modules.find((name) => referencesModule(jsText, name))
+      if (jsName) {
+        if (!nativeName) module = jsName
+        sources.push(`${jsName} in the JS bundle`)
+      }
+
+      const range = entry.packageJson !== false ? dependencies[entry.package] : undefined
+      if (range !== undefined) {
+        sources.push(`${entry.package}@${range} in package.json`)
+      }
+
+      if (sources.length > 0) {
+        detected.set(entry, { module, major: getMajorVersion(range), sources })
+      }
+    }
+
+    return detected
+  }
+
+  // Objective-C class names and C strings (explicit module names) of the app and its frameworks
+  readNativeNames(signals) {
+    const names = new Set()
+
+    for (const binary of signals.binaries || []) {
+      if (binary.type === 'appex') continue
+
+      for (const name of binary.classNames) {
+        names.add(getSwiftClassName(name) || name)
+      }
+      binary.cstrings.forEach((text) => names.add(text))
+    }
+
+    return names
+  }
+}
+
+// NativeModules.Name, TurboModuleRegistry.get('Name'), requireNativeComponent('Name'); Hermes
+// bundles only keep the string table, one string per line
+function referencesModule({ hermes, text }, name) {
+  const pattern = hermes ? `^${name}$` : `\\.${name}\\b|["'\`]${name}["'\`]`
+  return new RegExp(pattern, 'm').test(text)
+}
+
+// Unqualified name of a mangled Swift class such as _TtC11VisionCamera17CameraViewManager
+function getSwiftClassName(mangled) {
+  if (!mangled.startsWith('_TtC')) return null
+
+  let name = null
+  let offset = 4
+  while (offset < mangled.length) {
+    const length = mangled.slice(offset).match(/^\d+/)
+    if (!length) return null
+
+    offset += length[0].length
+    name = mangled.slice(offset, offset + Number(length[0]))
+    offset += Number(length[0])
+  }
+  return name
+}
+
+// Major version of a package.json range such as ^4.2.0 or ~3.1; null for tags, URLs and workspaces
+function getMajorVersion(range) {
+  const match = typeof range === 'string' && range.match(/^[\^~>=v\s]*(\d+)(\.|$)/)
+  return match ? Number(match[1]) : null
+}
+
+function appliesTo(requirement, major) {
+  // Unknown versions are assumed to be current, which no `before` bound covers
+  if (major === null) return requirement.before === undefined
+  return (
+    major >= (requirement.since || 0) &&
+    (requirement.before === undefined || major < requirement.before)
+  )
+}
+
+module.exports = NativeModulesRule
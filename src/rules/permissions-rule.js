@@ -1,8 +1,29 @@
 const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { getPrimarySlice } = require('../utils/macho-parser')
+
+// Values iOS accepts in UIBackgroundModes
+const BACKGROUND_MODES = [
+  'audio',
+  'location',
+  'voip',
+  'fetch',
+  'remote-notification',
+  'processing',
+  'bluetooth-central',
+  'bluetooth-peripheral',
+  'external-accessory',
+  'nearby-interaction',
+  'push-to-talk',
+  'newsstand-content'
+]
+
+// Modes under which BGTaskScheduler runs the tasks listed in BGTaskSchedulerPermittedIdentifiers
+const TASK_SCHEDULER_MODES = ['fetch', 'processing']
 
 class PermissionsRule extends ValidationRule {
   constructor() {
     super('permissions', 'Validates app permissions and usage descriptions')
+    this.modes = ['build', 'project']
   }
 
   async validate(validator) {
@@ -11,28 +32,149 @@ class PermissionsRule extends ValidationRule {
 
     if (!plist) return results
 
-    // Check background modes
-    if (plist.UIBackgroundModes) {
-      const backgroundModes = plist.UIBackgroundModes
-      const sensitiveBackgroundModes = ['background-processing', 'background-fetch']
-
-      for (const mode of sensitiveBackgroundModes) {
-        if (backgroundModes.includes(mode)) {
-          results.push(
-            new ValidationResult(
-              this.name,
-              SEVERITY.MEDIUM,
-              `App uses sensitive background mode: ${mode}`,
-              'Ensure this is essential for core functionality',
-              'Provide clear justification for background processing in App Review notes'
-            )
-          )
+    if (plist.UIBackgroundModes !== undefined && !Array.isArray(plist.UIBackgroundModes)) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'UIBackgroundModes is not an array',
+          'iOS ignores the value, so the app gets no background execution',
+          'Make UIBackgroundModes an array of mode strings'
+        )
+      )
+      return results
+    }
+
+    const backgroundModes = plist.UIBackgroundModes || []
+    for (const mode of backgroundModes) {
+      const result = BACKGROUND_MODES.includes(mode)
+        ? this.checkBackgroundMode(mode, validator)
+        : this.reportUnknownMode(mode)
+      if (result) results.push(result)
+    }
+
+    const taskIdentifiers = plist.BGTaskSchedulerPermittedIdentifiers
+    const hasTaskMode = TASK_SCHEDULER_MODES.some((mode) => backgroundModes.includes(mode))
+    if (Array.isArray(taskIdentifiers) && taskIdentifiers.length > 0 && !hasTaskMode) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'BGTaskSchedulerPermittedIdentifiers is declared without a background task mode',
+          `${taskIdentifiers.join(
+            ', '
+          )} can never run: submitting them fails with BGTaskSchedulerErrorCodeNotPermitted`,
+          'Add "fetch" to UIBackgroundModes for BGAppRefreshTask and "processing" for BGProcessingTask, or remove the identifiers'
+        )
+      )
+    }
+
+    return results
+  }
+
+  // What each background mode depends on; null when the mode is backed by the configuration
+  checkBackgroundMode(mode, validator) {
+    const plist = validator.getInfoPlist()
+
+    switch (mode) {
+      case 'location':
+        if (plist.NSLocationAlwaysAndWhenInUseUsageDescription) return null
+        return new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Background mode "location" without NSLocationAlwaysAndWhenInUseUsageDescription',
+          'The app cannot ask for Always location access, so location updates stop in the background',
+          'Add NSLocationAlwaysAndWhenInUseUsageDescription explaining the background use, or remove the mode if the app only needs location while in use'
+        )
+
+      case 'remote-notification': {
+        // Unsigned builds have no entitlements to compare; the code-signing rule reports them
+        const entitlements = validator.getProjectInfo()
+          ? validator.getEntitlements() || {}
+          : validator.getEntitlements()
+        if (!entitlements || entitlements['aps-environment']) return null
+        return new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Background mode "remote-notification" without the aps-environment entitlement',
+          'APNs cannot deliver notifications, silent or visible, to an app without the Push Notifications capability',
+          'Enable Push Notifications under Signing & Capabilities and use a provisioning profile that includes it'
+        )
+      }
+
+      case 'voip': {
+        const binaries = getBinaries(validator)
+        if (!binaries || binaries.some((slice) => slice.frameworks.includes('PushKit'))) return null
+        return new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Background mode "voip" without PushKit',
+          'No binary in the app links PushKit; App Review rejects the mode unless the app receives VoIP pushes for calls (Guideline 2.5.4)',
+          'Remove the mode, or report incoming calls through PushKit and CallKit'
+        )
+      }
+
+      case 'processing': {
+        const identifiers = plist.BGTaskSchedulerPermittedIdentifiers
+        if (Array.isArray(identifiers) && identifiers.length > 0) return null
+        return new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Background mode "processing" without BGTaskSchedulerPermittedIdentifiers',
+          'App Store Connect rejects uploads that enable the mode without listing task identifiers',
+          'List the identifiers passed to BGTaskScheduler.register in BGTaskSchedulerPermittedIdentifiers'
+        )
+      }
+
+      case 'audio': {
+        const binaries = getBinaries(validator)
+        if (
+          !binaries ||
+          binaries.some((slice) => slice.importedSymbols.includes('_OBJC_CLASS_$_AVAudioSession'))
+        ) {
+          return null
         }
+        return new ValidationResult(
+          this.name,
+          SEVERITY.MEDIUM,
+          'Background mode "audio" without AVAudioSession',
+          'No binary in the app uses AVAudioSession, which playing or recording audio in the background requires; App Review rejects the mode otherwise (Guideline 2.5.4)',
+          'Remove the mode unless the app plays audible content or records in the background'
+        )
       }
+
+      default:
+        return null
     }
+  }
 
-    return results
+  reportUnknownMode(mode) {
+    const suggestion =
+      typeof mode === 'string' &&
+      BACKGROUND_MODES.find((known) => mode.replace(/^background-/, '') === known)
+
+    return new ValidationResult(
+      this.name,
+      SEVERITY.MEDIUM,
+      `Unknown background mode: ${mode}`,
+      'iOS ignores values it does not know, so the app does not get the background execution you expect',
+      suggestion ? `Use "${suggestion}" instead` : `Use one of ${BACKGROUND_MODES.join(', ')}`
+    )
   }
 }
 
+// Primary slices of the main executable and the embedded frameworks, or null without an executable
+function getBinaries(validator) {
+  const executable = validator.getExecutable()
+  if (!executable) return null
+
+  const executables = [
+    executable,
+    ...(validator.getEmbeddedBundles() || [])
+      .filter((embedded) => embedded.type === 'framework' && embedded.executable)
+      .map((embedded) => embedded.executable)
+  ]
+  return executables.map((item) => getPrimarySlice(item.macho)).filter(Boolean)
+}
+
 module.exports = PermissionsRule
@@ -1,16 +1,24 @@
+const path = require('path')
 const {
   ValidationRule,
   ValidationResult,
   SEVERITY,
   PRIVACY_PERMISSION_KEYS
 } = require('../utils/constants')
-const path = require('path')
-const fs = require('fs')
-const yauzl = require('yauzl')
+const {
+  REQUIRED_REASON_APIS,
+  detectRequiredReasonAPIs,
+  getAccessedAPITypes,
+  validatePrivacyManifest
+} = require('../utils/privacy-manifest')
+const USAGE_DESCRIPTION_APIS = require('../data/usage-description-apis')
+
+const MANIFEST_FILE = 'PrivacyInfo.xcprivacy'
 
 class PrivacyComplianceRule extends ValidationRule {
   constructor() {
     super('privacy-compliance', 'Validates privacy compliance requirements')
+    this.modes = ['build', 'project']
   }
 
   async validate(validator) {
@@ -19,12 +27,27 @@ class PrivacyComplianceRule extends ValidationRule {
 
     if (!plist) return results
 
+    // null when there is no executable to scan, e.g. when validating project sources
+    const { binaries } = await validator.getAppSignals()
+    const apiUsage = binaries && this.detectRequiredReasonAPIUsage(binaries)
+
     // Enhanced privacy manifest detection
-    const manifestResult = await this.checkPrivacyManifest(validator)
+    const manifestResult = await this.checkPrivacyManifest(validator, apiUsage)
     if (manifestResult) {
       results.push(manifestResult)
     }
 
+    const manifests = await this.readPrivacyManifests(validator)
+    results.push(...this.checkManifestSchema(manifests))
+
+    // Cross-check required-reason API usage against NSPrivacyAccessedAPITypes (ITMS-91053)
+    results.push(...this.checkRequiredReasonAPIs(manifests, apiUsage))
+
+    // Purpose strings the linked system APIs require (ITMS-90683)
+    if (binaries) {
+      results.push(...this.checkRequiredUsageDescriptions(binaries))
+    }
+
     // Check permission descriptions
     results.push(...this.checkPermissionDescriptions(plist))
 
@@ -34,24 +57,20 @@ class PrivacyComplianceRule extends ValidationRule {
     return results
   }
 
-  async checkPrivacyManifest(validator) {
-    const buildPath = validator.getBuildPath()
+  async checkPrivacyManifest(validator, apiUsage) {
+    const bundle = validator.getBundle()
 
     try {
-      if (buildPath.endsWith('.ipa')) {
-        const hasMainManifest = await this.checkIPAForPrivacyManifest(buildPath)
-        if (hasMainManifest) {
-          return null // Found main app manifest
-        }
-      } else if (buildPath.endsWith('.app')) {
-        const manifestPath = path.join(buildPath, 'PrivacyInfo.xcprivacy')
-        if (fs.existsSync(manifestPath)) {
-          return null // Found manifest
-        }
+      // Only the main app's manifest counts here, not the ones shipped inside SDK bundles
+      if (bundle && bundle.exists(MANIFEST_FILE)) {
+        return null
       }
 
       // Check if this app actually needs a privacy manifest
-      const needsManifest = this.determineIfPrivacyManifestRequired(validator.getInfoPlist())
+      const mainUsage = apiUsage && apiUsage.find((usage) => usage.directory === '')
+      const needsManifest = apiUsage
+        ? !!mainUsage
+        : this.determineIfPrivacyManifestRequired(validator.getInfoPlist())
 
       if (!needsManifest) {
         return new ValidationResult(
@@ -67,7 +86,11 @@ class PrivacyComplianceRule extends ValidationRule {
         this.name,
         SEVERITY.HIGH,
         'Privacy manifest file (PrivacyInfo.xcprivacy) not found',
-        'Required for apps using privacy-impacting APIs as of May 2024',
+        mainUsage
+          ? `${mainUsage.file} uses required reason APIs (${Array.from(
+              mainUsage.categories.keys()
+            ).join(', ')}), which need a privacy manifest as of May 2024`
+          : 'Required for apps using privacy-impacting APIs as of May 2024',
         'Add PrivacyInfo.xcprivacy to your app bundle root directory'
       )
     } catch (error) {
@@ -81,39 +104,7 @@ class PrivacyComplianceRule extends ValidationRule {
     }
   }
 
-  async checkIPAForPrivacyManifest(ipaPath) {
-    return new Promise((resolve, reject) => {
-      yauzl.open(ipaPath, { lazyEntries: true }, (err, zipfile) => {
-        if (err) {
-          reject(err)
-          return
-        }
-
-        let foundMainManifest = false
-
-        zipfile.readEntry()
-        zipfile.on('entry', (entry) => {
-          // Look for main app privacy manifest (not SDK manifests)
-          if (entry.fileName.match(/Payload\/[^/]+\.app\/PrivacyInfo\.xcprivacy$/)) {
-            foundMainManifest = true
-            zipfile.close()
-            resolve(true)
-            return
-          }
-          zipfile.readEntry()
-        })
-
-        zipfile.on('end', () => {
-          resolve(foundMainManifest)
-        })
-
-        zipfile.on('error', (err) => {
-          reject(err)
-        })
-      })
-    })
-  }
-
+  // Without an executable to scan, guess from the permissions the app asks for
   determineIfPrivacyManifestRequired(plist) {
     if (!plist) return false
 
@@ -131,6 +122,162 @@ class PrivacyComplianceRule extends ValidationRule {
     return privacySensitiveKeys.some((key) => plist[key])
   }
 
+  // Required-reason API categories used by each binary
+  detectRequiredReasonAPIUsage(binaries) {
+    const apiUsage = []
+
+    for (const binary of binaries) {
+      const categories = detectRequiredReasonAPIs({
+        importedSymbols: binary.slice.importedSymbols,
+        selectors: binary.selectors
+      })
+
+      if (categories.size > 0) {
+        apiUsage.push({ directory: binary.directory, file: binary.file, categories })
+      }
+    }
+
+    return apiUsage
+  }
+
+  // Every manifest the App Store will read, checked key by key (ITMS-91056)
+  checkManifestSchema(manifests) {
+    const results = []
+
+    for (const [file, manifest] of manifests) {
+      for (const issue of validatePrivacyManifest(manifest)) {
+        results.push(
+          new ValidationResult(
+            this.name,
+            SEVERITY.HIGH,
+            `ITMS-91056: Invalid privacy manifest ${file}`,
+            `${issue.key}: ${issue.message}`,
+            issue.fix
+          )
+        )
+      }
+    }
+
+    return results
+  }
+
+  checkRequiredReasonAPIs(manifests, apiUsage) {
+    if (!apiUsage) return []
+
+    const missing = new Map()
+    for (const usage of apiUsage) {
+      // SDKs declare their own usage, in their bundle or a resource bundle next to their code;
+      // App Store Connect also accepts declarations the app makes on their behalf
+      const declared = new Set()
+      for (const [file, manifest] of manifests) {
+        if (this.isManifestFor(file, usage.directory) || this.isManifestFor(file, '')) {
+          getAccessedAPITypes(manifest).forEach((reasons, category) => declared.add(category))
+        }
+      }
+
+      for (const [category, apis] of usage.categories) {
+        if (declared.has(category)) continue
+
+        if (!missing.has(category)) missing.set(category, [])
+        missing.get(category).push(`${usage.file} (${apis.join(', ')})`)
+      }
+    }
+
+    return Array.from(missing, ([category, references]) => {
+      const reasons = REQUIRED_REASON_APIS[category].reasons.join(', ')
+      return new ValidationResult(
+        this.name,
+        SEVERITY.HIGH,
+        `ITMS-91053: Missing API declaration for ${category}`,
+        `Used by ${references.join('; ')} but not declared in NSPrivacyAccessedAPITypes`,
+        `Declare ${category} in PrivacyInfo.xcprivacy with an approved reason (${reasons}), or update the SDK to a version that ships its own privacy manifest`
+      )
+    })
+  }
+
+  // The app's manifest plus every manifest shipped by frameworks, extensions and resource bundles
+  async readPrivacyManifests(validator) {
+    const bundle = validator.getBundle()
+    const manifests = new Map()
+
+    if (validator.getPrivacyManifest()) {
+      manifests.set(MANIFEST_FILE, validator.getPrivacyManifest())
+    }
+    if (!bundle) return manifests
+
+    for (const file of bundle.list(`**/${MANIFEST_FILE}`)) {
+      if (file === MANIFEST_FILE) continue
+
+      try {
+        manifests.set(file, await bundle.readPlist(file))
+      } catch (error) {
+        console.warn(`Warning: Could not parse privacy manifest ${file}: ${error.message}`)
+      }
+    }
+
+    return manifests
+  }
+
+  // Whether a manifest sits in a bundle directory or in one of its top-level resource bundles
+  isManifestFor(file, directory) {
+    const manifestDirectory = path.posix.dirname(file)
+    const owner = manifestDirectory.endsWith('.bundle')
+      ? path.posix.dirname(manifestDirectory)
+      : manifestDirectory
+
+    return (owner === '.' ? '' : owner) === directory
+  }
+
+  // App Store Connect rejects uploads whose binaries reference these APIs without their purpose
+  // strings
+  checkRequiredUsageDescriptions(binaries) {
+    const results = []
+    const missing = new Map()
+
+    for (const binary of binaries) {
+      const symbols = new Set(binary.slice.importedSymbols)
+
+      for (const api of USAGE_DESCRIPTION_APIS) {
+        if (!binary.slice.frameworks.includes(api.framework)) continue
+
+        const used = api.symbols.filter((symbol) => symbols.has(symbol))
+        if (used.length === 0) continue
+        if (
+          api.selectors &&
+          !api.selectors.some((selector) => binary.selectors.includes(selector))
+        ) {
+          continue
+        }
+
+        for (const key of api.keys.filter((name) => !binary.infoPlist[name])) {
+          const id = `${binary.plistOwner}:${key}`
+          if (!missing.has(id)) {
+            missing.set(id, { key, plistOwner: binary.plistOwner, triggers: [] })
+          }
+
+          const names = used.map((symbol) => symbol.replace(/^_(OBJC_CLASS_\$_)?/, '')).join(', ')
+          missing.get(id).triggers.push(`${api.framework} (${names}) in ${binary.file}`)
+        }
+      }
+    }
+
+    for (const { key, plistOwner, triggers } of missing.values()) {
+      const infoPlist = plistOwner ? `${plistOwner}/Info.plist` : 'Info.plist'
+
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          `Missing ${key}${plistOwner ? ` in ${infoPlist}` : ''} (ITMS-90683)`,
+          `Required by ${triggers.join('; ')}`,
+          `Add ${key} to ${infoPlist} explaining why the app uses it. The key is required even when only an SDK feature you never call references the API`
+        )
+      )
+    }
+
+    return results
+  }
+
   checkPermissionDescriptions(plist) {
     const results = []
 
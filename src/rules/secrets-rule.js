@@ -0,0 +1,133 @@
+const path = require('path')
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const { readJSBundleText } = require('../utils/js-bundle')
+const { scanForSecrets } = require('../utils/secret-scanner')
+
+// Bundled files that hold configuration rather than code or media
+const CONFIG_FILES =
+  '**/{*.json,*.env,.env*,*.txt,*.xml,*.yml,*.yaml,*.properties,*.conf,*.cfg,*.ini,*.pem,*.p8,*.key}'
+// Binary keystores can only be recognized by name
+const KEYSTORE_FILES = '**/*.{p12,pfx}'
+// Larger resources are data sets, not configuration
+const MAX_CONFIG_FILE_SIZE = 1024 * 1024
+// Excerpts listed per finding
+const MAX_LISTED_EXCERPTS = 3
+
+class SecretsRule extends ValidationRule {
+  constructor() {
+    super('secrets', 'Scans the JS bundle, plists and config resources for shipped secrets')
+  }
+
+  async validate(validator) {
+    const results = []
+    const bundle = validator.getBundle()
+
+    if (!bundle) return results
+
+    const options = validator.getRuleConfig(this.name)
+    const allow = Array.isArray(options.allow) ? options.allow : []
+
+    for (const { file, text } of await this.readSources(validator)) {
+      const findings = new Map()
+      for (const finding of scanForSecrets(text, { allow })) {
+        if (!findings.has(finding.id)) findings.set(finding.id, [])
+        findings.get(finding.id).push(finding)
+      }
+
+      for (const [first, ...rest] of findings.values()) {
+        const excerpts = [first, ...rest]
+          .slice(0, MAX_LISTED_EXCERPTS)
+          .map((finding) => finding.excerpt)
+        const more =
+          rest.length >= MAX_LISTED_EXCERPTS
+            ? ` and ${rest.length + 1 - MAX_LISTED_EXCERPTS} more`
+            : ''
+
+        results.push(
+          new ValidationResult(
+            this.name,
+            first.severity,
+            `Possible ${first.name} in ${file}`,
+            `Found ${excerpts.join(', ')}${more}`,
+            `${first.fix}. If the value is public by design, add it to the rule's allow option`
+          )
+        )
+      }
+    }
+
+    for (const file of bundle.list(KEYSTORE_FILES)) {
+      if (allow.includes(file)) continue
+
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.CRITICAL,
+          `Keystore ${file} is bundled with the app`,
+          'PKCS#12 files usually hold a certificate together with its private key',
+          'Remove the file from Copy Bundle Resources and revoke the certificate it contains'
+        )
+      )
+    }
+
+    return results
+  }
+
+  /**
+   * Text of the JS bundle, every plist and the configuration resources in the app.
+   *
+   * @returns {Promise<{file: string, text: string}[]>}
+   */
+  async readSources(validator) {
+    const bundle = validator.getBundle()
+    const sources = []
+
+    const jsBundle = validator.getJSBundle()
+    if (jsBundle) {
+      sources.push({
+        file: jsBundle.path,
+        text: readJSBundleText(await bundle.readFile(jsBundle.path))
+      })
+    }
+
+    // Code signature hashes are plists full of random-looking data
+    for (const file of bundle
+      .list('**/*.plist')
+      .filter((file) => !file.includes('_CodeSignature/'))) {
+      try {
+        sources.push({ file, text: plistToText(await bundle.readPlist(file)) })
+      } catch (error) {
+        // Unreadable plists are reported by the rules that need them
+      }
+    }
+
+    for (const file of bundle.list(CONFIG_FILES)) {
+      const contents = await bundle.readFile(file)
+      if (contents.length > MAX_CONFIG_FILE_SIZE) continue
+
+      sources.push({ file, text: contents.toString('utf8') })
+    }
+
+    return sources
+  }
+}
+
+// key = "value" lines, so assignment patterns see plist keys the way they see code
+function plistToText(value, key = '', lines = []) {
+  if (typeof value === 'string') {
+    lines.push(`${path.posix.basename(key)} = "${value}"`)
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => plistToText(item, key, lines))
+  } else if (
+    value &&
+    typeof value === 'object' &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value)
+  ) {
+    for (const [name, item] of Object.entries(value)) {
+      plistToText(item, name, lines)
+    }
+  }
+  return lines.join('\n')
+}
+
+module.exports = SecretsRule
@@ -0,0 +1,60 @@
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const {
+  APPLE_SIGN_IN_ENTITLEMENT,
+  detectAuthProviders,
+  detectAppleSignIn
+} = require('../utils/auth-detection')
+
+class SignInWithAppleRule extends ValidationRule {
+  constructor() {
+    super(
+      'sign-in-with-apple',
+      'Requires Sign in with Apple when the app offers third-party login (Guideline 4.8)'
+    )
+    this.modes = ['build', 'project']
+  }
+
+  async validate(validator) {
+    const results = []
+
+    if (!validator.getInfoPlist()) return results
+
+    const signals = await validator.getAppSignals()
+    const providers = detectAuthProviders(signals)
+
+    if (providers.length === 0) return results
+
+    const found = providers
+      .map((provider) => `${provider.name} (${provider.evidence.join(', ')})`)
+      .join('; ')
+    const appleSignIn = detectAppleSignIn(signals)
+
+    if (appleSignIn.entitlement === false) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Third-party login without Sign in with Apple (Guideline 4.8)',
+          `Found ${found}, but the app is missing the ${APPLE_SIGN_IN_ENTITLEMENT} entitlement`,
+          'Add the Sign in with Apple capability and offer it next to the other login buttons. Guideline 4.8 also accepts another login service that limits data collection to name and email and does not track users; if you rely on that, explain it in the App Review notes'
+        )
+      )
+    }
+
+    if (appleSignIn.framework === false) {
+      results.push(
+        new ValidationResult(
+          this.name,
+          SEVERITY.HIGH,
+          'Sign in with Apple is not implemented (AuthenticationServices is not linked)',
+          `Found ${found}, but no binary in the app links AuthenticationServices, which shows the Sign in with Apple button`,
+          'Implement Sign in with Apple, e.g. with @invertase/react-native-apple-authentication or expo-apple-authentication'
+        )
+      )
+    }
+
+    return results
+  }
+}
+
+module.exports = SignInWithAppleRule
@@ -0,0 +1,123 @@
+const path = require('path')
+const { ValidationRule, ValidationResult, SEVERITY } = require('../utils/constants')
+const PRIVACY_IMPACTING_SDKS = require('../data/privacy-impacting-sdks')
+
+const MANIFEST_FILE = 'PrivacyInfo.xcprivacy'
+// CocoaPods names resource bundles <Pod>_Privacy or <Pod>_resources, SwiftPM <Package>_<Target>
+const BUNDLE_SUFFIX = /(_Privacy|_privacy|_resources|Resources)$/
+
+class ThirdPartySDKRule extends ValidationRule {
+  constructor() {
+    super(
+      'third-party-sdks',
+      'Validates privacy manifests and signatures of commonly used third-party SDKs'
+    )
+  }
+
+  async validate(validator) {
+    const results = []
+    const bundle = validator.getBundle()
+
+    if (!bundle) return results
+
+    const sdks = this.findSDKs(bundle, validator.getEmbeddedBundles() || [])
+    const appSigned = isSigned(validator.getExecutable())
+
+    for (const [name, sdk] of sdks) {
+      const hasManifest = sdk.locations.some(
+        (location) =>
+          bundle.exists(`${location}/${MANIFEST_FILE}`) ||
+          bundle.list(`${location}/*.bundle/${MANIFEST_FILE}`).length > 0
+      )
+      // Unsigned builds are reported by the code-signing rule; only a framework left unsigned
+      // inside an otherwise signed app points at the SDK itself
+      const unsigned = appSigned
+        ? sdk.frameworks.filter(
+          (framework) => framework.executable && !isSigned(framework.executable)
+        )
+        : []
+
+      const missing = []
+      if (!hasManifest) missing.push('a privacy manifest')
+      if (unsigned.length > 0) missing.push('a code signature')
+      if (missing.length === 0) continue
+
+      const details = [`Found at ${sdk.locations.join(', ')}`]
+      if (!hasManifest) {
+        details.push(`no ${MANIFEST_FILE} in the SDK or its resource bundles (ITMS-91061)`)
+      }
+      if (unsigned.length > 0) {
+        details.push(
+          `${unsigned
+            .map((framework) => `${framework.path}/${framework.executable.name}`)
+            .join(', ')} is not signed with a certificate`
+        )
+      }
+
+      results.push(
+        new ValidationResult(
+          this.name,
+          hasManifest ? SEVERITY.HIGH : SEVERITY.CRITICAL,
+          `Third-party SDK ${name} is missing ${missing.join(' and ')}`,
+          details.join('; '),
+          hasManifest
+            ? `Use the signed ${name} XCFramework published by its vendor and let Xcode re-sign it when embedding`
+            : `Update ${name} to a version that ships ${MANIFEST_FILE}, as Apple requires for SDKs on its list of commonly used SDKs`
+        )
+      )
+    }
+
+    return results
+  }
+
+  /**
+   * Matches embedded frameworks and resource bundles against the list of privacy-impacting SDKs.
+   *
+   * @returns {Map<string, {locations: string[], frameworks: object[]}>}
+   */
+  findSDKs(bundle, embeddedBundles) {
+    const sdks = new Map()
+    const add = (name, location, framework) => {
+      if (!sdks.has(name)) sdks.set(name, { locations: [], frameworks: [] })
+
+      const sdk = sdks.get(name)
+      if (!sdk.locations.includes(location)) sdk.locations.push(location)
+      if (framework) sdk.frameworks.push(framework)
+    }
+
+    for (const embedded of embeddedBundles) {
+      if (embedded.type !== 'framework') continue
+
+      const name = path.posix.basename(embedded.path, '.framework')
+      if (PRIVACY_IMPACTING_SDKS.includes(name)) add(name, embedded.path, embedded)
+    }
+
+    // Statically linked SDKs only leave their resource bundles behind
+    const resourceBundles = new Set(
+      bundle
+        .list('**/*.bundle/**')
+        .map((file) => file.slice(0, file.indexOf('.bundle/') + '.bundle'.length))
+    )
+    for (const resourceBundle of resourceBundles) {
+      const name = getResourceBundleSDK(path.posix.basename(resourceBundle, '.bundle'))
+      if (name) add(name, resourceBundle)
+    }
+
+    return sdks
+  }
+}
+
+function getResourceBundleSDK(stem) {
+  const name = stem.replace(BUNDLE_SUFFIX, '')
+  if (PRIVACY_IMPACTING_SDKS.includes(name)) return name
+
+  const target = name.slice(name.lastIndexOf('_') + 1)
+  return PRIVACY_IMPACTING_SDKS.includes(target) ? target : null
+}
+
+function isSigned(executable) {
+  const signature = executable && executable.codeSignature
+  return !!signature && !signature.adhoc && !!signature.cms
+}
+
+module.exports = ThirdPartySDKRule
@@ -0,0 +1,159 @@
+/**
+ * What an app links, contains and declares, for rules that recognize APIs and SDKs by their traces
+ */
+
+const { getPrimarySlice, readSectionStrings } = require('./macho-parser')
+const { readJSBundleText } = require('./js-bundle')
+
+/**
+ * Collects signals from whichever of the build, the JS bundle and the project sources are
+ * available. Reads every executable and the JS bundle once; use validator.getAppSignals(),
+ * which keeps the result for the rest of the validation.
+ */
+async function readAppSignals(validator) {
+  const bundle = validator.getBundle()
+  const plist = validator.getInfoPlist() || {}
+  const executable = validator.getExecutable()
+  const project = validator.getProjectInfo()
+  const signals = {
+    hasBinary: !!(bundle && executable),
+    // Every executable with the strings rules look for; null when there is no executable to scan
+    binaries: null,
+    frameworks: new Set(),
+    classNames: new Set(),
+    importedSymbols: new Set(),
+    urlSchemes: getURLSchemes(plist),
+    jsText: null,
+    dependencies: (project && project.packageJson && project.packageJson.dependencies) || {},
+    // Unsigned builds have no entitlements to compare; project sources without a file have none
+    entitlements: project ? validator.getEntitlements() || {} : validator.getEntitlements()
+  }
+
+  if (signals.hasBinary) {
+    signals.binaries = await readBinaries(validator)
+
+    for (const embedded of validator.getEmbeddedBundles() || []) {
+      if (embedded.type === 'framework') {
+        signals.frameworks.add(embedded.path.replace(/^.*\/|\.framework$/g, ''))
+      }
+    }
+
+    // The app and the frameworks it loads; extensions run as processes of their own
+    for (const binary of signals.binaries.filter((item) => item.type !== 'appex')) {
+      binary.slice.frameworks.forEach((name) => signals.frameworks.add(name))
+      binary.slice.importedSymbols.forEach((symbol) => signals.importedSymbols.add(symbol))
+      binary.classNames.forEach((name) => signals.classNames.add(name))
+    }
+  }
+
+  const jsBundle = validator.getJSBundle()
+  if (bundle && jsBundle) {
+    signals.jsText = readJSBundleText(await bundle.readFile(jsBundle.path))
+  }
+
+  return signals
+}
+
+/**
+ * The main executable and every embedded bundle's executable, with the Info.plist that
+ * governs it and the strings of its Objective-C class name, C string and selector sections.
+ */
+async function readBinaries(validator) {
+  const bundle = validator.getBundle()
+  const executable = validator.getExecutable()
+  const plist = validator.getInfoPlist() || {}
+
+  const candidates = [
+    {
+      type: 'app',
+      directory: '',
+      file: plist.CFBundleExecutable || executable.name,
+      executable,
+      infoPlist: plist,
+      plistOwner: ''
+    }
+  ]
+  for (const embedded of validator.getEmbeddedBundles() || []) {
+    if (embedded.executable) {
+      candidates.push({
+        type: embedded.type,
+        directory: embedded.path,
+        file: `${embedded.path}/${embedded.executable.name}`,
+        executable: embedded.executable,
+        // Frameworks run inside the app and use its Info.plist, extensions have their own
+        infoPlist: embedded.type === 'appex' ? embedded.infoPlist || {} : plist,
+        plistOwner: embedded.type === 'appex' ? embedded.path : ''
+      })
+    }
+  }
+
+  const binaries = []
+  for (const candidate of candidates) {
+    const slice = getPrimarySlice(candidate.executable.macho)
+    if (!slice) continue
+
+    const content = await bundle.readFile(candidate.file)
+    binaries.push({
+      type: candidate.type,
+      directory: candidate.directory,
+      file: candidate.file,
+      infoPlist: candidate.infoPlist,
+      plistOwner: candidate.plistOwner,
+      slice,
+      classNames: readSectionStrings(content, slice, '__TEXT', '__objc_classname'),
+      cstrings: readSectionStrings(content, slice, '__TEXT', '__cstring'),
+      selectors: readSectionStrings(content, slice, '__TEXT', '__objc_methname')
+    })
+  }
+
+  return binaries
+}
+
+/**
+ * Evidence of an SDK in the signals.
+ *
+ * @param {object} sdk
+ * @param {string[]} [sdk.frameworks] - embedded or linked framework names
+ * @param {string[]} [sdk.classes] - Objective-C classes compiled into the app or its frameworks
+ * @param {string[]} [sdk.symbols] - imported symbols
+ * @param {RegExp[]} [sdk.urlSchemes] - CFBundleURLSchemes
+ * @param {RegExp[]} [sdk.js] - patterns matched against the JS bundle
+ * @param {string[]} [sdk.packages] - npm packages in the project's package.json dependencies
+ * @returns {string[]} one description per trace, empty when the SDK was not found
+ */
+function matchSignals(sdk, signals) {
+  return [
+    ...(sdk.frameworks || [])
+      .filter((name) => signals.frameworks.has(name))
+      .map((name) => `${name}.framework`),
+    ...(sdk.classes || [])
+      .filter((name) => signals.classNames.has(name))
+      .map((name) => `class ${name}`),
+    ...(sdk.symbols || [])
+      .filter((symbol) => signals.importedSymbols.has(symbol))
+      .map((symbol) => `class ${symbol.replace(/^_OBJC_CLASS_\$_/, '')}`),
+    ...signals.urlSchemes
+      .filter((scheme) => (sdk.urlSchemes || []).some((pattern) => pattern.test(scheme)))
+      .map((scheme) => `URL scheme ${scheme}`),
+    ...(signals.jsText ? (sdk.js || []).map((pattern) => signals.jsText.match(pattern)) : [])
+      .filter(Boolean)
+      .map((match) => `${match[0]} in the JS bundle`),
+    ...(sdk.packages || [])
+      .filter((name) => signals.dependencies[name] !== undefined)
+      .map((name) => `${name} in package.json`)
+  ]
+}
+
+function getURLSchemes(plist) {
+  const urlTypes = Array.isArray(plist.CFBundleURLTypes) ? plist.CFBundleURLTypes : []
+  return urlTypes.flatMap((urlType) =>
+    urlType && Array.isArray(urlType.CFBundleURLSchemes)
+      ? urlType.CFBundleURLSchemes.filter((scheme) => typeof scheme === 'string')
+      : []
+  )
+}
+
+module.exports = {
+  readAppSignals,
+  matchSignals
+}
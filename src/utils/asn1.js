@@ -0,0 +1,219 @@
+/**
+ * Minimal ASN.1 BER/DER reader for CMS signatures and X.509 certificates
+ */
+
+const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  SEQUENCE: 0x10,
+  SET: 0x11,
+  PRINTABLE_STRING: 0x13,
+  T61_STRING: 0x14,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  BMP_STRING: 0x1e
+}
+
+const TAG_CLASSES = ['universal', 'application', 'context', 'private']
+
+const MAX_DEPTH = 64
+
+/**
+ * Parses one BER element (and its children) starting at offset.
+ * Indefinite lengths and constructed strings are supported since Apple's
+ * provisioning profiles are BER rather than strict DER.
+ */
+function parseASN1(buffer, offset = 0, end = buffer.length, depth = 0) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('ASN.1 structure nested too deeply')
+  }
+
+  if (offset + 2 > end) {
+    throw new Error(`ASN.1 element truncated at offset ${offset}`)
+  }
+
+  const identifier = buffer[offset]
+  let cursor = offset + 1
+  let tagNumber = identifier & 0x1f
+
+  if (tagNumber === 0x1f) {
+    tagNumber = 0
+    let byte
+    do {
+      byte = buffer[cursor++]
+      tagNumber = tagNumber * 128 + (byte & 0x7f)
+    } while (byte & 0x80 && cursor < end)
+  }
+
+  const node = {
+    tagClass: TAG_CLASSES[identifier >> 6],
+    constructed: (identifier & 0x20) !== 0,
+    tagNumber,
+    start: offset,
+    headerLength: 0,
+    valueStart: 0,
+    valueEnd: 0,
+    end: 0,
+    children: null
+  }
+
+  const lengthByte = buffer[cursor++]
+  let length = null
+
+  if (lengthByte & 0x80) {
+    const lengthSize = lengthByte & 0x7f
+    if (lengthSize > 0) {
+      if (lengthSize > 4) {
+        throw new Error(`Unsupported ASN.1 length size ${lengthSize}`)
+      }
+      length = buffer.readUIntBE(cursor, lengthSize)
+      cursor += lengthSize
+    }
+  } else {
+    length = lengthByte
+  }
+
+  node.headerLength = cursor - offset
+  node.valueStart = cursor
+
+  if (length === null) {
+    // Indefinite length: children run until an end-of-contents marker (00 00)
+    if (!node.constructed) {
+      throw new Error('Indefinite length on primitive ASN.1 element')
+    }
+
+    node.children = []
+    while (cursor + 2 <= end && !(buffer[cursor] === 0 && buffer[cursor + 1] === 0)) {
+      const child = parseASN1(buffer, cursor, end, depth + 1)
+      node.children.push(child)
+      cursor = child.end
+    }
+    node.valueEnd = cursor
+    node.end = cursor + 2
+    return node
+  }
+
+  node.valueEnd = cursor + length
+  node.end = node.valueEnd
+
+  if (node.valueEnd > end) {
+    throw new Error(`ASN.1 element at offset ${offset} extends past end of data`)
+  }
+
+  if (node.constructed) {
+    node.children = []
+    let childCursor = node.valueStart
+    while (childCursor < node.valueEnd) {
+      const child = parseASN1(buffer, childCursor, node.valueEnd, depth + 1)
+      node.children.push(child)
+      childCursor = child.end
+    }
+  }
+
+  return node
+}
+
+function isUniversal(node, tag) {
+  return node && node.tagClass === 'universal' && node.tagNumber === tag
+}
+
+function isContext(node, tagNumber) {
+  return node && node.tagClass === 'context' && node.tagNumber === tagNumber
+}
+
+// Returns the bytes of an OCTET STRING, joining the chunks of a constructed (BER) one
+function readOctetString(buffer, node) {
+  if (!node.constructed) {
+    return buffer.slice(node.valueStart, node.valueEnd)
+  }
+  return Buffer.concat(node.children.map((child) => readOctetString(buffer, child)))
+}
+
+function readOID(buffer, node) {
+  const bytes = buffer.slice(node.valueStart, node.valueEnd)
+  if (bytes.length === 0) return ''
+
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40]
+  let value = 0
+  for (let i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f)
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value)
+      value = 0
+    }
+  }
+  return parts.join('.')
+}
+
+function readString(buffer, node) {
+  const bytes = node.constructed
+    ? readOctetString(buffer, node)
+    : buffer.slice(node.valueStart, node.valueEnd)
+
+  if (node.tagNumber === TAGS.BMP_STRING) {
+    const swapped = Buffer.alloc(bytes.length)
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+      swapped[i] = bytes[i + 1]
+      swapped[i + 1] = bytes[i]
+    }
+    return swapped.toString('utf16le')
+  }
+
+  return bytes.toString(node.tagNumber === TAGS.UTF8_STRING ? 'utf8' : 'latin1')
+}
+
+function readInteger(buffer, node) {
+  const bytes = buffer.slice(node.valueStart, node.valueEnd)
+  if (bytes.length === 0) return 0
+  if (bytes.length <= 6) return bytes.readIntBE(0, bytes.length)
+  return Number(BigInt.asIntN(bytes.length * 8, BigInt(`0x${bytes.toString('hex')}`)))
+}
+
+function readBoolean(buffer, node) {
+  return buffer[node.valueStart] !== 0
+}
+
+function readTime(buffer, node) {
+  const text = buffer.toString('latin1', node.valueStart, node.valueEnd)
+  const match =
+    node.tagNumber === TAGS.UTC_TIME
+      ? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/)
+      : text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/)
+
+  if (!match) return null
+
+  let year = Number(match[1])
+  if (node.tagNumber === TAGS.UTC_TIME) {
+    year += year < 50 ? 2000 : 1900
+  }
+
+  return new Date(
+    Date.UTC(
+      year,
+      Number(match[2]) - 1,
+      Number(match[3]),
+      Number(match[4]),
+      Number(match[5]),
+      Number(match[6] || 0)
+    )
+  )
+}
+
+module.exports = {
+  TAGS,
+  parseASN1,
+  isUniversal,
+  isContext,
+  readOctetString,
+  readOID,
+  readString,
+  readInteger,
+  readBoolean,
+  readTime
+}
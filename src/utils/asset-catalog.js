@@ -0,0 +1,254 @@
+/**
+ * Compiled asset catalog (Assets.car) reader
+ *
+ * Assets.car is a BOM store (big-endian block table and B+ trees) whose named trees hold
+ * CoreUI structures in little-endian: CARHEADER, KEYFORMAT, FACETKEYS and RENDITIONS.
+ */
+
+const BOM_MAGIC = 'BOMStore'
+const CAR_HEADER_TAG = 'RATC'
+const KEY_FORMAT_TAG = 'tmfk'
+const CSI_HEADER_TAG = 'ISTC'
+const CSI_HEADER_SIZE = 184
+const MAX_TREE_NODES = 100000
+
+// Rendition key attribute identifiers (CoreUI kCRTheme*Name)
+const RENDITION_ATTRIBUTES = {
+  0: 'look',
+  1: 'element',
+  2: 'part',
+  3: 'size',
+  4: 'direction',
+  5: 'placeholder',
+  6: 'value',
+  7: 'appearance',
+  8: 'dimension1',
+  9: 'dimension2',
+  10: 'state',
+  11: 'layer',
+  12: 'scale',
+  13: 'localization',
+  14: 'presentationState',
+  15: 'idiom',
+  16: 'subtype',
+  17: 'identifier',
+  18: 'previousValue',
+  19: 'previousState',
+  20: 'sizeClassHorizontal',
+  21: 'sizeClassVertical',
+  22: 'memoryClass',
+  23: 'graphicsClass',
+  24: 'displayGamut',
+  25: 'deploymentTarget'
+}
+
+const IDIOMS = {
+  0: 'universal',
+  1: 'phone',
+  2: 'pad',
+  3: 'tv',
+  4: 'car',
+  5: 'watch',
+  6: 'marketing'
+}
+
+// CSI renditionFlags bit field
+const RENDITION_FLAGS = {
+  VECTOR_BASED: 1 << 2,
+  OPAQUE: 1 << 3
+}
+
+/**
+ * Parses an Assets.car into its renditions.
+ *
+ * @param {Buffer} buffer - contents of Assets.car
+ * @returns {{coreUIVersion: number, storageVersion: number, renditionCount: number,
+ *   keyFormat: string[], facets: object[], renditions: object[]}}
+ */
+function parseAssetCatalog(buffer) {
+  const bom = parseBOM(buffer)
+
+  const header = bom.readNamedBlock('CARHEADER')
+  if (!header || header.toString('latin1', 0, 4) !== CAR_HEADER_TAG) {
+    throw new Error('Assets.car has no CARHEADER block')
+  }
+
+  const keyFormat = readKeyFormat(bom.readNamedBlock('KEYFORMAT'))
+
+  const facets = bom.readTree('FACETKEYS').map(({ key, value }) => ({
+    name: key.toString('utf8'),
+    attributes: readFacetAttributes(value)
+  }))
+  const facetNames = new Map()
+  for (const facet of facets) {
+    if (facet.attributes.identifier !== undefined) {
+      facetNames.set(facet.attributes.identifier, facet.name)
+    }
+  }
+
+  const renditions = []
+  for (const { key, value } of bom.readTree('RENDITIONS')) {
+    const attributes = {}
+    for (let i = 0; i < keyFormat.length && i * 2 + 2 <= key.length; i++) {
+      attributes[keyFormat[i]] = key.readUInt16LE(i * 2)
+    }
+
+    const csi = readCSIHeader(value)
+    if (!csi) continue
+
+    const scale = csi.scale || attributes.scale || 1
+    renditions.push({
+      name: facetNames.get(attributes.identifier) || csi.name,
+      fileName: csi.name,
+      idiom: IDIOMS[attributes.idiom] || 'universal',
+      scale,
+      width: csi.width,
+      height: csi.height,
+      pointWidth: csi.width / scale,
+      pointHeight: csi.height / scale,
+      pixelFormat: csi.pixelFormat,
+      layout: csi.layout,
+      isOpaque: csi.isOpaque,
+      isVector: csi.isVector,
+      attributes
+    })
+  }
+
+  return {
+    coreUIVersion: header.readUInt32LE(4),
+    storageVersion: header.readUInt32LE(8),
+    renditionCount: header.readUInt32LE(16),
+    keyFormat,
+    facets,
+    renditions
+  }
+}
+
+function parseBOM(buffer) {
+  if (!buffer || buffer.length < 32 || buffer.toString('latin1', 0, 8) !== BOM_MAGIC) {
+    throw new Error('Not a compiled asset catalog (missing BOMStore header)')
+  }
+
+  const indexOffset = buffer.readUInt32BE(16)
+  const varsOffset = buffer.readUInt32BE(24)
+
+  const readBlock = (id) => {
+    const count = buffer.readUInt32BE(indexOffset)
+    if (!id || id >= count) return null
+
+    const entry = indexOffset + 4 + id * 8
+    const address = buffer.readUInt32BE(entry)
+    const length = buffer.readUInt32BE(entry + 4)
+    if (address + length > buffer.length) {
+      throw new Error(`BOM block ${id} extends past end of file`)
+    }
+    return buffer.subarray(address, address + length)
+  }
+
+  const vars = new Map()
+  const varCount = buffer.readUInt32BE(varsOffset)
+  let cursor = varsOffset + 4
+  for (let i = 0; i < varCount; i++) {
+    const id = buffer.readUInt32BE(cursor)
+    const length = buffer.readUInt8(cursor + 4)
+    vars.set(buffer.toString('latin1', cursor + 5, cursor + 5 + length), id)
+    cursor += 5 + length
+  }
+
+  const readNamedBlock = (name) => (vars.has(name) ? readBlock(vars.get(name)) : null)
+
+  // Walks a BOM B+ tree from its leftmost leaf along the forward links
+  const readTree = (name) => {
+    const tree = readNamedBlock(name)
+    if (!tree || tree.toString('latin1', 0, 4) !== 'tree') return []
+
+    const entries = []
+    const visited = new Set()
+    let pathsId = tree.readUInt32BE(8)
+
+    let paths = readBlock(pathsId)
+    while (paths && paths.readUInt16BE(0) === 0 && !visited.has(pathsId)) {
+      visited.add(pathsId)
+      pathsId = paths.readUInt32BE(12)
+      paths = readBlock(pathsId)
+    }
+
+    while (paths && !visited.has(pathsId) && visited.size < MAX_TREE_NODES) {
+      visited.add(pathsId)
+      const count = paths.readUInt16BE(2)
+      for (let i = 0; i < count; i++) {
+        const value = readBlock(paths.readUInt32BE(12 + i * 8))
+        const key = readBlock(paths.readUInt32BE(16 + i * 8))
+        if (key && value) entries.push({ key, value })
+      }
+      pathsId = paths.readUInt32BE(4)
+      paths = readBlock(pathsId)
+    }
+
+    return entries
+  }
+
+  return { readBlock, readNamedBlock, readTree }
+}
+
+function readKeyFormat(block) {
+  if (!block || block.toString('latin1', 0, 4) !== KEY_FORMAT_TAG) {
+    throw new Error('Assets.car has no KEYFORMAT block')
+  }
+
+  const count = block.readUInt32LE(8)
+  const names = []
+  for (let i = 0; i < count && 12 + i * 4 + 4 <= block.length; i++) {
+    const id = block.readUInt32LE(12 + i * 4)
+    names.push(RENDITION_ATTRIBUTES[id] || `attribute${id}`)
+  }
+  return names
+}
+
+function readFacetAttributes(value) {
+  const attributes = {}
+  if (value.length < 6) return attributes
+
+  const count = value.readUInt16LE(4)
+  for (let i = 0; i < count && 6 + i * 4 + 4 <= value.length; i++) {
+    const id = value.readUInt16LE(6 + i * 4)
+    attributes[RENDITION_ATTRIBUTES[id] || `attribute${id}`] = value.readUInt16LE(8 + i * 4)
+  }
+  return attributes
+}
+
+function readCSIHeader(value) {
+  if (value.length < CSI_HEADER_SIZE || value.toString('latin1', 0, 4) !== CSI_HEADER_TAG) {
+    return null
+  }
+
+  const flags = value.readUInt32LE(8)
+  const nameEnd = value.indexOf(0, 40)
+
+  return {
+    width: value.readUInt32LE(12),
+    height: value.readUInt32LE(16),
+    scale: value.readUInt32LE(20) / 100,
+    // Four-character codes are stored byte-swapped, e.g. 'BGRA' for ARGB
+    pixelFormat: Buffer.from(value.subarray(24, 28))
+      .reverse()
+      .toString('latin1')
+      .replace(/\0/g, ''),
+    layout: value.readUInt16LE(36),
+    name: value.toString('utf8', 40, nameEnd === -1 || nameEnd > 168 ? 168 : nameEnd),
+    isOpaque: (flags & RENDITION_FLAGS.OPAQUE) !== 0,
+    isVector: (flags & RENDITION_FLAGS.VECTOR_BASED) !== 0
+  }
+}
+
+// Renditions of the image set, icon set or color with the given name
+function findRenditions(catalog, name) {
+  return catalog.renditions.filter((rendition) => rendition.name === name)
+}
+
+module.exports = {
+  RENDITION_ATTRIBUTES,
+  IDIOMS,
+  parseAssetCatalog,
+  findRenditions
+}
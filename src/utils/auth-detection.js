@@ -0,0 +1,40 @@
+/**
+ * Login SDK detection shared by the Sign in with Apple and account deletion rules
+ */
+
+const { matchSignals } = require('./app-signals')
+const AUTH_PROVIDERS = require('../data/auth-providers')
+
+const APPLE_SIGN_IN_ENTITLEMENT = 'com.apple.developer.applesignin'
+
+/**
+ * Third-party login SDKs found in the app signals, with what gave each away.
+ *
+ * @returns {{name: string, evidence: string[]}[]}
+ */
+function detectAuthProviders(signals) {
+  return AUTH_PROVIDERS.map((provider) => ({
+    name: provider.name,
+    evidence: matchSignals(provider, signals)
+  })).filter((provider) => provider.evidence.length > 0)
+}
+
+/**
+ * Which parts of Sign in with Apple are in place; null where the signals cannot tell.
+ *
+ * @returns {{entitlement: boolean|null, framework: boolean|null}}
+ */
+function detectAppleSignIn(signals) {
+  return {
+    entitlement: signals.entitlements
+      ? signals.entitlements[APPLE_SIGN_IN_ENTITLEMENT] !== undefined
+      : null,
+    framework: signals.hasBinary ? signals.frameworks.has('AuthenticationServices') : null
+  }
+}
+
+module.exports = {
+  APPLE_SIGN_IN_ENTITLEMENT,
+  detectAuthProviders,
+  detectAppleSignIn
+}
@@ -0,0 +1,263 @@
+/**
+ * Read-only view over the files of an app bundle, whether zipped in an .ipa or on disk
+ */
+
+const fs = require('fs')
+const path = require('path')
+const yauzl = require('yauzl')
+const { Minimatch } = require('minimatch')
+const { parsePlistBuffer } = require('./plist-parser')
+
+// Bytes of file contents kept in memory; executables and bundles are read by several rules
+const DEFAULT_CACHE_SIZE = 64 * 1024 * 1024
+
+/**
+ * Paths are '/'-separated and relative to the .app root (e.g. 'PlugIns/Share.appex/Info.plist').
+ * The file list is built once up front; contents are loaded on first read, and the most recently
+ * read ones are kept until they exceed cacheSize bytes.
+ */
+class BundleIndex {
+  constructor({
+    source,
+    root,
+    files,
+    loadFile,
+    loadHeader = null,
+    close = null,
+    cacheSize = DEFAULT_CACHE_SIZE
+  }) {
+    this.source = source
+    this.root = root
+    this.files = files
+    this.loadFile = loadFile
+    this.loadHeader = loadHeader
+    this.closeSource = close
+    this.cacheSize = cacheSize
+    this.cachedBytes = 0
+    // Contents by path, least recently read first
+    this.cache = new Map()
+    this.pendingReads = new Map()
+    this.plistCache = new Map()
+    this.directories = new Set()
+
+    for (const file of files.keys()) {
+      let dir = path.posix.dirname(file)
+      while (dir !== '.' && !this.directories.has(dir)) {
+        this.directories.add(dir)
+        dir = path.posix.dirname(dir)
+      }
+    }
+  }
+
+  // Scans the zip central directory once, keeping the main .app's entries for lazy reads
+  static async fromIPA(ipaPath) {
+    const zipfile = await new Promise((resolve, reject) => {
+      yauzl.open(ipaPath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+        if (err) {
+          reject(new Error(`Could not open IPA file: ${err.message}`))
+          return
+        }
+        resolve(zipfile)
+      })
+    })
+
+    let scan
+    try {
+      scan = await scanAppEntries(zipfile)
+    } catch (error) {
+      zipfile.close()
+      throw error
+    }
+
+    const files = new Map()
+    for (const [file, entry] of scan.entries) {
+      files.set(file, { size: entry.uncompressedSize, compressedSize: entry.compressedSize, entry })
+    }
+
+    return new BundleIndex({
+      source: 'ipa',
+      root: scan.appBundle,
+      files,
+      loadFile: (file) => readZipEntry(zipfile, files.get(file).entry),
+      loadHeader: (file, length) => readZipEntry(zipfile, files.get(file).entry, length),
+      close: () => zipfile.close()
+    })
+  }
+
+  static async fromDirectory(appPath) {
+    const files = new Map()
+
+    const walk = (prefix) => {
+      for (const dirent of fs.readdirSync(path.join(appPath, prefix), { withFileTypes: true })) {
+        const relativePath = prefix ? `${prefix}/${dirent.name}` : dirent.name
+        if (dirent.isDirectory()) {
+          walk(relativePath)
+        } else if (dirent.isFile()) {
+          files.set(relativePath, { size: fs.statSync(path.join(appPath, relativePath)).size })
+        }
+      }
+    }
+    walk('')
+
+    return new BundleIndex({
+      source: 'app',
+      root: appPath,
+      files,
+      loadFile: async(file) => fs.readFileSync(path.join(appPath, file)),
+      loadHeader: async(file, length) => readFileStart(path.join(appPath, file), length)
+    })
+  }
+
+  /**
+   * Lists files matching a glob, e.g. list('Frameworks/*.framework/Info.plist').
+   * Without a pattern every file in the bundle is returned.
+   */
+  list(pattern) {
+    const files = Array.from(this.files.keys())
+    if (!pattern) return files.sort()
+
+    const matcher = new Minimatch(pattern, { dot: true })
+    return files.filter((file) => matcher.match(file)).sort()
+  }
+
+  exists(file) {
+    return this.files.has(file) || this.directories.has(file)
+  }
+
+  // Returns { type, size } for files and { type: 'directory' } for folders, or null
+  stat(file) {
+    const info = this.files.get(file)
+    if (info) {
+      return { type: 'file', size: info.size, compressedSize: info.compressedSize || info.size }
+    }
+    return this.directories.has(file) ? { type: 'directory' } : null
+  }
+
+  async readFile(file, encoding = null) {
+    if (!this.files.has(file)) {
+      throw new Error(`File not found in bundle: ${file}`)
+    }
+
+    let content = this.cache.get(file)
+    if (content) {
+      this.cache.delete(file)
+      this.cache.set(file, content)
+    } else {
+      if (!this.pendingReads.has(file)) {
+        // Concurrent callers share one decompression
+        const read = this.loadFile(file).finally(() => this.pendingReads.delete(file))
+        this.pendingReads.set(file, read)
+      }
+      content = await this.pendingReads.get(file)
+      this.cacheContent(file, content)
+    }
+
+    return encoding ? content.toString(encoding) : content
+  }
+
+  // First bytes of a file, e.g. an image header, without loading or caching the rest
+  async readHeader(file, length) {
+    if (!this.files.has(file)) {
+      throw new Error(`File not found in bundle: ${file}`)
+    }
+
+    const content = this.cache.get(file)
+    if (content || !this.loadHeader) {
+      return (content || (await this.readFile(file))).subarray(0, length)
+    }
+    return this.loadHeader(file, length)
+  }
+
+  cacheContent(file, content) {
+    if (this.cache.has(file) || content.length > this.cacheSize) return
+
+    this.cache.set(file, content)
+    this.cachedBytes += content.length
+    for (const [cachedFile, cachedContent] of this.cache) {
+      if (this.cachedBytes <= this.cacheSize) break
+
+      this.cache.delete(cachedFile)
+      this.cachedBytes -= cachedContent.length
+    }
+  }
+
+  async readPlist(file) {
+    if (!this.plistCache.has(file)) {
+      this.plistCache.set(file, parsePlistBuffer(await this.readFile(file)))
+    }
+    return this.plistCache.get(file)
+  }
+
+  close() {
+    if (this.closeSource) {
+      this.closeSource()
+      this.closeSource = null
+    }
+  }
+}
+
+function scanAppEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map()
+    let appBundle = null
+
+    zipfile.on('entry', (entry) => {
+      const match = entry.fileName.match(/^(Payload\/[^/]+\.app)\/(.+[^/])$/)
+
+      if (match && (!appBundle || appBundle === match[1])) {
+        appBundle = match[1]
+        entries.set(match[2], entry)
+      }
+
+      zipfile.readEntry()
+    })
+
+    zipfile.on('end', () => resolve({ appBundle, entries }))
+
+    zipfile.on('error', (err) => {
+      reject(new Error(`Error reading IPA file: ${err.message}`))
+    })
+
+    zipfile.readEntry()
+  })
+}
+
+// Reads the whole entry, or stops inflating once the first `length` bytes are in
+function readZipEntry(zipfile, entry, length = Infinity) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, readStream) => {
+      if (err) {
+        reject(new Error(`Could not read ${entry.fileName}: ${err.message}`))
+        return
+      }
+
+      const chunks = []
+      let bytesRead = 0
+      readStream.on('data', (chunk) => {
+        chunks.push(chunk)
+        bytesRead += chunk.length
+        if (bytesRead >= length) {
+          // Settle first: destroying the stream emits an error
+          resolve(Buffer.concat(chunks).subarray(0, length))
+          readStream.destroy()
+        }
+      })
+      readStream.on('end', () => resolve(Buffer.concat(chunks)))
+      readStream.on('error', (err) => {
+        reject(new Error(`Error reading ${entry.fileName}: ${err.message}`))
+      })
+    })
+  })
+}
+
+function readFileStart(filePath, length) {
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const buffer = Buffer.alloc(length)
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, 0))
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+module.exports = { BundleIndex }
@@ -0,0 +1,429 @@
+/**
+ * Code signature (LC_CODE_SIGNATURE SuperBlob) and provisioning profile inspection
+ */
+
+const {
+  TAGS,
+  parseASN1,
+  isUniversal,
+  isContext,
+  readOctetString,
+  readOID,
+  readString,
+  readInteger,
+  readBoolean,
+  readTime
+} = require('./asn1')
+const { parsePlistBuffer } = require('./plist-parser')
+
+const CS_MAGIC = {
+  REQUIREMENT: 0xfade0c00,
+  REQUIREMENTS: 0xfade0c01,
+  CODEDIRECTORY: 0xfade0c02,
+  EMBEDDED_SIGNATURE: 0xfade0cc0,
+  EMBEDDED_ENTITLEMENTS: 0xfade7171,
+  EMBEDDED_DER_ENTITLEMENTS: 0xfade7172,
+  BLOBWRAPPER: 0xfade0b01
+}
+
+const CS_SLOTS = {
+  CODEDIRECTORY: 0,
+  INFO: 1,
+  REQUIREMENTS: 2,
+  RESOURCEDIR: 3,
+  APPLICATION: 4,
+  ENTITLEMENTS: 5,
+  DER_ENTITLEMENTS: 7,
+  ALTERNATE_CODEDIRECTORIES: 0x1000,
+  SIGNATURE: 0x10000
+}
+
+const CS_FLAGS = {
+  ADHOC: 0x2,
+  HARD: 0x100,
+  KILL: 0x200,
+  RESTRICT: 0x800,
+  RUNTIME: 0x10000,
+  LINKER_SIGNED: 0x20000
+}
+
+const HASH_TYPES = {
+  1: 'sha1',
+  2: 'sha256',
+  3: 'sha256-truncated',
+  4: 'sha384'
+}
+
+const REQUIREMENT_TYPES = {
+  1: 'host',
+  2: 'guest',
+  3: 'designated',
+  4: 'library',
+  5: 'plugin'
+}
+
+const OIDS = {
+  SIGNED_DATA: '1.2.840.113549.1.7.2',
+  DATA: '1.2.840.113549.1.7.1',
+  COMMON_NAME: '2.5.4.3',
+  COUNTRY: '2.5.4.6',
+  ORGANIZATION: '2.5.4.10',
+  ORGANIZATIONAL_UNIT: '2.5.4.11',
+  USER_ID: '0.9.2342.19200300.100.1.1'
+}
+
+const NAME_ATTRIBUTES = {
+  [OIDS.COMMON_NAME]: 'CN',
+  [OIDS.COUNTRY]: 'C',
+  [OIDS.ORGANIZATION]: 'O',
+  [OIDS.ORGANIZATIONAL_UNIT]: 'OU',
+  [OIDS.USER_ID]: 'UID'
+}
+
+const PROFILE_TYPES = {
+  DEVELOPMENT: 'development',
+  AD_HOC: 'ad-hoc',
+  APP_STORE: 'app-store',
+  ENTERPRISE: 'enterprise'
+}
+
+/**
+ * Parses the embedded signature of one Mach-O slice.
+ * Returns null when the slice carries no LC_CODE_SIGNATURE.
+ */
+function parseCodeSignature(buffer, slice) {
+  if (!slice || !slice.codeSignature) return null
+
+  const start = slice.offset + slice.codeSignature.dataoff
+  const end = Math.min(start + slice.codeSignature.datasize, slice.offset + slice.size)
+
+  if (start + 12 > end || buffer.readUInt32BE(start) !== CS_MAGIC.EMBEDDED_SIGNATURE) {
+    throw new Error('Code signature SuperBlob is missing or corrupt')
+  }
+
+  const count = buffer.readUInt32BE(start + 8)
+  const signature = {
+    identifier: null,
+    teamId: null,
+    adhoc: false,
+    hardenedRuntime: false,
+    codeDirectories: [],
+    entitlements: null,
+    entitlementsFormat: null,
+    requirements: [],
+    cms: null,
+    signingCertificate: null
+  }
+
+  for (let i = 0; i < count; i++) {
+    const type = buffer.readUInt32BE(start + 12 + i * 8)
+    const blobOffset = start + buffer.readUInt32BE(start + 16 + i * 8)
+
+    if (blobOffset + 8 > end) continue
+
+    const magic = buffer.readUInt32BE(blobOffset)
+    const length = buffer.readUInt32BE(blobOffset + 4)
+    const blob = buffer.slice(blobOffset, Math.min(blobOffset + length, end))
+
+    if (
+      (type === CS_SLOTS.CODEDIRECTORY ||
+        (type >= CS_SLOTS.ALTERNATE_CODEDIRECTORIES &&
+          type < CS_SLOTS.ALTERNATE_CODEDIRECTORIES + 5)) &&
+      magic === CS_MAGIC.CODEDIRECTORY
+    ) {
+      signature.codeDirectories.push(parseCodeDirectory(blob))
+    } else if (type === CS_SLOTS.ENTITLEMENTS && magic === CS_MAGIC.EMBEDDED_ENTITLEMENTS) {
+      signature.entitlements = parsePlistBuffer(blob.slice(8))
+      signature.entitlementsFormat = 'xml'
+    } else if (
+      type === CS_SLOTS.DER_ENTITLEMENTS &&
+      magic === CS_MAGIC.EMBEDDED_DER_ENTITLEMENTS &&
+      !signature.entitlements
+    ) {
+      signature.entitlements = parseDEREntitlements(blob.slice(8))
+      signature.entitlementsFormat = 'der'
+    } else if (type === CS_SLOTS.REQUIREMENTS && magic === CS_MAGIC.REQUIREMENTS) {
+      signature.requirements = parseRequirements(blob)
+    } else if (type === CS_SLOTS.SIGNATURE && magic === CS_MAGIC.BLOBWRAPPER) {
+      // An empty wrapper is what ad-hoc signing leaves behind
+      signature.cms = blob.length > 8 ? parseCMS(blob.slice(8)) : null
+    }
+  }
+
+  const primary = signature.codeDirectories[0]
+  if (primary) {
+    signature.identifier = primary.identifier
+    signature.teamId = primary.teamId
+    signature.adhoc = (primary.flags & CS_FLAGS.ADHOC) !== 0
+    signature.hardenedRuntime = (primary.flags & CS_FLAGS.RUNTIME) !== 0
+  }
+
+  if (signature.cms) {
+    signature.signingCertificate = findSigningCertificate(signature.cms.certificates)
+  }
+
+  return signature
+}
+
+function parseCodeDirectory(blob) {
+  const version = blob.readUInt32BE(8)
+  const flags = blob.readUInt32BE(12)
+  const identOffset = blob.readUInt32BE(20)
+  const teamOffset = version >= 0x20200 && blob.length >= 52 ? blob.readUInt32BE(48) : 0
+
+  return {
+    version: `0x${version.toString(16)}`,
+    flags,
+    hashType: HASH_TYPES[blob[37]] || `unknown(${blob[37]})`,
+    hashSize: blob[36],
+    pageSize: blob[39] ? 2 ** blob[39] : 0,
+    specialSlots: blob.readUInt32BE(24),
+    codeSlots: blob.readUInt32BE(28),
+    codeLimit: blob.readUInt32BE(32),
+    identifier: identOffset ? readCString(blob, identOffset) : null,
+    teamId: teamOffset ? readCString(blob, teamOffset) : null
+  }
+}
+
+function parseRequirements(blob) {
+  const count = blob.readUInt32BE(8)
+  const requirements = []
+
+  for (let i = 0; i < count; i++) {
+    const type = blob.readUInt32BE(12 + i * 8)
+    const offset = blob.readUInt32BE(16 + i * 8)
+    requirements.push({
+      type: REQUIREMENT_TYPES[type] || `unknown(${type})`,
+      size: offset + 8 <= blob.length ? blob.readUInt32BE(offset + 4) : 0
+    })
+  }
+
+  return requirements
+}
+
+// DER entitlements: [APPLICATION 16] { version INTEGER, [CONTEXT 16] dictionary }
+function parseDEREntitlements(der) {
+  const root = parseASN1(der)
+  const dictionary = (root.children || []).find((child) => isContext(child, 16))
+  return dictionary ? decodeDERValue(der, dictionary) : {}
+}
+
+function decodeDERValue(der, node) {
+  if (isContext(node, 16)) {
+    const dict = {}
+    for (const entry of node.children) {
+      const [key, value] = entry.children
+      dict[readString(der, key)] = decodeDERValue(der, value)
+    }
+    return dict
+  }
+
+  if (isUniversal(node, TAGS.SEQUENCE)) {
+    return node.children.map((child) => decodeDERValue(der, child))
+  }
+
+  if (isUniversal(node, TAGS.BOOLEAN)) return readBoolean(der, node)
+  if (isUniversal(node, TAGS.INTEGER)) return readInteger(der, node)
+  return readString(der, node)
+}
+
+/**
+ * Parses a CMS ContentInfo carrying SignedData. Returns the encapsulated
+ * content (when not detached) and the embedded certificate chain.
+ */
+function parseCMS(der) {
+  const root = parseASN1(der)
+  const [contentType, explicit] = root.children || []
+
+  if (!contentType || readOID(der, contentType) !== OIDS.SIGNED_DATA || !explicit) {
+    throw new Error('CMS blob is not SignedData')
+  }
+
+  const signedData = explicit.children[0]
+  const encapContentInfo = signedData.children.find(
+    (child, index) => index > 0 && isUniversal(child, TAGS.SEQUENCE)
+  )
+  const certificateSet = signedData.children.find(
+    (child) => isContext(child, 0) && child !== encapContentInfo
+  )
+
+  let content = null
+  if (encapContentInfo && encapContentInfo.children.length > 1) {
+    const wrapper = encapContentInfo.children[1]
+    const octets = wrapper.children && wrapper.children[0]
+    if (octets) {
+      content = readOctetString(der, octets)
+    }
+  }
+
+  const certificates = certificateSet
+    ? certificateSet.children
+      .filter((child) => isUniversal(child, TAGS.SEQUENCE))
+      .map((child) => parseCertificate(der, child))
+    : []
+
+  return {
+    contentType: encapContentInfo ? readOID(der, encapContentInfo.children[0]) : null,
+    content,
+    certificates
+  }
+}
+
+function parseCertificate(der, node) {
+  const tbs = node.children[0]
+  const fields = tbs.children.slice(isContext(tbs.children[0], 0) ? 1 : 0)
+  const [serial, , issuer, validity, subject] = fields
+
+  return {
+    serialNumber: der.slice(serial.valueStart, serial.valueEnd).toString('hex').toUpperCase(),
+    issuer: parseName(der, issuer),
+    subject: parseName(der, subject),
+    notBefore: readTime(der, validity.children[0]),
+    notAfter: readTime(der, validity.children[1])
+  }
+}
+
+function parseName(der, node) {
+  const name = {}
+  for (const rdn of node.children || []) {
+    for (const attribute of rdn.children || []) {
+      const [type, value] = attribute.children
+      const key = NAME_ATTRIBUTES[readOID(der, type)]
+      if (key) {
+        name[key] = readString(der, value)
+      }
+    }
+  }
+  return name
+}
+
+// The leaf certificate is the one issued to a developer team rather than an Apple CA
+function findSigningCertificate(certificates) {
+  return (
+    certificates.find((certificate) => certificate.subject.OU && certificate.subject.UID) ||
+    certificates.find(
+      (certificate) =>
+        certificate.subject.OU &&
+        !/Certification Authority|Root CA/i.test(certificate.subject.CN || '')
+    ) ||
+    null
+  )
+}
+
+function isDevelopmentCertificate(certificate) {
+  return /^(Apple Development|iPhone Developer|iOS Development)\b/.test(
+    (certificate && certificate.subject.CN) || ''
+  )
+}
+
+/**
+ * Parses the CMS-wrapped embedded.mobileprovision into a summary plus the raw plist.
+ */
+function parseProvisioningProfile(buffer) {
+  const cms = parseCMS(buffer)
+  if (!cms.content) {
+    throw new Error('Provisioning profile has no embedded property list')
+  }
+
+  const plist = parsePlistBuffer(cms.content)
+  const entitlements = plist.Entitlements || {}
+  const teamId = (plist.TeamIdentifier || [])[0] || null
+  const appIdPrefix = (plist.ApplicationIdentifierPrefix || [])[0] || teamId
+  const applicationIdentifier = entitlements['application-identifier'] || null
+  const expirationDate = plist.ExpirationDate ? new Date(plist.ExpirationDate) : null
+
+  return {
+    name: plist.Name || null,
+    uuid: plist.UUID || null,
+    appIdName: plist.AppIDName || null,
+    teamId,
+    teamName: plist.TeamName || null,
+    appIdPrefix,
+    applicationIdentifier,
+    bundleIdPattern:
+      applicationIdentifier && appIdPrefix && applicationIdentifier.startsWith(`${appIdPrefix}.`)
+        ? applicationIdentifier.slice(appIdPrefix.length + 1)
+        : applicationIdentifier,
+    type: getProfileType(plist),
+    platforms: plist.Platform || [],
+    creationDate: plist.CreationDate ? new Date(plist.CreationDate) : null,
+    expirationDate,
+    expired: expirationDate ? expirationDate.getTime() < Date.now() : false,
+    provisionedDevices: plist.ProvisionedDevices || [],
+    entitlements,
+    certificates: cms.certificates,
+    plist
+  }
+}
+
+function getProfileType(plist) {
+  if (plist.ProvisionsAllDevices) {
+    return PROFILE_TYPES.ENTERPRISE
+  }
+
+  if (Array.isArray(plist.ProvisionedDevices) && plist.ProvisionedDevices.length > 0) {
+    return plist.Entitlements && plist.Entitlements['get-task-allow']
+      ? PROFILE_TYPES.DEVELOPMENT
+      : PROFILE_TYPES.AD_HOC
+  }
+
+  return PROFILE_TYPES.APP_STORE
+}
+
+function profileMatchesBundleId(profile, bundleId) {
+  const pattern = profile && profile.bundleIdPattern
+  if (!pattern || !bundleId) return false
+  if (pattern === '*') return true
+  if (pattern.endsWith('.*')) return bundleId.startsWith(pattern.slice(0, -1))
+  return pattern === bundleId
+}
+
+// Profile entitlement values may end in (or be) a '*' wildcard, e.g. 'ABCDE12345.*'
+function matchesEntitlementPattern(value, pattern) {
+  if (pattern === '*') return true
+  if (typeof pattern === 'string' && pattern.endsWith('*')) {
+    return typeof value === 'string' && value.startsWith(pattern.slice(0, -1))
+  }
+  return value === pattern
+}
+
+/**
+ * Returns true when the profile grants the entitlement with the given value.
+ * Arrays must be a subset of the allowed values; a boolean entitlement
+ * may always be disabled.
+ */
+function profileAllowsEntitlement(profile, key, value) {
+  const granted = profile && profile.entitlements
+  if (!granted || !(key in granted)) return false
+
+  const allowed = granted[key]
+  const isAllowed = (item) =>
+    Array.isArray(allowed)
+      ? allowed.some((pattern) => matchesEntitlementPattern(item, pattern))
+      : matchesEntitlementPattern(item, allowed)
+
+  if (Array.isArray(value)) return value.every(isAllowed)
+  if (typeof value === 'boolean' && typeof allowed === 'boolean') return !value || allowed
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value) === JSON.stringify(allowed)
+  }
+  return isAllowed(value)
+}
+
+function readCString(buffer, offset) {
+  const end = buffer.indexOf(0, offset)
+  return buffer.toString('utf8', offset, end === -1 ? buffer.length : end)
+}
+
+module.exports = {
+  CS_MAGIC,
+  CS_FLAGS,
+  PROFILE_TYPES,
+  parseCodeSignature,
+  parseCMS,
+  parseProvisioningProfile,
+  getProfileType,
+  profileMatchesBundleId,
+  profileAllowsEntitlement,
+  isDevelopmentCertificate
+}
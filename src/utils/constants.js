@@ -39,6 +39,8 @@ class ValidationRule {
   constructor(name, description) {
     this.name = name
     this.description = description
+    // 'build' rules inspect a compiled .app/.ipa; 'project' rules can also run on ios/ sources
+    this.modes = ['build']
   }
 
   async validate(_validator) {
@@ -115,6 +117,8 @@ const METADATA_CONSTRAINTS = {
 const FILE_CONSTRAINTS = {
   MAX_IPA_SIZE: 4 * 1024 * 1024 * 1024, // 4GB
   MAX_APP_ICON_SIZE: 1024, // 1024x1024 pixels
+  MAX_DISPLAY_POINTS: 1366, // longest side of the 12.9-inch iPad Pro, in points
+  LARGE_JS_BUNDLE_SIZE: 20 * 1024 * 1024, // 20MB
   REQUIRED_ICON_SIZES: [
     { size: 20, scale: 2 },
     { size: 20, scale: 3 },
@@ -124,6 +128,18 @@ const FILE_CONSTRAINTS = {
     { size: 40, scale: 3 },
     { size: 60, scale: 2 },
     { size: 60, scale: 3 }
+  ],
+  // Additional sizes when UIDeviceFamily includes iPad
+  REQUIRED_IPAD_ICON_SIZES: [
+    { size: 20, scale: 1 },
+    { size: 20, scale: 2 },
+    { size: 29, scale: 1 },
+    { size: 29, scale: 2 },
+    { size: 40, scale: 1 },
+    { size: 40, scale: 2 },
+    { size: 76, scale: 1 },
+    { size: 76, scale: 2 },
+    { size: 83.5, scale: 2 }
   ]
 }
 
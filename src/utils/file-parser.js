@@ -4,9 +4,21 @@
 
 const fs = require('fs')
 const path = require('path')
-const plist = require('plist')
-const yauzl = require('yauzl')
 const { promisify } = require('util')
+const { parsePlistBuffer } = require('./plist-parser')
+const { BundleIndex } = require('./bundle-index')
+const {
+  parseXcodeProject,
+  findAppTarget,
+  getReleaseConfigurationName,
+  getBuildSettings,
+  expandBuildSettings,
+  hasBuildSettingReference
+} = require('./xcode-project')
+const { parseMachO, getPrimarySlice } = require('./macho-parser')
+const { parseCodeSignature, parseProvisioningProfile } = require('./code-signature')
+const { parseAssetCatalog } = require('./asset-catalog')
+const { isHermesBytecode, parseHermesBytecode } = require('./hermes-bytecode')
 
 class FileParser {
   constructor() {
@@ -14,170 +26,500 @@ class FileParser {
   }
 
   async parseIPA(ipaPath) {
-    return new Promise((resolve, reject) => {
-      yauzl.open(ipaPath, { lazyEntries: true }, (err, zipfile) => {
-        if (err) {
-          return reject(new Error(`Could not open IPA file: ${err.message}`))
-        }
+    const bundle = await BundleIndex.fromIPA(ipaPath)
 
-        const artifacts = {
-          infoPlist: null,
-          appBundle: null,
-          entitlements: null,
-          privacyManifest: null
-        }
+    if (!bundle.exists('Info.plist')) {
+      bundle.close()
+      throw new Error('Main app Info.plist not found in IPA file')
+    }
 
-        zipfile.readEntry()
-
-        zipfile.on('entry', (entry) => {
-          const fileName = entry.fileName
-
-          // Look for main app Info.plist (should be in Payload/AppName.app/Info.plist)
-          // Exclude all .bundle and .framework files
-          if (
-            fileName.match(/^Payload\/[^/]+\.app\/Info\.plist$/) &&
-            !fileName.includes('.bundle/') &&
-            !fileName.includes('.framework/') &&
-            !fileName.includes('PlugIns/') &&
-            !fileName.includes('Watch/')
-          ) {
-            console.log(`DEBUG: Found main app Info.plist at: ${fileName}`) // Temporary debug
-            this.extractFileFromZip(zipfile, entry, (content) => {
-              try {
-                artifacts.infoPlist = plist.parse(content.toString())
-                console.log(`DEBUG: Bundle ID: ${artifacts.infoPlist.CFBundleIdentifier}`) // Temporary debug
-                artifacts.appBundle = path.dirname(fileName)
-              } catch (error) {
-                reject(new Error(`Could not parse Info.plist: ${error.message}`))
-                return
-              }
-              zipfile.readEntry()
-            })
-            return
-          }
+    return this.parseBundleContents(bundle)
+  }
 
-          // Look for Privacy Manifest in main app bundle
-          if (
-            fileName.match(/^Payload\/[^/]+\.app\/PrivacyInfo\.xcprivacy$/) &&
-            !fileName.includes('.bundle/') &&
-            !fileName.includes('.framework/') &&
-            !fileName.includes('PlugIns/')
-          ) {
-            this.extractFileFromZip(zipfile, entry, (content) => {
-              try {
-                artifacts.privacyManifest = plist.parse(content.toString())
-              } catch (error) {
-                // Privacy manifest parsing is optional
-                console.warn(`Warning: Could not parse privacy manifest: ${error.message}`)
-              }
-              zipfile.readEntry()
-            })
-            return
-          }
+  async parseAppBundle(appPath) {
+    if (!fs.existsSync(path.join(appPath, 'Info.plist'))) {
+      throw new Error('Info.plist not found in app bundle')
+    }
 
-          // Look for entitlements in main app bundle
-          if (
-            (fileName.includes('.app.dSYM') ||
-              fileName.includes('archived-expanded-entitlements.xcent')) &&
-            fileName.match(/^Payload\/[^/]+\.app\//) &&
-            !fileName.includes('.bundle/') &&
-            !fileName.includes('.framework/')
-          ) {
-            this.extractFileFromZip(zipfile, entry, (content) => {
-              try {
-                artifacts.entitlements = plist.parse(content.toString())
-              } catch (error) {
-                // Entitlements parsing is optional
-                console.warn(`Warning: Could not parse entitlements: ${error.message}`)
-              }
-              zipfile.readEntry()
-            })
-            return
-          }
+    return this.parseBundleContents(await BundleIndex.fromDirectory(appPath))
+  }
 
-          zipfile.readEntry()
-        })
+  /**
+   * Validates the .app inside an Xcode archive, before it is re-signed for export.
+   * The archive's own Info.plist and its dSYMs are returned alongside the app artifacts.
+   */
+  async parseXCArchive(archivePath) {
+    const archiveInfoPath = path.join(archivePath, 'Info.plist')
+    if (!fs.existsSync(archiveInfoPath)) {
+      throw new Error('Info.plist not found in xcarchive')
+    }
+
+    let archiveInfo
+    try {
+      archiveInfo = this.parsePlistContent(fs.readFileSync(archiveInfoPath))
+    } catch (error) {
+      throw new Error(`Could not parse xcarchive Info.plist: ${error.message}`)
+    }
+
+    const appPath = this.findArchivedApp(archivePath, archiveInfo)
+    if (!appPath) {
+      throw new Error('No .app found in xcarchive Products/Applications')
+    }
+
+    const artifacts = await this.parseAppBundle(appPath)
+    const properties = archiveInfo.ApplicationProperties || {}
+
+    artifacts.archive = {
+      path: archivePath,
+      name: archiveInfo.Name || null,
+      schemeName: archiveInfo.SchemeName || null,
+      creationDate: archiveInfo.CreationDate || null,
+      archiveVersion: archiveInfo.ArchiveVersion || null,
+      applicationPath: path.relative(path.join(archivePath, 'Products'), appPath),
+      bundleId: properties.CFBundleIdentifier || null,
+      version: properties.CFBundleShortVersionString || null,
+      buildNumber: properties.CFBundleVersion || null,
+      signingIdentity: properties.SigningIdentity || null,
+      team: properties.Team || null,
+      architectures: properties.Architectures || [],
+      info: archiveInfo
+    }
+    artifacts.dSYMs = this.listArchiveDSYMs(archivePath)
 
-        zipfile.on('end', () => {
-          if (!artifacts.infoPlist) {
-            reject(new Error('Main app Info.plist not found in IPA file'))
-            return
+    return artifacts
+  }
+
+  // ApplicationPath is relative to Products/; fall back to the first app for older archives
+  findArchivedApp(archivePath, archiveInfo) {
+    const properties = archiveInfo.ApplicationProperties || {}
+    if (properties.ApplicationPath) {
+      const appPath = path.join(archivePath, 'Products', properties.ApplicationPath)
+      if (fs.existsSync(appPath)) return appPath
+    }
+
+    const applicationsDir = path.join(archivePath, 'Products', 'Applications')
+    if (!fs.existsSync(applicationsDir)) return null
+
+    const app = fs
+      .readdirSync(applicationsDir)
+      .sort()
+      .find((name) => name.endsWith('.app'))
+    return app ? path.join(applicationsDir, app) : null
+  }
+
+  listArchiveDSYMs(archivePath) {
+    const dsymsDir = path.join(archivePath, 'dSYMs')
+    if (!fs.existsSync(dsymsDir)) return []
+
+    return fs
+      .readdirSync(dsymsDir)
+      .filter((name) => name.endsWith('.dSYM'))
+      .sort()
+      .map((name) => {
+        const dsymPath = path.join(dsymsDir, name)
+        const dwarfDir = path.join(dsymPath, 'Contents', 'Resources', 'DWARF')
+        let bundleId = null
+
+        try {
+          const infoPath = path.join(dsymPath, 'Contents', 'Info.plist')
+          if (fs.existsSync(infoPath)) {
+            bundleId = this.parsePlistContent(fs.readFileSync(infoPath)).CFBundleIdentifier || null
           }
-          resolve(artifacts)
-        })
+        } catch (error) {
+          console.warn(`Warning: Could not parse ${name} Info.plist: ${error.message}`)
+        }
 
-        zipfile.on('error', (err) => {
-          reject(new Error(`Error reading IPA file: ${err.message}`))
-        })
+        return {
+          name,
+          path: dsymPath,
+          bundleId,
+          dwarfFiles: fs.existsSync(dwarfDir)
+            ? fs.readdirSync(dwarfDir).map((file) => path.join(dwarfDir, file))
+            : []
+        }
       })
-    })
   }
 
-  async parseAppBundle(appPath) {
+  /**
+   * Reads the app target's sources from a React Native project's ios/ folder, without building.
+   * Only what exists before compilation is available: no executable, signature or profile.
+   */
+  async parseProjectSources(projectRoot) {
+    const iosDir = path.join(projectRoot, 'ios')
+    if (!fs.existsSync(iosDir) || !fs.statSync(iosDir).isDirectory()) {
+      throw new Error('No ios/ directory found in React Native project')
+    }
+
+    const xcode = this.parseIOSProject(iosDir)
+    const settings = xcode ? xcode.buildSettings : null
+
+    // INFOPLIST_FILE and CODE_SIGN_ENTITLEMENTS are relative to the ios/ folder (SRCROOT)
+    const settingPath = (name) =>
+      settings && settings[name] && !hasBuildSettingReference(settings[name])
+        ? path.resolve(iosDir, settings[name])
+        : null
+
+    let infoPlistPath = settingPath('INFOPLIST_FILE')
+    if (!infoPlistPath || !fs.existsSync(infoPlistPath)) {
+      const sourceDir = this.findProjectSourceDir(iosDir)
+      infoPlistPath = sourceDir && path.join(sourceDir, 'Info.plist')
+    }
+    if (!infoPlistPath) {
+      throw new Error('No app Info.plist found under ios/')
+    }
+
+    const sourceDir = path.dirname(infoPlistPath)
+    const bundle = await BundleIndex.fromDirectory(sourceDir)
+    const appName = xcode && xcode.target ? xcode.target.name : path.basename(sourceDir)
     const artifacts = {
+      bundle,
       infoPlist: null,
-      appBundle: appPath,
+      appBundle: sourceDir,
       entitlements: null,
-      privacyManifest: null
+      entitlementsSource: null,
+      privacyManifest: null,
+      executable: null,
+      provisioningProfile: null,
+      embeddedBundles: [],
+      project: {
+        root: projectRoot,
+        iosDir,
+        sourceDir,
+        appName,
+        infoPlistFile: path.basename(infoPlistPath),
+        entitlementsFile: null,
+        xcodeProjectPath: xcode ? xcode.path : null,
+        xcodeProject: xcode ? xcode.project : null,
+        targetName: xcode && xcode.target ? xcode.target.name : null,
+        configuration: xcode ? xcode.configuration : null,
+        buildSettings: settings,
+        packageJson: null
+      }
     }
 
-    // Parse Info.plist
-    const infoPlistPath = path.join(appPath, 'Info.plist')
-    if (!fs.existsSync(infoPlistPath)) {
-      throw new Error('Info.plist not found in app bundle')
+    try {
+      const infoPlist = this.parsePlistContent(fs.readFileSync(infoPlistPath))
+      // Resolve $(PRODUCT_BUNDLE_IDENTIFIER) and friends the way the Release build will
+      artifacts.infoPlist = settings ? expandBuildSettings(infoPlist, settings) : infoPlist
+    } catch (error) {
+      throw new Error(`Could not parse Info.plist: ${error.message}`)
+    }
+
+    if (bundle.exists('PrivacyInfo.xcprivacy')) {
+      try {
+        artifacts.privacyManifest = await bundle.readPlist('PrivacyInfo.xcprivacy')
+      } catch (error) {
+        console.warn(`Warning: Could not parse privacy manifest: ${error.message}`)
+      }
+    }
+
+    // Without CODE_SIGN_ENTITLEMENTS, prefer <App>.entitlements over per-configuration files
+    let entitlementsPath = settingPath('CODE_SIGN_ENTITLEMENTS')
+    if (!entitlementsPath || !fs.existsSync(entitlementsPath)) {
+      const entitlementsFiles = bundle.list('*.entitlements')
+      const entitlementsFile =
+        entitlementsFiles.find((file) => file === `${appName}.entitlements`) || entitlementsFiles[0]
+      entitlementsPath = entitlementsFile ? path.join(sourceDir, entitlementsFile) : null
+    }
+    if (entitlementsPath) {
+      try {
+        artifacts.entitlements = this.parsePlistContent(fs.readFileSync(entitlementsPath))
+        artifacts.entitlementsSource = 'source'
+        artifacts.project.entitlementsFile = path.relative(sourceDir, entitlementsPath)
+      } catch (error) {
+        console.warn(`Warning: Could not parse entitlements: ${error.message}`)
+      }
+    }
+
+    const packageJsonPath = path.join(projectRoot, 'package.json')
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        artifacts.project.packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
+      } catch (error) {
+        console.warn(`Warning: Could not parse package.json: ${error.message}`)
+      }
+    }
+
+    return artifacts
+  }
+
+  // Parses ios/<App>.xcodeproj and resolves the Release build settings of its app target
+  parseIOSProject(iosDir) {
+    const projectName = fs
+      .readdirSync(iosDir)
+      .sort()
+      .find((name) => name.endsWith('.xcodeproj'))
+    const pbxprojPath = projectName && path.join(iosDir, projectName, 'project.pbxproj')
+
+    if (!pbxprojPath || !fs.existsSync(pbxprojPath)) {
+      return null
     }
 
     try {
-      const plistData = fs.readFileSync(infoPlistPath, 'utf8')
-      artifacts.infoPlist = plist.parse(plistData)
+      const name = path.basename(projectName, '.xcodeproj')
+      const project = parseXcodeProject(fs.readFileSync(pbxprojPath, 'utf8'), {
+        name,
+        projectDir: iosDir,
+        readFile: (file) => {
+          const filePath = path.resolve(iosDir, file)
+          return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+        }
+      })
+
+      const target = findAppTarget(project, name)
+      const configuration = target ? getReleaseConfigurationName(target) : null
+
+      return {
+        path: path.join(iosDir, projectName),
+        project,
+        target,
+        configuration,
+        buildSettings: configuration ? getBuildSettings(project, target.name, configuration) : null
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not parse Xcode project: ${error.message}`)
+      return null
+    }
+  }
+
+  // ios/<App>/ next to ios/<App>.xcodeproj, else the first folder holding an Info.plist
+  findProjectSourceDir(iosDir) {
+    const entries = fs.readdirSync(iosDir, { withFileTypes: true })
+    const hasInfoPlist = (name) => fs.existsSync(path.join(iosDir, name, 'Info.plist'))
+
+    const project = entries.find((entry) => entry.name.endsWith('.xcodeproj'))
+    const projectName = project && path.basename(project.name, '.xcodeproj')
+    if (projectName && hasInfoPlist(projectName)) {
+      return path.join(iosDir, projectName)
+    }
+
+    const ignored = /^(Pods|build|DerivedData)$|\.(xcodeproj|xcworkspace)$|Tests$/
+    const candidate = entries
+      .filter((entry) => entry.isDirectory() && !ignored.test(entry.name))
+      .map((entry) => entry.name)
+      .sort()
+      .find(hasInfoPlist)
+
+    return candidate ? path.join(iosDir, candidate) : null
+  }
+
+  /**
+   * Extracts the artifacts rules work with from a bundle index, whatever its container.
+   * The index stays open so rules can read further files; the IPA is released on failure.
+   */
+  async parseBundleContents(bundle) {
+    try {
+      return await this.collectArtifacts(bundle)
+    } catch (error) {
+      bundle.close()
+      throw error
+    }
+  }
+
+  async collectArtifacts(index) {
+    const artifacts = {
+      bundle: index,
+      infoPlist: null,
+      appBundle: index.root,
+      entitlements: null,
+      entitlementsSource: null,
+      privacyManifest: null,
+      executable: null,
+      provisioningProfile: null,
+      embeddedBundles: [],
+      assetCatalog: null,
+      jsBundle: null
+    }
+
+    try {
+      artifacts.infoPlist = this.parsePlistContent(await index.readFile('Info.plist'))
     } catch (error) {
       throw new Error(`Could not parse Info.plist: ${error.message}`)
     }
 
-    // Look for Privacy Manifest
-    const privacyManifestPath = path.join(appPath, 'PrivacyInfo.xcprivacy')
-    if (fs.existsSync(privacyManifestPath)) {
+    if (index.exists('PrivacyInfo.xcprivacy')) {
       try {
-        const privacyData = fs.readFileSync(privacyManifestPath, 'utf8')
-        artifacts.privacyManifest = plist.parse(privacyData)
+        artifacts.privacyManifest = this.parsePlistContent(
+          await index.readFile('PrivacyInfo.xcprivacy')
+        )
       } catch (error) {
+        // Privacy manifest parsing is optional
         console.warn(`Warning: Could not parse privacy manifest: ${error.message}`)
       }
     }
 
-    // Look for entitlements file
-    const entitlementsPath = path.join(appPath, 'archived-expanded-entitlements.xcent')
-    if (fs.existsSync(entitlementsPath)) {
+    const main = await this.parseSignedBundle(index, '', artifacts.infoPlist)
+    artifacts.executable = main.executable
+    artifacts.provisioningProfile = main.provisioningProfile
+
+    if (main.entitlements) {
+      artifacts.entitlements = main.entitlements
+      artifacts.entitlementsSource = 'signature'
+    } else if (index.exists('archived-expanded-entitlements.xcent')) {
+      // Simulator and unsigned builds only carry the entitlements Xcode expanded at build time
       try {
-        const entitlementsData = fs.readFileSync(entitlementsPath, 'utf8')
-        artifacts.entitlements = plist.parse(entitlementsData)
+        artifacts.entitlements = this.parsePlistContent(
+          await index.readFile('archived-expanded-entitlements.xcent')
+        )
+        artifacts.entitlementsSource = 'xcent'
       } catch (error) {
         console.warn(`Warning: Could not parse entitlements: ${error.message}`)
       }
     }
 
+    for (const bundlePath of this.findEmbeddedBundles(index.list())) {
+      artifacts.embeddedBundles.push(await this.parseEmbeddedBundle(index, bundlePath))
+    }
+
+    if (index.exists('Assets.car')) {
+      try {
+        artifacts.assetCatalog = parseAssetCatalog(await index.readFile('Assets.car'))
+      } catch (error) {
+        console.warn(`Warning: Could not parse Assets.car: ${error.message}`)
+      }
+    }
+
+    const jsBundlePath = this.findJSBundle(index)
+    if (jsBundlePath) {
+      artifacts.jsBundle = await this.parseJSBundle(index, jsBundlePath)
+    }
+
     return artifacts
   }
 
-  extractFileFromZip(zipfile, entry, callback) {
-    zipfile.openReadStream(entry, (err, readStream) => {
-      if (err) {
-        console.warn(`Warning: Could not read ${entry.fileName}: ${err.message}`)
-        zipfile.readEntry()
-        return
+  // main.jsbundle, or a custom-named React Native bundle at the root of the app
+  findJSBundle(index) {
+    if (index.exists('main.jsbundle')) return 'main.jsbundle'
+    return index.list('*.jsbundle')[0] || null
+  }
+
+  async parseJSBundle(index, bundlePath) {
+    const content = await index.readFile(bundlePath)
+    const jsBundle = {
+      path: bundlePath,
+      size: content.length,
+      format: isHermesBytecode(content) ? 'hermes' : 'javascript',
+      hermes: null
+    }
+
+    if (jsBundle.format === 'hermes') {
+      try {
+        jsBundle.hermes = parseHermesBytecode(content)
+      } catch (error) {
+        console.warn(`Warning: Could not parse Hermes bytecode header: ${error.message}`)
+      }
+    }
+
+    return jsBundle
+  }
+
+  // App extensions and frameworks are signed separately from the main executable
+  findEmbeddedBundles(files) {
+    const bundles = new Set()
+
+    for (const file of files) {
+      const match = file.match(/^(PlugIns\/[^/]+\.appex|Frameworks\/[^/]+\.framework)\//)
+      if (match) {
+        bundles.add(match[1])
       }
+    }
 
-      const chunks = []
-      readStream.on('data', (chunk) => chunks.push(chunk))
-      readStream.on('end', () => {
-        const content = Buffer.concat(chunks)
-        callback(content)
-      })
-      readStream.on('error', (err) => {
-        console.warn(`Warning: Error reading ${entry.fileName}: ${err.message}`)
-        zipfile.readEntry()
-      })
-    })
+    return Array.from(bundles).sort()
+  }
+
+  async parseEmbeddedBundle(index, bundlePath) {
+    const bundle = {
+      path: bundlePath,
+      type: bundlePath.endsWith('.appex') ? 'appex' : 'framework',
+      bundleId: null,
+      infoPlist: null,
+      executable: null,
+      provisioningProfile: null,
+      entitlements: null
+    }
+
+    const infoPlistPath = `${bundlePath}/Info.plist`
+    if (index.exists(infoPlistPath)) {
+      try {
+        bundle.infoPlist = this.parsePlistContent(await index.readFile(infoPlistPath))
+        bundle.bundleId = bundle.infoPlist.CFBundleIdentifier || null
+      } catch (error) {
+        console.warn(`Warning: Could not parse ${infoPlistPath}: ${error.message}`)
+      }
+    }
+
+    const signed = await this.parseSignedBundle(index, bundlePath, bundle.infoPlist)
+    return { ...bundle, ...signed }
+  }
+
+  // Reads the executable, its signature entitlements and the embedded profile of one bundle
+  async parseSignedBundle(index, bundlePath, infoPlist) {
+    const resolve = (name) => (bundlePath ? `${bundlePath}/${name}` : name)
+    const result = { executable: null, provisioningProfile: null, entitlements: null }
+
+    const executableName =
+      (infoPlist && infoPlist.CFBundleExecutable) ||
+      (bundlePath && path.basename(bundlePath, path.extname(bundlePath)))
+    const executablePath = executableName && resolve(executableName)
+
+    if (executablePath && index.exists(executablePath)) {
+      try {
+        const content = await index.readFile(executablePath)
+        result.executable = this.analyzeExecutable(path.join(index.root, executablePath), content)
+      } catch (error) {
+        console.warn(`Warning: Could not analyze executable ${executablePath}: ${error.message}`)
+      }
+    }
+
+    if (result.executable && result.executable.codeSignature) {
+      result.entitlements = result.executable.codeSignature.entitlements || null
+    }
+
+    const profilePath = resolve('embedded.mobileprovision')
+    if (index.exists(profilePath)) {
+      try {
+        result.provisioningProfile = this.parseProvisioningProfile(
+          await index.readFile(profilePath)
+        )
+      } catch (error) {
+        console.warn(
+          `Warning: Could not parse provisioning profile ${profilePath}: ${error.message}`
+        )
+      }
+    }
+
+    return result
+  }
+
+  analyzeExecutable(executablePath, content) {
+    const macho = this.parseMachO(content)
+    let codeSignature = null
+
+    try {
+      codeSignature = this.parseCodeSignature(content, getPrimarySlice(macho))
+    } catch (error) {
+      console.warn(`Warning: Could not parse code signature: ${error.message}`)
+    }
+
+    return {
+      name: path.basename(executablePath),
+      path: executablePath,
+      size: content.length,
+      macho,
+      codeSignature
+    }
+  }
+
+  parseMachO(content) {
+    return parseMachO(content)
+  }
+
+  parseCodeSignature(content, slice) {
+    return parseCodeSignature(content, slice)
+  }
+
+  parseProvisioningProfile(content) {
+    return parseProvisioningProfile(content)
   }
 
   async findFiles(directory, pattern) {
@@ -212,10 +554,15 @@ class FileParser {
     }
   }
 
+  // Decodes binary (bplist00), XML and OpenStep plists into the same object shape
+  parsePlistContent(content) {
+    return parsePlistBuffer(content)
+  }
+
   async parsePlist(filePath) {
     try {
-      const content = await this.readTextFile(filePath)
-      return plist.parse(content)
+      const content = fs.readFileSync(filePath)
+      return this.parsePlistContent(content)
     } catch (error) {
       throw new Error(`Could not parse plist file ${filePath}: ${error.message}`)
     }
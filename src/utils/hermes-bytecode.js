@@ -0,0 +1,130 @@
+/**
+ * Hermes bytecode (HBC) file header and string table reader
+ */
+
+// First eight bytes of every Hermes bytecode file (HBC magic, little-endian)
+const HERMES_MAGIC = Buffer.from([0xc6, 0x1f, 0xbc, 0x03, 0xc1, 0x03, 0x19, 0x1f])
+
+// BytecodeFileHeader is padded to 128 bytes; every section after it is 4-byte aligned
+const HEADER_SIZE = 128
+const SMALL_FUNCTION_HEADER_SIZE = 16
+// Oldest bytecode version with the section layout read below: identifier hashes and 8-bit
+// string lengths
+const MIN_STRING_TABLE_VERSION = 74
+const OVERFLOW_STRING_LENGTH = 0xff
+
+function isHermesBytecode(buffer) {
+  return !!buffer && buffer.length >= 8 && buffer.subarray(0, 8).equals(HERMES_MAGIC)
+}
+
+/**
+ * Parses the HBC file header.
+ *
+ * @param {Buffer} buffer - contents of a Hermes bytecode bundle
+ * @returns {{version: number, sourceHash: string, fileLength: number, globalCodeIndex: number,
+ *   functionCount: number, stringKindCount: number, identifierCount: number, stringCount: number,
+ *   overflowStringCount: number, stringStorageSize: number}}
+ */
+function parseHermesBytecode(buffer) {
+  if (!isHermesBytecode(buffer)) {
+    throw new Error('Not a Hermes bytecode file')
+  }
+  if (buffer.length < HEADER_SIZE) {
+    throw new Error('Hermes bytecode header is truncated')
+  }
+
+  return {
+    version: buffer.readUInt32LE(8),
+    sourceHash: buffer.subarray(12, 32).toString('hex'),
+    fileLength: buffer.readUInt32LE(32),
+    globalCodeIndex: buffer.readUInt32LE(36),
+    functionCount: buffer.readUInt32LE(40),
+    stringKindCount: buffer.readUInt32LE(44),
+    identifierCount: buffer.readUInt32LE(48),
+    stringCount: buffer.readUInt32LE(52),
+    overflowStringCount: buffer.readUInt32LE(56),
+    stringStorageSize: buffer.readUInt32LE(60)
+  }
+}
+
+/**
+ * Reads every string literal and identifier from the HBC string table.
+ *
+ * @param {Buffer} buffer - contents of a Hermes bytecode bundle
+ * @param {object} [header] - result of parseHermesBytecode(), parsed when omitted
+ * @returns {string[]}
+ */
+function readHermesStrings(buffer, header = parseHermesBytecode(buffer)) {
+  if (header.version < MIN_STRING_TABLE_VERSION) {
+    throw new Error(`Unsupported Hermes bytecode version ${header.version}`)
+  }
+
+  let offset = HEADER_SIZE
+  const section = (count, entrySize) => {
+    const start = align(offset)
+    offset = start + count * entrySize
+    if (offset > buffer.length) {
+      throw new Error('Hermes bytecode string table extends past end of file')
+    }
+    return start
+  }
+
+  section(header.functionCount, SMALL_FUNCTION_HEADER_SIZE)
+  section(header.stringKindCount, 4)
+  section(header.identifierCount, 4)
+  const smallTable = section(header.stringCount, 4)
+  const overflowTable = section(header.overflowStringCount, 8)
+  const storage = section(header.stringStorageSize, 1)
+
+  const strings = []
+  for (let i = 0; i < header.stringCount; i++) {
+    // SmallStringTableEntry bit field: isUTF16:1, offset:23, length:8
+    const entry = buffer.readUInt32LE(smallTable + i * 4)
+    const isUTF16 = (entry & 1) === 1
+    let stringOffset = (entry >>> 1) & 0x7fffff
+    let length = entry >>> 24
+
+    if (length === OVERFLOW_STRING_LENGTH) {
+      const overflow = overflowTable + stringOffset * 8
+      stringOffset = buffer.readUInt32LE(overflow)
+      length = buffer.readUInt32LE(overflow + 4)
+    }
+
+    const start = storage + stringOffset
+    const end = start + (isUTF16 ? length * 2 : length)
+    if (end > storage + header.stringStorageSize) {
+      throw new Error(`Hermes string ${i} extends past the string storage`)
+    }
+
+    strings.push(buffer.toString(isUTF16 ? 'utf16le' : 'latin1', start, end))
+  }
+
+  return strings
+}
+
+function align(offset) {
+  return (offset + 3) & ~3
+}
+
+/**
+ * React Native release a hermes.framework binary was built for. RN builds Hermes with
+ * HERMES_RELEASE_VERSION "for RN x.y.z", which ends up in its __cstring section; the
+ * framework's CFBundleShortVersionString is the Hermes project version instead.
+ *
+ * @param {string[]} cstrings - __TEXT,__cstring strings of the hermes binary
+ */
+function readHermesReleaseVersion(cstrings) {
+  for (const text of cstrings) {
+    const match = text.match(/^for RN (\d+\.\d+\.\d+\S*)$/)
+    if (match) return match[1]
+  }
+  return null
+}
+
+module.exports = {
+  HERMES_MAGIC,
+  isHermesBytecode,
+  parseHermesBytecode,
+  readHermesStrings,
+  readHermesReleaseVersion
+}
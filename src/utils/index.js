@@ -4,8 +4,32 @@
 
 const constants = require('./constants')
 const { FileParser } = require('./file-parser')
+const { BundleIndex } = require('./bundle-index')
+const plistParser = require('./plist-parser')
+const machoParser = require('./macho-parser')
+const codeSignature = require('./code-signature')
+const assetCatalog = require('./asset-catalog')
+const pngParser = require('./png-parser')
+const jsBundle = require('./js-bundle')
+const hermesBytecode = require('./hermes-bytecode')
+const privacyManifest = require('./privacy-manifest')
+const appSignals = require('./app-signals')
+const secretScanner = require('./secret-scanner')
+const authDetection = require('./auth-detection')
 
 module.exports = {
   ...constants,
-  FileParser
+  ...plistParser,
+  ...machoParser,
+  ...codeSignature,
+  ...assetCatalog,
+  ...pngParser,
+  ...jsBundle,
+  ...hermesBytecode,
+  ...privacyManifest,
+  ...appSignals,
+  ...secretScanner,
+  ...authDetection,
+  FileParser,
+  BundleIndex
 }
@@ -0,0 +1,72 @@
+/**
+ * React Native JavaScript bundle (main.jsbundle) analysis for plain JS and Hermes bytecode bundles
+ */
+
+const { isHermesBytecode, readHermesStrings } = require('./hermes-bytecode')
+
+// Strings that only survive in bundles built with --dev true. The bare 'HMRClient' name is not
+// enough: production bundles register it too, backed by HMRClientProdShim.
+const DEV_ONLY_STRINGS = ['HMRClient.setup', 'RCTDevMenu']
+
+const DEV_FLAG = /\b__DEV__\s*=\s*(?:true|!0)\b/
+const SOURCE_MAPPING_URL = 'sourceMappingURL='
+const CONSOLE_LOG = /\bconsole\.log\(/g
+
+/**
+ * @param {Buffer} buffer - contents of main.jsbundle
+ * @returns {{format: string, size: number, devIndicators: string[],
+ *   sourceMappingURL: (string|null), hasInlineSourceMap: boolean,
+ *   consoleLogCount: (number|null)}}
+ *   consoleLogCount is null for Hermes bundles, where calls are not visible as text.
+ */
+function analyzeJSBundle(buffer) {
+  const hermes = isHermesBytecode(buffer)
+  const text = readJSBundleText(buffer)
+
+  const devIndicators = DEV_ONLY_STRINGS.filter((name) => text.includes(name))
+  if (!hermes && DEV_FLAG.test(text.slice(0, 64 * 1024))) {
+    devIndicators.unshift('__DEV__ = true')
+  }
+
+  const sourceMappingURL = hermes ? null : readSourceMappingURL(text)
+
+  return {
+    format: hermes ? 'hermes' : 'javascript',
+    size: buffer.length,
+    devIndicators,
+    sourceMappingURL,
+    hasInlineSourceMap: !!sourceMappingURL && sourceMappingURL.startsWith('data:'),
+    consoleLogCount: hermes ? null : (text.match(CONSOLE_LOG) || []).length
+  }
+}
+
+// Searchable text of a bundle: the source of plain JS, the string table of Hermes bytecode
+function readJSBundleText(buffer) {
+  return isHermesBytecode(buffer) ? readBytecodeText(buffer) : buffer.toString('utf8')
+}
+
+// String literals of a Hermes bundle, one per line, for the same text searches as plain JS
+function readBytecodeText(buffer) {
+  try {
+    return readHermesStrings(buffer).join('\n')
+  } catch (error) {
+    // Unknown bytecode layouts still keep their string storage as plain ASCII
+    return buffer.toString('latin1')
+  }
+}
+
+// The last //# sourceMappingURL= comment; inline maps are cut after the data: URL header
+function readSourceMappingURL(text) {
+  const index = text.lastIndexOf(SOURCE_MAPPING_URL)
+  if (index === -1 || !/\/\/[#@]\s*$/.test(text.slice(Math.max(0, index - 8), index))) {
+    return null
+  }
+
+  const url = text.slice(index + SOURCE_MAPPING_URL.length).split(/\s/, 1)[0]
+  return url.startsWith('data:') ? url.slice(0, url.indexOf(',') + 1) || 'data:' : url
+}
+
+module.exports = {
+  analyzeJSBundle,
+  readJSBundleText
+}
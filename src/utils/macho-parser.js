@@ -0,0 +1,528 @@
+/**
+ * Mach-O executable analysis (thin and fat/universal binaries)
+ */
+
+const FAT_MAGIC = 0xcafebabe
+const FAT_MAGIC_64 = 0xcafebabf
+const MH_MAGIC = 0xfeedface
+const MH_MAGIC_64 = 0xfeedfacf
+
+const LC_REQ_DYLD = 0x80000000
+
+// Bitwise OR yields a signed int32; keep command ids unsigned to match readUInt32LE
+const requiresDyld = (cmd) => (cmd | LC_REQ_DYLD) >>> 0
+
+const LOAD_COMMANDS = {
+  LC_SEGMENT: 0x1,
+  LC_SYMTAB: 0x2,
+  LC_DYSYMTAB: 0xb,
+  LC_LOAD_DYLIB: 0xc,
+  LC_ID_DYLIB: 0xd,
+  LC_LOAD_DYLINKER: 0xe,
+  LC_LOAD_WEAK_DYLIB: requiresDyld(0x18),
+  LC_SEGMENT_64: 0x19,
+  LC_UUID: 0x1b,
+  LC_RPATH: requiresDyld(0x1c),
+  LC_CODE_SIGNATURE: 0x1d,
+  LC_SEGMENT_SPLIT_INFO: 0x1e,
+  LC_REEXPORT_DYLIB: requiresDyld(0x1f),
+  LC_LAZY_LOAD_DYLIB: 0x20,
+  LC_ENCRYPTION_INFO: 0x21,
+  LC_DYLD_INFO: 0x22,
+  LC_DYLD_INFO_ONLY: requiresDyld(0x22),
+  LC_LOAD_UPWARD_DYLIB: requiresDyld(0x23),
+  LC_VERSION_MIN_MACOSX: 0x24,
+  LC_VERSION_MIN_IPHONEOS: 0x25,
+  LC_FUNCTION_STARTS: 0x26,
+  LC_DYLD_ENVIRONMENT: 0x27,
+  LC_MAIN: requiresDyld(0x28),
+  LC_DATA_IN_CODE: 0x29,
+  LC_SOURCE_VERSION: 0x2a,
+  LC_DYLIB_CODE_SIGN_DRS: 0x2b,
+  LC_ENCRYPTION_INFO_64: 0x2c,
+  LC_LINKER_OPTION: 0x2d,
+  LC_LINKER_OPTIMIZATION_HINT: 0x2e,
+  LC_VERSION_MIN_TVOS: 0x2f,
+  LC_VERSION_MIN_WATCHOS: 0x30,
+  LC_NOTE: 0x31,
+  LC_BUILD_VERSION: 0x32,
+  LC_DYLD_EXPORTS_TRIE: requiresDyld(0x33),
+  LC_DYLD_CHAINED_FIXUPS: requiresDyld(0x34)
+}
+
+const LOAD_COMMAND_NAMES = Object.fromEntries(
+  Object.entries(LOAD_COMMANDS).map(([name, value]) => [value, name])
+)
+
+const DYLIB_COMMANDS = {
+  [LOAD_COMMANDS.LC_LOAD_DYLIB]: 'load',
+  [LOAD_COMMANDS.LC_LOAD_WEAK_DYLIB]: 'weak',
+  [LOAD_COMMANDS.LC_REEXPORT_DYLIB]: 'reexport',
+  [LOAD_COMMANDS.LC_LAZY_LOAD_DYLIB]: 'lazy',
+  [LOAD_COMMANDS.LC_LOAD_UPWARD_DYLIB]: 'upward'
+}
+
+const FILE_TYPES = {
+  0x1: 'object',
+  0x2: 'execute',
+  0x6: 'dylib',
+  0x8: 'bundle',
+  0x9: 'dylib_stub',
+  0xa: 'dsym'
+}
+
+const PLATFORMS = {
+  1: 'macos',
+  2: 'ios',
+  3: 'tvos',
+  4: 'watchos',
+  5: 'bridgeos',
+  6: 'maccatalyst',
+  7: 'iossimulator',
+  8: 'tvossimulator',
+  9: 'watchossimulator',
+  10: 'driverkit',
+  11: 'visionos',
+  12: 'visionossimulator'
+}
+
+const VERSION_MIN_PLATFORMS = {
+  [LOAD_COMMANDS.LC_VERSION_MIN_MACOSX]: 'macos',
+  [LOAD_COMMANDS.LC_VERSION_MIN_IPHONEOS]: 'ios',
+  [LOAD_COMMANDS.LC_VERSION_MIN_TVOS]: 'tvos',
+  [LOAD_COMMANDS.LC_VERSION_MIN_WATCHOS]: 'watchos'
+}
+
+const CPU_TYPE_X86 = 7
+const CPU_TYPE_ARM = 12
+const CPU_ARCH_ABI64 = 0x01000000
+const CPU_ARCH_ABI64_32 = 0x02000000
+
+const MH_FLAGS = {
+  PIE: 0x200000,
+  ALLOW_STACK_EXECUTION: 0x20000,
+  NO_HEAP_EXECUTION: 0x1000000
+}
+
+function isMachO(buffer) {
+  if (!buffer || buffer.length < 8) return false
+
+  const be = buffer.readUInt32BE(0)
+  if ((be === FAT_MAGIC || be === FAT_MAGIC_64) && buffer.readUInt32BE(4) < 32) {
+    return true
+  }
+
+  const le = buffer.readUInt32LE(0)
+  return le === MH_MAGIC || le === MH_MAGIC_64
+}
+
+function parseMachO(buffer) {
+  if (!isMachO(buffer)) {
+    throw new Error('Not a Mach-O binary')
+  }
+
+  const magic = buffer.readUInt32BE(0)
+  const fat = magic === FAT_MAGIC || magic === FAT_MAGIC_64
+  const slices = fat
+    ? readFatArchs(buffer, magic === FAT_MAGIC_64).map((arch) =>
+      parseSlice(buffer, arch.offset, arch.size)
+    )
+    : [parseSlice(buffer, 0, buffer.length)]
+
+  return {
+    fat,
+    architectures: slices.map((slice) => slice.arch),
+    slices
+  }
+}
+
+function readFatArchs(buffer, is64) {
+  const count = buffer.readUInt32BE(4)
+  const entrySize = is64 ? 32 : 20
+  const archs = []
+
+  for (let i = 0; i < count; i++) {
+    const base = 8 + i * entrySize
+    const offset = is64 ? Number(buffer.readBigUInt64BE(base + 8)) : buffer.readUInt32BE(base + 8)
+    const size = is64 ? Number(buffer.readBigUInt64BE(base + 16)) : buffer.readUInt32BE(base + 12)
+
+    if (offset + size > buffer.length) {
+      throw new Error(`Fat architecture ${i} extends past end of file`)
+    }
+
+    archs.push({ offset, size })
+  }
+
+  return archs
+}
+
+function parseSlice(buffer, offset, size) {
+  const magic = buffer.readUInt32LE(offset)
+  if (magic !== MH_MAGIC && magic !== MH_MAGIC_64) {
+    throw new Error(`Unsupported Mach-O magic 0x${magic.toString(16)} at offset ${offset}`)
+  }
+
+  const is64 = magic === MH_MAGIC_64
+  const cpuType = buffer.readInt32LE(offset + 4)
+  const cpuSubtype = buffer.readUInt32LE(offset + 8) & 0x00ffffff
+  const fileType = buffer.readUInt32LE(offset + 12)
+  const ncmds = buffer.readUInt32LE(offset + 16)
+  const flags = buffer.readUInt32LE(offset + 24)
+
+  const slice = {
+    arch: getArchName(cpuType, cpuSubtype),
+    cpuType,
+    cpuSubtype,
+    offset,
+    size,
+    is64,
+    fileType: FILE_TYPES[fileType] || `unknown(0x${fileType.toString(16)})`,
+    flags,
+    pie: (flags & MH_FLAGS.PIE) !== 0,
+    allowStackExecution: (flags & MH_FLAGS.ALLOW_STACK_EXECUTION) !== 0,
+    uuid: null,
+    loadCommands: [],
+    segments: [],
+    dylibs: [],
+    frameworks: [],
+    rpaths: [],
+    minOS: null,
+    encryption: null,
+    codeSignature: null,
+    importedSymbols: []
+  }
+
+  let symtab = null
+  let chainedFixups = null
+  let cursor = offset + (is64 ? 32 : 28)
+
+  for (let i = 0; i < ncmds; i++) {
+    if (cursor + 8 > offset + size) {
+      throw new Error('Load commands extend past end of slice')
+    }
+
+    const cmd = buffer.readUInt32LE(cursor)
+    const cmdSize = buffer.readUInt32LE(cursor + 4)
+
+    if (cmdSize < 8) {
+      throw new Error(`Invalid load command size ${cmdSize}`)
+    }
+
+    slice.loadCommands.push({
+      cmd,
+      name: LOAD_COMMAND_NAMES[cmd] || `LC_UNKNOWN(0x${cmd.toString(16)})`,
+      size: cmdSize
+    })
+
+    switch (cmd) {
+      case LOAD_COMMANDS.LC_SEGMENT:
+      case LOAD_COMMANDS.LC_SEGMENT_64:
+        slice.segments.push(readSegment(buffer, cursor, cmd === LOAD_COMMANDS.LC_SEGMENT_64))
+        break
+      case LOAD_COMMANDS.LC_LOAD_DYLIB:
+      case LOAD_COMMANDS.LC_LOAD_WEAK_DYLIB:
+      case LOAD_COMMANDS.LC_REEXPORT_DYLIB:
+      case LOAD_COMMANDS.LC_LAZY_LOAD_DYLIB:
+      case LOAD_COMMANDS.LC_LOAD_UPWARD_DYLIB:
+        slice.dylibs.push({
+          name: readCString(buffer, cursor + buffer.readUInt32LE(cursor + 8), cursor + cmdSize),
+          type: DYLIB_COMMANDS[cmd],
+          currentVersion: formatVersion(buffer.readUInt32LE(cursor + 16)),
+          compatibilityVersion: formatVersion(buffer.readUInt32LE(cursor + 20))
+        })
+        break
+      case LOAD_COMMANDS.LC_RPATH:
+        slice.rpaths.push(
+          readCString(buffer, cursor + buffer.readUInt32LE(cursor + 8), cursor + cmdSize)
+        )
+        break
+      case LOAD_COMMANDS.LC_UUID:
+        slice.uuid = formatUUID(buffer.slice(cursor + 8, cursor + 24))
+        break
+      case LOAD_COMMANDS.LC_BUILD_VERSION:
+        slice.minOS = {
+          platform: PLATFORMS[buffer.readUInt32LE(cursor + 8)] || 'unknown',
+          version: formatVersion(buffer.readUInt32LE(cursor + 12)),
+          sdk: formatVersion(buffer.readUInt32LE(cursor + 16))
+        }
+        break
+      case LOAD_COMMANDS.LC_VERSION_MIN_MACOSX:
+      case LOAD_COMMANDS.LC_VERSION_MIN_IPHONEOS:
+      case LOAD_COMMANDS.LC_VERSION_MIN_TVOS:
+      case LOAD_COMMANDS.LC_VERSION_MIN_WATCHOS:
+        // LC_BUILD_VERSION supersedes the older commands when both are present
+        if (!slice.minOS) {
+          slice.minOS = {
+            platform: VERSION_MIN_PLATFORMS[cmd],
+            version: formatVersion(buffer.readUInt32LE(cursor + 8)),
+            sdk: formatVersion(buffer.readUInt32LE(cursor + 12))
+          }
+        }
+        break
+      case LOAD_COMMANDS.LC_ENCRYPTION_INFO:
+      case LOAD_COMMANDS.LC_ENCRYPTION_INFO_64: {
+        const cryptid = buffer.readUInt32LE(cursor + 16)
+        slice.encryption = {
+          cryptoff: buffer.readUInt32LE(cursor + 8),
+          cryptsize: buffer.readUInt32LE(cursor + 12),
+          cryptid,
+          encrypted: cryptid !== 0
+        }
+        break
+      }
+      case LOAD_COMMANDS.LC_CODE_SIGNATURE:
+        slice.codeSignature = {
+          dataoff: buffer.readUInt32LE(cursor + 8),
+          datasize: buffer.readUInt32LE(cursor + 12)
+        }
+        break
+      case LOAD_COMMANDS.LC_SYMTAB:
+        symtab = {
+          symoff: buffer.readUInt32LE(cursor + 8),
+          nsyms: buffer.readUInt32LE(cursor + 12),
+          stroff: buffer.readUInt32LE(cursor + 16),
+          strsize: buffer.readUInt32LE(cursor + 20)
+        }
+        break
+      case LOAD_COMMANDS.LC_DYLD_CHAINED_FIXUPS:
+        chainedFixups = {
+          dataoff: buffer.readUInt32LE(cursor + 8),
+          datasize: buffer.readUInt32LE(cursor + 12)
+        }
+        break
+    }
+
+    cursor += cmdSize
+  }
+
+  slice.frameworks = slice.dylibs.map((dylib) => getFrameworkName(dylib.name)).filter(Boolean)
+
+  const imports = new Set()
+  if (symtab) {
+    for (const name of readUndefinedSymbols(buffer, offset, size, symtab, is64)) {
+      imports.add(name)
+    }
+  }
+  if (chainedFixups) {
+    for (const name of readChainedFixupImports(buffer, offset, size, chainedFixups)) {
+      imports.add(name)
+    }
+  }
+  slice.importedSymbols = Array.from(imports).sort()
+
+  return slice
+}
+
+function readSegment(buffer, cursor, is64) {
+  const name = readFixedString(buffer, cursor + 8, 16)
+  const segment = is64
+    ? {
+        name,
+        vmaddr: Number(buffer.readBigUInt64LE(cursor + 24)),
+        vmsize: Number(buffer.readBigUInt64LE(cursor + 32)),
+        fileoff: Number(buffer.readBigUInt64LE(cursor + 40)),
+        filesize: Number(buffer.readBigUInt64LE(cursor + 48)),
+        sections: []
+      }
+    : {
+        name,
+        vmaddr: buffer.readUInt32LE(cursor + 24),
+        vmsize: buffer.readUInt32LE(cursor + 28),
+        fileoff: buffer.readUInt32LE(cursor + 32),
+        filesize: buffer.readUInt32LE(cursor + 36),
+        sections: []
+      }
+
+  const nsects = buffer.readUInt32LE(cursor + (is64 ? 64 : 48))
+  const sectionSize = is64 ? 80 : 68
+  let sectionCursor = cursor + (is64 ? 72 : 56)
+
+  for (let i = 0; i < nsects; i++) {
+    segment.sections.push({
+      name: readFixedString(buffer, sectionCursor, 16),
+      segment: readFixedString(buffer, sectionCursor + 16, 16),
+      addr: is64
+        ? Number(buffer.readBigUInt64LE(sectionCursor + 32))
+        : buffer.readUInt32LE(sectionCursor + 32),
+      size: is64
+        ? Number(buffer.readBigUInt64LE(sectionCursor + 40))
+        : buffer.readUInt32LE(sectionCursor + 36),
+      offset: buffer.readUInt32LE(sectionCursor + (is64 ? 48 : 40))
+    })
+    sectionCursor += sectionSize
+  }
+
+  return segment
+}
+
+function readUndefinedSymbols(buffer, sliceOffset, sliceSize, symtab, is64) {
+  const entrySize = is64 ? 16 : 12
+  const symbolsStart = sliceOffset + symtab.symoff
+  const stringsStart = sliceOffset + symtab.stroff
+  const stringsEnd = Math.min(stringsStart + symtab.strsize, sliceOffset + sliceSize)
+  const names = []
+
+  if (symbolsStart + symtab.nsyms * entrySize > sliceOffset + sliceSize) {
+    return names
+  }
+
+  for (let i = 0; i < symtab.nsyms; i++) {
+    const entry = symbolsStart + i * entrySize
+    const type = buffer[entry + 4]
+
+    // Skip debugger (stab) entries; keep external symbols with no section (N_UNDF)
+    if (type & 0xe0) continue
+    if ((type & 0x0e) !== 0 || (type & 0x01) === 0) continue
+
+    const nameOffset = stringsStart + buffer.readUInt32LE(entry)
+    if (nameOffset < stringsEnd) {
+      names.push(readCString(buffer, nameOffset, stringsEnd))
+    }
+  }
+
+  return names
+}
+
+function readChainedFixupImports(buffer, sliceOffset, sliceSize, fixups) {
+  const base = sliceOffset + fixups.dataoff
+  const end = Math.min(base + fixups.datasize, sliceOffset + sliceSize)
+  const names = []
+
+  if (base + 28 > end) return names
+
+  const importsOffset = buffer.readUInt32LE(base + 8)
+  const symbolsOffset = buffer.readUInt32LE(base + 12)
+  const importsCount = buffer.readUInt32LE(base + 16)
+  const importsFormat = buffer.readUInt32LE(base + 20)
+  const symbolsFormat = buffer.readUInt32LE(base + 24)
+
+  // Only uncompressed symbol names are emitted by ld64/ld-prime
+  if (symbolsFormat !== 0) return names
+
+  const entrySize = { 1: 4, 2: 8, 3: 16 }[importsFormat]
+  if (!entrySize) return names
+
+  for (let i = 0; i < importsCount; i++) {
+    const entry = base + importsOffset + i * entrySize
+    if (entry + entrySize > end) break
+
+    const nameOffset =
+      importsFormat === 3 ? buffer.readUInt32LE(entry + 4) : buffer.readUInt32LE(entry) >>> 9
+    const start = base + symbolsOffset + nameOffset
+    if (start < end) {
+      names.push(readCString(buffer, start, end))
+    }
+  }
+
+  return names
+}
+
+// Reads the NUL-separated strings stored in a section such as __TEXT,__cstring
+function readSectionStrings(buffer, slice, segmentName, sectionName) {
+  const section = findSection(slice, segmentName, sectionName)
+  if (!section || section.offset === 0) return []
+
+  const start = slice.offset + section.offset
+  const end = Math.min(start + section.size, slice.offset + slice.size)
+  const strings = []
+  let cursor = start
+
+  while (cursor < end) {
+    const terminator = buffer.indexOf(0, cursor)
+    const stop = terminator === -1 || terminator > end ? end : terminator
+    if (stop > cursor) {
+      strings.push(buffer.toString('utf8', cursor, stop))
+    }
+    cursor = stop + 1
+  }
+
+  return strings
+}
+
+function findSection(slice, segmentName, sectionName) {
+  for (const segment of slice.segments) {
+    for (const section of segment.sections) {
+      if (section.segment === segmentName && section.name === sectionName) {
+        return section
+      }
+    }
+  }
+  return null
+}
+
+// Picks the slice the App Store will run: arm64 first, then any 64-bit device slice
+function getPrimarySlice(macho) {
+  if (!macho || macho.slices.length === 0) return null
+
+  return (
+    macho.slices.find((slice) => slice.arch === 'arm64') ||
+    macho.slices.find((slice) => slice.arch === 'arm64e') ||
+    macho.slices.find((slice) => slice.is64) ||
+    macho.slices[0]
+  )
+}
+
+function getArchName(cpuType, cpuSubtype) {
+  if (cpuType === (CPU_TYPE_ARM | CPU_ARCH_ABI64)) {
+    return cpuSubtype === 2 ? 'arm64e' : 'arm64'
+  }
+
+  if (cpuType === (CPU_TYPE_ARM | CPU_ARCH_ABI64_32)) {
+    return 'arm64_32'
+  }
+
+  if (cpuType === CPU_TYPE_ARM) {
+    return { 6: 'armv6', 9: 'armv7', 11: 'armv7s', 12: 'armv7k' }[cpuSubtype] || 'arm'
+  }
+
+  if (cpuType === (CPU_TYPE_X86 | CPU_ARCH_ABI64)) {
+    return 'x86_64'
+  }
+
+  if (cpuType === CPU_TYPE_X86) {
+    return 'i386'
+  }
+
+  return `unknown(${cpuType})`
+}
+
+function getFrameworkName(dylibPath) {
+  const match = dylibPath.match(/([^/]+)\.framework\/(?:Versions\/[^/]+\/)?[^/]+$/)
+  return match ? match[1] : null
+}
+
+// Mach-O packs versions as xxxx.yy.zz nibbles
+function formatVersion(value) {
+  const major = value >>> 16
+  const minor = (value >> 8) & 0xff
+  const patch = value & 0xff
+  return patch ? `${major}.${minor}.${patch}` : `${major}.${minor}`
+}
+
+function formatUUID(bytes) {
+  const hex = bytes.toString('hex').toUpperCase()
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(
+    16,
+    20
+  )}-${hex.slice(20)}`
+}
+
+function readCString(buffer, start, end) {
+  const terminator = buffer.indexOf(0, start)
+  const stop = terminator === -1 || terminator > end ? end : terminator
+  return buffer.toString('utf8', start, stop)
+}
+
+function readFixedString(buffer, start, length) {
+  return readCString(buffer, start, start + length)
+}
+
+module.exports = {
+  LOAD_COMMANDS,
+  isMachO,
+  parseMachO,
+  readSectionStrings,
+  findSection,
+  getPrimarySlice,
+  getFrameworkName
+}
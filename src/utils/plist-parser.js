@@ -0,0 +1,477 @@
+/**
+ * Property list decoding for binary (bplist00), XML and OpenStep/ASCII formats
+ */
+
+const plist = require('plist')
+
+const PLIST_FORMAT = {
+  BINARY: 'binary',
+  XML: 'xml',
+  OPENSTEP: 'openstep'
+}
+
+// Seconds between the Unix epoch and the Core Data epoch (2001-01-01T00:00:00Z)
+const APPLE_EPOCH_OFFSET = 978307200
+
+function detectPlistFormat(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8')
+
+  if (buffer.length >= 6 && buffer.toString('latin1', 0, 6) === 'bplist') {
+    return PLIST_FORMAT.BINARY
+  }
+
+  const text = decodeText(buffer).trimStart()
+  if (text.startsWith('<')) {
+    return PLIST_FORMAT.XML
+  }
+
+  return PLIST_FORMAT.OPENSTEP
+}
+
+function parsePlistBuffer(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8')
+
+  switch (detectPlistFormat(buffer)) {
+    case PLIST_FORMAT.BINARY:
+      return parseBinaryPlist(buffer)
+    case PLIST_FORMAT.XML:
+      return plist.parse(decodeText(buffer))
+    default:
+      return parseOpenStepPlist(decodeText(buffer))
+  }
+}
+
+function decodeText(buffer) {
+  // Honour UTF-16 byte order marks, which Xcode emits for some .strings files
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2)
+  }
+
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return swapUTF16(buffer.slice(2)).toString('utf16le')
+  }
+
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.toString('utf8', 3)
+  }
+
+  return buffer.toString('utf8')
+}
+
+function swapUTF16(buffer) {
+  const swapped = Buffer.alloc(buffer.length - (buffer.length % 2))
+  for (let i = 0; i < swapped.length; i += 2) {
+    swapped[i] = buffer[i + 1]
+    swapped[i + 1] = buffer[i]
+  }
+  return swapped
+}
+
+// Binary property lists
+
+function parseBinaryPlist(buffer) {
+  const version = buffer.toString('latin1', 6, 8)
+  if (buffer.toString('latin1', 0, 6) !== 'bplist' || version !== '00') {
+    throw new Error(`Unsupported binary plist version: bplist${version}`)
+  }
+
+  if (buffer.length < 40) {
+    throw new Error('Binary plist is truncated')
+  }
+
+  const trailerOffset = buffer.length - 32
+  const offsetSize = buffer[trailerOffset + 6]
+  const objectRefSize = buffer[trailerOffset + 7]
+  const numObjects = readUInt(buffer, trailerOffset + 8, 8)
+  const topObject = readUInt(buffer, trailerOffset + 16, 8)
+  const offsetTableOffset = readUInt(buffer, trailerOffset + 24, 8)
+
+  if (
+    topObject >= numObjects ||
+    offsetTableOffset + numObjects * offsetSize > trailerOffset ||
+    offsetSize === 0 ||
+    objectRefSize === 0
+  ) {
+    throw new Error('Binary plist trailer is invalid')
+  }
+
+  const offsets = []
+  for (let i = 0; i < numObjects; i++) {
+    offsets.push(readUInt(buffer, offsetTableOffset + i * offsetSize, offsetSize))
+  }
+
+  const visiting = new Set()
+
+  const parseObject = (ref) => {
+    if (ref >= offsets.length) {
+      throw new Error(`Binary plist object reference out of range: ${ref}`)
+    }
+
+    if (visiting.has(ref)) {
+      throw new Error('Binary plist contains a circular reference')
+    }
+
+    const offset = offsets[ref]
+    const marker = buffer[offset]
+    const type = marker >> 4
+    const info = marker & 0x0f
+
+    switch (type) {
+      case 0x0:
+        if (info === 0x8) return false
+        if (info === 0x9) return true
+        return null
+      case 0x1:
+        return readInteger(buffer, offset + 1, 1 << info)
+      case 0x2:
+        return info === 2 ? buffer.readFloatBE(offset + 1) : buffer.readDoubleBE(offset + 1)
+      case 0x3:
+        return new Date((APPLE_EPOCH_OFFSET + buffer.readDoubleBE(offset + 1)) * 1000)
+      case 0x4: {
+        const { count, start } = readLength(buffer, offset, info)
+        return Buffer.from(buffer.slice(start, start + count))
+      }
+      case 0x5: {
+        const { count, start } = readLength(buffer, offset, info)
+        return buffer.toString('latin1', start, start + count)
+      }
+      case 0x6: {
+        const { count, start } = readLength(buffer, offset, info)
+        return swapUTF16(buffer.slice(start, start + count * 2)).toString('utf16le')
+      }
+      case 0x7: {
+        const { count, start } = readLength(buffer, offset, info)
+        return buffer.toString('utf8', start, start + count)
+      }
+      case 0x8:
+        return { UID: readUInt(buffer, offset + 1, info + 1) }
+      case 0xa:
+      case 0xc: {
+        const { count, start } = readLength(buffer, offset, info)
+        visiting.add(ref)
+        const items = []
+        for (let i = 0; i < count; i++) {
+          items.push(parseObject(readUInt(buffer, start + i * objectRefSize, objectRefSize)))
+        }
+        visiting.delete(ref)
+        return items
+      }
+      case 0xd: {
+        const { count, start } = readLength(buffer, offset, info)
+        visiting.add(ref)
+        const dict = {}
+        for (let i = 0; i < count; i++) {
+          const keyRef = readUInt(buffer, start + i * objectRefSize, objectRefSize)
+          const valueRef = readUInt(buffer, start + (count + i) * objectRefSize, objectRefSize)
+          dict[String(parseObject(keyRef))] = parseObject(valueRef)
+        }
+        visiting.delete(ref)
+        return dict
+      }
+      default:
+        throw new Error(`Unknown binary plist object type 0x${marker.toString(16)}`)
+    }
+  }
+
+  return parseObject(topObject)
+}
+
+function readLength(buffer, offset, info) {
+  if (info !== 0x0f) {
+    return { count: info, start: offset + 1 }
+  }
+
+  const intSize = 1 << (buffer[offset + 1] & 0x0f)
+  return {
+    count: readUInt(buffer, offset + 2, intSize),
+    start: offset + 2 + intSize
+  }
+}
+
+function readUInt(buffer, offset, size) {
+  switch (size) {
+    case 1:
+      return buffer.readUInt8(offset)
+    case 2:
+      return buffer.readUInt16BE(offset)
+    case 3:
+      return buffer.readUIntBE(offset, 3)
+    case 4:
+      return buffer.readUInt32BE(offset)
+    case 8:
+      return Number(buffer.readBigUInt64BE(offset))
+    default:
+      return buffer.readUIntBE(offset, Math.min(size, 6))
+  }
+}
+
+function readInteger(buffer, offset, size) {
+  if (size === 8) {
+    return Number(buffer.readBigInt64BE(offset))
+  }
+
+  if (size === 16) {
+    // 128-bit integers only appear for values that do not fit in 64 bits; keep the low word
+    return Number(buffer.readBigInt64BE(offset + 8))
+  }
+
+  return readUInt(buffer, offset, size)
+}
+
+// OpenStep / ASCII property lists (also covers .strings files and project.pbxproj)
+
+const UNQUOTED_CHARS = /[A-Za-z0-9_$+/:.\-*]/
+
+function parseOpenStepPlist(text) {
+  const parser = new OpenStepParser(text)
+  return parser.parse()
+}
+
+class OpenStepParser {
+  constructor(text) {
+    this.text = text
+    this.pos = 0
+  }
+
+  parse() {
+    this.skipWhitespace()
+
+    if (this.pos >= this.text.length) {
+      return {}
+    }
+
+    // A top-level sequence of `key = value;` pairs without braces is a .strings file
+    const start = this.pos
+    const first = this.text[this.pos]
+    if (first !== '{' && first !== '(' && first !== '<') {
+      this.parseString()
+      this.skipWhitespace()
+      const isStringsFile = this.text[this.pos] === '='
+      this.pos = start
+      if (isStringsFile) {
+        return this.parseDictionaryBody(null)
+      }
+    }
+
+    const value = this.parseValue()
+    this.skipWhitespace()
+
+    if (this.pos < this.text.length) {
+      this.fail('Unexpected content after root object')
+    }
+
+    return value
+  }
+
+  parseValue() {
+    this.skipWhitespace()
+    const char = this.text[this.pos]
+
+    if (char === '{') {
+      this.pos++
+      return this.parseDictionaryBody('}')
+    }
+
+    if (char === '(') {
+      this.pos++
+      return this.parseArray()
+    }
+
+    if (char === '<') {
+      this.pos++
+      return this.parseData()
+    }
+
+    return this.parseString()
+  }
+
+  parseDictionaryBody(terminator) {
+    const dict = {}
+
+    for (;;) {
+      this.skipWhitespace()
+
+      if (this.pos >= this.text.length) {
+        if (terminator) this.fail(`Expected '${terminator}'`)
+        return dict
+      }
+
+      if (terminator && this.text[this.pos] === terminator) {
+        this.pos++
+        return dict
+      }
+
+      const key = this.parseString()
+      this.skipWhitespace()
+
+      // .strings files allow `"key";` as shorthand for `"key" = "key";`
+      if (this.text[this.pos] === ';') {
+        this.pos++
+        dict[key] = key
+        continue
+      }
+
+      this.expect('=')
+      dict[key] = this.parseValue()
+      this.skipWhitespace()
+      this.expect(';')
+    }
+  }
+
+  parseArray() {
+    const items = []
+
+    for (;;) {
+      this.skipWhitespace()
+
+      if (this.text[this.pos] === ')') {
+        this.pos++
+        return items
+      }
+
+      items.push(this.parseValue())
+      this.skipWhitespace()
+
+      if (this.text[this.pos] === ',') {
+        this.pos++
+      } else if (this.text[this.pos] !== ')') {
+        this.fail("Expected ',' or ')'")
+      }
+    }
+  }
+
+  parseData() {
+    const end = this.text.indexOf('>', this.pos)
+    if (end === -1) {
+      this.fail("Expected '>'")
+    }
+
+    const hex = this.text.slice(this.pos, end).replace(/\s+/g, '')
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+      this.fail('Invalid data literal')
+    }
+
+    this.pos = end + 1
+    return Buffer.from(hex, 'hex')
+  }
+
+  parseString() {
+    this.skipWhitespace()
+    const quote = this.text[this.pos]
+
+    if (quote === '"' || quote === "'") {
+      return this.parseQuotedString(quote)
+    }
+
+    const start = this.pos
+    while (this.pos < this.text.length && UNQUOTED_CHARS.test(this.text[this.pos])) {
+      this.pos++
+    }
+
+    if (this.pos === start) {
+      this.fail('Expected a string')
+    }
+
+    return this.text.slice(start, this.pos)
+  }
+
+  parseQuotedString(quote) {
+    this.pos++
+    let result = ''
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++]
+
+      if (char === quote) {
+        return result
+      }
+
+      if (char !== '\\') {
+        result += char
+        continue
+      }
+
+      const escape = this.text[this.pos++]
+      switch (escape) {
+        case 'n':
+          result += '\n'
+          break
+        case 't':
+          result += '\t'
+          break
+        case 'r':
+          result += '\r'
+          break
+        case 'a':
+          result += '\x07'
+          break
+        case 'b':
+          result += '\b'
+          break
+        case 'f':
+          result += '\f'
+          break
+        case 'v':
+          result += '\v'
+          break
+        case 'U':
+        case 'u': {
+          const hex = this.text.slice(this.pos, this.pos + 4)
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.fail('Invalid unicode escape')
+          result += String.fromCharCode(parseInt(hex, 16))
+          this.pos += 4
+          break
+        }
+        default:
+          if (/[0-7]/.test(escape)) {
+            const octal = this.text.slice(this.pos - 1).match(/^[0-7]{1,3}/)[0]
+            result += String.fromCharCode(parseInt(octal, 8))
+            this.pos += octal.length - 1
+          } else {
+            result += escape
+          }
+      }
+    }
+
+    this.fail('Unterminated string')
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos]
+
+      if (/\s/.test(char)) {
+        this.pos++
+      } else if (char === '/' && this.text[this.pos + 1] === '/') {
+        const end = this.text.indexOf('\n', this.pos)
+        this.pos = end === -1 ? this.text.length : end + 1
+      } else if (char === '/' && this.text[this.pos + 1] === '*') {
+        const end = this.text.indexOf('*/', this.pos + 2)
+        if (end === -1) this.fail('Unterminated comment')
+        this.pos = end + 2
+      } else {
+        return
+      }
+    }
+  }
+
+  expect(char) {
+    if (this.text[this.pos] !== char) {
+      this.fail(`Expected '${char}'`)
+    }
+    this.pos++
+  }
+
+  fail(message) {
+    const line = this.text.slice(0, this.pos).split('\n').length
+    throw new Error(`${message} at line ${line}`)
+  }
+}
+
+module.exports = {
+  PLIST_FORMAT,
+  detectPlistFormat,
+  parsePlistBuffer,
+  parseBinaryPlist,
+  parseOpenStepPlist
+}
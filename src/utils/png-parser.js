@@ -0,0 +1,268 @@
+/**
+ * PNG inspection, including Apple's CgBI ("crushed") variant that Xcode writes into app bundles.
+ *
+ * CgBI files add a CgBI chunk before IHDR, store IDAT as raw deflate without the zlib
+ * wrapper and keep pixels as premultiplied BGRA, so standard decoders reject them.
+ */
+
+const zlib = require('zlib')
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// Signature, CgBI chunk and IHDR chunk: enough of the file for readPNGSize()
+const PNG_HEADER_LENGTH = 8 + 16 + 25
+
+const COLOR_TYPES = {
+  0: { name: 'grayscale', channels: 1, alpha: false },
+  2: { name: 'rgb', channels: 3, alpha: false },
+  3: { name: 'palette', channels: 1, alpha: false },
+  4: { name: 'grayscale-alpha', channels: 2, alpha: true },
+  6: { name: 'rgba', channels: 4, alpha: true }
+}
+
+// Adam7 passes as [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+]
+
+function isPNG(buffer) {
+  return !!buffer && buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)
+}
+
+/**
+ * Reads the header chunks of a PNG.
+ *
+ * @param {Buffer} buffer - PNG file contents
+ * @param {object} [options]
+ * @param {boolean} [options.checkTransparency] - decode the pixels to find out whether any
+ *   pixel is transparent; without it hasTransparency is null for images with an alpha channel
+ * @returns {{width: number, height: number, bitDepth: number, colorType: string,
+ *   interlaced: boolean, isCgBI: boolean, hasAlphaChannel: boolean,
+ *   hasTransparency: (boolean|null), colorProfile: (object|null)}}
+ */
+function parsePNG(buffer, options = {}) {
+  if (!isPNG(buffer)) {
+    throw new Error('Not a PNG file')
+  }
+
+  const chunks = readChunks(buffer)
+  const ihdr = chunks.find((chunk) => chunk.type === 'IHDR')
+  if (!ihdr || ihdr.data.length < 13) {
+    throw new Error('PNG has no IHDR chunk')
+  }
+
+  const header = {
+    width: ihdr.data.readUInt32BE(0),
+    height: ihdr.data.readUInt32BE(4),
+    bitDepth: ihdr.data[8],
+    colorType: ihdr.data[9],
+    interlaced: ihdr.data[12] === 1
+  }
+  const colorType = COLOR_TYPES[header.colorType]
+  if (!colorType) {
+    throw new Error(`Unsupported PNG color type ${header.colorType}`)
+  }
+
+  const isCgBI = chunks.some((chunk) => chunk.type === 'CgBI')
+  const transparencyChunk = chunks.find((chunk) => chunk.type === 'tRNS')
+
+  let hasTransparency = false
+  if (colorType.alpha) {
+    hasTransparency = options.checkTransparency
+      ? hasTransparentPixels(header, colorType, inflateImageData(chunks, isCgBI))
+      : null
+  } else if (transparencyChunk) {
+    // Palette images carry per-entry alpha; grayscale and RGB images a transparent color key
+    hasTransparency = header.colorType !== 3 || transparencyChunk.data.some((alpha) => alpha < 255)
+  }
+
+  return {
+    width: header.width,
+    height: header.height,
+    bitDepth: header.bitDepth,
+    colorType: colorType.name,
+    interlaced: header.interlaced,
+    isCgBI,
+    hasAlphaChannel: colorType.alpha,
+    hasTransparency,
+    colorProfile: readColorProfile(chunks)
+  }
+}
+
+/**
+ * Reads the dimensions from the IHDR chunk, given only the start of the file.
+ *
+ * @param {Buffer} buffer - the first PNG_HEADER_LENGTH bytes of the file, or more
+ * @returns {{width: number, height: number}}
+ */
+function readPNGSize(buffer) {
+  if (!isPNG(buffer)) {
+    throw new Error('Not a PNG file')
+  }
+
+  let offset = 8
+  while (offset + 16 <= buffer.length) {
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    if (type === 'IHDR') {
+      return { width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) }
+    }
+    // IHDR comes first, after the CgBI chunk in crushed PNGs
+    if (type !== 'CgBI') break
+    offset += 12 + buffer.readUInt32BE(offset)
+  }
+
+  throw new Error('PNG has no IHDR chunk')
+}
+
+function readChunks(buffer) {
+  const chunks = []
+  let offset = 8
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    const end = offset + 8 + length
+
+    if (end > buffer.length) {
+      throw new Error(`PNG chunk ${type} extends past end of file`)
+    }
+
+    chunks.push({ type, data: buffer.subarray(offset + 8, end) })
+    offset = end + 4
+
+    if (type === 'IEND') break
+  }
+
+  return chunks
+}
+
+function readColorProfile(chunks) {
+  const iccp = chunks.find((chunk) => chunk.type === 'iCCP')
+  if (iccp) {
+    const nameEnd = iccp.data.indexOf(0)
+    return { type: 'icc', name: iccp.data.toString('latin1', 0, nameEnd === -1 ? 0 : nameEnd) }
+  }
+
+  if (chunks.some((chunk) => chunk.type === 'sRGB')) {
+    return { type: 'srgb', name: 'sRGB' }
+  }
+
+  if (chunks.some((chunk) => chunk.type === 'cHRM' || chunk.type === 'gAMA')) {
+    return { type: 'calibrated', name: null }
+  }
+
+  return null
+}
+
+function inflateImageData(chunks, isCgBI) {
+  const data = Buffer.concat(
+    chunks.filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data)
+  )
+
+  if (isCgBI) {
+    try {
+      return zlib.inflateRawSync(data)
+    } catch (error) {
+      // Some tools keep the zlib wrapper when crushing
+    }
+  }
+
+  return zlib.inflateSync(data)
+}
+
+// Unfilters each scanline and stops at the first pixel whose alpha is below full opacity
+function hasTransparentPixels(header, colorType, data) {
+  const bytesPerSample = header.bitDepth / 8
+  const bytesPerPixel = colorType.channels * bytesPerSample
+  const alphaOffset = (colorType.channels - 1) * bytesPerSample
+  const passes = header.interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]]
+
+  let offset = 0
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const width = Math.ceil((header.width - xStart) / xStep)
+    const height = Math.ceil((header.height - yStart) / yStep)
+    if (width <= 0 || height <= 0) continue
+
+    const stride = width * bytesPerPixel
+    let previous = Buffer.alloc(stride)
+
+    for (let y = 0; y < height; y++) {
+      if (offset + 1 + stride > data.length) {
+        throw new Error('PNG image data is truncated')
+      }
+
+      const row = unfilter(
+        data[offset],
+        data.subarray(offset + 1, offset + 1 + stride),
+        previous,
+        bytesPerPixel
+      )
+      offset += 1 + stride
+
+      for (let x = alphaOffset; x < stride; x += bytesPerPixel) {
+        if (row[x] !== 0xff || (bytesPerSample === 2 && row[x + 1] !== 0xff)) {
+          return true
+        }
+      }
+
+      previous = row
+    }
+  }
+
+  return false
+}
+
+function unfilter(filter, line, previous, bytesPerPixel) {
+  const row = Buffer.from(line)
+
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0
+    const up = previous[i]
+    const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0
+
+    switch (filter) {
+      case 0:
+        break
+      case 1:
+        row[i] = (row[i] + left) & 0xff
+        break
+      case 2:
+        row[i] = (row[i] + up) & 0xff
+        break
+      case 3:
+        row[i] = (row[i] + ((left + up) >> 1)) & 0xff
+        break
+      case 4:
+        row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff
+        break
+      default:
+        throw new Error(`Unknown PNG filter type ${filter}`)
+    }
+  }
+
+  return row
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft
+  const distanceLeft = Math.abs(estimate - left)
+  const distanceUp = Math.abs(estimate - up)
+  const distanceUpLeft = Math.abs(estimate - upLeft)
+
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left
+  if (distanceUp <= distanceUpLeft) return up
+  return upLeft
+}
+
+module.exports = {
+  PNG_HEADER_LENGTH,
+  isPNG,
+  parsePNG,
+  readPNGSize
+}
@@ -0,0 +1,453 @@
+/**
+ * Privacy manifest (PrivacyInfo.xcprivacy) helpers and required-reason API detection
+ */
+
+// Required-reason API categories with the imported symbols and Objective-C selectors that
+// use them, and the reason codes Apple accepts for each category.
+// https://developer.apple.com/documentation/bundleresources/privacy_manifest_files/describing_use_of_required_reason_api
+const REQUIRED_REASON_APIS = {
+  NSPrivacyAccessedAPICategoryFileTimestamp: {
+    symbols: [
+      '_stat',
+      '_fstat',
+      '_fstatat',
+      '_lstat',
+      '_getattrlist',
+      '_getattrlistbulk',
+      '_fgetattrlist',
+      '_getattrlistat',
+      '_NSFileCreationDate',
+      '_NSFileModificationDate',
+      '_NSURLCreationDateKey',
+      '_NSURLContentModificationDateKey'
+    ],
+    selectors: ['fileCreationDate', 'fileModificationDate'],
+    reasons: ['DDA9.1', 'C617.1', '3B52.1', '0A2A.1']
+  },
+  NSPrivacyAccessedAPICategorySystemBootTime: {
+    symbols: ['_mach_absolute_time'],
+    selectors: ['systemUptime'],
+    reasons: ['35F9.1', '8FFB.1', '3D61.1']
+  },
+  NSPrivacyAccessedAPICategoryDiskSpace: {
+    symbols: [
+      '_statfs',
+      '_statvfs',
+      '_fstatfs',
+      '_fstatvfs',
+      '_NSFileSystemFreeSize',
+      '_NSFileSystemSize',
+      '_NSURLVolumeAvailableCapacityKey',
+      '_NSURLVolumeAvailableCapacityForImportantUsageKey',
+      '_NSURLVolumeAvailableCapacityForOpportunisticUsageKey',
+      '_NSURLVolumeTotalCapacityKey'
+    ],
+    selectors: ['fileSystemFreeSize', 'fileSystemSize'],
+    reasons: ['85F4.1', 'E174.1', '7D9E.1', 'B728.1']
+  },
+  NSPrivacyAccessedAPICategoryActiveKeyboards: {
+    symbols: [],
+    selectors: ['activeInputModes'],
+    reasons: ['3EC4.1', '54BD.1']
+  },
+  NSPrivacyAccessedAPICategoryUserDefaults: {
+    // Swift's UserDefaults is bridged to the same class
+    symbols: [
+      '_OBJC_CLASS_$_NSUserDefaults',
+      '_CFPreferencesCopyAppValue',
+      '_CFPreferencesSetAppValue'
+    ],
+    selectors: [],
+    reasons: ['CA92.1', '1C8F.1', 'C56D.1', 'AC6B.1']
+  }
+}
+
+// NSPrivacyCollectedDataType values, as listed under "Data use" in App Store Connect
+const COLLECTED_DATA_TYPES = [
+  'Name',
+  'EmailAddress',
+  'PhoneNumber',
+  'PhysicalAddress',
+  'OtherUserContactInfo',
+  'Health',
+  'Fitness',
+  'PaymentInfo',
+  'CreditInfo',
+  'OtherFinancialInfo',
+  'PreciseLocation',
+  'CoarseLocation',
+  'SensitiveInfo',
+  'Contacts',
+  'EmailsOrTextMessages',
+  'PhotosorVideos',
+  'AudioData',
+  'GameplayContent',
+  'CustomerSupport',
+  'OtherUserContent',
+  'BrowsingHistory',
+  'SearchHistory',
+  'UserID',
+  'DeviceID',
+  'PurchaseHistory',
+  'ProductInteraction',
+  'AdvertisingData',
+  'OtherUsageData',
+  'CrashData',
+  'PerformanceData',
+  'OtherDiagnosticData',
+  'EnvironmentScanning',
+  'Hands',
+  'Head',
+  'OtherDataTypes'
+].map((name) => `NSPrivacyCollectedDataType${name}`)
+
+const COLLECTION_PURPOSES = [
+  'ThirdPartyAdvertising',
+  'DeveloperAdvertising',
+  'Analytics',
+  'ProductPersonalization',
+  'AppFunctionality',
+  'Other'
+].map((name) => `NSPrivacyCollectedDataTypePurpose${name}`)
+
+/**
+ * Finds the required-reason API categories a binary uses.
+ *
+ * @param {object} usage
+ * @param {string[]} usage.importedSymbols - undefined symbols of the binary
+ * @param {string[]} usage.selectors - __TEXT,__objc_methname strings of the binary
+ * @returns {Map<string, string[]>} category to the APIs that were found
+ */
+function detectRequiredReasonAPIs({ importedSymbols = [], selectors = [] }) {
+  const symbolSet = new Set(importedSymbols)
+  const selectorSet = new Set(selectors)
+  const detected = new Map()
+
+  for (const [category, api] of Object.entries(REQUIRED_REASON_APIS)) {
+    const found = [
+      ...api.symbols
+        .filter((symbol) => symbolSet.has(symbol))
+        .map((symbol) => symbol.replace(/^_(OBJC_CLASS_\$_)?/, '')),
+      ...api.selectors.filter((selector) => selectorSet.has(selector))
+    ]
+    if (found.length > 0) {
+      detected.set(category, found)
+    }
+  }
+
+  return detected
+}
+
+/**
+ * Reads the NSPrivacyAccessedAPITypes declarations of a privacy manifest.
+ *
+ * @param {object} manifest - parsed PrivacyInfo.xcprivacy
+ * @returns {Map<string, string[]>} category to its declared reason codes
+ */
+function getAccessedAPITypes(manifest) {
+  const declared = new Map()
+  const entries =
+    manifest && Array.isArray(manifest.NSPrivacyAccessedAPITypes)
+      ? manifest.NSPrivacyAccessedAPITypes
+      : []
+
+  for (const entry of entries) {
+    if (!entry || typeof entry.NSPrivacyAccessedAPIType !== 'string') continue
+
+    const reasons = Array.isArray(entry.NSPrivacyAccessedAPITypeReasons)
+      ? entry.NSPrivacyAccessedAPITypeReasons
+      : []
+    declared.set(entry.NSPrivacyAccessedAPIType, [
+      ...(declared.get(entry.NSPrivacyAccessedAPIType) || []),
+      ...reasons
+    ])
+  }
+
+  return declared
+}
+
+/**
+ * Checks a privacy manifest against the PrivacyInfo.xcprivacy schema.
+ *
+ * @param {object} manifest - parsed PrivacyInfo.xcprivacy
+ * @returns {{key: string, message: string, fix: string}[]} key is the offending key path,
+ *   e.g. NSPrivacyCollectedDataTypes[1].NSPrivacyCollectedDataTypePurposes[0]
+ */
+function validatePrivacyManifest(manifest) {
+  const issues = []
+  const report = (key, message, fix) => issues.push({ key, message, fix })
+
+  if (!isDictionary(manifest)) {
+    report(
+      '(root)',
+      'the manifest is not a dictionary',
+      "Recreate the file from Xcode's App Privacy template"
+    )
+    return issues
+  }
+
+  const tracking = manifest.NSPrivacyTracking
+  if (tracking !== undefined && typeof tracking !== 'boolean') {
+    report(
+      'NSPrivacyTracking',
+      `expected a Boolean, found ${describeValue(tracking)}`,
+      'Set NSPrivacyTracking to YES or NO'
+    )
+  }
+
+  const domains = manifest.NSPrivacyTrackingDomains
+  if (domains !== undefined && !Array.isArray(domains)) {
+    report(
+      'NSPrivacyTrackingDomains',
+      `expected an array, found ${describeValue(domains)}`,
+      'List tracking domains as an array of host names'
+    )
+  } else if (domains) {
+    domains.forEach((domain, i) => {
+      if (typeof domain !== 'string' || !/^[a-z0-9.-]+$/i.test(domain)) {
+        report(
+          `NSPrivacyTrackingDomains[${i}]`,
+          `${describeValue(domain)} is not a host name`,
+          'Use bare host names such as ads.example.com, without scheme or path'
+        )
+      }
+    })
+  }
+
+  if (tracking === true && (!Array.isArray(domains) || domains.length === 0)) {
+    report(
+      'NSPrivacyTrackingDomains',
+      'NSPrivacyTracking is true but no tracking domains are listed',
+      'List the domains the app connects to for tracking, or set NSPrivacyTracking to NO'
+    )
+  }
+
+  forEachEntry(manifest, 'NSPrivacyCollectedDataTypes', report, (entry, key) => {
+    checkValue(entry, key, 'NSPrivacyCollectedDataType', COLLECTED_DATA_TYPES, report)
+
+    for (const flag of ['NSPrivacyCollectedDataTypeLinked', 'NSPrivacyCollectedDataTypeTracking']) {
+      if (typeof entry[flag] !== 'boolean') {
+        report(
+          `${key}.${flag}`,
+          `expected a Boolean, found ${describeValue(entry[flag])}`,
+          `Set ${flag} to YES or NO`
+        )
+      }
+    }
+
+    checkValues(entry, key, 'NSPrivacyCollectedDataTypePurposes', COLLECTION_PURPOSES, report)
+  })
+
+  forEachEntry(manifest, 'NSPrivacyAccessedAPITypes', report, (entry, key) => {
+    const category = entry.NSPrivacyAccessedAPIType
+    if (
+      !checkValue(entry, key, 'NSPrivacyAccessedAPIType', Object.keys(REQUIRED_REASON_APIS), report)
+    ) {
+      return
+    }
+
+    checkValues(
+      entry,
+      key,
+      'NSPrivacyAccessedAPITypeReasons',
+      REQUIRED_REASON_APIS[category].reasons,
+      report,
+      ` for ${category}`
+    )
+  })
+
+  return issues
+}
+
+/**
+ * Names the app, SDK or extension a manifest belongs to from its path in the app bundle:
+ * Frameworks/Foo.framework, PlugIns/Share.appex or a CocoaPods/SwiftPM resource bundle
+ * such as FirebaseCore_Privacy.bundle. Returns null for the app's own manifest.
+ */
+function getManifestSource(file) {
+  const parts = file.split('/').slice(0, -1)
+  const owner = parts.reverse().find((part) => /\.(framework|appex|bundle)$/.test(part))
+  if (!owner) return null
+
+  return owner
+    .replace(/\.(framework|appex|bundle)$/, '')
+    .replace(/(_Privacy|_privacy|_resources|Resources)$/, '')
+}
+
+/**
+ * Merges privacy manifests into one draft of the App Store Connect privacy questionnaire.
+ * A data type counts as linked or tracking when any manifest declares it that way.
+ *
+ * @param {{source: string, file: string, manifest: object}[]} manifests - source is the app,
+ *   SDK or extension that ships the manifest, see getManifestSource()
+ * @returns {{tracking: boolean, trackingDomains: object[], collectedDataTypes: object[],
+ *   manifests: object[]}}
+ */
+function buildPrivacyReport(manifests) {
+  const dataTypes = new Map()
+  const domains = new Map()
+  let tracking = false
+
+  for (const { source, manifest } of manifests) {
+    if (!isDictionary(manifest)) continue
+
+    if (manifest.NSPrivacyTracking === true) tracking = true
+
+    for (const domain of Array.isArray(manifest.NSPrivacyTrackingDomains)
+      ? manifest.NSPrivacyTrackingDomains
+      : []) {
+      if (typeof domain !== 'string') continue
+      if (!domains.has(domain)) domains.set(domain, new Set())
+      domains.get(domain).add(source)
+    }
+
+    const entries = Array.isArray(manifest.NSPrivacyCollectedDataTypes)
+      ? manifest.NSPrivacyCollectedDataTypes
+      : []
+    for (const entry of entries) {
+      if (!isDictionary(entry) || typeof entry.NSPrivacyCollectedDataType !== 'string') continue
+
+      const type = entry.NSPrivacyCollectedDataType
+      if (!dataTypes.has(type)) {
+        dataTypes.set(type, {
+          type,
+          linked: false,
+          tracking: false,
+          purposes: new Set(),
+          sources: new Set()
+        })
+      }
+
+      const merged = dataTypes.get(type)
+      merged.linked = merged.linked || entry.NSPrivacyCollectedDataTypeLinked === true
+      merged.tracking = merged.tracking || entry.NSPrivacyCollectedDataTypeTracking === true
+      const purposes = Array.isArray(entry.NSPrivacyCollectedDataTypePurposes)
+        ? entry.NSPrivacyCollectedDataTypePurposes
+        : []
+      purposes
+        .filter((purpose) => typeof purpose === 'string')
+        .forEach((purpose) => merged.purposes.add(purpose))
+      merged.sources.add(source)
+    }
+  }
+
+  // Apple's order, so the draft reads like the questionnaire; unknown types go last
+  const order = (type) =>
+    COLLECTED_DATA_TYPES.includes(type)
+      ? COLLECTED_DATA_TYPES.indexOf(type)
+      : COLLECTED_DATA_TYPES.length
+  const sortPurposes = (purposes) =>
+    Array.from(purposes).sort(
+      (a, b) => COLLECTION_PURPOSES.indexOf(a) - COLLECTION_PURPOSES.indexOf(b)
+    )
+
+  return {
+    tracking,
+    trackingDomains: Array.from(domains, ([domain, sources]) => ({
+      domain,
+      sources: Array.from(sources)
+    })),
+    collectedDataTypes: Array.from(dataTypes.values())
+      .sort((a, b) => order(a.type) - order(b.type))
+      .map((dataType) => ({
+        ...dataType,
+        purposes: sortPurposes(dataType.purposes),
+        sources: Array.from(dataType.sources)
+      })),
+    manifests: manifests.map(({ source, file }) => ({ source, file }))
+  }
+}
+
+// Calls visit(entry, keyPath) for each dictionary in an optional top-level array
+function forEachEntry(manifest, arrayKey, report, visit) {
+  const entries = manifest[arrayKey]
+  if (entries === undefined) return
+
+  if (!Array.isArray(entries)) {
+    report(
+      arrayKey,
+      `expected an array, found ${describeValue(entries)}`,
+      `Make ${arrayKey} an array of dictionaries`
+    )
+    return
+  }
+
+  entries.forEach((entry, i) => {
+    const key = `${arrayKey}[${i}]`
+    if (isDictionary(entry)) {
+      visit(entry, key)
+    } else {
+      report(
+        key,
+        `expected a dictionary, found ${describeValue(entry)}`,
+        `Make each ${arrayKey} item a dictionary`
+      )
+    }
+  })
+}
+
+function checkValue(entry, key, name, allowed, report) {
+  if (allowed.includes(entry[name])) return true
+
+  report(
+    `${key}.${name}`,
+    entry[name] === undefined
+      ? `${name} is missing`
+      : `unknown value ${describeValue(entry[name])}`,
+    `Use one of the values Apple defines for ${name}`
+  )
+  return false
+}
+
+function checkValues(entry, key, name, allowed, report, context = '') {
+  const values = entry[name]
+
+  if (!Array.isArray(values) || values.length === 0) {
+    report(
+      `${key}.${name}`,
+      values === undefined
+        ? `${name} is missing`
+        : `expected a non-empty array, found ${describeValue(values)}`,
+      `List at least one of: ${allowed.join(', ')}`
+    )
+    return
+  }
+
+  values.forEach((value, i) => {
+    if (!allowed.includes(value)) {
+      report(
+        `${key}.${name}[${i}]`,
+        `unknown value ${describeValue(value)}${context}`,
+        `Use one of: ${allowed.join(', ')}`
+      )
+    }
+  })
+}
+
+function isDictionary(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value)
+  )
+}
+
+function describeValue(value) {
+  if (typeof value === 'string') return `"${value}"`
+  if (Array.isArray(value)) return 'an array'
+  if (value === undefined) return 'nothing'
+  return isDictionary(value) ? 'a dictionary' : String(value)
+}
+
+module.exports = {
+  REQUIRED_REASON_APIS,
+  COLLECTED_DATA_TYPES,
+  COLLECTION_PURPOSES,
+  detectRequiredReasonAPIs,
+  getAccessedAPITypes,
+  validatePrivacyManifest,
+  getManifestSource,
+  buildPrivacyReport
+}
@@ -0,0 +1,218 @@
+/**
+ * Credential detection for text shipped in an app bundle. Reports carry masked excerpts only.
+ */
+
+const { SEVERITY } = require('./constants')
+
+// Names that mark an assignment as holding a credential, e.g. API_SECRET=... or clientSecret: "..."
+const SECRET_NAME =
+  '[A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|api[_-]?key|private[_-]?key|access[_-]?key)[A-Za-z0-9_.-]*'
+
+// Generic tokens shorter than this or below this many bits per character look like words or ids
+const MIN_TOKEN_LENGTH = 20
+const MIN_TOKEN_ENTROPY = 3.5
+
+const SECRET_PATTERNS = [
+  {
+    id: 'private-key',
+    name: 'private key',
+    severity: SEVERITY.CRITICAL,
+    // Only the PEM header is captured so excerpts never contain key material
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----/g,
+    fix: 'Remove the key from the app and revoke it; private keys belong on a server'
+  },
+  {
+    id: 'aws-access-key',
+    name: 'AWS access key ID',
+    severity: SEVERITY.HIGH,
+    pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g,
+    fix: 'Deactivate the key in IAM and use Cognito or a backend to hand out short-lived credentials'
+  },
+  {
+    id: 'aws-secret-key',
+    name: 'AWS secret access key',
+    severity: SEVERITY.CRITICAL,
+    pattern:
+      /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    fix: 'Deactivate the key in IAM and use Cognito or a backend to hand out short-lived credentials'
+  },
+  {
+    id: 'gcp-client-secret',
+    name: 'Google OAuth client secret',
+    severity: SEVERITY.HIGH,
+    pattern: /\b(GOCSPX-[A-Za-z0-9_-]{28})\b/g,
+    fix: 'Reset the client secret in Google Cloud; iOS OAuth clients do not need one'
+  },
+  {
+    id: 'gcp-service-account',
+    name: 'Google service account key',
+    severity: SEVERITY.CRITICAL,
+    pattern: /"type"\s*:\s*"(service_account)"/g,
+    fix: 'Delete the service account key in Google Cloud and call Google APIs from a backend'
+  },
+  {
+    id: 'stripe-secret-key',
+    name: 'Stripe secret key',
+    severity: SEVERITY.CRITICAL,
+    pattern: /\b((?:sk|rk)_live_[0-9A-Za-z]{24,})\b/g,
+    fix: 'Roll the key in the Stripe dashboard; apps may only contain the publishable key (pk_live_...)'
+  },
+  {
+    id: 'stripe-test-key',
+    name: 'Stripe test secret key',
+    severity: SEVERITY.MEDIUM,
+    pattern: /\b((?:sk|rk)_test_[0-9A-Za-z]{24,})\b/g,
+    fix: 'Remove test secret keys from release builds and roll the key in the Stripe dashboard'
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    severity: SEVERITY.HIGH,
+    pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,})\b/g,
+    fix: 'Revoke the token on GitHub'
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack token',
+    severity: SEVERITY.HIGH,
+    pattern: /\b(xox[abposr]-[0-9A-Za-z-]{10,})\b/g,
+    fix: 'Revoke the token in the Slack app settings'
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    severity: SEVERITY.HIGH,
+    pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,})/g,
+    fix: 'Do not ship signed tokens; fetch them at runtime after the user signs in'
+  },
+  {
+    id: 'bearer-token',
+    name: 'hard-coded bearer token',
+    severity: SEVERITY.HIGH,
+    pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g,
+    entropy: true,
+    fix: 'Fetch tokens at runtime instead of hard-coding them'
+  },
+  {
+    id: 'high-entropy-secret',
+    name: 'high-entropy secret',
+    severity: SEVERITY.MEDIUM,
+    pattern: new RegExp(
+      `["']?${SECRET_NAME}["']?\\s*[:=]\\s*["'\`]?([^\\s"'\`,;)}]{${MIN_TOKEN_LENGTH},})`,
+      'gi'
+    ),
+    entropy: true,
+    fix: 'Move the value to a backend; anything in the app bundle can be extracted'
+  }
+]
+
+// Values that are public by design and meant to ship inside apps
+const PUBLIC_KEYS = [
+  // Google/Firebase API keys identify the project; access is enforced by key restrictions and rules
+  /^AIza[0-9A-Za-z_-]{35}$/,
+  /^pk_(live|test)_/,
+  /^sb_publishable_/
+]
+
+/**
+ * Finds credentials in text.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {Array<string|RegExp>} [options.allow] - secret values, value patterns or pattern
+ *   ids to ignore
+ * @returns {{id: string, name: string, severity: string, fix: string, excerpt: string}[]}
+ */
+function scanForSecrets(text, options = {}) {
+  const allow = options.allow || []
+  const findings = []
+  const seen = new Set()
+
+  for (const secretPattern of SECRET_PATTERNS) {
+    for (const match of text.matchAll(secretPattern.pattern)) {
+      const secret = match[1] || match[0]
+
+      if (seen.has(secret) || isAllowed(secret, allow)) continue
+      if (secretPattern.entropy && !looksRandom(secret)) continue
+      if (secretPattern.id === 'jwt' && isPublicJWT(secret)) continue
+
+      // Values of an allowed type stay claimed so the generic patterns do not report them again
+      seen.add(secret)
+      if (allow.includes(secretPattern.id)) continue
+
+      findings.push({
+        id: secretPattern.id,
+        name: secretPattern.name,
+        severity: secretPattern.severity,
+        fix: secretPattern.fix,
+        excerpt: maskExcerpt(match[0], secret)
+      })
+    }
+  }
+
+  return findings
+}
+
+function isAllowed(secret, allow) {
+  return [...PUBLIC_KEYS, ...allow].some((entry) =>
+    entry instanceof RegExp ? entry.test(secret) : entry === secret
+  )
+}
+
+function looksRandom(value) {
+  return (
+    value.length >= MIN_TOKEN_LENGTH &&
+    /\d/.test(value) &&
+    /[A-Za-z]/.test(value) &&
+    shannonEntropy(value) >= MIN_TOKEN_ENTROPY
+  )
+}
+
+// Supabase and similar services ship "anon" JWTs in apps on purpose
+function isPublicJWT(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'))
+    return payload.role === 'anon'
+  } catch (error) {
+    return false
+  }
+}
+
+// Bits per character
+function shannonEntropy(value) {
+  const counts = new Map()
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1)
+  }
+
+  let entropy = 0
+  for (const count of counts.values()) {
+    const p = count / value.length
+    entropy -= p * Math.log2(p)
+  }
+  return entropy
+}
+
+/**
+ * Masks a secret so reports can show which value was found without leaking it:
+ * the first four characters stay, the rest become asterisks.
+ */
+function maskSecret(secret) {
+  const visible = secret.length > 8 ? 4 : 0
+  return `${secret.slice(0, visible)}${'*'.repeat(Math.min(secret.length - visible, 12))}`
+}
+
+function maskExcerpt(context, secret) {
+  // PEM headers and type markers carry no secret material
+  if (context === secret && /^-----BEGIN/.test(secret)) return secret
+
+  const excerpt = context.replace(secret, maskSecret(secret)).replace(/\s+/g, ' ').trim()
+  return excerpt.length > 80 ? `${excerpt.slice(0, 77)}...` : excerpt
+}
+
+module.exports = {
+  SECRET_PATTERNS,
+  scanForSecrets,
+  maskSecret,
+  shannonEntropy
+}
@@ -0,0 +1,364 @@
+/**
+ * Xcode project (project.pbxproj) and .xcconfig parsing with build setting resolution
+ */
+
+const path = require('path')
+const { parseOpenStepPlist } = require('./plist-parser')
+
+const PRODUCT_TYPES = {
+  APPLICATION: 'com.apple.product-type.application',
+  APP_EXTENSION: 'com.apple.product-type.app-extension',
+  FRAMEWORK: 'com.apple.product-type.framework',
+  UNIT_TEST: 'com.apple.product-type.bundle.unit-test',
+  UI_TEST: 'com.apple.product-type.bundle.ui-testing'
+}
+
+const SETTING_REFERENCE = /\$[({]([A-Za-z0-9_]+)(?::([A-Za-z0-9_,=]+))?[)}]/g
+const MAX_EXPANSION_DEPTH = 16
+
+/**
+ * Parses a project.pbxproj into its project-level configurations and native targets.
+ *
+ * @param {string} text - contents of project.pbxproj
+ * @param {object} [options]
+ * @param {string} [options.projectDir] - directory containing the .xcodeproj (SRCROOT)
+ * @param {string} [options.name] - project name, defaults to the .xcodeproj basename
+ * @param {function(string): (string|null)} [options.readFile] - reads a file relative to
+ *   projectDir; used to load base .xcconfig files such as the CocoaPods ones
+ */
+function parseXcodeProject(text, options = {}) {
+  const raw = parseOpenStepPlist(text)
+  const objects = raw.objects || {}
+  const root = objects[raw.rootObject]
+
+  if (!root || root.isa !== 'PBXProject') {
+    throw new Error('project.pbxproj has no PBXProject root object')
+  }
+
+  const filePaths = resolveFilePaths(objects, root.mainGroup)
+
+  const readConfigurationList = (listId) => {
+    const list = objects[listId] || {}
+    const configurations = {}
+
+    for (const configurationId of list.buildConfigurations || []) {
+      const configuration = objects[configurationId]
+      if (!configuration || configuration.isa !== 'XCBuildConfiguration') continue
+
+      const basePath = filePaths.get(configuration.baseConfigurationReference) || null
+      configurations[configuration.name] = {
+        name: configuration.name,
+        buildSettings: configuration.buildSettings || {},
+        baseConfigurationPath: basePath,
+        baseSettings: basePath ? loadXCConfig(basePath, options.readFile) : {}
+      }
+    }
+
+    return {
+      defaultConfigurationName: list.defaultConfigurationName || null,
+      configurations
+    }
+  }
+
+  const targets = (root.targets || [])
+    .map((id) => ({ id, target: objects[id] }))
+    .filter(({ target }) => target && /^PBX(Native|Aggregate)Target$/.test(target.isa))
+    .map(({ id, target }) => ({
+      id,
+      name: target.name,
+      productName: target.productName || target.name,
+      productType: target.productType || null,
+      ...readConfigurationList(target.buildConfigurationList)
+    }))
+
+  return {
+    name: options.name || null,
+    projectDir: options.projectDir || null,
+    objectVersion: raw.objectVersion || null,
+    ...readConfigurationList(root.buildConfigurationList),
+    targets,
+    objects
+  }
+}
+
+// Maps file reference IDs to paths relative to the project directory by walking the group tree
+function resolveFilePaths(objects, mainGroupId) {
+  const paths = new Map()
+
+  const visit = (id, parentPath, depth) => {
+    const object = objects[id]
+    if (!object || depth > 64) return
+
+    let objectPath = parentPath
+    if (object.path) {
+      if (object.sourceTree === 'SOURCE_ROOT') {
+        objectPath = object.path
+      } else if (object.sourceTree === '<absolute>') {
+        objectPath = object.path
+      } else if (object.sourceTree === '<group>' || !object.sourceTree) {
+        objectPath = parentPath ? path.posix.join(parentPath, object.path) : object.path
+      } else {
+        // Paths relative to BUILT_PRODUCTS_DIR or SDKROOT are not part of the sources
+        objectPath = null
+      }
+    }
+
+    if (object.isa === 'PBXFileReference') {
+      if (objectPath) paths.set(id, objectPath)
+      return
+    }
+
+    for (const childId of object.children || []) {
+      visit(childId, objectPath, depth + 1)
+    }
+  }
+
+  visit(mainGroupId, '', 0)
+  return paths
+}
+
+function loadXCConfig(relativePath, readFile, depth = 0) {
+  if (!readFile || depth > 8) return {}
+
+  let text
+  try {
+    text = readFile(relativePath)
+  } catch (error) {
+    text = null
+  }
+
+  if (text === null || text === undefined) return {}
+
+  return parseXCConfig(text.toString(), {
+    includeFile: (includePath) =>
+      loadXCConfig(
+        path.posix.join(path.posix.dirname(relativePath), includePath),
+        readFile,
+        depth + 1
+      )
+  })
+}
+
+/**
+ * Parses .xcconfig text into a settings object. Conditional assignments keep their
+ * condition in the key, e.g. 'CODE_SIGN_IDENTITY[sdk=iphoneos*]'.
+ */
+function parseXCConfig(text, options = {}) {
+  let settings = {}
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\/\/.*$/, '').trim()
+    if (!line) continue
+
+    const include = line.match(/^#include\??\s+"([^"]+)"/)
+    if (include) {
+      if (options.includeFile) {
+        settings = { ...settings, ...options.includeFile(include[1]) }
+      }
+      continue
+    }
+
+    const assignment = line.match(/^([A-Za-z0-9_]+(?:\[[^\]]+\])*)\s*=\s*(.*?);?$/)
+    if (assignment) {
+      settings[assignment[1]] = assignment[2].trim()
+    }
+  }
+
+  return settings
+}
+
+// Applies `KEY[sdk=iphoneos*][config=Release]` overrides that match a device build
+function applyConditions(settings, configurationName) {
+  const result = {}
+  const conditional = []
+
+  for (const [key, value] of Object.entries(settings)) {
+    const match = key.match(/^([A-Za-z0-9_]+)((?:\[[^\]]+\])+)$/)
+    if (match) {
+      conditional.push({ key: match[1], conditions: match[2], value })
+    } else {
+      result[key] = value
+    }
+  }
+
+  for (const { key, conditions, value } of conditional) {
+    const applies = Array.from(conditions.matchAll(/\[([a-z]+)=([^\]]+)\]/g)).every(
+      ([, name, pattern]) => {
+        if (name === 'sdk') return wildcardMatch('iphoneos', pattern)
+        if (name === 'config') return wildcardMatch(configurationName, pattern)
+        return false
+      }
+    )
+    if (applies) {
+      result[key] = value
+    }
+  }
+
+  return result
+}
+
+function wildcardMatch(value, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`)
+  return regex.test(value)
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function findTarget(project, targetName) {
+  return project.targets.find((target) => target.name === targetName) || null
+}
+
+// The application target named like the project, or the first application target
+function findAppTarget(project, preferredName = null) {
+  const apps = project.targets.filter((target) => target.productType === PRODUCT_TYPES.APPLICATION)
+  return apps.find((target) => target.name === preferredName) || apps[0] || null
+}
+
+// Archives use Release unless the project has renamed its configurations
+function getReleaseConfigurationName(target) {
+  const names = Object.keys(target.configurations)
+  if (names.includes('Release')) return 'Release'
+  return target.defaultConfigurationName || names[0] || null
+}
+
+/**
+ * Resolves the build settings of a target configuration the way xcodebuild layers them:
+ * project .xcconfig < project settings < target .xcconfig < target settings.
+ * $(inherited) and $(VAR) references are expanded; unknown references are kept as written.
+ */
+function getBuildSettings(project, targetName, configurationName) {
+  const target = findTarget(project, targetName)
+  if (!target) {
+    throw new Error(`Target not found in Xcode project: ${targetName}`)
+  }
+
+  const projectConfiguration = project.configurations[configurationName] || {}
+  const targetConfiguration = target.configurations[configurationName]
+  if (!targetConfiguration) {
+    throw new Error(`Configuration ${configurationName} not found for target ${targetName}`)
+  }
+
+  const builtIns = {
+    TARGET_NAME: target.name,
+    PRODUCT_NAME: target.productName,
+    PROJECT_NAME: project.name || '',
+    CONFIGURATION: configurationName,
+    SRCROOT: project.projectDir || '',
+    PROJECT_DIR: project.projectDir || '',
+    SDKROOT: 'iphoneos',
+    PLATFORM_NAME: 'iphoneos',
+    EFFECTIVE_PLATFORM_NAME: '-iphoneos'
+  }
+
+  const layers = [
+    builtIns,
+    projectConfiguration.baseSettings || {},
+    projectConfiguration.buildSettings || {},
+    targetConfiguration.baseSettings || {},
+    targetConfiguration.buildSettings || {}
+  ].map((layer) => applyConditions(layer, configurationName))
+
+  const merged = {}
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer)) {
+      merged[key] = substituteInherited(value, merged[key])
+    }
+  }
+
+  const resolved = {}
+  for (const [key, value] of Object.entries(merged)) {
+    resolved[key] = expandBuildSettings(value, merged)
+  }
+  return resolved
+}
+
+function substituteInherited(value, inherited) {
+  const isInherited = (item) => /^\$[({]inherited[)}]$/.test(item)
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (!isInherited(item)) return [item]
+      if (inherited === undefined) return []
+      // List settings inherited from an .xcconfig arrive as one space-separated string
+      return Array.isArray(inherited) ? inherited : inherited.split(/\s+/).filter(Boolean)
+    })
+  }
+
+  if (typeof value !== 'string' || !/\$[({]inherited[)}]/.test(value)) return value
+
+  const lower = Array.isArray(inherited) ? inherited.join(' ') : inherited || ''
+  return value
+    .replace(/\$[({]inherited[)}]/g, lower)
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Expands $(VAR), ${VAR} and $(VAR:modifier) references in a string, array or plist value.
+ * References to settings that are not defined are left untouched.
+ */
+function expandBuildSettings(value, settings, depth = 0) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => expandBuildSettings(item, settings, depth))
+      .filter((item) => item !== '')
+  }
+
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = expandBuildSettings(item, settings, depth)
+    }
+    return result
+  }
+
+  if (typeof value !== 'string' || depth > MAX_EXPANSION_DEPTH) return value
+
+  return value.replace(SETTING_REFERENCE, (reference, name, modifiers) => {
+    if (!(name in settings)) return reference
+
+    let expanded = settings[name]
+    if (Array.isArray(expanded)) expanded = expanded.join(' ')
+    expanded = expandBuildSettings(String(expanded), settings, depth + 1)
+
+    for (const modifier of modifiers ? modifiers.split(',') : []) {
+      expanded = applyModifier(expanded, modifier)
+    }
+    return expanded
+  })
+}
+
+function applyModifier(value, modifier) {
+  switch (modifier) {
+    case 'rfc1034identifier':
+      return value.replace(/[^A-Za-z0-9.-]/g, '-')
+    case 'c99extidentifier':
+    case 'identifier':
+      return value.replace(/[^A-Za-z0-9_]/g, '_')
+    case 'lower':
+      return value.toLowerCase()
+    case 'upper':
+      return value.toUpperCase()
+    default:
+      return value
+  }
+}
+
+// Whether a string still contains a $(VAR) reference after expansion
+function hasBuildSettingReference(value) {
+  return typeof value === 'string' && /\$[({]/.test(value)
+}
+
+module.exports = {
+  PRODUCT_TYPES,
+  parseXcodeProject,
+  parseXCConfig,
+  findTarget,
+  findAppTarget,
+  getReleaseConfigurationName,
+  getBuildSettings,
+  expandBuildSettings,
+  hasBuildSettingReference
+}
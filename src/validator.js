@@ -8,6 +8,9 @@ const chalk = require('chalk')
 
 const { SEVERITY, ValidationResult } = require('./utils/constants')
 const { FileParser } = require('./utils/file-parser')
+const { getBuildSettings } = require('./utils/xcode-project')
+const { getManifestSource, buildPrivacyReport } = require('./utils/privacy-manifest')
+const { readAppSignals } = require('./utils/app-signals')
 const rules = require('./rules')
 const reporters = require('./reporters')
 
@@ -25,8 +28,21 @@ class AppStoreValidator {
     this.results = []
     this.rules = new Map()
     this.buildPath = null
+    this.mode = 'build'
+    this.project = null
+    this.bundle = null
     this.infoPlist = null
+    this.executable = null
+    this.provisioningProfile = null
+    this.entitlements = null
+    this.privacyManifest = null
+    this.embeddedBundles = []
+    this.assetCatalog = null
+    this.jsBundle = null
+    this.archiveInfo = null
+    this.dSYMs = []
     this.metadata = null
+    this.appSignals = null
     this.fileParser = new FileParser()
 
     this.loadConfiguration()
@@ -64,10 +80,20 @@ class AppStoreValidator {
     const builtInRules = [
       new rules.InfoPlistValidationRule(),
       new rules.PrivacyComplianceRule(),
+      new rules.AppTrackingTransparencyRule(),
       new rules.AccountDeletionRule(),
+      new rules.SignInWithAppleRule(),
       new rules.PermissionsRule(),
+      new rules.AppTransportSecurityRule(),
       new rules.AssetsRule(),
-      // new rules.CodeSigningRule(),
+      new rules.CodeSigningRule(),
+      new rules.EntitlementsRule(),
+      new rules.JSBundleRule(),
+      new rules.ThirdPartySDKRule(),
+      new rules.DevLeftoversRule(),
+      new rules.SecretsRule(),
+      new rules.NativeModulesRule(),
+      new rules.BuildSettingsRule(),
       new rules.LocalizationRule(),
       new rules.PerformanceRule(),
       new rules.ContentPolicyRule(),
@@ -129,18 +155,94 @@ class AppStoreValidator {
 
   async validate(buildPath, metadataPath = null) {
     this.buildPath = buildPath
+    this.mode = 'build'
     this.results = []
 
     this.log(`Starting validation for: ${buildPath}`)
-    this.log(`Active rules: ${Array.from(this.rules.keys()).join(', ')}`)
+    this.log(`Active rules: ${Array.from(this.getActiveRules().keys()).join(', ')}`)
 
     // Validate inputs - throw errors for invalid inputs
     this.validateInputs()
 
+    return this.runValidation(() => this.parseBuildArtifacts(), metadataPath)
+  }
+
+  /**
+   * Validates a React Native project's ios/ sources without building it.
+   * Only rules that declare the 'project' mode run.
+   */
+  async validateProject(projectRoot, metadataPath = null) {
+    this.buildPath = projectRoot
+    this.mode = 'project'
+    this.results = []
+
+    this.log(`Starting project validation for: ${projectRoot}`)
+    this.log(`Active rules: ${Array.from(this.getActiveRules().keys()).join(', ')}`)
+
+    if (!fs.existsSync(projectRoot) || !fs.statSync(projectRoot).isDirectory()) {
+      throw new Error(`Project path does not exist: ${projectRoot}`)
+    }
+
+    return this.runValidation(() => this.parseProjectSources(), metadataPath)
+  }
+
+  /**
+   * Merges the privacy manifests of the app and every SDK and extension it embeds into a
+   * draft of the App Store Connect privacy questionnaire. Returns the report object; use
+   * the privacy reporters to render it.
+   */
+  async generatePrivacyReport(buildPath) {
+    this.buildPath = buildPath
+    this.mode = 'build'
+
+    this.validateInputs()
+
     try {
-      // Parse build artifacts
       await this.parseBuildArtifacts()
 
+      const plist = this.infoPlist || {}
+      const appName =
+        plist.CFBundleDisplayName ||
+        plist.CFBundleName ||
+        path.basename(buildPath).replace(/\.(app|ipa|xcarchive)$/, '')
+
+      const manifests = []
+      for (const file of this.bundle.list('**/PrivacyInfo.xcprivacy')) {
+        try {
+          manifests.push({
+            source: getManifestSource(file) || appName,
+            file,
+            manifest: await this.bundle.readPlist(file)
+          })
+        } catch (error) {
+          this.log(`Warning: Could not parse privacy manifest ${file}: ${error.message}`)
+        }
+      }
+      // The app's own manifest first, then SDKs and extensions
+      manifests.sort((a, b) =>
+        a.file === 'PrivacyInfo.xcprivacy' ? -1 : b.file === 'PrivacyInfo.xcprivacy' ? 1 : 0
+      )
+
+      return {
+        app: {
+          name: appName,
+          bundleId: plist.CFBundleIdentifier || null,
+          version: plist.CFBundleShortVersionString || null
+        },
+        ...buildPrivacyReport(manifests)
+      }
+    } finally {
+      if (this.bundle) {
+        this.bundle.close()
+      }
+    }
+  }
+
+  async runValidation(parseArtifacts, metadataPath) {
+    try {
+      // Parse build artifacts
+      await parseArtifacts()
+
       // Load metadata if provided
       if (metadataPath) {
         await this.loadMetadata(metadataPath)
@@ -160,6 +262,11 @@ class AppStoreValidator {
         )
       )
       return this.generateReport()
+    } finally {
+      // Releases the .ipa file handle held for lazy reads
+      if (this.bundle) {
+        this.bundle.close()
+      }
     }
   }
 
@@ -171,10 +278,11 @@ class AppStoreValidator {
     const stats = fs.statSync(this.buildPath)
     const isValidBuild =
       (stats.isDirectory() && this.buildPath.endsWith('.app')) ||
+      (stats.isDirectory() && this.buildPath.endsWith('.xcarchive')) ||
       (stats.isFile() && this.buildPath.endsWith('.ipa'))
 
     if (!isValidBuild) {
-      throw new Error('Build path must be either a .app directory or .ipa file')
+      throw new Error('Build path must be a .app directory, .xcarchive directory or .ipa file')
     }
   }
 
@@ -182,20 +290,60 @@ class AppStoreValidator {
     this.log('Parsing build artifacts...')
 
     try {
+      let artifacts
       if (this.buildPath.endsWith('.ipa')) {
-        const artifacts = await this.fileParser.parseIPA(this.buildPath)
-        this.infoPlist = artifacts.infoPlist
-      } else if (this.buildPath.endsWith('.app')) {
-        const artifacts = await this.fileParser.parseAppBundle(this.buildPath)
-        this.infoPlist = artifacts.infoPlist
+        artifacts = await this.fileParser.parseIPA(this.buildPath)
+      } else if (this.buildPath.endsWith('.xcarchive')) {
+        artifacts = await this.fileParser.parseXCArchive(this.buildPath)
+      } else {
+        artifacts = await this.fileParser.parseAppBundle(this.buildPath)
       }
 
+      this.bundle = artifacts.bundle
+      this.infoPlist = artifacts.infoPlist
+      this.executable = artifacts.executable
+      this.provisioningProfile = artifacts.provisioningProfile
+      this.entitlements = artifacts.entitlements
+      this.privacyManifest = artifacts.privacyManifest
+      this.embeddedBundles = artifacts.embeddedBundles
+      this.assetCatalog = artifacts.assetCatalog
+      this.jsBundle = artifacts.jsBundle
+      this.archiveInfo = artifacts.archive || null
+      this.dSYMs = artifacts.dSYMs || []
+      this.appSignals = null
+
       this.log('Successfully parsed build artifacts')
     } catch (error) {
       throw new Error(`Failed to parse build artifacts: ${error.message}`)
     }
   }
 
+  async parseProjectSources() {
+    this.log('Parsing project sources...')
+
+    try {
+      const artifacts = await this.fileParser.parseProjectSources(this.buildPath)
+
+      this.bundle = artifacts.bundle
+      this.infoPlist = artifacts.infoPlist
+      this.executable = null
+      this.provisioningProfile = null
+      this.entitlements = artifacts.entitlements
+      this.privacyManifest = artifacts.privacyManifest
+      this.embeddedBundles = []
+      this.assetCatalog = null
+      this.jsBundle = null
+      this.archiveInfo = null
+      this.dSYMs = []
+      this.project = artifacts.project
+      this.appSignals = null
+
+      this.log(`Successfully parsed project sources in ${artifacts.project.sourceDir}`)
+    } catch (error) {
+      throw new Error(`Failed to parse project sources: ${error.message}`)
+    }
+  }
+
   async loadMetadata(metadataPath) {
     this.log(`Loading metadata from: ${metadataPath}`)
 
@@ -219,10 +367,22 @@ class AppStoreValidator {
     }
   }
 
+  // Registered rules that apply to the current mode ('build' or 'project')
+  getActiveRules() {
+    const activeRules = new Map()
+    for (const [name, rule] of this.rules) {
+      if ((rule.modes || ['build']).includes(this.mode)) {
+        activeRules.set(name, rule)
+      }
+    }
+    return activeRules
+  }
+
   async runValidationRules() {
-    this.log(`Running ${this.rules.size} validation rules...`)
+    const activeRules = this.getActiveRules()
+    this.log(`Running ${activeRules.size} validation rules...`)
 
-    for (const [name, rule] of this.rules) {
+    for (const [name, rule] of activeRules) {
       this.log(`Running rule: ${name}`)
 
       try {
@@ -273,7 +433,8 @@ class AppStoreValidator {
   generateSummary() {
     // Find rules that didn't generate any issues (passed)
     const rulesWithIssues = new Set(this.results.map((r) => r.rule))
-    const passedRules = Array.from(this.rules.entries())
+    const activeRules = this.getActiveRules()
+    const passedRules = Array.from(activeRules.entries())
       .filter(([ruleName, _rule]) => !rulesWithIssues.has(ruleName))
       .map(([ruleName, rule]) => ({
         name: ruleName,
@@ -290,7 +451,7 @@ class AppStoreValidator {
       passedRules,
       buildPath: this.buildPath,
       timestamp: new Date().toISOString(),
-      rulesRun: Array.from(this.rules.keys())
+      rulesRun: Array.from(activeRules.keys())
     }
   }
 
@@ -327,6 +488,121 @@ class AppStoreValidator {
     return this.infoPlist
   }
 
+  // BundleIndex over the files of the .app (list, stat, readFile, readPlist); an .ipa gets the
+  // same interface
+  getBundle() {
+    return this.bundle
+  }
+
+  // Mach-O analysis of the CFBundleExecutable binary, or null when it is missing
+  getExecutable() {
+    return this.executable
+  }
+
+  // Parsed LC_CODE_SIGNATURE of the main executable, or null when unsigned
+  getCodeSignature() {
+    return this.executable ? this.executable.codeSignature : null
+  }
+
+  getProvisioningProfile() {
+    return this.provisioningProfile
+  }
+
+  // Entitlements signed into the main executable (or the .xcent Xcode left for unsigned builds)
+  getEntitlements() {
+    return this.entitlements
+  }
+
+  // The app's own PrivacyInfo.xcprivacy, or null when the bundle root has none
+  getPrivacyManifest() {
+    return this.privacyManifest
+  }
+
+  // App extensions and frameworks with their own Info.plist, signature and entitlements
+  getEmbeddedBundles() {
+    return this.embeddedBundles
+  }
+
+  // Renditions compiled into the app's Assets.car, or null when the bundle has none
+  getAssetCatalog() {
+    return this.assetCatalog
+  }
+
+  // main.jsbundle path, size and format, with the HBC header for Hermes bundles; null when missing
+  getJSBundle() {
+    return this.jsBundle
+  }
+
+  // Archive Info.plist details (signing identity, team, versions) when validating an .xcarchive
+  getArchiveInfo() {
+    return this.archiveInfo
+  }
+
+  // dSYM bundles shipped in the .xcarchive; empty for .app and .ipa builds
+  getDSYMs() {
+    return this.dSYMs
+  }
+
+  // ios/ source locations when running validateProject(), otherwise null
+  getProjectInfo() {
+    return this.mode === 'project' ? this.project : null
+  }
+
+  // Parsed ios/*.xcodeproj (targets and configurations) in project mode, otherwise null
+  getXcodeProject() {
+    const project = this.getProjectInfo()
+    return project ? project.xcodeProject : null
+  }
+
+  /**
+   * Resolved build settings of the app target, for the Release configuration by default.
+   * Returns null outside project mode or when the configuration does not exist.
+   */
+  getBuildSettings(configuration = null) {
+    const project = this.getProjectInfo()
+    if (!project || !project.xcodeProject || !project.targetName) return null
+
+    const name = configuration || project.configuration
+    if (name === project.configuration) return project.buildSettings
+
+    try {
+      return getBuildSettings(project.xcodeProject, project.targetName, name)
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * What the app links, contains and declares (see utils/app-signals). The binaries and the JS
+   * bundle are read on first use and shared by every rule for the rest of the validation.
+   */
+  getAppSignals() {
+    if (!this.appSignals) {
+      this.appSignals = readAppSignals(this).catch((error) => {
+        // Let the next rule read again rather than fail on the same rejection
+        this.appSignals = null
+        throw error
+      })
+    }
+    return this.appSignals
+  }
+
+  // Options of a rule configured ESLint-style, e.g. rules: { 'dev-leftovers': ['error', { ... }] }
+  getRuleConfig(ruleName) {
+    const setting = this.config.rules && this.config.rules[ruleName]
+    return Array.isArray(setting) && setting[1] && typeof setting[1] === 'object' ? setting[1] : {}
+  }
+
+  // What the app sells, declared in the businessModel config section
+  getBusinessModel() {
+    return {
+      physicalGoods: false,
+      readerApp: false,
+      externalLinkEntitlement: false,
+      ...(this.config.businessModel || {})
+    }
+  }
+
   getMetadata() {
     return this.metadata
   }
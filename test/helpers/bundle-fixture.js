@@ -0,0 +1,40 @@
+/**
+ * Writes files into a temporary TestApp.app and indexes it the way a build directory is indexed
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { BundleIndex } = require('../../src/utils/bundle-index')
+
+const tempDirectories = []
+
+/**
+ * @param {object} files - map of bundle path to Buffer or string contents
+ * @returns {Promise<BundleIndex>}
+ */
+async function createTempBundle(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-fixture-'))
+  const appPath = path.join(directory, 'TestApp.app')
+  tempDirectories.push(directory)
+  fs.mkdirSync(appPath)
+
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(appPath, file)), { recursive: true })
+    fs.writeFileSync(path.join(appPath, file), contents)
+  }
+
+  return BundleIndex.fromDirectory(appPath)
+}
+
+// Deletes every bundle createTempBundle wrote; call it from afterEach
+function removeTempBundles() {
+  for (const directory of tempDirectories.splice(0)) {
+    fs.rmSync(directory, { recursive: true, force: true })
+  }
+}
+
+module.exports = {
+  createTempBundle,
+  removeTempBundles
+}
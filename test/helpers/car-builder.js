@@ -0,0 +1,160 @@
+/**
+ * Builds minimal compiled asset catalogs (Assets.car) for tests
+ */
+
+const IDIOM_VALUES = { universal: 0, phone: 1, pad: 2, tv: 3, car: 4, watch: 5, marketing: 6 }
+
+// scale, idiom, identifier, element, part
+const KEY_FORMAT = [12, 15, 17, 1, 2]
+
+function uint32BE(value) {
+  const buffer = Buffer.alloc(4)
+  buffer.writeUInt32BE(value)
+  return buffer
+}
+
+function carHeader(renditionCount) {
+  const header = Buffer.alloc(436)
+  header.write('RATC', 0, 'latin1')
+  header.writeUInt32LE(975, 4)
+  header.writeUInt32LE(17, 8)
+  header.writeUInt32LE(renditionCount, 16)
+  header.write('@(#)PROGRAM:CoreUI  PROJECT:CoreUI-975', 20, 'latin1')
+  return header
+}
+
+function keyFormat() {
+  const block = Buffer.alloc(12 + KEY_FORMAT.length * 4)
+  block.write('tmfk', 0, 'latin1')
+  block.writeUInt32LE(KEY_FORMAT.length, 8)
+  KEY_FORMAT.forEach((id, i) => block.writeUInt32LE(id, 12 + i * 4))
+  return block
+}
+
+function facetValue(identifier) {
+  const attributes = [
+    [1, 85],
+    [2, 220],
+    [17, identifier]
+  ]
+  const value = Buffer.alloc(6 + attributes.length * 4)
+  value.writeUInt16LE(attributes.length, 4)
+  attributes.forEach(([name, attributeValue], i) => {
+    value.writeUInt16LE(name, 6 + i * 4)
+    value.writeUInt16LE(attributeValue, 8 + i * 4)
+  })
+  return value
+}
+
+function renditionKey(rendition, identifier) {
+  const values = [
+    rendition.scale,
+    IDIOM_VALUES[rendition.idiom || 'universal'],
+    identifier,
+    85,
+    220
+  ]
+  const key = Buffer.alloc(values.length * 2)
+  values.forEach((value, i) => key.writeUInt16LE(value, i * 2))
+  return key
+}
+
+function csiHeader(rendition) {
+  const header = Buffer.alloc(184)
+  header.write('ISTC', 0, 'latin1')
+  header.writeUInt32LE(1, 4)
+  header.writeUInt32LE(rendition.opaque ? 1 << 3 : 0, 8)
+  header.writeUInt32LE(rendition.width, 12)
+  header.writeUInt32LE(rendition.height, 16)
+  header.writeUInt32LE(rendition.scale * 100, 20)
+  header.write('BGRA', 24, 'latin1')
+  header.writeUInt16LE(12, 36)
+  header.write(rendition.fileName || `${rendition.name}.png`, 40, 'utf8')
+  return header
+}
+
+/**
+ * @param {object[]} renditions - {name, idiom, scale, width, height, opaque, fileName}
+ * @returns {Buffer}
+ */
+function buildAssetCatalog(renditions) {
+  const blocks = [Buffer.alloc(0)]
+  const addBlock = (data) => blocks.push(data) - 1
+
+  // Writes a single-leaf BOM tree and returns the block id of its 'tree' header
+  const addTree = (entries) => {
+    const paths = Buffer.alloc(12 + entries.length * 8)
+    paths.writeUInt16BE(1, 0)
+    paths.writeUInt16BE(entries.length, 2)
+    entries.forEach(({ key, value }, i) => {
+      paths.writeUInt32BE(addBlock(value), 12 + i * 8)
+      paths.writeUInt32BE(addBlock(key), 16 + i * 8)
+    })
+
+    const tree = Buffer.alloc(21)
+    tree.write('tree', 0, 'latin1')
+    tree.writeUInt32BE(1, 4)
+    tree.writeUInt32BE(addBlock(paths), 8)
+    tree.writeUInt32BE(4096, 12)
+    tree.writeUInt32BE(entries.length, 16)
+    return addBlock(tree)
+  }
+
+  const identifiers = new Map()
+  for (const rendition of renditions) {
+    if (!identifiers.has(rendition.name)) identifiers.set(rendition.name, 1000 + identifiers.size)
+  }
+
+  const vars = {
+    CARHEADER: addBlock(carHeader(renditions.length)),
+    KEYFORMAT: addBlock(keyFormat()),
+    FACETKEYS: addTree(
+      Array.from(identifiers, ([name, identifier]) => ({
+        key: Buffer.from(name, 'utf8'),
+        value: facetValue(identifier)
+      }))
+    ),
+    RENDITIONS: addTree(
+      renditions.map((rendition) => ({
+        key: renditionKey(rendition, identifiers.get(rendition.name)),
+        value: csiHeader(rendition)
+      }))
+    )
+  }
+
+  const headerSize = 32
+  const offsets = []
+  let offset = headerSize
+  for (const block of blocks) {
+    offsets.push(offset)
+    offset += block.length
+  }
+
+  const index = Buffer.alloc(4 + blocks.length * 8)
+  index.writeUInt32BE(blocks.length, 0)
+  blocks.forEach((block, id) => {
+    index.writeUInt32BE(id === 0 ? 0 : offsets[id], 4 + id * 8)
+    index.writeUInt32BE(block.length, 8 + id * 8)
+  })
+
+  const varParts = [uint32BE(Object.keys(vars).length)]
+  for (const [name, id] of Object.entries(vars)) {
+    varParts.push(uint32BE(id), Buffer.from([name.length]), Buffer.from(name, 'latin1'))
+  }
+  const varsBlock = Buffer.concat(varParts)
+
+  const header = Buffer.alloc(headerSize)
+  header.write('BOMStore', 0, 'latin1')
+  header.writeUInt32BE(1, 8)
+  header.writeUInt32BE(blocks.length, 12)
+  header.writeUInt32BE(offset, 16)
+  header.writeUInt32BE(index.length, 20)
+  header.writeUInt32BE(offset + index.length, 24)
+  header.writeUInt32BE(varsBlock.length, 28)
+
+  return Buffer.concat([header, ...blocks, index, varsBlock])
+}
+
+module.exports = {
+  buildAssetCatalog
+}
@@ -0,0 +1,66 @@
+/**
+ * Writes Hermes bytecode files with a valid header and string table for tests
+ */
+
+const { HERMES_MAGIC } = require('../../src/utils/hermes-bytecode')
+
+function align(buffer) {
+  const padding = (4 - (buffer.length % 4)) % 4
+  return Buffer.concat([buffer, Buffer.alloc(padding)])
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.version] - bytecode version
+ * @param {string[]} [options.strings] - string table contents; long strings use the overflow table
+ * @param {number} [options.functionCount]
+ * @returns {Buffer}
+ */
+function buildHermesBundle(options = {}) {
+  const { version = 96, strings = [], functionCount = 1 } = options
+
+  const smallTable = Buffer.alloc(strings.length * 4)
+  const overflowEntries = []
+  const storageParts = []
+  let storageSize = 0
+
+  strings.forEach((text, i) => {
+    const bytes = Buffer.from(text, 'latin1')
+    let entry
+    if (bytes.length < 0xff) {
+      entry = (storageSize << 1) | (bytes.length << 24)
+    } else {
+      const overflow = Buffer.alloc(8)
+      overflow.writeUInt32LE(storageSize, 0)
+      overflow.writeUInt32LE(bytes.length, 4)
+      entry = (overflowEntries.length << 1) | (0xff << 24)
+      overflowEntries.push(overflow)
+    }
+    smallTable.writeUInt32LE(entry >>> 0, i * 4)
+    storageParts.push(bytes)
+    storageSize += bytes.length
+  })
+
+  const body = Buffer.concat([
+    align(Buffer.alloc(functionCount * 16)),
+    align(smallTable),
+    align(Buffer.concat(overflowEntries)),
+    align(Buffer.concat(storageParts))
+  ])
+
+  const header = Buffer.alloc(128)
+  HERMES_MAGIC.copy(header, 0)
+  header.writeUInt32LE(version, 8)
+  header.fill(0xab, 12, 32)
+  header.writeUInt32LE(128 + body.length, 32)
+  header.writeUInt32LE(functionCount, 40)
+  header.writeUInt32LE(strings.length, 52)
+  header.writeUInt32LE(overflowEntries.length, 56)
+  header.writeUInt32LE(storageSize, 60)
+
+  return Buffer.concat([header, body])
+}
+
+module.exports = {
+  buildHermesBundle
+}
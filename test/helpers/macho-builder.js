@@ -0,0 +1,232 @@
+/**
+ * Builds small synthetic Mach-O binaries for parser and rule tests
+ */
+
+const CPU_TYPES = {
+  arm64: { cpuType: 0x0100000c, cpuSubtype: 0 },
+  arm64e: { cpuType: 0x0100000c, cpuSubtype: 2 },
+  x86_64: { cpuType: 0x01000007, cpuSubtype: 3 }
+}
+
+const PLATFORMS = { ios: 2, iossimulator: 7 }
+
+function encodeVersion(version) {
+  const [major = 0, minor = 0, patch = 0] = String(version).split('.').map(Number)
+  return ((major << 16) | (minor << 8) | patch) >>> 0
+}
+
+function align(value, alignment) {
+  return Math.ceil(value / alignment) * alignment
+}
+
+function stringCommand(cmd, value) {
+  const size = align(24 + Buffer.byteLength(value) + 1, 8)
+  const buffer = Buffer.alloc(size)
+  buffer.writeUInt32LE(cmd, 0)
+  buffer.writeUInt32LE(size, 4)
+  buffer.writeUInt32LE(24, 8)
+  Buffer.from(value).copy(buffer, 24)
+  return buffer
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.arch] - arm64, arm64e or x86_64
+ * @param {string[]} [options.dylibs] - install names linked with LC_LOAD_DYLIB
+ * @param {string[]} [options.weakDylibs] - install names linked with LC_LOAD_WEAK_DYLIB
+ * @param {string[]} [options.imports] - undefined external symbols for the symbol table
+ * @param {object} [options.sections] - map of 'SEG,sect' to an array of strings or a Buffer
+ * @param {object} [options.buildVersion] - { platform, minos, sdk }
+ * @param {object} [options.encryption] - { cryptid }
+ * @param {Buffer} [options.codeSignature] - raw SuperBlob for LC_CODE_SIGNATURE
+ * @param {boolean} [options.pie]
+ */
+function buildMachO(options = {}) {
+  const {
+    arch = 'arm64',
+    dylibs = ['/usr/lib/libSystem.B.dylib'],
+    weakDylibs = [],
+    imports = [],
+    sections = {},
+    buildVersion = { platform: 'ios', minos: '15.0', sdk: '17.0' },
+    encryption = null,
+    codeSignature = null,
+    pie = true
+  } = options
+
+  const sectionEntries = Object.entries(sections).map(([key, value]) => {
+    const [segment, name] = key.split(',')
+    const data = Buffer.isBuffer(value)
+      ? value
+      : Buffer.from(value.map((item) => `${item}\0`).join(''))
+    return { segment, name, data }
+  })
+
+  // Load command sizes are independent of file offsets, so lay them out first
+  const segmentNames = Array.from(new Set(sectionEntries.map((entry) => entry.segment)))
+  const segmentCommandSizes = segmentNames.map(
+    (segment) => 72 + 80 * sectionEntries.filter((entry) => entry.segment === segment).length
+  )
+  const dylibCommands = [
+    ...dylibs.map((name) => ({ cmd: 0xc, name })),
+    ...weakDylibs.map((name) => ({ cmd: 0x80000018, name }))
+  ].map(({ cmd, name }) => {
+    const command = stringCommand(cmd, name)
+    command.writeUInt32LE(encodeVersion('1.0'), 16)
+    command.writeUInt32LE(encodeVersion('1.0'), 20)
+    return command
+  })
+
+  const fixedCommandsSize =
+    (buildVersion ? 24 : 0) + (encryption ? 24 : 0) + 24 + 24 + (codeSignature ? 16 : 0)
+  const sizeOfCmds =
+    segmentCommandSizes.reduce((sum, size) => sum + size, 0) +
+    dylibCommands.reduce((sum, command) => sum + command.length, 0) +
+    fixedCommandsSize
+
+  let dataOffset = align(32 + sizeOfCmds, 16)
+  for (const entry of sectionEntries) {
+    entry.offset = dataOffset
+    dataOffset = align(dataOffset + entry.data.length, 16)
+  }
+
+  const strings = [Buffer.from('\0')]
+  let stringsSize = 1
+  const symbols = Buffer.alloc(imports.length * 16)
+  imports.forEach((name, index) => {
+    symbols.writeUInt32LE(stringsSize, index * 16)
+    symbols[index * 16 + 4] = 0x01 // N_UNDF | N_EXT
+    symbols.writeUInt16LE(1 << 8, index * 16 + 6)
+    const encoded = Buffer.from(`${name}\0`)
+    strings.push(encoded)
+    stringsSize += encoded.length
+  })
+  const stringTable = Buffer.concat(strings)
+
+  const symbolsOffset = dataOffset
+  const stringsOffset = symbolsOffset + symbols.length
+  const signatureOffset = align(stringsOffset + stringTable.length, 16)
+  const totalSize = signatureOffset + (codeSignature ? codeSignature.length : 0)
+
+  const commands = []
+
+  segmentNames.forEach((segment, index) => {
+    const entries = sectionEntries.filter((entry) => entry.segment === segment)
+    const command = Buffer.alloc(segmentCommandSizes[index])
+    command.writeUInt32LE(0x19, 0)
+    command.writeUInt32LE(command.length, 4)
+    command.write(segment, 8)
+    command.writeBigUInt64LE(BigInt(entries[0].offset), 24)
+    command.writeBigUInt64LE(BigInt(dataOffset), 32)
+    command.writeBigUInt64LE(BigInt(entries[0].offset), 40)
+    command.writeBigUInt64LE(BigInt(dataOffset - entries[0].offset), 48)
+    command.writeUInt32LE(entries.length, 64)
+    entries.forEach((entry, sectionIndex) => {
+      const base = 72 + sectionIndex * 80
+      command.write(entry.name, base)
+      command.write(entry.segment, base + 16)
+      command.writeBigUInt64LE(BigInt(entry.offset), base + 32)
+      command.writeBigUInt64LE(BigInt(entry.data.length), base + 40)
+      command.writeUInt32LE(entry.offset, base + 48)
+    })
+    commands.push(command)
+  })
+
+  commands.push(...dylibCommands)
+
+  if (buildVersion) {
+    const command = Buffer.alloc(24)
+    command.writeUInt32LE(0x32, 0)
+    command.writeUInt32LE(24, 4)
+    command.writeUInt32LE(PLATFORMS[buildVersion.platform] || 2, 8)
+    command.writeUInt32LE(encodeVersion(buildVersion.minos), 12)
+    command.writeUInt32LE(encodeVersion(buildVersion.sdk), 16)
+    commands.push(command)
+  }
+
+  if (encryption) {
+    const command = Buffer.alloc(24)
+    command.writeUInt32LE(0x2c, 0)
+    command.writeUInt32LE(24, 4)
+    command.writeUInt32LE(0x4000, 8)
+    command.writeUInt32LE(0x8000, 12)
+    command.writeUInt32LE(encryption.cryptid || 0, 16)
+    commands.push(command)
+  }
+
+  const uuid = Buffer.alloc(24)
+  uuid.writeUInt32LE(0x1b, 0)
+  uuid.writeUInt32LE(24, 4)
+  Buffer.from('0123456789abcdef0123456789abcdef', 'hex').copy(uuid, 8)
+  commands.push(uuid)
+
+  const symtab = Buffer.alloc(24)
+  symtab.writeUInt32LE(0x2, 0)
+  symtab.writeUInt32LE(24, 4)
+  symtab.writeUInt32LE(symbolsOffset, 8)
+  symtab.writeUInt32LE(imports.length, 12)
+  symtab.writeUInt32LE(stringsOffset, 16)
+  symtab.writeUInt32LE(stringTable.length, 20)
+  commands.push(symtab)
+
+  if (codeSignature) {
+    const command = Buffer.alloc(16)
+    command.writeUInt32LE(0x1d, 0)
+    command.writeUInt32LE(16, 4)
+    command.writeUInt32LE(signatureOffset, 8)
+    command.writeUInt32LE(codeSignature.length, 12)
+    commands.push(command)
+  }
+
+  const { cpuType, cpuSubtype } = CPU_TYPES[arch]
+  const header = Buffer.alloc(32)
+  header.writeUInt32LE(0xfeedfacf, 0)
+  header.writeInt32LE(cpuType, 4)
+  header.writeUInt32LE(cpuSubtype, 8)
+  header.writeUInt32LE(0x2, 12)
+  header.writeUInt32LE(commands.length, 16)
+  header.writeUInt32LE(sizeOfCmds, 20)
+  header.writeUInt32LE(0x85 | (pie ? 0x200000 : 0), 24)
+
+  const binary = Buffer.alloc(totalSize)
+  Buffer.concat([header, ...commands]).copy(binary, 0)
+  for (const entry of sectionEntries) {
+    entry.data.copy(binary, entry.offset)
+  }
+  symbols.copy(binary, symbolsOffset)
+  stringTable.copy(binary, stringsOffset)
+  if (codeSignature) {
+    codeSignature.copy(binary, signatureOffset)
+  }
+
+  return binary
+}
+
+function buildFatMachO(slices) {
+  const headerSize = 8 + slices.length * 20
+  let offset = align(headerSize, 0x4000)
+  const header = Buffer.alloc(headerSize)
+  header.writeUInt32BE(0xcafebabe, 0)
+  header.writeUInt32BE(slices.length, 4)
+
+  const layout = slices.map((slice, index) => {
+    const base = 8 + index * 20
+    header.writeInt32BE(slice.readInt32LE(4), base)
+    header.writeUInt32BE(slice.readUInt32LE(8), base + 4)
+    header.writeUInt32BE(offset, base + 8)
+    header.writeUInt32BE(slice.length, base + 12)
+    header.writeUInt32BE(14, base + 16)
+    const entry = { offset, slice }
+    offset = align(offset + slice.length, 0x4000)
+    return entry
+  })
+
+  const binary = Buffer.alloc(offset)
+  header.copy(binary, 0)
+  for (const entry of layout) {
+    entry.slice.copy(binary, entry.offset)
+  }
+  return binary
+}
+
+module.exports = { buildMachO, buildFatMachO }
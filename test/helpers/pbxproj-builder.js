@@ -0,0 +1,121 @@
+/**
+ * Builds a React Native style project.pbxproj for tests
+ */
+
+function serialize(value, indent = '') {
+  const inner = `${indent}\t`
+
+  if (Array.isArray(value)) {
+    return `(\n${value.map((item) => `${inner}${serialize(item, inner)},\n`).join('')}${indent})`
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(
+      ([key, item]) => `${inner}${quote(key)} = ${serialize(item, inner)};\n`
+    )
+    return `{\n${entries.join('')}${indent}}`
+  }
+
+  return quote(String(value))
+}
+
+function quote(text) {
+  return /^[A-Za-z0-9_./]+$/.test(text) ? text : `"${text.replace(/(["\\])/g, '\\$1')}"`
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.name] - app target name
+ * @param {object} [options.projectSettings] - per-configuration project-level settings
+ * @param {object} [options.targetSettings] - per-configuration target-level settings
+ * @param {object} [options.baseConfigurations] - per-configuration .xcconfig path under Pods/
+ */
+function buildPbxproj(options = {}) {
+  const {
+    name = 'TestApp',
+    projectSettings = {},
+    targetSettings = {},
+    baseConfigurations = {}
+  } = options
+
+  const configurationNames = ['Debug', 'Release']
+  const objects = {}
+  const id = (() => {
+    let next = 1
+    return () => (next++).toString(16).toUpperCase().padStart(24, '0')
+  })()
+
+  const podsGroup = id()
+  objects[podsGroup] = {
+    isa: 'PBXGroup',
+    children: [],
+    name: 'Pods',
+    path: 'Pods',
+    sourceTree: '<group>'
+  }
+
+  const configurationList = (level, settings) => {
+    const listId = id()
+    const configurations = configurationNames.map((configuration) => {
+      const configurationId = id()
+      objects[configurationId] = {
+        isa: 'XCBuildConfiguration',
+        buildSettings: settings[configuration] || {},
+        name: configuration
+      }
+
+      const basePath = level === 'target' && baseConfigurations[configuration]
+      if (basePath) {
+        const fileId = id()
+        objects[fileId] = {
+          isa: 'PBXFileReference',
+          lastKnownFileType: 'text.xcconfig',
+          path: basePath,
+          sourceTree: '<group>'
+        }
+        objects[podsGroup].children.push(fileId)
+        objects[configurationId].baseConfigurationReference = fileId
+      }
+      return configurationId
+    })
+
+    objects[listId] = {
+      isa: 'XCConfigurationList',
+      buildConfigurations: configurations,
+      defaultConfigurationIsVisible: 0,
+      defaultConfigurationName: 'Release'
+    }
+    return listId
+  }
+
+  const targetId = id()
+  objects[targetId] = {
+    isa: 'PBXNativeTarget',
+    buildConfigurationList: configurationList('target', targetSettings),
+    buildPhases: [],
+    name,
+    productName: name,
+    productType: 'com.apple.product-type.application'
+  }
+
+  const mainGroup = id()
+  objects[mainGroup] = { isa: 'PBXGroup', children: [podsGroup], sourceTree: '<group>' }
+
+  const rootId = id()
+  objects[rootId] = {
+    isa: 'PBXProject',
+    buildConfigurationList: configurationList('project', projectSettings),
+    mainGroup,
+    targets: [targetId]
+  }
+
+  return `// !$*UTF8*$!\n${serialize({
+    archiveVersion: 1,
+    classes: {},
+    objectVersion: 54,
+    objects,
+    rootObject: rootId
+  })}\n`
+}
+
+module.exports = { buildPbxproj }
@@ -0,0 +1,65 @@
+/**
+ * Writes small PNG files, optionally in Apple's CgBI variant, for tests
+ */
+
+const zlib = require('zlib')
+const { crc32 } = require('./zip-builder')
+
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8)
+  header.writeUInt32BE(data.length, 0)
+  header.write(type, 4, 'latin1')
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])))
+  return Buffer.concat([header, data, crc])
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.colorType] - 2 (RGB) or 6 (RGBA, default)
+ * @param {number} [options.alpha] - alpha of every pixel for RGBA images
+ * @param {boolean} [options.cgbi] - write an Xcode-crushed CgBI PNG
+ * @param {string} [options.iccProfile] - name of an embedded ICC profile
+ * @returns {Buffer}
+ */
+function buildPNG(options) {
+  const { width, height, colorType = 6, alpha = 255, cgbi = false, iccProfile = null } = options
+  const channels = CHANNELS[colorType]
+
+  const ihdr = Buffer.alloc(13)
+  ihdr.writeUInt32BE(width, 0)
+  ihdr.writeUInt32BE(height, 4)
+  ihdr[8] = 8
+  ihdr[9] = colorType
+
+  // Filter type 0 for every scanline, mid-gray pixels
+  const stride = 1 + width * channels
+  const raw = Buffer.alloc(stride * height, 0x80)
+  for (let y = 0; y < height; y++) {
+    raw[y * stride] = 0
+    if (channels === 4) {
+      for (let x = 0; x < width; x++) raw[y * stride + 1 + x * 4 + 3] = alpha
+    }
+  }
+
+  const chunks = []
+  if (cgbi) chunks.push(chunk('CgBI', Buffer.from([0x50, 0x00, 0x20, 0x06])))
+  chunks.push(chunk('IHDR', ihdr))
+  if (iccProfile) {
+    chunks.push(
+      chunk('iCCP', Buffer.concat([Buffer.from(iccProfile, 'latin1'), Buffer.from([0, 0])]))
+    )
+  }
+  chunks.push(chunk('IDAT', cgbi ? zlib.deflateRawSync(raw) : zlib.deflateSync(raw)))
+  chunks.push(chunk('IEND', Buffer.alloc(0)))
+
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks])
+}
+
+module.exports = {
+  buildPNG
+}
@@ -0,0 +1,263 @@
+/**
+ * Builds code signature SuperBlobs, certificates and provisioning profiles for tests
+ */
+
+const plist = require('plist')
+
+function encodeLength(length) {
+  if (length < 0x80) return Buffer.from([length])
+  const bytes = []
+  while (length > 0) {
+    bytes.unshift(length & 0xff)
+    length = Math.floor(length / 256)
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes])
+}
+
+function tlv(tag, content) {
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content])
+}
+
+// BER indefinite-length encoding, as used by Apple's provisioning profiles
+function indefinite(tag, ...items) {
+  return Buffer.concat([Buffer.from([tag, 0x80]), ...items, Buffer.from([0, 0])])
+}
+
+const seq = (...items) => tlv(0x30, Buffer.concat(items))
+const set = (...items) => tlv(0x31, Buffer.concat(items))
+const context = (number, ...items) => tlv(0xa0 | number, Buffer.concat(items))
+const octets = (buffer) => tlv(0x04, buffer)
+const utf8 = (text) => tlv(0x0c, Buffer.from(text, 'utf8'))
+const integer = (value) => tlv(0x02, Buffer.from([value]))
+const boolean = (value) => tlv(0x01, Buffer.from([value ? 0xff : 0]))
+
+function oid(text) {
+  const parts = text.split('.').map(Number)
+  const bytes = [parts[0] * 40 + parts[1]]
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f]
+    let value = Math.floor(part / 128)
+    while (value > 0) {
+      encoded.unshift((value & 0x7f) | 0x80)
+      value = Math.floor(value / 128)
+    }
+    bytes.push(...encoded)
+  }
+  return tlv(0x06, Buffer.from(bytes))
+}
+
+// X.509 switches from UTCTime to GeneralizedTime for dates from 2050 onwards
+function certificateTime(date) {
+  const iso = date.toISOString()
+  const digits = `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(
+    11,
+    13
+  )}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`
+  return date.getUTCFullYear() >= 2050
+    ? tlv(0x18, Buffer.from(digits))
+    : tlv(0x17, Buffer.from(digits.slice(2)))
+}
+
+function name(attributes) {
+  const oids = {
+    CN: '2.5.4.3',
+    OU: '2.5.4.11',
+    O: '2.5.4.10',
+    C: '2.5.4.6',
+    UID: '0.9.2342.19200300.100.1.1'
+  }
+  return seq(
+    ...Object.entries(attributes).map(([key, value]) => set(seq(oid(oids[key]), utf8(value))))
+  )
+}
+
+function buildCertificate({
+  subject,
+  issuer = { CN: 'Apple Worldwide Developer Relations Certification Authority', O: 'Apple Inc.' },
+  notBefore = new Date('2024-01-01T00:00:00Z'),
+  notAfter = new Date('2099-01-01T00:00:00Z')
+}) {
+  const algorithm = seq(oid('1.2.840.113549.1.1.11'), tlv(0x05, Buffer.alloc(0)))
+  const tbs = seq(
+    context(0, integer(2)),
+    integer(1),
+    algorithm,
+    name(issuer),
+    seq(certificateTime(notBefore), certificateTime(notAfter)),
+    name(subject),
+    seq(
+      seq(oid('1.2.840.113549.1.1.1'), tlv(0x05, Buffer.alloc(0))),
+      tlv(0x03, Buffer.from([0, 0]))
+    )
+  )
+  return seq(tbs, algorithm, tlv(0x03, Buffer.from([0, 0])))
+}
+
+function buildCMS({ content = null, certificates = [] }) {
+  const encapContent = content
+    ? indefinite(
+      0x30,
+      oid('1.2.840.113549.1.7.1'),
+      indefinite(0xa0, indefinite(0x24, octets(content)))
+    )
+    : seq(oid('1.2.840.113549.1.7.1'))
+
+  return indefinite(
+    0x30,
+    oid('1.2.840.113549.1.7.2'),
+    indefinite(
+      0xa0,
+      indefinite(
+        0x30,
+        integer(1),
+        set(seq(oid('2.16.840.1.101.3.4.2.1'))),
+        encapContent,
+        context(0, ...certificates),
+        set()
+      )
+    )
+  )
+}
+
+function buildProvisioningProfile(profile) {
+  const xml = plist.build({
+    Name: 'TestApp AppStore',
+    UUID: '11111111-2222-3333-4444-555555555555',
+    TeamIdentifier: ['ABCDE12345'],
+    TeamName: 'Example Inc.',
+    ApplicationIdentifierPrefix: ['ABCDE12345'],
+    CreationDate: new Date('2025-01-01T00:00:00Z'),
+    ExpirationDate: new Date('2099-01-01T00:00:00Z'),
+    Platform: ['iOS'],
+    Entitlements: {
+      'application-identifier': 'ABCDE12345.com.example.testapp',
+      'com.apple.developer.team-identifier': 'ABCDE12345',
+      'get-task-allow': false,
+      'keychain-access-groups': ['ABCDE12345.*']
+    },
+    ...profile
+  })
+
+  return buildCMS({
+    content: Buffer.from(xml),
+    certificates: [buildCertificate({ subject: { CN: 'Apple Root CA', O: 'Apple Inc.' } })]
+  })
+}
+
+function blob(magic, payload) {
+  const header = Buffer.alloc(8)
+  header.writeUInt32BE(magic, 0)
+  header.writeUInt32BE(payload.length + 8, 4)
+  return Buffer.concat([header, payload])
+}
+
+function buildCodeDirectory({ identifier, teamId, flags }) {
+  const fixed = Buffer.alloc(88)
+  const identifierBytes = Buffer.from(`${identifier}\0`)
+  const teamBytes = teamId ? Buffer.from(`${teamId}\0`) : Buffer.alloc(0)
+  const total = fixed.length + identifierBytes.length + teamBytes.length
+
+  fixed.writeUInt32BE(0xfade0c02, 0)
+  fixed.writeUInt32BE(total, 4)
+  fixed.writeUInt32BE(0x20400, 8)
+  fixed.writeUInt32BE(flags, 12)
+  fixed.writeUInt32BE(total, 16)
+  fixed.writeUInt32BE(88, 20)
+  fixed[36] = 32
+  fixed[37] = 2
+  fixed[39] = 12
+  fixed.writeUInt32BE(teamId ? 88 + identifierBytes.length : 0, 48)
+
+  return Buffer.concat([fixed, identifierBytes, teamBytes])
+}
+
+function buildDEREntitlements(entitlements) {
+  const encode = (value) => {
+    if (typeof value === 'boolean') return boolean(value)
+    if (typeof value === 'number') return integer(value)
+    if (Array.isArray(value)) return seq(...value.map(encode))
+    if (value && typeof value === 'object') {
+      return tlv(
+        0xb0,
+        Buffer.concat(Object.entries(value).map(([key, item]) => seq(utf8(key), encode(item))))
+      )
+    }
+    return utf8(String(value))
+  }
+  return tlv(0x70, Buffer.concat([integer(1), encode(entitlements)]))
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.identifier - CodeDirectory identifier (usually the bundle ID)
+ * @param {string} [options.teamId]
+ * @param {boolean} [options.adhoc]
+ * @param {object} [options.entitlements] - embedded as an XML entitlements blob
+ * @param {object} [options.derEntitlements] - embedded as a DER entitlements blob
+ * @param {object} [options.certificate] - subject of the signing certificate
+ */
+function buildCodeSignature(options) {
+  const {
+    identifier,
+    teamId = 'ABCDE12345',
+    adhoc = false,
+    entitlements = null,
+    derEntitlements = null,
+    certificate = {
+      CN: 'Apple Distribution: Example Inc. (ABCDE12345)',
+      OU: 'ABCDE12345',
+      UID: 'ABCDE12345'
+    },
+    certificateNotAfter
+  } = options
+
+  const blobs = [
+    [0, buildCodeDirectory({ identifier, teamId: adhoc ? null : teamId, flags: adhoc ? 0x2 : 0 })]
+  ]
+
+  const requirements = Buffer.alloc(12)
+  requirements.writeUInt32BE(0xfade0c01, 0)
+  requirements.writeUInt32BE(12, 4)
+  blobs.push([2, requirements])
+
+  if (entitlements) {
+    blobs.push([5, blob(0xfade7171, Buffer.from(plist.build(entitlements)))])
+  }
+
+  if (derEntitlements) {
+    blobs.push([7, blob(0xfade7172, buildDEREntitlements(derEntitlements))])
+  }
+
+  const cms = adhoc
+    ? Buffer.alloc(0)
+    : buildCMS({
+      certificates: [
+        buildCertificate({ subject: certificate, notAfter: certificateNotAfter }),
+        buildCertificate({
+          subject: { CN: 'Apple Worldwide Developer Relations Certification Authority', OU: 'G3' }
+        })
+      ]
+    })
+  blobs.push([0x10000, blob(0xfade0b01, cms)])
+
+  const headerSize = 12 + blobs.length * 8
+  const header = Buffer.alloc(headerSize)
+  let offset = headerSize
+  blobs.forEach(([type, data], index) => {
+    header.writeUInt32BE(type, 12 + index * 8)
+    header.writeUInt32BE(offset, 16 + index * 8)
+    offset += data.length
+  })
+  header.writeUInt32BE(0xfade0cc0, 0)
+  header.writeUInt32BE(offset, 4)
+  header.writeUInt32BE(blobs.length, 8)
+
+  return Buffer.concat([header, ...blobs.map(([, data]) => data)])
+}
+
+module.exports = {
+  buildCertificate,
+  buildCMS,
+  buildProvisioningProfile,
+  buildCodeSignature
+}
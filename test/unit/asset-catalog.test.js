@@ -0,0 +1,59 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const plist = require('plist')
+const { parseAssetCatalog, findRenditions } = require('../../src/utils/asset-catalog')
+const { FileParser } = require('../../src/utils/file-parser')
+const { buildAssetCatalog } = require('../helpers/car-builder')
+
+describe('Asset catalog parsing', () => {
+  const catalog = parseAssetCatalog(
+    buildAssetCatalog([
+      { name: 'AppIcon', idiom: 'phone', scale: 3, width: 180, height: 180, opaque: true },
+      { name: 'AppIcon', idiom: 'marketing', scale: 1, width: 1024, height: 1024 },
+      { name: 'Logo', scale: 2, width: 64, height: 32, fileName: 'logo@2x.png' }
+    ])
+  )
+
+  test('should list renditions with their facet names, idioms and sizes', () => {
+    expect(catalog.renditionCount).toBe(3)
+    expect(catalog.keyFormat).toEqual(['scale', 'idiom', 'identifier', 'element', 'part'])
+    expect(catalog.facets.map((facet) => facet.name)).toEqual(['AppIcon', 'Logo'])
+
+    expect(findRenditions(catalog, 'AppIcon')).toMatchObject([
+      { idiom: 'phone', scale: 3, width: 180, pointWidth: 60, isOpaque: true, pixelFormat: 'ARGB' },
+      { idiom: 'marketing', scale: 1, width: 1024, pointWidth: 1024, isOpaque: false }
+    ])
+    expect(findRenditions(catalog, 'Logo')).toMatchObject([
+      { fileName: 'logo@2x.png', idiom: 'universal', pointWidth: 32, pointHeight: 16 }
+    ])
+  })
+
+  test('should reject files that are not BOM stores', () => {
+    expect(() => parseAssetCatalog(Buffer.from('not an asset catalog, just some text'))).toThrow(
+      'missing BOMStore header'
+    )
+  })
+
+  test('FileParser should read Assets.car from an app bundle', async() => {
+    const appPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'assets-')), 'TestApp.app')
+    fs.mkdirSync(appPath)
+    fs.writeFileSync(
+      path.join(appPath, 'Info.plist'),
+      plist.build({ CFBundleIdentifier: 'com.example.testapp' })
+    )
+    fs.writeFileSync(
+      path.join(appPath, 'Assets.car'),
+      buildAssetCatalog([{ name: 'AppIcon', idiom: 'phone', scale: 2, width: 120, height: 120 }])
+    )
+
+    try {
+      const artifacts = await new FileParser().parseAppBundle(appPath)
+
+      expect(artifacts.assetCatalog.renditions).toHaveLength(1)
+      expect(artifacts.assetCatalog.renditions[0].name).toBe('AppIcon')
+    } finally {
+      fs.rmSync(path.dirname(appPath), { recursive: true, force: true })
+    }
+  })
+})
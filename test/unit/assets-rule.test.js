@@ -0,0 +1,174 @@
+const AssetsRule = require('../../src/rules/assets-rule')
+const { SEVERITY, FILE_CONSTRAINTS } = require('../../src/utils/constants')
+const { parseAssetCatalog } = require('../../src/utils/asset-catalog')
+const { buildAssetCatalog } = require('../helpers/car-builder')
+const { buildPNG } = require('../helpers/png-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+function iconRenditions(sizes, idiom) {
+  return sizes.map(({ size, scale }) => ({
+    name: 'AppIcon',
+    idiom,
+    scale,
+    width: size * scale,
+    height: size * scale
+  }))
+}
+
+const MARKETING_ICON = {
+  name: 'AppIcon',
+  idiom: 'marketing',
+  scale: 1,
+  width: 1024,
+  height: 1024,
+  opaque: true
+}
+
+describe('AssetsRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new AssetsRule()
+    mockValidator = {
+      getInfoPlist: jest.fn().mockReturnValue({
+        CFBundleIconName: 'AppIcon',
+        UILaunchStoryboardName: 'LaunchScreen'
+      }),
+      getBundle: jest.fn().mockReturnValue(null),
+      getAssetCatalog: jest
+        .fn()
+        .mockReturnValue(
+          parseAssetCatalog(
+            buildAssetCatalog([
+              ...iconRenditions(FILE_CONSTRAINTS.REQUIRED_ICON_SIZES, 'phone'),
+              MARKETING_ICON
+            ])
+          )
+        )
+    }
+  })
+
+  test('should pass a complete iPhone icon set', async() => {
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toEqual([])
+  })
+
+  test('should report exactly which sizes are missing', async() => {
+    const sizes = FILE_CONSTRAINTS.REQUIRED_ICON_SIZES.filter(({ size }) => size !== 60)
+    mockValidator.getAssetCatalog.mockReturnValue(
+      parseAssetCatalog(buildAssetCatalog(iconRenditions(sizes, 'phone')))
+    )
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => r.message)).toEqual([
+      'App icon set "AppIcon" is missing required sizes',
+      'App Store icon is missing'
+    ])
+    expect(results[0].severity).toBe(SEVERITY.HIGH)
+    expect(results[0].details).toBe('Missing: 60x60@2x, 60x60@3x')
+  })
+
+  test('should require iPad sizes when the app supports iPad', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleIcons: { CFBundlePrimaryIcon: { CFBundleIconName: 'AppIcon' } },
+      UIDeviceFamily: [1, 2],
+      UILaunchStoryboardName: 'LaunchScreen'
+    })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(1)
+    expect(results[0].details).toContain('83.5x83.5@2x (iPad)')
+  })
+
+  test('should flag a marketing icon with an alpha channel', async() => {
+    mockValidator.getAssetCatalog.mockReturnValue(
+      parseAssetCatalog(
+        buildAssetCatalog(
+          [
+            ...iconRenditions(FILE_CONSTRAINTS.REQUIRED_ICON_SIZES, 'phone').map((icon) => ({
+              ...icon,
+              opaque: true
+            }))
+          ].concat({ ...MARKETING_ICON, opaque: false })
+        )
+      )
+    )
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(1)
+    expect(results[0].message).toBe('App Store icon has an alpha channel')
+  })
+
+  test('should flag an icon set missing from Assets.car', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleIconName: 'Icon',
+      UILaunchStoryboardName: 'LaunchScreen'
+    })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(1)
+    expect(results[0].message).toBe('App icon set "Icon" not found in Assets.car')
+  })
+
+  describe('icon and image files', () => {
+    beforeEach(() => {
+      mockValidator.getInfoPlist.mockReturnValue({
+        CFBundleIcons: { CFBundlePrimaryIcon: { CFBundleIconFiles: ['AppIcon60x60'] } },
+        UILaunchStoryboardName: 'LaunchScreen'
+      })
+    })
+
+    afterEach(removeTempBundles)
+
+    async function validateFiles(files) {
+      mockValidator.getBundle.mockReturnValue(await createTempBundle(files))
+      return rule.validate(mockValidator)
+    }
+
+    test('should pass opaque icons of the right size', async() => {
+      const results = await validateFiles({
+        'AppIcon60x60@2x.png': buildPNG({ width: 120, height: 120, cgbi: true }),
+        'AppIcon60x60@3x.png': buildPNG({ width: 180, height: 180, cgbi: true })
+      })
+
+      expect(results).toEqual([])
+    })
+
+    test('should flag transparent, non-square and mis-sized icons', async() => {
+      const results = await validateFiles({
+        'AppIcon60x60@2x.png': buildPNG({ width: 120, height: 120, alpha: 0, cgbi: true }),
+        'AppIcon60x60@3x.png': buildPNG({ width: 120, height: 180, colorType: 2 })
+      })
+      const byMessage = Object.fromEntries(results.map((r) => [r.message, r]))
+
+      expect(byMessage['App icons contain transparent pixels'].details).toBe('AppIcon60x60@2x.png')
+      expect(byMessage['App icons are not square'].details).toBe('AppIcon60x60@3x.png (120x180)')
+      expect(byMessage['App icon sizes do not match their file names'].details).toBe(
+        'AppIcon60x60@3x.png is 120x180, expected 180x180'
+      )
+    })
+
+    test('should flag images far larger than any screen', async() => {
+      // Padding after IEND keeps the file above the size the rule bothers to read
+      const huge = Buffer.concat([
+        buildPNG({ width: 3000, height: 3000, colorType: 2 }),
+        Buffer.alloc(200 * 1024)
+      ])
+      const results = await validateFiles({
+        'assets/background@3x.png': huge,
+        'assets/poster.png': huge
+      })
+
+      expect(results).toHaveLength(1)
+      expect(results[0].severity).toBe(SEVERITY.LOW)
+      expect(results[0].details).toBe('assets/poster.png (3000x3000)')
+      expect(mockValidator.getBundle().cache.size).toBe(0)
+    })
+  })
+})
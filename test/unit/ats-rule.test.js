@@ -0,0 +1,93 @@
+const AppTransportSecurityRule = require('../../src/rules/ats-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+
+describe('AppTransportSecurityRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new AppTransportSecurityRule()
+    mockValidator = {
+      getInfoPlist: jest.fn()
+    }
+  })
+
+  function validateATS(ats) {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleIdentifier: 'com.example.test',
+      NSAppTransportSecurity: ats
+    })
+    return rule.validate(mockValidator)
+  }
+
+  test('should accept the default policy and production exceptions', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({ CFBundleIdentifier: 'com.example.test' })
+    expect(await rule.validate(mockValidator)).toEqual([])
+
+    const results = await validateATS({
+      NSExceptionDomains: {
+        'cdn.example.com': { NSExceptionAllowsInsecureHTTPLoads: true },
+        'api.example.com': { NSExceptionMinimumTLSVersion: 'TLSv1.3', NSIncludesSubdomains: true }
+      }
+    })
+    expect(results).toEqual([])
+  })
+
+  test('should flag global, web content and media arbitrary loads', async() => {
+    const results = await validateATS({
+      NSAllowsArbitraryLoads: true,
+      NSAllowsArbitraryLoadsInWebContent: true,
+      NSAllowsArbitraryLoadsForMedia: true
+    })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.HIGH, 'App Transport Security is disabled (NSAllowsArbitraryLoads)'],
+      [SEVERITY.MEDIUM, 'ATS is disabled for web views (NSAllowsArbitraryLoadsInWebContent)'],
+      [SEVERITY.MEDIUM, 'ATS is disabled for media (NSAllowsArbitraryLoadsForMedia)']
+    ])
+    expect(results[0].details).toContain(
+      'iOS ignores it because NSAllowsArbitraryLoadsInWebContent, NSAllowsArbitraryLoadsForMedia is set'
+    )
+    expect(results.every((r) => r.fix.includes('App Review'))).toBe(true)
+  })
+
+  test('should flag exceptions for localhost, IP addresses and development hosts', async() => {
+    const results = await validateATS({
+      NSExceptionDomains: {
+        localhost: { NSExceptionAllowsInsecureHTTPLoads: true },
+        '192.168.1.20': { NSExceptionAllowsInsecureHTTPLoads: true },
+        'abc123.ngrok-free.app': {},
+        'api.staging.example.com': {}
+      }
+    })
+
+    expect(results.map((r) => r.details)).toEqual([
+      'NSExceptionDomains["localhost"] is a local host name, which a production build should not need',
+      'NSExceptionDomains["192.168.1.20"] is an IP address, which a production build should not need',
+      'NSExceptionDomains["abc123.ngrok-free.app"] is a tunnel to a developer machine, which a production build should not need',
+      'NSExceptionDomains["api.staging.example.com"] is a development or staging server, which a production build should not need'
+    ])
+    expect(results[1].fix).toContain('ATS does not apply to IP addresses')
+  })
+
+  test('should flag TLS downgrades and subdomain wildcards', async() => {
+    const results = await validateATS({
+      NSExceptionDomains: {
+        'legacy.example.com': {
+          NSExceptionMinimumTLSVersion: 'TLSv1.0',
+          NSIncludesSubdomains: true
+        },
+        '*.example.org': { NSExceptionAllowsInsecureHTTPLoads: true }
+      }
+    })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.MEDIUM, 'ATS allows TLSv1.0 for legacy.example.com'],
+      [SEVERITY.LOW, 'ATS exception for legacy.example.com covers all of its subdomains'],
+      [SEVERITY.MEDIUM, 'ATS exception domain *.example.org uses a wildcard']
+    ])
+    expect(results[2].fix).toBe(
+      'Use the parent domain example.org with NSIncludesSubdomains instead'
+    )
+  })
+})
@@ -0,0 +1,111 @@
+const AppTrackingTransparencyRule = require('../../src/rules/att-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { readAppSignals } = require('../../src/utils/app-signals')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+
+const TRACKING_PLIST = {
+  CFBundleExecutable: 'TestApp',
+  NSUserTrackingUsageDescription: 'We use your data to show ads that are more relevant to you',
+  SKAdNetworkItems: [{ SKAdNetworkIdentifier: 'cstr6suwn9.skadnetwork' }]
+}
+const TRACKING_MANIFEST = {
+  NSPrivacyTracking: true,
+  NSPrivacyTrackingDomains: ['googleads.g.doubleclick.net']
+}
+
+describe('AppTrackingTransparencyRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new AppTrackingTransparencyRule()
+    mockValidator = {
+      getBundle: jest
+        .fn()
+        .mockReturnValue({ readFile: jest.fn().mockResolvedValue(Buffer.alloc(0)) }),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleExecutable: 'TestApp' }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getEntitlements: jest.fn().mockReturnValue({}),
+      getJSBundle: jest.fn().mockReturnValue(null),
+      getProjectInfo: jest.fn().mockReturnValue(null),
+      getPrivacyManifest: jest.fn().mockReturnValue(null),
+      getAppSignals: jest.fn(() => readAppSignals(mockValidator))
+    }
+  })
+
+  function setExecutable(options) {
+    const binary = buildMachO(options)
+    mockValidator.getExecutable.mockReturnValue({ name: 'TestApp', macho: parseMachO(binary) })
+    mockValidator.getBundle().readFile.mockResolvedValue(binary)
+  }
+
+  test('should pass apps that neither track nor declare tracking', async() => {
+    setExecutable({ dylibs: ['/System/Library/Frameworks/UIKit.framework/UIKit'] })
+
+    expect(await rule.validate(mockValidator)).toEqual([])
+  })
+
+  test('should require the full ATT setup when ad SDKs are embedded', async() => {
+    setExecutable({ imports: ['_OBJC_CLASS_$_ASIdentifierManager'] })
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      { path: 'Frameworks/GoogleMobileAds.framework', type: 'framework' }
+    ])
+    mockValidator.getPrivacyManifest.mockReturnValue({ NSPrivacyTracking: false })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.HIGH, 'Tracking without NSUserTrackingUsageDescription'],
+      [SEVERITY.HIGH, 'Privacy manifest does not declare tracking'],
+      [SEVERITY.MEDIUM, 'Privacy manifest lists no tracking domains'],
+      [SEVERITY.MEDIUM, 'SKAdNetworkItems is missing']
+    ])
+    expect(results[1].details).toBe(
+      'Found AdSupport (class ASIdentifierManager); Google Mobile Ads (GoogleMobileAds.framework), but NSPrivacyTracking is not true'
+    )
+  })
+
+  test('should pass a complete ATT setup', async() => {
+    setExecutable({
+      dylibs: [
+        '/System/Library/Frameworks/AppTrackingTransparency.framework/AppTrackingTransparency'
+      ],
+      imports: ['_OBJC_CLASS_$_ATTrackingManager']
+    })
+    mockValidator.getInfoPlist.mockReturnValue(TRACKING_PLIST)
+    mockValidator.getPrivacyManifest.mockReturnValue(TRACKING_MANIFEST)
+
+    expect(await rule.validate(mockValidator)).toEqual([])
+  })
+
+  test('should detect ad SDKs from package.json in project sources', async() => {
+    mockValidator.getBundle.mockReturnValue(null)
+    mockValidator.getProjectInfo.mockReturnValue({
+      packageJson: { dependencies: { 'react-native-applovin-max': '^6.4.0' } }
+    })
+    mockValidator.getInfoPlist.mockReturnValue(TRACKING_PLIST)
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => r.message)).toEqual([
+      'Privacy manifest does not declare tracking',
+      'Privacy manifest lists no tracking domains'
+    ])
+    expect(results[0].details).toBe(
+      'Found AppLovin (react-native-applovin-max in package.json), but the app has no PrivacyInfo.xcprivacy'
+    )
+  })
+
+  test('should warn when the manifest declares tracking without ATT prompt code', async() => {
+    setExecutable({ imports: ['_objc_msgSend'] })
+    mockValidator.getPrivacyManifest.mockReturnValue(TRACKING_MANIFEST)
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.MEDIUM, 'Privacy manifest declares tracking, but no ATT prompt code is linked']
+    ])
+  })
+})
@@ -0,0 +1,122 @@
+const BuildSettingsRule = require('../../src/rules/build-settings-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { parseXcodeProject, getBuildSettings } = require('../../src/utils/xcode-project')
+const { buildPbxproj } = require('../helpers/pbxproj-builder')
+
+const RELEASE_SETTINGS = {
+  PRODUCT_BUNDLE_IDENTIFIER: 'com.example.testapp',
+  DEVELOPMENT_TEAM: 'ABCDE12345',
+  IPHONEOS_DEPLOYMENT_TARGET: '15.1',
+  DEBUG_INFORMATION_FORMAT: 'dwarf-with-dsym',
+  ENABLE_BITCODE: 'NO'
+}
+
+describe('BuildSettingsRule', () => {
+  let rule
+
+  beforeEach(() => {
+    rule = new BuildSettingsRule()
+  })
+
+  function validatorFor(targetSettings, infoPlist = {}) {
+    const project = parseXcodeProject(
+      buildPbxproj({
+        targetSettings: {
+          Debug: { ...RELEASE_SETTINGS, ...targetSettings.Debug },
+          Release: { ...RELEASE_SETTINGS, ...targetSettings.Release }
+        }
+      }),
+      { name: 'TestApp', projectDir: '/work/ios' }
+    )
+
+    return {
+      getProjectInfo: jest
+        .fn()
+        .mockReturnValue({ targetName: 'TestApp', configuration: 'Release' }),
+      getXcodeProject: jest.fn().mockReturnValue(project),
+      getBuildSettings: jest.fn((name) => getBuildSettings(project, 'TestApp', name || 'Release')),
+      getInfoPlist: jest.fn().mockReturnValue(infoPlist)
+    }
+  }
+
+  test('should only run in project mode', () => {
+    expect(rule.modes).toEqual(['project'])
+  })
+
+  test('should pass a typical Release configuration', async() => {
+    const results = await rule.validate(
+      validatorFor({}, { CFBundleIdentifier: '$(PRODUCT_BUNDLE_IDENTIFIER)' })
+    )
+
+    expect(results).toEqual([])
+  })
+
+  test('should flag debug flags, bitcode and missing dSYMs in Release', async() => {
+    const results = await rule.validate(
+      validatorFor({
+        Release: {
+          ENABLE_BITCODE: 'YES',
+          DEBUG_INFORMATION_FORMAT: 'dwarf',
+          GCC_PREPROCESSOR_DEFINITIONS: ['$(inherited)', 'DEBUG=1'],
+          SWIFT_ACTIVE_COMPILATION_CONDITIONS: 'DEBUG'
+        }
+      })
+    )
+    const messages = results.map((r) => r.message)
+
+    expect(messages).toEqual([
+      'Bitcode is enabled',
+      'Release build does not generate dSYMs',
+      'Debug flags are enabled in GCC_PREPROCESSOR_DEFINITIONS',
+      'Debug flags are enabled in SWIFT_ACTIVE_COMPILATION_CONDITIONS'
+    ])
+    expect(results[2].severity).toBe(SEVERITY.HIGH)
+    expect(results[2].details).toBe('TestApp (Release) defines DEBUG=1')
+  })
+
+  test('should flag manual signing without a profile', async() => {
+    const results = await rule.validate(validatorFor({ Release: { CODE_SIGN_STYLE: 'Manual' } }))
+
+    expect(results).toHaveLength(1)
+    expect(results[0].message).toBe('Manual signing without a provisioning profile')
+    expect(results[0].severity).toBe(SEVERITY.HIGH)
+  })
+
+  test('should compare bundle identifiers and deployment targets', async() => {
+    const results = await rule.validate(
+      validatorFor(
+        {
+          Debug: {
+            PRODUCT_BUNDLE_IDENTIFIER: 'com.example.testapp.dev',
+            IPHONEOS_DEPLOYMENT_TARGET: '14.0'
+          }
+        },
+        { CFBundleIdentifier: 'com.example.other', MinimumOSVersion: '13.4' }
+      )
+    )
+    const byMessage = Object.fromEntries(results.map((r) => [r.message, r]))
+
+    expect(byMessage['Deployment target does not match Info.plist MinimumOSVersion'].severity).toBe(
+      SEVERITY.MEDIUM
+    )
+    expect(byMessage['Debug and Release use different deployment targets'].severity).toBe(
+      SEVERITY.LOW
+    )
+    expect(
+      byMessage['Info.plist bundle identifier differs from PRODUCT_BUNDLE_IDENTIFIER'].severity
+    ).toBe(SEVERITY.MEDIUM)
+    expect(byMessage['Bundle identifier differs between build configurations'].details).toBe(
+      'Debug: com.example.testapp.dev, Release: com.example.testapp'
+    )
+  })
+
+  test('should report when no Xcode project was found', async() => {
+    const results = await rule.validate({
+      getProjectInfo: jest.fn().mockReturnValue({ appName: 'TestApp' }),
+      getBuildSettings: jest.fn().mockReturnValue(null)
+    })
+
+    expect(results).toHaveLength(1)
+    expect(results[0].severity).toBe(SEVERITY.INFO)
+  })
+})
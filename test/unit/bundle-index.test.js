@@ -0,0 +1,169 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const plist = require('plist')
+const { BundleIndex } = require('../../src/utils/bundle-index')
+const { FileParser } = require('../../src/utils/file-parser')
+const { buildZip } = require('../helpers/zip-builder')
+
+const INFO_PLIST = plist.build({
+  CFBundleIdentifier: 'com.example.testapp',
+  CFBundleName: 'TestApp'
+})
+
+const APP_FILES = {
+  'Info.plist': INFO_PLIST,
+  'PrivacyInfo.xcprivacy': plist.build({ NSPrivacyTracking: false }),
+  'main.jsbundle': 'console.log("hello")',
+  'Frameworks/hermes.framework/Info.plist': plist.build({
+    CFBundleIdentifier: 'dev.hermesengine.iphoneos'
+  }),
+  'Frameworks/hermes.framework/hermes': 'not a binary',
+  'RNCAsyncStorage_resources.bundle/PrivacyInfo.xcprivacy': plist.build({
+    NSPrivacyTracking: false
+  })
+}
+
+describe('BundleIndex', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-index-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  function writeIPA(files) {
+    const ipaPath = path.join(tempDir, 'TestApp.ipa')
+    const entries = {}
+    for (const [file, contents] of Object.entries(files)) {
+      entries[`Payload/TestApp.app/${file}`] = contents
+    }
+    fs.writeFileSync(ipaPath, buildZip({ 'Symbols/ignored.txt': 'x', ...entries }))
+    return ipaPath
+  }
+
+  function writeApp(files) {
+    const appPath = path.join(tempDir, 'TestApp.app')
+    for (const [file, contents] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(appPath, file)), { recursive: true })
+      fs.writeFileSync(path.join(appPath, file), contents)
+    }
+    return appPath
+  }
+
+  const sources = {
+    ipa: () => BundleIndex.fromIPA(writeIPA(APP_FILES)),
+    app: () => BundleIndex.fromDirectory(writeApp(APP_FILES))
+  }
+
+  for (const [source, open] of Object.entries(sources)) {
+    describe(`over ${source === 'ipa' ? 'an .ipa' : 'an .app'}`, () => {
+      let bundle
+
+      beforeEach(async() => {
+        bundle = await open()
+      })
+
+      afterEach(() => {
+        bundle.close()
+      })
+
+      test('should list files relative to the .app root', () => {
+        expect(bundle.source).toBe(source)
+        expect(bundle.list()).toEqual(Object.keys(APP_FILES).sort())
+        expect(bundle.list('**/PrivacyInfo.xcprivacy')).toEqual([
+          'PrivacyInfo.xcprivacy',
+          'RNCAsyncStorage_resources.bundle/PrivacyInfo.xcprivacy'
+        ])
+        expect(bundle.list('Frameworks/*.framework/Info.plist')).toEqual([
+          'Frameworks/hermes.framework/Info.plist'
+        ])
+      })
+
+      test('should stat files and directories', () => {
+        expect(bundle.stat('main.jsbundle')).toMatchObject({ type: 'file', size: 20 })
+        expect(bundle.stat('Frameworks/hermes.framework')).toEqual({ type: 'directory' })
+        expect(bundle.stat('missing.txt')).toBeNull()
+        expect(bundle.exists('Frameworks')).toBe(true)
+      })
+
+      test('should read and cache file contents', async() => {
+        expect(await bundle.readFile('main.jsbundle', 'utf8')).toBe('console.log("hello")')
+
+        const plistData = await bundle.readPlist('Info.plist')
+        expect(plistData.CFBundleIdentifier).toBe('com.example.testapp')
+        expect(await bundle.readPlist('Info.plist')).toBe(plistData)
+
+        await expect(bundle.readFile('missing.txt')).rejects.toThrow('File not found in bundle')
+      })
+
+      test('should read the start of a file without caching it', async() => {
+        expect((await bundle.readHeader('main.jsbundle', 7)).toString()).toBe('console')
+        expect(bundle.cache.has('main.jsbundle')).toBe(false)
+
+        await bundle.readFile('main.jsbundle')
+        expect((await bundle.readHeader('main.jsbundle', 4)).toString()).toBe('cons')
+      })
+    })
+  }
+
+  test('should load each IPA entry only once', async() => {
+    const bundle = await BundleIndex.fromIPA(writeIPA(APP_FILES))
+    const loadFile = jest.spyOn(bundle, 'loadFile')
+
+    await Promise.all([bundle.readFile('Info.plist'), bundle.readFile('Info.plist')])
+    await bundle.readPlist('Info.plist')
+
+    expect(loadFile).toHaveBeenCalledTimes(1)
+    bundle.close()
+  })
+
+  test('should keep only the most recently read contents within the cache size', async() => {
+    const files = new Map(['a', 'b', 'c'].map((name) => [name, { size: 4 }]))
+    const loadFile = jest.fn(async(file) => Buffer.from(file.repeat(4)))
+    const bundle = new BundleIndex({ source: 'app', root: '', files, loadFile, cacheSize: 8 })
+
+    await bundle.readFile('a')
+    await bundle.readFile('b')
+    await bundle.readFile('a')
+    await bundle.readFile('c')
+    expect(loadFile).toHaveBeenCalledTimes(3)
+
+    expect(await bundle.readFile('b', 'utf8')).toBe('bbbb')
+    expect(loadFile).toHaveBeenCalledTimes(4)
+    expect(bundle.cachedBytes).toBe(8)
+  })
+
+  test('should read a file again after a failed read', async() => {
+    const files = new Map([['a', { size: 4 }]])
+    const loadFile = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('EIO'))
+      .mockResolvedValue(Buffer.from('aaaa'))
+    const bundle = new BundleIndex({ source: 'app', root: '', files, loadFile })
+
+    await expect(bundle.readFile('a')).rejects.toThrow('EIO')
+    expect(await bundle.readFile('a', 'utf8')).toBe('aaaa')
+  })
+
+  test('should expose the index through FileParser artifacts', async() => {
+    const artifacts = await new FileParser().parseIPA(writeIPA(APP_FILES))
+
+    expect(artifacts.appBundle).toBe('Payload/TestApp.app')
+    expect(artifacts.infoPlist.CFBundleName).toBe('TestApp')
+    expect(artifacts.privacyManifest).toEqual({ NSPrivacyTracking: false })
+    expect(artifacts.bundle.exists('main.jsbundle')).toBe(true)
+    artifacts.bundle.close()
+  })
+
+  test('should reject an IPA without a main app Info.plist', async() => {
+    const ipaPath = writeIPA({ 'main.jsbundle': '' })
+
+    await expect(new FileParser().parseIPA(ipaPath)).rejects.toThrow(
+      'Main app Info.plist not found in IPA file'
+    )
+  })
+})
@@ -0,0 +1,206 @@
+const CodeSigningRule = require('../../src/rules/code-signing-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { parseMachO, getPrimarySlice } = require('../../src/utils/macho-parser')
+const {
+  parseCodeSignature,
+  parseProvisioningProfile,
+  profileMatchesBundleId
+} = require('../../src/utils/code-signature')
+const { buildMachO } = require('../helpers/macho-builder')
+const { buildCodeSignature, buildProvisioningProfile } = require('../helpers/signing-builder')
+
+function signedExecutable(signatureOptions) {
+  const binary = buildMachO({
+    codeSignature: buildCodeSignature({ identifier: 'com.example.testapp', ...signatureOptions })
+  })
+  const macho = parseMachO(binary)
+  return {
+    name: 'TestApp',
+    macho,
+    codeSignature: parseCodeSignature(binary, getPrimarySlice(macho))
+  }
+}
+
+describe('Code signature parsing', () => {
+  test('should read identifier, team and signing certificate', () => {
+    const { codeSignature } = signedExecutable({
+      entitlements: { 'application-identifier': 'ABCDE12345.com.example.testapp' }
+    })
+
+    expect(codeSignature.identifier).toBe('com.example.testapp')
+    expect(codeSignature.teamId).toBe('ABCDE12345')
+    expect(codeSignature.adhoc).toBe(false)
+    expect(codeSignature.codeDirectories[0].hashType).toBe('sha256')
+    expect(codeSignature.requirements).toEqual([])
+    expect(codeSignature.signingCertificate.subject.CN).toBe(
+      'Apple Distribution: Example Inc. (ABCDE12345)'
+    )
+    expect(codeSignature.entitlements).toEqual({
+      'application-identifier': 'ABCDE12345.com.example.testapp'
+    })
+  })
+
+  test('should decode DER entitlements when no XML blob is present', () => {
+    const { codeSignature } = signedExecutable({
+      derEntitlements: {
+        'get-task-allow': true,
+        'keychain-access-groups': ['ABCDE12345.com.example.testapp']
+      }
+    })
+
+    expect(codeSignature.entitlementsFormat).toBe('der')
+    expect(codeSignature.entitlements).toEqual({
+      'get-task-allow': true,
+      'keychain-access-groups': ['ABCDE12345.com.example.testapp']
+    })
+  })
+
+  test('should parse a BER-encoded provisioning profile', () => {
+    const profile = parseProvisioningProfile(
+      buildProvisioningProfile({
+        ProvisionedDevices: ['00008101-000A1234'],
+        Entitlements: {
+          'application-identifier': 'ABCDE12345.com.example.*',
+          'get-task-allow': true
+        }
+      })
+    )
+
+    expect(profile.teamId).toBe('ABCDE12345')
+    expect(profile.type).toBe('development')
+    expect(profile.provisionedDevices).toHaveLength(1)
+    expect(profile.bundleIdPattern).toBe('com.example.*')
+    expect(profileMatchesBundleId(profile, 'com.example.testapp')).toBe(true)
+    expect(profileMatchesBundleId(profile, 'com.other.testapp')).toBe(false)
+  })
+})
+
+describe('CodeSigningRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new CodeSigningRule()
+    mockValidator = {
+      getBuildPath: jest.fn().mockReturnValue('/builds/Release-iphoneos/TestApp.ipa'),
+      getArchiveInfo: jest.fn().mockReturnValue(null),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleIdentifier: 'com.example.testapp' }),
+      getExecutable: jest.fn(),
+      getCodeSignature: jest.fn(),
+      getProvisioningProfile: jest.fn(),
+      log: jest.fn()
+    }
+  })
+
+  function useBuild(signatureOptions, profileOverrides) {
+    const executable = signedExecutable(signatureOptions)
+    mockValidator.getExecutable.mockReturnValue(executable)
+    mockValidator.getCodeSignature.mockReturnValue(executable.codeSignature)
+    mockValidator.getProvisioningProfile.mockReturnValue(
+      profileOverrides === null
+        ? null
+        : parseProvisioningProfile(buildProvisioningProfile(profileOverrides))
+    )
+  }
+
+  test('should only log the profile summary for a valid App Store build', async() => {
+    useBuild({}, {})
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toEqual([])
+    expect(mockValidator.log).toHaveBeenCalledWith(expect.stringContaining('(app-store)'))
+    expect(mockValidator.log).toHaveBeenCalledWith(expect.stringContaining('Team ID: ABCDE12345'))
+  })
+
+  test('should flag ad-hoc signatures', async() => {
+    useBuild({ adhoc: true }, {})
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.some((r) => r.message === 'Build is ad-hoc signed')).toBe(true)
+  })
+
+  test('should flag development profiles and certificates', async() => {
+    useBuild(
+      {
+        certificate: { CN: 'Apple Development: Jane Doe (XYZ987)', OU: 'ABCDE12345', UID: 'XYZ987' }
+      },
+      {
+        ProvisionedDevices: ['00008101-000A1234'],
+        Entitlements: {
+          'application-identifier': 'ABCDE12345.com.example.testapp',
+          'get-task-allow': true
+        }
+      }
+    )
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.some((r) => r.message.includes('development certificate'))).toBe(true)
+    expect(results.some((r) => r.message === 'Build uses a development provisioning profile')).toBe(
+      true
+    )
+  })
+
+  test('should only report development signing of an archive as info', async() => {
+    mockValidator.getArchiveInfo.mockReturnValue({ signingIdentity: 'Apple Development' })
+    useBuild(
+      {
+        certificate: { CN: 'Apple Development: Jane Doe (XYZ987)', OU: 'ABCDE12345', UID: 'XYZ987' }
+      },
+      {
+        ProvisionedDevices: ['00008101-000A1234'],
+        Entitlements: {
+          'application-identifier': 'ABCDE12345.com.example.testapp',
+          'get-task-allow': true
+        }
+      }
+    )
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.every((r) => r.severity === SEVERITY.INFO)).toBe(true)
+    expect(results.some((r) => r.message === 'Build uses a development provisioning profile')).toBe(
+      true
+    )
+  })
+
+  test('should flag expired, enterprise and mismatched profiles', async() => {
+    useBuild(
+      {},
+      {
+        ProvisionsAllDevices: true,
+        ExpirationDate: new Date('2020-01-01T00:00:00Z'),
+        Entitlements: { 'application-identifier': 'ABCDE12345.com.other.app' }
+      }
+    )
+
+    const results = await rule.validate(mockValidator)
+    const critical = results.filter((r) => r.severity === SEVERITY.CRITICAL).map((r) => r.message)
+
+    expect(critical).toContain('Provisioning profile has expired')
+    expect(critical).toContain('Build is signed with an enterprise (in-house) profile')
+    expect(critical).toContain('Bundle identifier does not match provisioning profile')
+  })
+
+  test('should flag a missing provisioning profile', async() => {
+    useBuild({}, null)
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.some((r) => r.message === 'No embedded provisioning profile found')).toBe(true)
+  })
+
+  test('should skip simulator builds', async() => {
+    const binary = buildMachO({
+      buildVersion: { platform: 'iossimulator', minos: '15.0', sdk: '17.0' }
+    })
+    mockValidator.getExecutable.mockReturnValue({ macho: parseMachO(binary), codeSignature: null })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(1)
+    expect(results[0].message).toBe('Code signing verification skipped')
+  })
+})
@@ -0,0 +1,155 @@
+const ContentPolicyRule = require('../../src/rules/content-policy-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { readAppSignals } = require('../../src/utils/app-signals')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+describe('ContentPolicyRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new ContentPolicyRule()
+    mockValidator = {
+      getBundle: jest.fn(),
+      getInfoPlist: jest
+        .fn()
+        .mockReturnValue({ CFBundleExecutable: 'TestApp', ITSAppUsesNonExemptEncryption: false }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getEntitlements: jest.fn().mockReturnValue({}),
+      getJSBundle: jest.fn().mockReturnValue({ path: 'main.jsbundle' }),
+      getProjectInfo: jest.fn().mockReturnValue(null),
+      getMetadata: jest.fn().mockReturnValue(null),
+      getBusinessModel: jest.fn().mockReturnValue({
+        physicalGoods: false,
+        readerApp: false,
+        externalLinkEntitlement: false
+      }),
+      getAppSignals: jest.fn(() => readAppSignals(mockValidator))
+    }
+  })
+
+  afterEach(removeTempBundles)
+
+  async function validateFiles(files) {
+    mockValidator.getBundle.mockReturnValue(await createTempBundle(files))
+    return rule.validate(mockValidator)
+  }
+
+  test('should pass apps that only use in-app purchase', async() => {
+    const results = await validateFiles({
+      'main.jsbundle': 'var p=r(d[0]).NativeModules.RNPurchases;p.purchasePackage(e);'
+    })
+
+    expect(results).toEqual([])
+  })
+
+  test('should flag web checkout links for digital goods', async() => {
+    mockValidator.getMetadata.mockReturnValue({
+      description: 'Unlock premium lessons and learn at your own pace.',
+      marketingUrl: 'https://example.com/pricing?plan=pro'
+    })
+
+    const results = await validateFiles({
+      'main.jsbundle': 'Linking.openURL("https://buy.stripe.com/7sI5lqfQb1Hd");'
+    })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.HIGH, 'Digital goods may be sold outside in-app purchase (Guideline 3.1.1)']
+    ])
+    expect(results[0].details).toBe(
+      'checkout links: https://buy.stripe.com/7sI5lqfQb1Hd, https://example.com/pricing?plan=pro; the metadata mentions "Unlock"; no in-app purchase found'
+    )
+  })
+
+  test('should search the metadata only for checkout and pricing pages of any site', async() => {
+    const results = await validateFiles({
+      'main.jsbundle':
+        'var d="https://docs.example.org/pricing",u="https://example.com/subscribe?list=news";'
+    })
+
+    expect(results).toEqual([])
+  })
+
+  test('should report payment SDKs without other hints as MEDIUM', async() => {
+    mockValidator.getJSBundle.mockReturnValue(null)
+    mockValidator.getExecutable.mockReturnValue({
+      name: 'TestApp',
+      macho: parseMachO(buildMachO())
+    })
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      { path: 'Frameworks/StripePaymentSheet.framework', type: 'framework' }
+    ])
+
+    const results = await validateFiles({ TestApp: buildMachO() })
+
+    expect(results.map((r) => [r.severity, r.message, r.details])).toEqual([
+      [
+        SEVERITY.MEDIUM,
+        'App takes payments outside in-app purchase',
+        'Payment SDKs: Stripe (StripePaymentSheet.framework); no in-app purchase found'
+      ]
+    ])
+  })
+
+  test('should keep payment SDKs next to in-app purchase at MEDIUM', async() => {
+    mockValidator.getJSBundle.mockReturnValue(null)
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      { path: 'Frameworks/StripePaymentSheet.framework', type: 'framework' }
+    ])
+    const binary = buildMachO({ imports: ['_OBJC_CLASS_$_SKPaymentQueue'] })
+    mockValidator.getExecutable.mockReturnValue({ name: 'TestApp', macho: parseMachO(binary) })
+
+    const results = await validateFiles({ TestApp: binary })
+
+    expect(results.map((r) => [r.severity, r.message, r.details])).toEqual([
+      [
+        SEVERITY.MEDIUM,
+        'App takes payments outside in-app purchase',
+        'Payment SDKs: Stripe (StripePaymentSheet.framework); in-app purchase: StoreKit (class SKPaymentQueue)'
+      ]
+    ])
+  })
+
+  test('should not take metadata wording for digital goods next to in-app purchase', async() => {
+    mockValidator.getMetadata.mockReturnValue({
+      description: 'Get premium features with in-app purchases, or subscribe for the full library.'
+    })
+    mockValidator.getJSBundle.mockReturnValue(null)
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      { path: 'Frameworks/StripePaymentSheet.framework', type: 'framework' }
+    ])
+    const binary = buildMachO({ imports: ['_OBJC_CLASS_$_SKPaymentQueue'] })
+    mockValidator.getExecutable.mockReturnValue({ name: 'TestApp', macho: parseMachO(binary) })
+
+    const results = await validateFiles({ TestApp: binary })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.MEDIUM, 'App takes payments outside in-app purchase']
+    ])
+    expect(results[0].details).not.toContain('the metadata mentions')
+  })
+
+  test('should honour the declared business model and external purchase entitlements', async() => {
+    const files = { 'main.jsbundle': 'Linking.openURL("https://buy.stripe.com/7sI5lqfQb1Hd");' }
+
+    mockValidator.getBusinessModel.mockReturnValue({
+      physicalGoods: true,
+      readerApp: false,
+      externalLinkEntitlement: false
+    })
+    expect(await validateFiles(files)).toEqual([])
+
+    mockValidator.getBusinessModel.mockReturnValue({
+      physicalGoods: false,
+      readerApp: false,
+      externalLinkEntitlement: false
+    })
+    mockValidator.getEntitlements.mockReturnValue({
+      'com.apple.developer.storekit.external-purchase-link': true
+    })
+    expect(await rule.validate(mockValidator)).toEqual([])
+  })
+})
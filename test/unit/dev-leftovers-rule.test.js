@@ -0,0 +1,116 @@
+const plist = require('plist')
+const DevLeftoversRule = require('../../src/rules/dev-leftovers-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+const { buildHermesBundle } = require('../helpers/hbc-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+describe('DevLeftoversRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new DevLeftoversRule()
+    mockValidator = {
+      getBundle: jest.fn(),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleExecutable: 'TestApp' }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getEntitlements: jest.fn().mockReturnValue({ 'get-task-allow': false }),
+      getJSBundle: jest.fn().mockReturnValue(null),
+      getBuildPath: jest.fn().mockReturnValue('/builds/Release-iphoneos/TestApp.app'),
+      getRuleConfig: jest.fn().mockReturnValue({})
+    }
+  })
+
+  afterEach(removeTempBundles)
+
+  async function validateFiles(files) {
+    mockValidator.getBundle.mockReturnValue(await createTempBundle(files))
+    return rule.validate(mockValidator)
+  }
+
+  test('should pass a clean Release build', async() => {
+    expect(await validateFiles({ 'main.jsbundle': 'var __DEV__=false;' })).toEqual([])
+  })
+
+  test('should flag leftover files and debug frameworks in a Release build', async() => {
+    mockValidator.getExecutable.mockReturnValue({
+      name: 'TestApp',
+      macho: parseMachO(buildMachO({ dylibs: ['@rpath/FlipperKit.framework/FlipperKit'] }))
+    })
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      { path: 'Frameworks/Flipper-Folly.framework', type: 'framework' },
+      { path: 'Frameworks/React.framework', type: 'framework' }
+    ])
+
+    const results = await validateFiles({
+      'ip.txt': '192.168.1.20',
+      'assets/.DS_Store': '',
+      'assets/images/.DS_Store': ''
+    })
+
+    expect(results.map((r) => [r.severity, r.details])).toEqual([
+      [SEVERITY.HIGH, 'Found ip.txt'],
+      [SEVERITY.HIGH, 'Found assets/.DS_Store, assets/images/.DS_Store'],
+      [SEVERITY.HIGH, 'Found Flipper-Folly.framework, FlipperKit.framework']
+    ])
+  })
+
+  test('should find development hosts in Info.plist and Hermes bundles', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      RCT_jsLocation: 'localhost:8081'
+    })
+    mockValidator.getJSBundle.mockReturnValue({ path: 'main.jsbundle', format: 'hermes' })
+
+    const results = await validateFiles({
+      'main.jsbundle': buildHermesBundle({
+        strings: ['http://localhost:8081/', 'http://192.168.0.12:3000/api']
+      }),
+      'Settings.bundle/Root.plist': plist.build({
+        PreferenceSpecifiers: [{ DefaultValue: 'http://10.0.2.2:8081' }]
+      })
+    })
+
+    expect(results.map((r) => [r.message, r.details])).toEqual([
+      [
+        'Development leftover: Metro packager URL',
+        'Found "localhost:8081" in Info.plist, "10.0.2.2:8081" in Settings.bundle/Root.plist'
+      ],
+      [
+        'Development leftover: Packager host preset for RCTDevSettings',
+        'Found "RCT_jsLocation" in Info.plist'
+      ],
+      [
+        'Development leftover: URL of a server on a private network',
+        'Found "http://10.0.2.2:8081" in Settings.bundle/Root.plist, "http://192.168.0.12:3000" in main.jsbundle'
+      ]
+    ])
+  })
+
+  test('should use configured markers and lower severity for Debug builds', async() => {
+    mockValidator.getRuleConfig.mockReturnValue({
+      defaults: false,
+      files: [
+        {
+          pattern: '**/GoogleService-Info-Dev.plist',
+          description: 'Firebase config of the dev project'
+        }
+      ]
+    })
+    mockValidator.getEntitlements.mockReturnValue({ 'get-task-allow': true })
+
+    const results = await validateFiles({
+      'ip.txt': '',
+      'GoogleService-Info-Dev.plist': plist.build({})
+    })
+
+    expect(results).toHaveLength(1)
+    expect(results[0].severity).toBe(SEVERITY.LOW)
+    expect(results[0].details).toBe(
+      'Found GoogleService-Info-Dev.plist (expected here: the app is signed with get-task-allow, as Debug builds are)'
+    )
+  })
+})
@@ -0,0 +1,209 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const plist = require('plist')
+const EntitlementsRule = require('../../src/rules/entitlements-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { FileParser } = require('../../src/utils/file-parser')
+const { parseProvisioningProfile } = require('../../src/utils/code-signature')
+const { buildMachO } = require('../helpers/macho-builder')
+const { buildCodeSignature, buildProvisioningProfile } = require('../helpers/signing-builder')
+
+const APP_ENTITLEMENTS = {
+  'application-identifier': 'ABCDE12345.com.example.testapp',
+  'com.apple.developer.team-identifier': 'ABCDE12345',
+  'get-task-allow': false,
+  'keychain-access-groups': ['ABCDE12345.com.example.testapp']
+}
+
+function signedBinary(identifier, entitlements) {
+  return buildMachO({ codeSignature: buildCodeSignature({ identifier, entitlements }) })
+}
+
+describe('FileParser entitlements', () => {
+  let appPath
+
+  beforeEach(() => {
+    appPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'entitlements-')), 'TestApp.app')
+    const shareExtension = path.join(appPath, 'PlugIns', 'Share.appex')
+    const framework = path.join(appPath, 'Frameworks', 'hermes.framework')
+    fs.mkdirSync(shareExtension, { recursive: true })
+    fs.mkdirSync(framework, { recursive: true })
+
+    fs.writeFileSync(
+      path.join(appPath, 'Info.plist'),
+      plist.build({ CFBundleIdentifier: 'com.example.testapp', CFBundleExecutable: 'TestApp' })
+    )
+    fs.writeFileSync(
+      path.join(appPath, 'TestApp'),
+      signedBinary('com.example.testapp', APP_ENTITLEMENTS)
+    )
+    fs.writeFileSync(path.join(appPath, 'embedded.mobileprovision'), buildProvisioningProfile({}))
+
+    fs.writeFileSync(
+      path.join(shareExtension, 'Info.plist'),
+      plist.build({ CFBundleIdentifier: 'com.example.testapp.share', CFBundleExecutable: 'Share' })
+    )
+    fs.writeFileSync(
+      path.join(shareExtension, 'Share'),
+      signedBinary('com.example.testapp.share', { 'get-task-allow': true })
+    )
+
+    fs.writeFileSync(
+      path.join(framework, 'hermes'),
+      signedBinary('dev.hermesengine.iphoneos', null)
+    )
+  })
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(appPath), { recursive: true, force: true })
+  })
+
+  test('should read entitlements from the signature of every bundle', async() => {
+    const artifacts = await new FileParser().parseAppBundle(appPath)
+
+    expect(artifacts.entitlementsSource).toBe('signature')
+    expect(artifacts.entitlements).toEqual(APP_ENTITLEMENTS)
+    expect(artifacts.provisioningProfile.teamId).toBe('ABCDE12345')
+
+    expect(artifacts.embeddedBundles.map((bundle) => bundle.path)).toEqual([
+      'Frameworks/hermes.framework',
+      'PlugIns/Share.appex'
+    ])
+    const [framework, extension] = artifacts.embeddedBundles
+    expect(framework.type).toBe('framework')
+    expect(framework.executable.codeSignature.identifier).toBe('dev.hermesengine.iphoneos')
+    expect(framework.entitlements).toBeNull()
+    expect(extension.bundleId).toBe('com.example.testapp.share')
+    expect(extension.entitlements).toEqual({ 'get-task-allow': true })
+  })
+
+  test('should fall back to the expanded .xcent of unsigned builds', async() => {
+    fs.writeFileSync(path.join(appPath, 'TestApp'), buildMachO({}))
+    fs.writeFileSync(
+      path.join(appPath, 'archived-expanded-entitlements.xcent'),
+      plist.build({ 'aps-environment': 'development' })
+    )
+
+    const artifacts = await new FileParser().parseAppBundle(appPath)
+
+    expect(artifacts.entitlementsSource).toBe('xcent')
+    expect(artifacts.entitlements).toEqual({ 'aps-environment': 'development' })
+  })
+})
+
+describe('EntitlementsRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new EntitlementsRule()
+    mockValidator = {
+      getBuildPath: jest.fn().mockReturnValue('/builds/Release-iphoneos/TestApp.ipa'),
+      getArchiveInfo: jest.fn().mockReturnValue(null),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleIdentifier: 'com.example.testapp' }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getCodeSignature: jest.fn().mockReturnValue({ teamId: 'ABCDE12345' }),
+      getEntitlements: jest.fn().mockReturnValue(APP_ENTITLEMENTS),
+      getProvisioningProfile: jest
+        .fn()
+        .mockReturnValue(parseProvisioningProfile(buildProvisioningProfile({}))),
+      getEmbeddedBundles: jest.fn().mockReturnValue([])
+    }
+  })
+
+  test('should pass entitlements granted by an App Store profile', async() => {
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toEqual([])
+  })
+
+  test('should flag development-only entitlements', async() => {
+    mockValidator.getEntitlements.mockReturnValue({
+      ...APP_ENTITLEMENTS,
+      'get-task-allow': true,
+      'aps-environment': 'development'
+    })
+
+    const results = await rule.validate(mockValidator)
+    const messages = results.map((r) => r.message)
+
+    expect(messages).toContain('get-task-allow entitlement is enabled')
+    expect(messages).toContain('Push notifications use the development APNs environment')
+    expect(messages).toContain(
+      'Entitlement aps-environment is not granted by the provisioning profile'
+    )
+    expect(messages).toContain('Entitlement get-task-allow does not match the provisioning profile')
+  })
+
+  test('should flag app and keychain groups without the expected prefix', async() => {
+    mockValidator.getEntitlements.mockReturnValue({
+      ...APP_ENTITLEMENTS,
+      'com.apple.security.application-groups': ['com.example.shared'],
+      'keychain-access-groups': [
+        'ABCDE12345.com.example.testapp',
+        'com.example.shared',
+        'com.apple.token'
+      ]
+    })
+
+    const results = await rule.validate(mockValidator)
+    const appGroups = results.find((r) => r.message.startsWith('App group identifiers'))
+    const keychain = results.find((r) => r.message.startsWith('Keychain access groups'))
+
+    expect(appGroups.severity).toBe(SEVERITY.HIGH)
+    expect(appGroups.details).toContain('com.example.shared')
+    expect(keychain.message).toContain('"ABCDE12345."')
+    expect(keychain.details).toBe('com.example.testapp: com.example.shared')
+  })
+
+  test('should report group entitlements that are not arrays', async() => {
+    mockValidator.getEntitlements.mockReturnValue({
+      ...APP_ENTITLEMENTS,
+      'com.apple.security.application-groups': 'group.com.example.shared',
+      'keychain-access-groups': { group: 'ABCDE12345.com.example.testapp' }
+    })
+
+    const results = await rule.validate(mockValidator)
+    const appGroups = results.find(
+      (r) => r.message === 'Malformed com.apple.security.application-groups entitlement'
+    )
+    const keychain = results.find(
+      (r) => r.message === 'Malformed keychain-access-groups entitlement'
+    )
+
+    expect(appGroups.severity).toBe(SEVERITY.HIGH)
+    expect(appGroups.details).toContain('as a string instead of an array')
+    expect(keychain.details).toContain('as a dictionary instead of an array')
+  })
+
+  test('should check app extensions against their own profile', async() => {
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      {
+        path: 'PlugIns/Share.appex',
+        type: 'appex',
+        entitlements: { 'com.apple.developer.associated-domains': ['applinks:example.com'] },
+        provisioningProfile: parseProvisioningProfile(buildProvisioningProfile({})),
+        executable: null
+      }
+    ])
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(1)
+    expect(results[0].message).toBe(
+      'Entitlement com.apple.developer.associated-domains is not granted by the provisioning profile'
+    )
+    expect(results[0].details).toContain('PlugIns/Share.appex')
+  })
+
+  test('should skip debug builds', async() => {
+    mockValidator.getBuildPath.mockReturnValue('/builds/Debug-iphoneos/TestApp.app')
+    mockValidator.getEntitlements.mockReturnValue({ 'get-task-allow': true })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(1)
+    expect(results[0].message).toBe('Entitlements verification skipped')
+  })
+})
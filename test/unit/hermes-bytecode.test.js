@@ -0,0 +1,43 @@
+const {
+  parseHermesBytecode,
+  readHermesStrings,
+  readHermesReleaseVersion
+} = require('../../src/utils/hermes-bytecode')
+const { buildHermesBundle } = require('../helpers/hbc-builder')
+
+describe('Hermes bytecode', () => {
+  const longString = `https://api.example.com/${'v'.repeat(300)}`
+  const bundle = buildHermesBundle({
+    version: 96,
+    functionCount: 3,
+    strings: ['HMRClient', 'fetch', longString]
+  })
+
+  test('should parse the HBC header', () => {
+    expect(parseHermesBytecode(bundle)).toMatchObject({
+      version: 96,
+      sourceHash: 'ab'.repeat(20),
+      fileLength: bundle.length,
+      functionCount: 3,
+      stringCount: 3,
+      overflowStringCount: 1
+    })
+  })
+
+  test('should read small and overflow strings from the string table', () => {
+    expect(readHermesStrings(bundle)).toEqual(['HMRClient', 'fetch', longString])
+  })
+
+  test('should reject plain JavaScript', () => {
+    expect(() => parseHermesBytecode(Buffer.from('var __DEV__=false;'))).toThrow(
+      'Not a Hermes bytecode file'
+    )
+  })
+
+  test('should read the React Native release of hermes.framework', () => {
+    expect(readHermesReleaseVersion(['Hermes', 'for RN 0.74.3', 'OSS Release Version'])).toBe(
+      '0.74.3'
+    )
+    expect(readHermesReleaseVersion(['Hermes'])).toBeNull()
+  })
+})
@@ -82,4 +82,20 @@ describe('InfoPlistValidationRule', () => {
     )
     expect(criticalResults).toHaveLength(0)
   })
+
+  test('should not validate build setting references from source plists', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleIdentifier: '$(PRODUCT_BUNDLE_IDENTIFIER)',
+      CFBundleName: '$(PRODUCT_NAME)',
+      CFBundleDisplayName: 'Test App',
+      CFBundleVersion: '$(CURRENT_PROJECT_VERSION)',
+      CFBundleShortVersionString: '$(MARKETING_VERSION)',
+      LSRequiresIPhoneOS: true,
+      CFBundleURLTypes: [{ CFBundleURLSchemes: ['$(PRODUCT_BUNDLE_IDENTIFIER)'] }]
+    })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results).toHaveLength(0)
+  })
 })
@@ -0,0 +1,180 @@
+const JSBundleRule = require('../../src/rules/js-bundle-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { FileParser } = require('../../src/utils/file-parser')
+const { analyzeJSBundle } = require('../../src/utils/js-bundle')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+const { buildHermesBundle } = require('../helpers/hbc-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+const PROD_BUNDLE = [
+  'var __BUNDLE_START_TIME__=this.nativePerformanceNow?nativePerformanceNow():Date.now(),__DEV__=false,process=this.process||{};',
+  "__d(function(g,r,i,a,m,e,d){r(d[0]).registerCallableModule('HMRClient',r(d[1]))},0,[1,2]);",
+  '__r(0);'
+].join('\n')
+
+const DEV_BUNDLE = [
+  'var __BUNDLE_START_TIME__=this.nativePerformanceNow?nativePerformanceNow():Date.now(),__DEV__=true,process=this.process||{};',
+  "__d(function(){ throw new Error('Expected HMRClient.setup() call at startup.') },1,[]);",
+  '//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozfQ=='
+].join('\n')
+
+describe('JavaScript bundle analysis', () => {
+  test('should recognize production bundles', () => {
+    const analysis = analyzeJSBundle(Buffer.from(PROD_BUNDLE))
+
+    expect(analysis).toMatchObject({
+      format: 'javascript',
+      devIndicators: [],
+      sourceMappingURL: null,
+      hasInlineSourceMap: false,
+      consoleLogCount: 0
+    })
+  })
+
+  test('should detect development bundles and inline source maps', () => {
+    const analysis = analyzeJSBundle(Buffer.from(DEV_BUNDLE))
+
+    expect(analysis.devIndicators).toEqual(['__DEV__ = true', 'HMRClient.setup'])
+    expect(analysis.sourceMappingURL).toBe('data:application/json;charset=utf-8;base64,')
+    expect(analysis.hasInlineSourceMap).toBe(true)
+  })
+
+  test('should scan the string table of Hermes bytecode', () => {
+    const analysis = analyzeJSBundle(
+      buildHermesBundle({
+        strings: ['log', 'console', 'Expected HMRClient.setup() call at startup.']
+      })
+    )
+
+    expect(analysis.format).toBe('hermes')
+    expect(analysis.devIndicators).toEqual(['HMRClient.setup'])
+    expect(analysis.consoleLogCount).toBeNull()
+  })
+})
+
+describe('JSBundleRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new JSBundleRule()
+    mockValidator = {
+      getBundle: jest.fn(),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleExecutable: 'TestApp' }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getJSBundle: jest.fn(),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      log: jest.fn()
+    }
+  })
+
+  afterEach(removeTempBundles)
+
+  async function validateFiles(files) {
+    const index = await createTempBundle(files)
+    const parser = new FileParser()
+    const bundlePath = parser.findJSBundle(index)
+    mockValidator.getBundle.mockReturnValue(index)
+    mockValidator.getJSBundle.mockReturnValue(
+      bundlePath ? await parser.parseJSBundle(index, bundlePath) : null
+    )
+    return rule.validate(mockValidator)
+  }
+
+  // Embeds Frameworks/hermes.framework built for the given React Native release
+  function embedHermes(releaseVersion) {
+    const binary = buildMachO({
+      sections: { '__TEXT,__cstring': ['Hermes', `for RN ${releaseVersion}`] }
+    })
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      {
+        path: 'Frameworks/hermes.framework',
+        type: 'framework',
+        executable: { name: 'hermes', macho: parseMachO(binary) }
+      }
+    ])
+    return { 'Frameworks/hermes.framework/hermes': binary }
+  }
+
+  test('should only log the summary of a production bundle', async() => {
+    const results = await validateFiles({ 'main.jsbundle': PROD_BUNDLE })
+
+    expect(results).toEqual([])
+    expect(mockValidator.log).toHaveBeenCalledWith(
+      'JavaScript bundle: main.jsbundle (0.0 MB, plain JavaScript)'
+    )
+  })
+
+  test('should flag development bundles, Metro leftovers and source maps', async() => {
+    const executable = buildMachO({
+      sections: { '__TEXT,__cstring': ['http://192.168.1.20:8081/index.bundle?platform=ios'] }
+    })
+    mockValidator.getExecutable.mockReturnValue({ name: 'TestApp', macho: parseMachO(executable) })
+
+    const results = await validateFiles({
+      TestApp: executable,
+      'main.jsbundle': DEV_BUNDLE,
+      'main.jsbundle.map': '{}'
+    })
+    const byMessage = Object.fromEntries(results.map((r) => [r.message, r]))
+
+    expect(byMessage['Development JavaScript bundle'].severity).toBe(SEVERITY.CRITICAL)
+    expect(byMessage['App may load JavaScript from the Metro packager'].details).toBe(
+      'executable references http://192.168.1.20:8081/index.bundle?platform=ios'
+    )
+    expect(byMessage['JavaScript bundle contains an inline source map'].severity).toBe(
+      SEVERITY.MEDIUM
+    )
+    expect(byMessage['Source maps are shipped in the app bundle'].details).toBe('main.jsbundle.map')
+  })
+
+  test('should flag a high density of console.log calls', async() => {
+    const results = await validateFiles({
+      'main.jsbundle': `${PROD_BUNDLE}\n${'console.log("state", s);'.repeat(50)}`
+    })
+
+    const logs = results.find(
+      (r) => r.message === 'JavaScript bundle contains many console.log calls'
+    )
+    expect(logs.severity).toBe(SEVERITY.LOW)
+    expect(logs.details).toMatch(/^50 console\.log calls in main\.jsbundle/)
+  })
+
+  test('should require a bundle in React Native apps only', async() => {
+    expect(await validateFiles({})).toEqual([])
+
+    const results = await validateFiles(embedHermes('0.74.3'))
+    expect(results[0].message).toBe('JavaScript bundle not found')
+  })
+
+  test('should accept bytecode with the embedded Hermes and log both versions', async() => {
+    const results = await validateFiles({
+      ...embedHermes('0.74.3'),
+      'main.jsbundle': buildHermesBundle({ version: 96 })
+    })
+
+    expect(results).toEqual([])
+    expect(mockValidator.log).toHaveBeenCalledWith(expect.stringMatching(/Hermes bytecode\)$/))
+    expect(mockValidator.log).toHaveBeenCalledWith(
+      'Hermes bytecode version 96; Frameworks/hermes.framework built for React Native 0.74.3'
+    )
+  })
+
+  test('should flag bundles that do not match the JavaScript engine', async() => {
+    const bytecode = await validateFiles({ 'main.jsbundle': buildHermesBundle({}) })
+    expect(bytecode.map((r) => r.message)).toContain(
+      'Hermes bytecode bundle without the Hermes engine'
+    )
+
+    const plain = await validateFiles({ ...embedHermes('0.74.3'), 'main.jsbundle': PROD_BUNDLE })
+    expect(plain.map((r) => r.message)).toContain('Plain JavaScript bundle shipped with Hermes')
+  })
+
+  test('should flag truncated bytecode', async() => {
+    const truncated = buildHermesBundle({ strings: ['a', 'b'] }).subarray(0, 140)
+    const results = await validateFiles({ ...embedHermes('0.74.3'), 'main.jsbundle': truncated })
+
+    expect(results.map((r) => r.message)).toContain('Hermes bytecode bundle is truncated')
+  })
+})
@@ -0,0 +1,112 @@
+const fs = require('fs')
+const path = require('path')
+const temp = require('temp')
+const {
+  parseMachO,
+  isMachO,
+  readSectionStrings,
+  getPrimarySlice
+} = require('../../src/utils/macho-parser')
+const AppStoreValidator = require('../../src/validator')
+const { buildMachO, buildFatMachO } = require('../helpers/macho-builder')
+
+temp.track()
+
+describe('Mach-O parser', () => {
+  test('should parse a thin arm64 executable', () => {
+    const binary = buildMachO({
+      dylibs: [
+        '/usr/lib/libSystem.B.dylib',
+        '/System/Library/Frameworks/UIKit.framework/UIKit',
+        '@rpath/hermes.framework/hermes'
+      ],
+      weakDylibs: [
+        '/System/Library/Frameworks/AppTrackingTransparency.framework/AppTrackingTransparency'
+      ],
+      imports: ['_OBJC_CLASS_$_NSUserDefaults', '_stat', '_objc_msgSend'],
+      buildVersion: { platform: 'ios', minos: '13.4', sdk: '17.2' },
+      encryption: { cryptid: 0 }
+    })
+
+    expect(isMachO(binary)).toBe(true)
+
+    const macho = parseMachO(binary)
+    const slice = macho.slices[0]
+
+    expect(macho.fat).toBe(false)
+    expect(macho.architectures).toEqual(['arm64'])
+    expect(slice.fileType).toBe('execute')
+    expect(slice.pie).toBe(true)
+    expect(slice.minOS).toEqual({ platform: 'ios', version: '13.4', sdk: '17.2' })
+    expect(slice.encryption).toMatchObject({ cryptid: 0, encrypted: false })
+    expect(slice.frameworks).toEqual(['UIKit', 'hermes', 'AppTrackingTransparency'])
+    expect(slice.dylibs.find((dylib) => dylib.name.includes('AppTracking')).type).toBe('weak')
+    expect(slice.importedSymbols).toEqual([
+      '_OBJC_CLASS_$_NSUserDefaults',
+      '_objc_msgSend',
+      '_stat'
+    ])
+    expect(slice.loadCommands.map((command) => command.name)).toContain('LC_BUILD_VERSION')
+  })
+
+  test('should parse every slice of a fat binary', () => {
+    const binary = buildFatMachO([
+      buildMachO({ arch: 'arm64', imports: ['_arm_only'] }),
+      buildMachO({
+        arch: 'x86_64',
+        pie: false,
+        buildVersion: { platform: 'iossimulator', minos: '15.0', sdk: '17.0' }
+      })
+    ])
+
+    const macho = parseMachO(binary)
+
+    expect(macho.fat).toBe(true)
+    expect(macho.architectures).toEqual(['arm64', 'x86_64'])
+    expect(macho.slices[1].pie).toBe(false)
+    expect(macho.slices[1].minOS.platform).toBe('iossimulator')
+    expect(getPrimarySlice(macho).importedSymbols).toEqual(['_arm_only'])
+  })
+
+  test('should read strings from a section', () => {
+    const binary = buildMachO({
+      sections: { '__TEXT,__objc_methname': ['activeInputModes', 'systemUptime'] }
+    })
+    const slice = parseMachO(binary).slices[0]
+
+    expect(readSectionStrings(binary, slice, '__TEXT', '__objc_methname')).toEqual([
+      'activeInputModes',
+      'systemUptime'
+    ])
+  })
+
+  test('should reject non Mach-O content', () => {
+    expect(isMachO(Buffer.from('#!/bin/sh\necho hi\n'))).toBe(false)
+    expect(() => parseMachO(Buffer.from('not a binary'))).toThrow('Not a Mach-O binary')
+  })
+
+  test('should expose the main executable through the validator', async() => {
+    const appDir = path.join(temp.mkdirSync('macho-test'), 'TestApp.app')
+    fs.mkdirSync(appDir)
+    fs.writeFileSync(
+      path.join(appDir, 'Info.plist'),
+      `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0">
+<dict>
+  <key>CFBundleIdentifier</key>
+  <string>com.example.testapp</string>
+  <key>CFBundleExecutable</key>
+  <string>TestApp</string>
+</dict>
+</plist>`
+    )
+    fs.writeFileSync(path.join(appDir, 'TestApp'), buildMachO())
+
+    const validator = new AppStoreValidator({ verbose: false })
+    await validator.validate(appDir)
+
+    const executable = validator.getExecutable()
+    expect(executable.name).toBe('TestApp')
+    expect(executable.macho.architectures).toEqual(['arm64'])
+  })
+})
@@ -0,0 +1,138 @@
+const NativeModulesRule = require('../../src/rules/native-modules-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { readAppSignals } = require('../../src/utils/app-signals')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+describe('NativeModulesRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new NativeModulesRule()
+    mockValidator = {
+      getBundle: jest.fn(),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleExecutable: 'TestApp' }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getEntitlements: jest.fn().mockReturnValue({}),
+      getJSBundle: jest.fn().mockReturnValue(null),
+      getProjectInfo: jest.fn().mockReturnValue(null),
+      getAppSignals: jest.fn(() => readAppSignals(mockValidator))
+    }
+  })
+
+  afterEach(removeTempBundles)
+
+  async function validateFiles(files) {
+    if (files.TestApp) {
+      mockValidator.getExecutable.mockReturnValue({
+        name: 'TestApp',
+        macho: parseMachO(files.TestApp)
+      })
+    }
+
+    mockValidator.getBundle.mockReturnValue(await createTempBundle(files))
+    return rule.validate(mockValidator)
+  }
+
+  test('should detect modules compiled into the binary, including Swift classes', async() => {
+    const results = await validateFiles({
+      TestApp: buildMachO({
+        sections: {
+          '__TEXT,__objc_classname': [
+            '_TtC12VisionCamera17CameraViewManager',
+            'RNPermissionHandlerCamera',
+            'RNPermissions'
+          ],
+          '__TEXT,__cstring': ['RNCGeolocation']
+        }
+      })
+    })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [
+        SEVERITY.HIGH,
+        'react-native-vision-camera (CameraViewManager) needs NSCameraUsageDescription in Info.plist'
+      ],
+      [
+        SEVERITY.HIGH,
+        'react-native-permissions (RNPermissionHandlerCamera) needs NSCameraUsageDescription in Info.plist'
+      ],
+      [
+        SEVERITY.HIGH,
+        '@react-native-community/geolocation (RNCGeolocation) needs NSLocationWhenInUseUsageDescription in Info.plist'
+      ]
+    ])
+    expect(results[0].details).toBe(
+      'Detected CameraViewManager in the app binary; requirements from native module table 2026.10'
+    )
+
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      NSCameraUsageDescription: 'Scan receipts to add them to your expenses',
+      NSLocationWhenInUseUsageDescription: 'Show stores near you'
+    })
+    expect(await rule.validate(mockValidator)).toEqual([])
+  })
+
+  test('should check the capabilities of modules the JS bundle looks up', async() => {
+    mockValidator.getJSBundle.mockReturnValue({ path: 'main.jsbundle', format: 'javascript' })
+
+    const results = await validateFiles({
+      'main.jsbundle':
+        'var m=r(d[0]).TurboModuleRegistry.getEnforcing("RNFBMessagingModule"),t=r(d[1]).NativeModules.TrackPlayerModule;'
+    })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [
+        SEVERITY.HIGH,
+        '@react-native-firebase/messaging (RNFBMessagingModule) needs the aps-environment entitlement, the remote-notification background mode'
+      ],
+      [
+        SEVERITY.MEDIUM,
+        'react-native-track-player (TrackPlayerModule) needs the audio background mode'
+      ]
+    ])
+
+    // Unsigned builds have no entitlements to compare
+    mockValidator.getEntitlements.mockReturnValue(null)
+    expect((await rule.validate(mockValidator))[0].message).toBe(
+      '@react-native-firebase/messaging (RNFBMessagingModule) needs the remote-notification background mode'
+    )
+  })
+
+  test('should apply versioned requirements to the package.json version', async() => {
+    const plist = {
+      NSLocationAlwaysAndWhenInUseUsageDescription: 'Track your runs in the background',
+      NSLocationWhenInUseUsageDescription: 'Track your runs',
+      NSMotionUsageDescription: 'Detect when you stop running',
+      UIBackgroundModes: ['location', 'fetch']
+    }
+    mockValidator.getInfoPlist.mockReturnValue(plist)
+    mockValidator.getEntitlements.mockReturnValue(null)
+    mockValidator.getProjectInfo.mockReturnValue({
+      packageJson: {
+        dependencies: {
+          'react-native-background-geolocation': '^3.11.1',
+          'react-native-permissions': '^4.1.5'
+        }
+      }
+    })
+
+    expect(await validateFiles({})).toEqual([])
+
+    mockValidator.getProjectInfo.mockReturnValue({
+      packageJson: { dependencies: { 'react-native-background-geolocation': '^4.16.2' } }
+    })
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => r.message)).toEqual([
+      'react-native-background-geolocation (RNBackgroundGeolocation) needs BGTaskSchedulerPermittedIdentifiers in Info.plist, the processing background mode'
+    ])
+    expect(results[0].details).toContain(
+      'react-native-background-geolocation@^4.16.2 in package.json'
+    )
+  })
+})
@@ -0,0 +1,99 @@
+const PermissionsRule = require('../../src/rules/permissions-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+
+describe('PermissionsRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new PermissionsRule()
+    mockValidator = {
+      getInfoPlist: jest.fn(),
+      getEntitlements: jest.fn().mockReturnValue({}),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getProjectInfo: jest.fn().mockReturnValue(null)
+    }
+  })
+
+  function executable(options) {
+    return { name: 'TestApp', macho: parseMachO(buildMachO(options)) }
+  }
+
+  test('should pass background modes backed by their configuration', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      UIBackgroundModes: ['audio', 'location', 'voip', 'remote-notification', 'processing'],
+      NSLocationAlwaysAndWhenInUseUsageDescription: 'Record your route while the screen is off',
+      BGTaskSchedulerPermittedIdentifiers: ['com.example.app.sync']
+    })
+    mockValidator.getEntitlements.mockReturnValue({ 'aps-environment': 'production' })
+    mockValidator.getExecutable.mockReturnValue(
+      executable({ imports: ['_OBJC_CLASS_$_AVAudioSession'] })
+    )
+    mockValidator.getEmbeddedBundles.mockReturnValue([
+      {
+        path: 'Frameworks/Calls.framework',
+        type: 'framework',
+        executable: executable({ dylibs: ['/System/Library/Frameworks/PushKit.framework/PushKit'] })
+      }
+    ])
+
+    expect(await rule.validate(mockValidator)).toEqual([])
+  })
+
+  test('should report modes missing what they depend on', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      UIBackgroundModes: ['audio', 'location', 'voip', 'remote-notification', 'processing']
+    })
+    mockValidator.getExecutable.mockReturnValue(executable({ imports: ['_objc_msgSend'] }))
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.MEDIUM, 'Background mode "audio" without AVAudioSession'],
+      [
+        SEVERITY.HIGH,
+        'Background mode "location" without NSLocationAlwaysAndWhenInUseUsageDescription'
+      ],
+      [SEVERITY.HIGH, 'Background mode "voip" without PushKit'],
+      [
+        SEVERITY.HIGH,
+        'Background mode "remote-notification" without the aps-environment entitlement'
+      ],
+      [SEVERITY.HIGH, 'Background mode "processing" without BGTaskSchedulerPermittedIdentifiers']
+    ])
+  })
+
+  test('should skip binary and entitlement checks it cannot make', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      UIBackgroundModes: ['audio', 'voip', 'remote-notification']
+    })
+    mockValidator.getEntitlements.mockReturnValue(null)
+
+    expect(await rule.validate(mockValidator)).toEqual([])
+
+    // Project sources without an .entitlements file lack the capability
+    mockValidator.getProjectInfo.mockReturnValue({ appName: 'TestApp' })
+    expect((await rule.validate(mockValidator)).map((r) => r.message)).toEqual([
+      'Background mode "remote-notification" without the aps-environment entitlement'
+    ])
+  })
+
+  test('should report unknown modes and task identifiers without a task mode', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      UIBackgroundModes: ['background-fetch', 'location-updates'],
+      BGTaskSchedulerPermittedIdentifiers: ['com.example.app.refresh']
+    })
+
+    const results = await rule.validate(mockValidator)
+
+    expect(results.map((r) => r.message)).toEqual([
+      'Unknown background mode: background-fetch',
+      'Unknown background mode: location-updates',
+      'BGTaskSchedulerPermittedIdentifiers is declared without a background task mode'
+    ])
+    expect(results[0].fix).toBe('Use "fetch" instead')
+  })
+})
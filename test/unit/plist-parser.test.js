@@ -0,0 +1,124 @@
+const bplistCreator = require('bplist-creator')
+const fs = require('fs')
+const path = require('path')
+const temp = require('temp')
+const {
+  PLIST_FORMAT,
+  detectPlistFormat,
+  parsePlistBuffer
+} = require('../../src/utils/plist-parser')
+const { FileParser } = require('../../src/utils/file-parser')
+
+temp.track()
+
+describe('plist parser', () => {
+  const infoPlist = {
+    CFBundleIdentifier: 'com.example.testapp',
+    CFBundleName: 'TestApp',
+    CFBundleVersion: '42',
+    LSRequiresIPhoneOS: true,
+    UIDeviceFamily: [1, 2],
+    UIBackgroundModes: ['audio', 'remote-notification'],
+    NSCameraUsageDescription: 'Scan receipts with the camera — café ☕'
+  }
+
+  test('should decode binary plists', () => {
+    const buffer = bplistCreator(infoPlist)
+
+    expect(detectPlistFormat(buffer)).toBe(PLIST_FORMAT.BINARY)
+    expect(parsePlistBuffer(buffer)).toEqual(infoPlist)
+  })
+
+  test('should decode dates, data, reals and negative integers in binary plists', () => {
+    const buffer = bplistCreator({
+      ExpirationDate: new Date('2030-01-01T00:00:00Z'),
+      DER: Buffer.from([0xde, 0xad, 0xbe, 0xef]),
+      Ratio: 1.5,
+      Negative: -7
+    })
+
+    const parsed = parsePlistBuffer(buffer)
+
+    expect(parsed.ExpirationDate).toEqual(new Date('2030-01-01T00:00:00Z'))
+    expect(parsed.DER).toEqual(Buffer.from([0xde, 0xad, 0xbe, 0xef]))
+    expect(parsed.Ratio).toBe(1.5)
+    expect(parsed.Negative).toBe(-7)
+  })
+
+  test('should decode XML plists to the same object', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>CFBundleIdentifier</key>
+  <string>com.example.testapp</string>
+  <key>CFBundleName</key>
+  <string>TestApp</string>
+  <key>CFBundleVersion</key>
+  <string>42</string>
+  <key>LSRequiresIPhoneOS</key>
+  <true/>
+  <key>UIDeviceFamily</key>
+  <array><integer>1</integer><integer>2</integer></array>
+  <key>UIBackgroundModes</key>
+  <array><string>audio</string><string>remote-notification</string></array>
+  <key>NSCameraUsageDescription</key>
+  <string>Scan receipts with the camera — café ☕</string>
+</dict>
+</plist>`
+
+    expect(detectPlistFormat(Buffer.from(xml))).toBe(PLIST_FORMAT.XML)
+    expect(parsePlistBuffer(Buffer.from(xml))).toEqual(infoPlist)
+  })
+
+  test('should decode OpenStep plists', () => {
+    const text = `// !$*UTF8*$!
+{
+  /* Build settings */
+  CFBundleIdentifier = com.example.testapp;
+  CFBundleName = "TestApp";
+  Escaped = "line\\nbreak \\"quoted\\"";
+  Architectures = (arm64, "x86_64", );
+  Token = <0fbd 777f>;
+}`
+
+    expect(detectPlistFormat(Buffer.from(text))).toBe(PLIST_FORMAT.OPENSTEP)
+    expect(parsePlistBuffer(Buffer.from(text))).toEqual({
+      CFBundleIdentifier: 'com.example.testapp',
+      CFBundleName: 'TestApp',
+      Escaped: 'line\nbreak "quoted"',
+      Architectures: ['arm64', 'x86_64'],
+      Token: Buffer.from([0x0f, 0xbd, 0x77, 0x7f])
+    })
+  })
+
+  test('should decode UTF-16 .strings files', () => {
+    const text = '/* Camera */\n"NSCameraUsageDescription" = "Take a profile photo";\n'
+    const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')])
+
+    expect(parsePlistBuffer(buffer)).toEqual({
+      NSCameraUsageDescription: 'Take a profile photo'
+    })
+  })
+
+  test('should reject malformed binary plists', () => {
+    const buffer = bplistCreator(infoPlist).slice(0, 20)
+
+    expect(() => parsePlistBuffer(buffer)).toThrow('truncated')
+  })
+
+  test('FileParser should read a binary Info.plist from an app bundle', async() => {
+    const appDir = path.join(temp.mkdirSync('plist-test'), 'TestApp.app')
+    fs.mkdirSync(appDir)
+    fs.writeFileSync(path.join(appDir, 'Info.plist'), bplistCreator(infoPlist))
+    fs.writeFileSync(
+      path.join(appDir, 'PrivacyInfo.xcprivacy'),
+      bplistCreator({ NSPrivacyTracking: false })
+    )
+
+    const artifacts = await new FileParser().parseAppBundle(appDir)
+
+    expect(artifacts.infoPlist).toEqual(infoPlist)
+    expect(artifacts.privacyManifest).toEqual({ NSPrivacyTracking: false })
+  })
+})
@@ -0,0 +1,56 @@
+const { PNG_HEADER_LENGTH, isPNG, parsePNG, readPNGSize } = require('../../src/utils/png-parser')
+const { buildPNG } = require('../helpers/png-builder')
+
+describe('PNG parser', () => {
+  test('should read dimensions, color type and color profile', () => {
+    const image = parsePNG(
+      buildPNG({ width: 120, height: 60, colorType: 2, iccProfile: 'Display P3' })
+    )
+
+    expect(image).toMatchObject({
+      width: 120,
+      height: 60,
+      bitDepth: 8,
+      colorType: 'rgb',
+      isCgBI: false,
+      hasAlphaChannel: false,
+      hasTransparency: false,
+      colorProfile: { type: 'icc', name: 'Display P3' }
+    })
+  })
+
+  test('should only decode pixels when asked to check transparency', () => {
+    const png = buildPNG({ width: 8, height: 8, alpha: 0x80 })
+
+    expect(parsePNG(png).hasTransparency).toBeNull()
+    expect(parsePNG(png, { checkTransparency: true }).hasTransparency).toBe(true)
+    expect(
+      parsePNG(buildPNG({ width: 8, height: 8 }), { checkTransparency: true }).hasTransparency
+    ).toBe(false)
+  })
+
+  test('should decode CgBI crushed PNGs', () => {
+    const image = parsePNG(buildPNG({ width: 180, height: 180, alpha: 0, cgbi: true }), {
+      checkTransparency: true
+    })
+
+    expect(image.isCgBI).toBe(true)
+    expect(image.width).toBe(180)
+    expect(image.hasTransparency).toBe(true)
+  })
+
+  test('should read the size from the start of the file', () => {
+    for (const cgbi of [false, true]) {
+      const png = buildPNG({ width: 4000, height: 3000, cgbi })
+      expect(readPNGSize(png.subarray(0, PNG_HEADER_LENGTH))).toEqual({ width: 4000, height: 3000 })
+    }
+    expect(() => readPNGSize(buildPNG({ width: 8, height: 8 }).subarray(0, 20))).toThrow(
+      'PNG has no IHDR chunk'
+    )
+  })
+
+  test('should reject other files', () => {
+    expect(isPNG(Buffer.from('GIF89a'))).toBe(false)
+    expect(() => parsePNG(Buffer.from('GIF89a not a png'))).toThrow('Not a PNG file')
+  })
+})
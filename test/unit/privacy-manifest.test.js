@@ -0,0 +1,130 @@
+const {
+  validatePrivacyManifest,
+  detectRequiredReasonAPIs,
+  getManifestSource
+} = require('../../src/utils/privacy-manifest')
+
+const VALID_MANIFEST = {
+  NSPrivacyTracking: true,
+  NSPrivacyTrackingDomains: ['ads.example.com'],
+  NSPrivacyCollectedDataTypes: [
+    {
+      NSPrivacyCollectedDataType: 'NSPrivacyCollectedDataTypeCrashData',
+      NSPrivacyCollectedDataTypeLinked: false,
+      NSPrivacyCollectedDataTypeTracking: false,
+      NSPrivacyCollectedDataTypePurposes: ['NSPrivacyCollectedDataTypePurposeAppFunctionality']
+    }
+  ],
+  NSPrivacyAccessedAPITypes: [
+    {
+      NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryUserDefaults',
+      NSPrivacyAccessedAPITypeReasons: ['CA92.1']
+    }
+  ]
+}
+
+describe('Privacy manifest', () => {
+  test('should accept a valid manifest', () => {
+    expect(validatePrivacyManifest(VALID_MANIFEST)).toEqual([])
+    expect(validatePrivacyManifest({ NSPrivacyTracking: false })).toEqual([])
+  })
+
+  test('should require tracking domains when tracking is enabled', () => {
+    const issues = validatePrivacyManifest({
+      NSPrivacyTracking: true,
+      NSPrivacyTrackingDomains: ['https://ads.example.com/']
+    })
+
+    expect(issues.map((issue) => issue.key)).toEqual(['NSPrivacyTrackingDomains[0]'])
+    expect(validatePrivacyManifest({ NSPrivacyTracking: 'YES' }).map((issue) => issue.key)).toEqual(
+      ['NSPrivacyTracking']
+    )
+    expect(validatePrivacyManifest({ NSPrivacyTracking: true })[0].message).toBe(
+      'NSPrivacyTracking is true but no tracking domains are listed'
+    )
+  })
+
+  test('should name the offending index and key of collected data types', () => {
+    const issues = validatePrivacyManifest({
+      NSPrivacyCollectedDataTypes: [
+        VALID_MANIFEST.NSPrivacyCollectedDataTypes[0],
+        {
+          NSPrivacyCollectedDataType: 'NSPrivacyCollectedDataTypeEmail',
+          NSPrivacyCollectedDataTypeLinked: 'true',
+          NSPrivacyCollectedDataTypePurposes: [
+            'NSPrivacyCollectedDataTypePurposeAnalytics',
+            'Marketing'
+          ]
+        },
+        'NSPrivacyCollectedDataTypeName'
+      ]
+    })
+
+    expect(issues.map((issue) => `${issue.key}: ${issue.message}`)).toEqual([
+      'NSPrivacyCollectedDataTypes[1].NSPrivacyCollectedDataType: unknown value "NSPrivacyCollectedDataTypeEmail"',
+      'NSPrivacyCollectedDataTypes[1].NSPrivacyCollectedDataTypeLinked: expected a Boolean, found "true"',
+      'NSPrivacyCollectedDataTypes[1].NSPrivacyCollectedDataTypeTracking: expected a Boolean, found nothing',
+      'NSPrivacyCollectedDataTypes[1].NSPrivacyCollectedDataTypePurposes[1]: unknown value "Marketing"',
+      'NSPrivacyCollectedDataTypes[2]: expected a dictionary, found "NSPrivacyCollectedDataTypeName"'
+    ])
+  })
+
+  test('should only accept approved reasons for each API category', () => {
+    const issues = validatePrivacyManifest({
+      NSPrivacyAccessedAPITypes: [
+        {
+          NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryDiskSpace',
+          NSPrivacyAccessedAPITypeReasons: ['E174.1', 'CA92.1']
+        },
+        {
+          NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryFileTimestamp',
+          NSPrivacyAccessedAPITypeReasons: []
+        },
+        {
+          NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryLocation',
+          NSPrivacyAccessedAPITypeReasons: ['CA92.1']
+        }
+      ]
+    })
+
+    expect(issues.map((issue) => issue.key)).toEqual([
+      'NSPrivacyAccessedAPITypes[0].NSPrivacyAccessedAPITypeReasons[1]',
+      'NSPrivacyAccessedAPITypes[1].NSPrivacyAccessedAPITypeReasons',
+      'NSPrivacyAccessedAPITypes[2].NSPrivacyAccessedAPIType'
+    ])
+    expect(issues[0].message).toBe(
+      'unknown value "CA92.1" for NSPrivacyAccessedAPICategoryDiskSpace'
+    )
+  })
+
+  test('should detect required reason APIs from symbols and selectors', () => {
+    const detected = detectRequiredReasonAPIs({
+      importedSymbols: ['_OBJC_CLASS_$_NSUserDefaults', '_fstat', '_objc_msgSend'],
+      selectors: ['activeInputModes']
+    })
+
+    expect(Object.fromEntries(detected)).toEqual({
+      NSPrivacyAccessedAPICategoryFileTimestamp: ['fstat'],
+      NSPrivacyAccessedAPICategoryActiveKeyboards: ['activeInputModes'],
+      NSPrivacyAccessedAPICategoryUserDefaults: ['NSUserDefaults']
+    })
+  })
+})
+
+describe('Privacy manifest sources', () => {
+  test('should name the SDK or extension that ships a manifest', () => {
+    expect(getManifestSource('PrivacyInfo.xcprivacy')).toBeNull()
+    expect(getManifestSource('Frameworks/FBSDKCoreKit.framework/PrivacyInfo.xcprivacy')).toBe(
+      'FBSDKCoreKit'
+    )
+    expect(getManifestSource('RNCAsyncStorage_resources.bundle/PrivacyInfo.xcprivacy')).toBe(
+      'RNCAsyncStorage'
+    )
+    expect(
+      getManifestSource(
+        'Frameworks/GoogleSignIn.framework/GoogleSignIn_Privacy.bundle/PrivacyInfo.xcprivacy'
+      )
+    ).toBe('GoogleSignIn')
+    expect(getManifestSource('PlugIns/Share.appex/PrivacyInfo.xcprivacy')).toBe('Share')
+  })
+})
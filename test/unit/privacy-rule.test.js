@@ -1,4 +1,20 @@
+const plist = require('plist')
 const PrivacyComplianceRule = require('../../src/rules/privacy-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { readAppSignals } = require('../../src/utils/app-signals')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+function accessedAPIs(declarations) {
+  return plist.build({
+    NSPrivacyTracking: false,
+    NSPrivacyAccessedAPITypes: Object.entries(declarations).map(([category, reasons]) => ({
+      NSPrivacyAccessedAPIType: category,
+      NSPrivacyAccessedAPITypeReasons: reasons
+    }))
+  })
+}
 
 describe('PrivacyComplianceRule', () => {
   let rule
@@ -10,7 +26,15 @@ describe('PrivacyComplianceRule', () => {
       getInfoPlist: jest.fn(),
       getBuildPath: jest.fn(),
       getFileParser: jest.fn(),
-      privacyManifest: null
+      getBundle: jest.fn().mockReturnValue({ exists: () => false, list: () => [] }),
+      privacyManifest: null,
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getPrivacyManifest: jest.fn().mockReturnValue(null),
+      getEntitlements: jest.fn().mockReturnValue(null),
+      getJSBundle: jest.fn().mockReturnValue(null),
+      getProjectInfo: jest.fn().mockReturnValue(null),
+      getAppSignals: jest.fn(() => readAppSignals(mockValidator))
     }
   })
 
@@ -36,4 +60,147 @@ describe('PrivacyComplianceRule', () => {
 
     expect(results.some(r => r.message.includes('description too short'))).toBe(true)
   })
+
+  describe('required reason APIs', () => {
+    beforeEach(() => {
+      mockValidator.getInfoPlist.mockReturnValue({ CFBundleExecutable: 'TestApp' })
+    })
+
+    afterEach(removeTempBundles)
+
+    async function validateApp(files, frameworks = {}) {
+      const index = await createTempBundle(files)
+      mockValidator.getBundle.mockReturnValue(index)
+      mockValidator.getExecutable.mockReturnValue({
+        name: 'TestApp',
+        macho: parseMachO(files.TestApp)
+      })
+      mockValidator.getEmbeddedBundles.mockReturnValue(
+        Object.keys(frameworks).map((name) => ({
+          path: `Frameworks/${name}.framework`,
+          type: 'framework',
+          executable: { name, macho: parseMachO(files[`Frameworks/${name}.framework/${name}`]) }
+        }))
+      )
+      mockValidator.getPrivacyManifest.mockReturnValue(
+        files['PrivacyInfo.xcprivacy'] ? plist.parse(files['PrivacyInfo.xcprivacy']) : null
+      )
+      return rule.validate(mockValidator)
+    }
+
+    test('should require a manifest when the executable uses required reason APIs', async() => {
+      const results = await validateApp({
+        TestApp: buildMachO({ imports: ['_mach_absolute_time', '_objc_msgSend'] })
+      })
+
+      const manifest = results.find((r) => r.message.startsWith('Privacy manifest file'))
+      expect(manifest.severity).toBe(SEVERITY.HIGH)
+      expect(manifest.details).toContain('NSPrivacyAccessedAPICategorySystemBootTime')
+      expect(results.map((r) => r.message)).toContain(
+        'ITMS-91053: Missing API declaration for NSPrivacyAccessedAPICategorySystemBootTime'
+      )
+    })
+
+    test('should report categories missing from NSPrivacyAccessedAPITypes', async() => {
+      const results = await validateApp({
+        TestApp: buildMachO({
+          imports: ['_OBJC_CLASS_$_NSUserDefaults', '_stat'],
+          sections: { '__TEXT,__objc_methname': ['activeInputModes', 'viewDidLoad'] }
+        }),
+        'PrivacyInfo.xcprivacy': accessedAPIs({
+          NSPrivacyAccessedAPICategoryUserDefaults: ['CA92.1']
+        })
+      })
+
+      const missing = results.filter((r) => r.message.startsWith('ITMS-91053: Missing'))
+      expect(missing.map((r) => r.message)).toEqual([
+        'ITMS-91053: Missing API declaration for NSPrivacyAccessedAPICategoryFileTimestamp',
+        'ITMS-91053: Missing API declaration for NSPrivacyAccessedAPICategoryActiveKeyboards'
+      ])
+      expect(missing[0].details).toContain('TestApp (stat)')
+      expect(results.some((r) => r.message.startsWith('Privacy manifest'))).toBe(false)
+    })
+
+    test('should reject reason codes that do not belong to the category', async() => {
+      const results = await validateApp({
+        TestApp: buildMachO({ imports: ['_OBJC_CLASS_$_NSUserDefaults'] }),
+        'PrivacyInfo.xcprivacy': accessedAPIs({
+          NSPrivacyAccessedAPICategoryUserDefaults: ['35F9.1']
+        })
+      })
+
+      const invalid = results.find(
+        (r) => r.message === 'ITMS-91056: Invalid privacy manifest PrivacyInfo.xcprivacy'
+      )
+      expect(invalid.details).toBe(
+        'NSPrivacyAccessedAPITypes[0].NSPrivacyAccessedAPITypeReasons[0]: unknown value "35F9.1" for NSPrivacyAccessedAPICategoryUserDefaults'
+      )
+      expect(results.some((r) => r.message.startsWith('ITMS-91053: Missing'))).toBe(false)
+    })
+
+    test('should accept declarations from the SDK manifest next to its code', async() => {
+      const results = await validateApp(
+        {
+          TestApp: buildMachO(),
+          'Frameworks/Analytics.framework/Analytics': buildMachO({ imports: ['_statfs'] }),
+          'Frameworks/Analytics.framework/PrivacyInfo.xcprivacy': accessedAPIs({
+            NSPrivacyAccessedAPICategoryDiskSpace: ['E174.1']
+          }),
+          'Frameworks/Crashes.framework/Crashes': buildMachO({ imports: ['_mach_absolute_time'] })
+        },
+        { Analytics: true, Crashes: true }
+      )
+
+      expect(
+        results.filter((r) => r.message.startsWith('ITMS-91053')).map((r) => r.details)
+      ).toEqual([
+        'Used by Frameworks/Crashes.framework/Crashes (mach_absolute_time) but not declared in NSPrivacyAccessedAPITypes'
+      ])
+      // Frameworks that declare their own usage do not make the app's manifest mandatory
+      expect(results.find((r) => r.message.includes('Privacy manifest')).severity).toBe(
+        SEVERITY.INFO
+      )
+    })
+
+    test('should require the usage descriptions of linked system APIs (ITMS-90683)', async() => {
+      mockValidator.getInfoPlist.mockReturnValue({
+        CFBundleExecutable: 'TestApp',
+        NSCameraUsageDescription: 'Scan the QR code on your membership card to log in'
+      })
+
+      const results = await validateApp(
+        {
+          TestApp: buildMachO({
+            dylibs: ['/System/Library/Frameworks/AVFoundation.framework/AVFoundation'],
+            imports: ['_OBJC_CLASS_$_AVCaptureSession', '_OBJC_CLASS_$_AVAudioSession']
+          }),
+          'Frameworks/Maps.framework/Maps': buildMachO({
+            dylibs: ['/System/Library/Frameworks/CoreLocation.framework/CoreLocation'],
+            imports: ['_OBJC_CLASS_$_CLLocationManager'],
+            sections: { '__TEXT,__objc_methname': ['requestAlwaysAuthorization'] }
+          })
+        },
+        { Maps: true }
+      )
+
+      const missing = results.filter((r) => r.message.includes('ITMS-90683'))
+      expect(missing.map((r) => [r.severity, r.message])).toEqual([
+        [SEVERITY.CRITICAL, 'Missing NSLocationWhenInUseUsageDescription (ITMS-90683)'],
+        [SEVERITY.CRITICAL, 'Missing NSLocationAlwaysAndWhenInUseUsageDescription (ITMS-90683)']
+      ])
+      expect(missing[0].details).toBe(
+        'Required by CoreLocation (CLLocationManager) in Frameworks/Maps.framework/Maps'
+      )
+    })
+
+    test('should skip usage descriptions of frameworks the binary does not link', async() => {
+      const results = await validateApp({
+        TestApp: buildMachO({
+          imports: ['_OBJC_CLASS_$_ATTrackingManager', '_OBJC_CLASS_$_AVAudioSession']
+        })
+      })
+
+      expect(results.some((r) => r.message.includes('ITMS-90683'))).toBe(false)
+    })
+  })
 })
@@ -0,0 +1,141 @@
+const SignInWithAppleRule = require('../../src/rules/sign-in-with-apple-rule')
+const AccountDeletionRule = require('../../src/rules/account-deletion-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { readAppSignals } = require('../../src/utils/app-signals')
+const { parseMachO } = require('../../src/utils/macho-parser')
+const { buildMachO } = require('../helpers/macho-builder')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+const GOOGLE_URL_TYPES = [
+  { CFBundleURLSchemes: ['com.googleusercontent.apps.123456789012-abcdefghijklmnop'] }
+]
+
+describe('SignInWithAppleRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new SignInWithAppleRule()
+    mockValidator = {
+      getBundle: jest.fn(),
+      getInfoPlist: jest.fn().mockReturnValue({ CFBundleExecutable: 'TestApp' }),
+      getExecutable: jest.fn().mockReturnValue(null),
+      getEmbeddedBundles: jest.fn().mockReturnValue([]),
+      getEntitlements: jest.fn().mockReturnValue({}),
+      getJSBundle: jest.fn().mockReturnValue(null),
+      getProjectInfo: jest.fn().mockReturnValue(null),
+      getMetadata: jest.fn().mockReturnValue(null),
+      getAppSignals: jest.fn(() => readAppSignals(mockValidator))
+    }
+  })
+
+  afterEach(removeTempBundles)
+
+  async function validateFiles(files, validationRule = rule) {
+    if (files.TestApp) {
+      mockValidator.getExecutable.mockReturnValue({
+        name: 'TestApp',
+        macho: parseMachO(files.TestApp)
+      })
+    }
+
+    mockValidator.getBundle.mockReturnValue(await createTempBundle(files))
+    return validationRule.validate(mockValidator)
+  }
+
+  test('should pass apps without third-party login', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      CFBundleURLTypes: [{ CFBundleURLSchemes: ['myapp'] }]
+    })
+
+    expect(
+      await validateFiles({
+        TestApp: buildMachO({ sections: { '__TEXT,__objc_classname': ['AppDelegate'] } })
+      })
+    ).toEqual([])
+  })
+
+  test('should require Sign in with Apple next to Facebook and Google login', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      CFBundleURLTypes: [{ CFBundleURLSchemes: ['fb1234567890'] }, ...GOOGLE_URL_TYPES]
+    })
+
+    const results = await validateFiles({
+      TestApp: buildMachO({
+        sections: { '__TEXT,__objc_classname': ['AppDelegate', 'FBSDKLoginManager', 'GIDSignIn'] }
+      })
+    })
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.HIGH, 'Third-party login without Sign in with Apple (Guideline 4.8)'],
+      [
+        SEVERITY.HIGH,
+        'Sign in with Apple is not implemented (AuthenticationServices is not linked)'
+      ]
+    ])
+    expect(results[0].details).toBe(
+      'Found Facebook Login (class FBSDKLoginManager, URL scheme fb1234567890); Google Sign-In (class GIDSignIn, URL scheme com.googleusercontent.apps.123456789012-abcdefghijklmnop), but the app is missing the com.apple.developer.applesignin entitlement'
+    )
+  })
+
+  test('should pass when the entitlement and AuthenticationServices are present', async() => {
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      CFBundleURLTypes: GOOGLE_URL_TYPES
+    })
+    mockValidator.getEntitlements.mockReturnValue({
+      'com.apple.developer.applesignin': ['Default']
+    })
+
+    const results = await validateFiles({
+      TestApp: buildMachO({
+        dylibs: [
+          '/System/Library/Frameworks/AuthenticationServices.framework/AuthenticationServices'
+        ]
+      })
+    })
+
+    expect(results).toEqual([])
+  })
+
+  test('should detect login packages and Firebase providers in sources and bundles', async() => {
+    mockValidator.getProjectInfo.mockReturnValue({
+      packageJson: { dependencies: { 'react-native-auth0': '^3.2.1' } }
+    })
+    mockValidator.getEntitlements.mockReturnValue(null)
+    mockValidator.getJSBundle.mockReturnValue({ path: 'main.jsbundle' })
+
+    const results = await validateFiles({
+      'main.jsbundle': 'var c=r(d[0]).default.GoogleAuthProvider.credential(t.idToken);'
+    })
+
+    expect(results.map((r) => r.message)).toEqual([
+      'Third-party login without Sign in with Apple (Guideline 4.8)'
+    ])
+    expect(results[0].details).toContain('Auth0 (react-native-auth0 in package.json)')
+    expect(results[0].details).toContain(
+      'Firebase Auth social providers (GoogleAuthProvider.credential( in the JS bundle)'
+    )
+  })
+
+  test('should let the account deletion rule decide from login SDKs, not permissions', async() => {
+    const accountDeletion = new AccountDeletionRule()
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      NSCameraUsageDescription: 'Scan documents',
+      NSContactsUsageDescription: 'Find friends'
+    })
+
+    expect(await validateFiles({ TestApp: buildMachO() }, accountDeletion)).toEqual([])
+
+    mockValidator.getInfoPlist.mockReturnValue({
+      CFBundleExecutable: 'TestApp',
+      CFBundleURLTypes: GOOGLE_URL_TYPES
+    })
+    const [reminder] = await accountDeletion.validate(mockValidator)
+    expect(reminder.message).toBe('Account deletion requirement reminder')
+    expect(reminder.details).toContain('Google Sign-In (URL scheme com.googleusercontent.apps.')
+  })
+})
@@ -0,0 +1,99 @@
+const plist = require('plist')
+const ThirdPartySDKRule = require('../../src/rules/third-party-sdk-rule')
+const { SEVERITY } = require('../../src/utils/constants')
+const { createTempBundle, removeTempBundles } = require('../helpers/bundle-fixture')
+
+const MANIFEST = plist.build({ NSPrivacyTracking: false, NSPrivacyAccessedAPITypes: [] })
+const SIGNED = { adhoc: false, cms: {} }
+
+describe('ThirdPartySDKRule', () => {
+  let rule
+  let mockValidator
+
+  beforeEach(() => {
+    rule = new ThirdPartySDKRule()
+    mockValidator = {
+      getBundle: jest.fn(),
+      getExecutable: jest.fn().mockReturnValue({ name: 'TestApp', codeSignature: SIGNED }),
+      getEmbeddedBundles: jest.fn().mockReturnValue([])
+    }
+  })
+
+  afterEach(removeTempBundles)
+
+  async function validateFiles(files, frameworks = {}) {
+    mockValidator.getBundle.mockReturnValue(await createTempBundle(files))
+    mockValidator.getEmbeddedBundles.mockReturnValue(
+      Object.entries(frameworks).map(([name, codeSignature]) => ({
+        path: `Frameworks/${name}.framework`,
+        type: 'framework',
+        executable: { name, codeSignature }
+      }))
+    )
+    return rule.validate(mockValidator)
+  }
+
+  test('should accept listed SDKs that ship a manifest and signature', async() => {
+    const results = await validateFiles(
+      {
+        'Frameworks/FBSDKCoreKit.framework/FBSDKCoreKit': 'binary',
+        'Frameworks/FBSDKCoreKit.framework/PrivacyInfo.xcprivacy': MANIFEST,
+        'FirebaseCore_Privacy.bundle/PrivacyInfo.xcprivacy': MANIFEST,
+        'RNCAsyncStorage_resources.bundle/Info.plist': plist.build({})
+      },
+      { FBSDKCoreKit: SIGNED }
+    )
+
+    expect(results).toEqual([])
+  })
+
+  test('should report frameworks without a privacy manifest or signature', async() => {
+    const results = await validateFiles(
+      {
+        'Frameworks/SDWebImage.framework/SDWebImage': 'binary',
+        'Frameworks/Alamofire.framework/Alamofire': 'binary',
+        'Frameworks/Alamofire.framework/PrivacyInfo.xcprivacy': MANIFEST
+      },
+      { SDWebImage: SIGNED, Alamofire: { adhoc: true, cms: null } }
+    )
+
+    expect(results.map((r) => [r.severity, r.message])).toEqual([
+      [SEVERITY.CRITICAL, 'Third-party SDK SDWebImage is missing a privacy manifest'],
+      [SEVERITY.HIGH, 'Third-party SDK Alamofire is missing a code signature']
+    ])
+    expect(results[1].details).toContain('Frameworks/Alamofire.framework/Alamofire is not signed')
+  })
+
+  test('should identify statically linked SDKs by their resource bundles', async() => {
+    const results = await validateFiles(
+      {
+        'GoogleUtilities_Privacy.bundle/Info.plist': plist.build({}),
+        'lottie-ios_Lottie.bundle/Info.plist': plist.build({}),
+        'Frameworks/GoogleSignIn.framework/GoogleSignIn.bundle/PrivacyInfo.xcprivacy': MANIFEST
+      },
+      { GoogleSignIn: SIGNED }
+    )
+
+    expect(results.map((r) => r.message)).toEqual([
+      'Third-party SDK GoogleUtilities is missing a privacy manifest',
+      'Third-party SDK Lottie is missing a privacy manifest'
+    ])
+    expect(results[0].details).toBe(
+      'Found at GoogleUtilities_Privacy.bundle; no PrivacyInfo.xcprivacy in the SDK or its resource bundles (ITMS-91061)'
+    )
+  })
+
+  test('should leave unsigned builds to the code-signing rule', async() => {
+    mockValidator.getExecutable.mockReturnValue({ name: 'TestApp', codeSignature: null })
+
+    const results = await validateFiles(
+      {
+        'Frameworks/Kingfisher.framework/Kingfisher': 'binary',
+        'Frameworks/Kingfisher.framework/PrivacyInfo.xcprivacy': MANIFEST
+      },
+      { Kingfisher: null }
+    )
+
+    expect(results).toEqual([])
+  })
+})
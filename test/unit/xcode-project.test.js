@@ -0,0 +1,87 @@
+const {
+  parseXcodeProject,
+  parseXCConfig,
+  findAppTarget,
+  getReleaseConfigurationName,
+  getBuildSettings,
+  expandBuildSettings
+} = require('../../src/utils/xcode-project')
+const { buildPbxproj } = require('../helpers/pbxproj-builder')
+
+const PODS_XCCONFIG = `// CocoaPods generated
+#include "Pods-TestApp.shared.xcconfig"
+GCC_PREPROCESSOR_DEFINITIONS = $(inherited) COCOAPODS=1
+OTHER_LDFLAGS = $(inherited) -ObjC
+`
+
+describe('Xcode project parsing', () => {
+  function parse(options, files = {}) {
+    return parseXcodeProject(buildPbxproj(options), {
+      name: 'TestApp',
+      projectDir: '/work/ios',
+      readFile: (file) => (file in files ? files[file] : null)
+    })
+  }
+
+  test('should read targets and configurations', () => {
+    const project = parse({})
+    const target = findAppTarget(project, 'TestApp')
+
+    expect(target.name).toBe('TestApp')
+    expect(Object.keys(target.configurations)).toEqual(['Debug', 'Release'])
+    expect(getReleaseConfigurationName(target)).toBe('Release')
+  })
+
+  test('should layer project, xcconfig and target settings', () => {
+    const project = parse(
+      {
+        projectSettings: {
+          Release: {
+            IPHONEOS_DEPLOYMENT_TARGET: '13.4',
+            GCC_PREPROCESSOR_DEFINITIONS: ['RELEASE=1']
+          }
+        },
+        targetSettings: {
+          Release: {
+            PRODUCT_BUNDLE_IDENTIFIER: 'com.example.$(PRODUCT_NAME:rfc1034identifier)',
+            INFOPLIST_FILE: 'TestApp/Info.plist',
+            'CODE_SIGN_IDENTITY[sdk=iphoneos*]': 'iPhone Distribution',
+            IPHONEOS_DEPLOYMENT_TARGET: '15.1',
+            GCC_PREPROCESSOR_DEFINITIONS: ['$(inherited)', 'NDEBUG=1']
+          }
+        },
+        baseConfigurations: {
+          Release: 'Target Support Files/Pods-TestApp/Pods-TestApp.release.xcconfig'
+        }
+      },
+      {
+        'Pods/Target Support Files/Pods-TestApp/Pods-TestApp.release.xcconfig': PODS_XCCONFIG,
+        'Pods/Target Support Files/Pods-TestApp/Pods-TestApp.shared.xcconfig':
+          'PODS_ROOT = $(SRCROOT)/Pods'
+      }
+    )
+
+    const settings = getBuildSettings(project, 'TestApp', 'Release')
+
+    expect(settings.PRODUCT_BUNDLE_IDENTIFIER).toBe('com.example.TestApp')
+    expect(settings.IPHONEOS_DEPLOYMENT_TARGET).toBe('15.1')
+    expect(settings.CODE_SIGN_IDENTITY).toBe('iPhone Distribution')
+    expect(settings.PODS_ROOT).toBe('/work/ios/Pods')
+    expect(settings.GCC_PREPROCESSOR_DEFINITIONS).toEqual(['RELEASE=1', 'COCOAPODS=1', 'NDEBUG=1'])
+  })
+
+  test('should keep references to unknown settings', () => {
+    const value = expandBuildSettings(
+      { CFBundleIdentifier: '$(PRODUCT_BUNDLE_IDENTIFIER)', CFBundleName: '$(MISSING)' },
+      { PRODUCT_BUNDLE_IDENTIFIER: 'com.example.testapp' }
+    )
+
+    expect(value).toEqual({ CFBundleIdentifier: 'com.example.testapp', CFBundleName: '$(MISSING)' })
+  })
+
+  test('should parse xcconfig assignments and conditions', () => {
+    expect(
+      parseXCConfig('A = 1 // comment\nB[sdk=iphoneos*] = two;\n#include? "missing.xcconfig"\n')
+    ).toEqual({ A: '1', 'B[sdk=iphoneos*]': 'two' })
+  })
+})
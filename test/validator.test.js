@@ -2,7 +2,12 @@ const AppStoreValidator = require('../src/validator')
 const { SEVERITY } = require('../src/utils/constants')
 const fs = require('fs')
 const path = require('path')
+const plist = require('plist')
 const temp = require('temp')
+const reporters = require('../src/reporters')
+const { buildPbxproj } = require('./helpers/pbxproj-builder')
+const { parseMachO } = require('../src/utils/macho-parser')
+const { buildMachO } = require('./helpers/macho-builder')
 
 // Automatically track and cleanup temp files
 temp.track()
@@ -32,7 +37,7 @@ describe('AppStoreValidator', () => {
       fs.writeFileSync(invalidFile, 'test')
 
       await expect(validator.validate(invalidFile)).rejects.toThrow(
-        'Build path must be either a .app directory or .ipa file'
+        'Build path must be a .app directory, .xcarchive directory or .ipa file'
       )
     })
 
@@ -46,6 +51,179 @@ describe('AppStoreValidator', () => {
       const report = await validator.validate(appDir)
       expect(report).toContain('App Store Submission Validation Report')
     })
+
+    test('should share the app signals between rules for one validation', async() => {
+      const appDir = path.join(tempDir, 'TestApp.app')
+      fs.mkdirSync(appDir)
+      fs.writeFileSync(
+        path.join(appDir, 'Info.plist'),
+        plist.build({ ...plist.parse(createValidPlist()), CFBundleExecutable: 'TestApp' })
+      )
+      fs.writeFileSync(path.join(appDir, 'TestApp'), buildMachO())
+
+      await validator.validate(appDir)
+      const signals = validator.getAppSignals()
+      expect(validator.getAppSignals()).toBe(signals)
+      expect((await signals).binaries.map((binary) => binary.file)).toEqual(['TestApp'])
+
+      await validator.validate(appDir)
+      expect(validator.getAppSignals()).not.toBe(signals)
+    })
+
+    test('should read the app signals again after a failed read', async() => {
+      const binary = buildMachO()
+      validator.infoPlist = { CFBundleExecutable: 'TestApp' }
+      validator.executable = { name: 'TestApp', macho: parseMachO(binary) }
+      validator.bundle = {
+        readFile: jest.fn().mockRejectedValueOnce(new Error('EIO')).mockResolvedValue(binary)
+      }
+
+      await expect(validator.getAppSignals()).rejects.toThrow('EIO')
+      expect((await validator.getAppSignals()).binaries).toHaveLength(1)
+    })
+  })
+
+  describe('Archive Validation', () => {
+    test('should validate the app inside an .xcarchive', async() => {
+      const archiveDir = path.join(tempDir, 'TestApp.xcarchive')
+      const appDir = path.join(archiveDir, 'Products', 'Applications', 'TestApp.app')
+      const dsymDir = path.join(
+        archiveDir,
+        'dSYMs',
+        'TestApp.app.dSYM',
+        'Contents',
+        'Resources',
+        'DWARF'
+      )
+      fs.mkdirSync(appDir, { recursive: true })
+      fs.mkdirSync(dsymDir, { recursive: true })
+
+      fs.writeFileSync(path.join(appDir, 'Info.plist'), createValidPlist())
+      fs.writeFileSync(path.join(dsymDir, 'TestApp'), '')
+      fs.writeFileSync(
+        path.join(archiveDir, 'Info.plist'),
+        plist.build({
+          ArchiveVersion: 2,
+          Name: 'TestApp',
+          SchemeName: 'TestApp',
+          ApplicationProperties: {
+            ApplicationPath: 'Applications/TestApp.app',
+            CFBundleIdentifier: 'com.example.testapp',
+            CFBundleShortVersionString: '1.0.0',
+            CFBundleVersion: '1',
+            SigningIdentity: 'Apple Development: Jane Doe (XYZ987)',
+            Team: 'ABCDE12345'
+          }
+        })
+      )
+
+      const report = await validator.validate(archiveDir)
+
+      expect(report).toContain('App Store Submission Validation Report')
+      expect(validator.getInfoPlist().CFBundleIdentifier).toBe('com.example.testapp')
+      expect(validator.getArchiveInfo()).toMatchObject({
+        applicationPath: 'Applications/TestApp.app',
+        signingIdentity: 'Apple Development: Jane Doe (XYZ987)',
+        team: 'ABCDE12345'
+      })
+      expect(validator.getDSYMs()).toEqual([
+        expect.objectContaining({
+          name: 'TestApp.app.dSYM',
+          dwarfFiles: [path.join(dsymDir, 'TestApp')]
+        })
+      ])
+    })
+  })
+
+  describe('Project Validation', () => {
+    test('should validate ios/ sources with project-mode rules only', async() => {
+      const sourceDir = path.join(tempDir, 'ios', 'TestApp')
+      fs.mkdirSync(path.join(tempDir, 'ios', 'TestApp.xcodeproj'), { recursive: true })
+      fs.mkdirSync(sourceDir, { recursive: true })
+
+      fs.writeFileSync(
+        path.join(sourceDir, 'Info.plist'),
+        plist.build({
+          CFBundleIdentifier: '$(PRODUCT_BUNDLE_IDENTIFIER)',
+          CFBundleName: '$(PRODUCT_NAME)',
+          CFBundleDisplayName: 'Test App',
+          CFBundleVersion: '$(CURRENT_PROJECT_VERSION)',
+          CFBundleShortVersionString: '$(MARKETING_VERSION)',
+          LSRequiresIPhoneOS: true,
+          NSCameraUsageDescription: 'Camera'
+        })
+      )
+      fs.writeFileSync(
+        path.join(sourceDir, 'TestApp.entitlements'),
+        plist.build({ 'aps-environment': 'development' })
+      )
+
+      const report = await validator.validateProject(tempDir)
+
+      expect(report).toContain('App Store Submission Validation Report')
+      expect(validator.generateSummary().rulesRun).toEqual([
+        'info-plist-validation',
+        'privacy-compliance',
+        'app-tracking-transparency',
+        'sign-in-with-apple',
+        'permissions',
+        'app-transport-security',
+        'native-modules',
+        'build-settings'
+      ])
+      expect(validator.getProjectInfo()).toMatchObject({
+        appName: 'TestApp',
+        entitlementsFile: 'TestApp.entitlements'
+      })
+      expect(validator.getEntitlements()).toEqual({ 'aps-environment': 'development' })
+      expect(validator.results.some((r) => r.message.includes('description too short'))).toBe(true)
+      expect(validator.results.some((r) => r.message.includes('bundle identifier'))).toBe(false)
+    })
+
+    test('should resolve Info.plist values from the Xcode project', async() => {
+      const projectDir = path.join(tempDir, 'ios', 'TestApp.xcodeproj')
+      const sourceDir = path.join(tempDir, 'ios', 'TestApp')
+      fs.mkdirSync(projectDir, { recursive: true })
+      fs.mkdirSync(sourceDir, { recursive: true })
+
+      const releaseSettings = {
+        PRODUCT_BUNDLE_IDENTIFIER: 'com.example.testapp',
+        INFOPLIST_FILE: 'TestApp/Info.plist',
+        MARKETING_VERSION: '2.1.0',
+        DEVELOPMENT_TEAM: 'ABCDE12345'
+      }
+      fs.writeFileSync(
+        path.join(projectDir, 'project.pbxproj'),
+        buildPbxproj({ targetSettings: { Debug: releaseSettings, Release: releaseSettings } })
+      )
+      fs.writeFileSync(
+        path.join(sourceDir, 'Info.plist'),
+        plist.build({
+          CFBundleIdentifier: '$(PRODUCT_BUNDLE_IDENTIFIER)',
+          CFBundleShortVersionString: '$(MARKETING_VERSION)'
+        })
+      )
+
+      await validator.validateProject(tempDir)
+
+      expect(validator.getInfoPlist()).toMatchObject({
+        CFBundleIdentifier: 'com.example.testapp',
+        CFBundleShortVersionString: '2.1.0'
+      })
+      expect(validator.getProjectInfo()).toMatchObject({
+        targetName: 'TestApp',
+        configuration: 'Release'
+      })
+      expect(validator.getBuildSettings('Debug').PRODUCT_BUNDLE_IDENTIFIER).toBe(
+        'com.example.testapp'
+      )
+    })
+
+    test('should fail when the project has no ios/ directory', async() => {
+      const report = await validator.validateProject(tempDir)
+
+      expect(report).toContain('No ios/ directory found')
+    })
   })
 
   describe('Info.plist Validation', () => {
@@ -140,6 +318,79 @@ describe('AppStoreValidator', () => {
     })
   })
 
+  describe('Privacy Report', () => {
+    test('should merge the app and SDK privacy manifests', async() => {
+      const appDir = path.join(tempDir, 'TestApp.app')
+      const collected = (type, linked, tracking, purposes) => ({
+        NSPrivacyCollectedDataType: `NSPrivacyCollectedDataType${type}`,
+        NSPrivacyCollectedDataTypeLinked: linked,
+        NSPrivacyCollectedDataTypeTracking: tracking,
+        NSPrivacyCollectedDataTypePurposes: purposes.map(
+          (purpose) => `NSPrivacyCollectedDataTypePurpose${purpose}`
+        )
+      })
+      const files = {
+        'Info.plist': createValidPlist(),
+        'PrivacyInfo.xcprivacy': plist.build({
+          NSPrivacyTracking: false,
+          NSPrivacyCollectedDataTypes: [
+            collected('EmailAddress', true, false, ['AppFunctionality'])
+          ]
+        }),
+        'FirebaseCrashlytics_Privacy.bundle/PrivacyInfo.xcprivacy': plist.build({
+          NSPrivacyTracking: false,
+          NSPrivacyCollectedDataTypes: [collected('CrashData', false, false, ['AppFunctionality'])]
+        }),
+        'Frameworks/FBSDKCoreKit.framework/PrivacyInfo.xcprivacy': plist.build({
+          NSPrivacyTracking: true,
+          NSPrivacyTrackingDomains: ['ep1.facebook.com'],
+          NSPrivacyCollectedDataTypes: [
+            collected('CrashData', false, false, ['Analytics']),
+            collected('AdvertisingData', true, true, ['ThirdPartyAdvertising'])
+          ]
+        })
+      }
+      for (const [file, contents] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(appDir, file)), { recursive: true })
+        fs.writeFileSync(path.join(appDir, file), contents)
+      }
+
+      const report = await validator.generatePrivacyReport(appDir)
+
+      expect(report.app).toEqual({
+        name: 'Test App',
+        bundleId: 'com.example.testapp',
+        version: '1.0.0'
+      })
+      expect(report.tracking).toBe(true)
+      expect(report.trackingDomains).toEqual([
+        { domain: 'ep1.facebook.com', sources: ['FBSDKCoreKit'] }
+      ])
+      expect(
+        report.collectedDataTypes.map((dataType) => [dataType.type, dataType.sources])
+      ).toEqual([
+        ['NSPrivacyCollectedDataTypeEmailAddress', ['Test App']],
+        ['NSPrivacyCollectedDataTypeAdvertisingData', ['FBSDKCoreKit']],
+        ['NSPrivacyCollectedDataTypeCrashData', ['FirebaseCrashlytics', 'FBSDKCoreKit']]
+      ])
+      expect(report.collectedDataTypes[2].purposes).toEqual([
+        'NSPrivacyCollectedDataTypePurposeAnalytics',
+        'NSPrivacyCollectedDataTypePurposeAppFunctionality'
+      ])
+
+      const markdown = reporters.generatePrivacyMarkdownReport(report)
+      expect(markdown).toContain(
+        '| Advertising Data | Yes | Yes | Third Party Advertising | FBSDKCoreKit |'
+      )
+      expect(markdown).toContain(
+        '- `Frameworks/FBSDKCoreKit.framework/PrivacyInfo.xcprivacy` (FBSDKCoreKit)'
+      )
+      expect(JSON.parse(reporters.generatePrivacyJsonReport(report)).manifests[0].file).toBe(
+        'PrivacyInfo.xcprivacy'
+      )
+    })
+  })
+
   describe('Output Formats', () => {
     test('should generate JSON output', async() => {
       const jsonValidator = new AppStoreValidator({ verbose: false, output: 'json' })